@@ -0,0 +1,802 @@
+/**
+ * Bank Statement Import Controller
+ *
+ * Stages the lines of a downloaded bank statement, matches them to the
+ * vouchers already in the books, and turns the rest into payment and
+ * receipt vouchers. Matching a line records the statement date as the
+ * voucher's bank clearing date, so the reconciliation follows along.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Ledger = require('../models/Ledger');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const FinancialYear = require('../models/FinancialYear');
+const BankImportProfile = require('../models/BankImportProfile');
+const BankStatementImport = require('../models/BankStatementImport');
+const StatementLine = require('../models/StatementLine');
+const CategorisationRule = require('../models/CategorisationRule');
+const { roundAmount, ledgerFilter, applyPosting } = require('../utils/posting');
+const { startOfDay } = require('../utils/dates');
+const { planBillAllocations, saveBillAllocations } = require('../utils/billWise');
+const { planTdsPayment } = require('../utils/tds');
+const { parseStatement } = require('../utils/statementParsers');
+const { categoriser } = require('../utils/categorisation');
+const {
+  bankGroupIds,
+  findBankLedger,
+  unclearedFilter,
+  bankAmount,
+  clearingOperations
+} = require('../utils/bankClearing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far a voucher date may be from the statement date and still match
+const MATCH_WINDOW_DAYS = 7;
+
+// CSV mapping fields kept in a bank's import profile
+const MAPPING_FIELDS = [
+  'delimiter',
+  'hasHeader',
+  'skipRows',
+  'dateColumn',
+  'dateFormat',
+  'decimalSeparator',
+  'descriptionColumn',
+  'referenceColumn',
+  'amountColumn',
+  'withdrawalColumn',
+  'depositColumn'
+];
+
+/**
+ * Send a helper's {status, message} error
+ * @param {Object} res - Express response
+ * @param {{status: number, message: string}} error - Error to send
+ */
+const respondError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/**
+ * Fingerprints that tell a statement line apart from every other line on
+ * the account, so importing an overlapping statement again skips the
+ * lines already staged. Lines without a bank id are keyed on their
+ * content plus how many identical lines came before them in the file.
+ * @param {Array} lines - Parsed statement lines
+ * @returns {Array<string>}
+ */
+const fingerprintLines = (lines) => {
+  const seen = new Map();
+
+  return lines.map(line => {
+    let key;
+    if (line.bankId) {
+      key = `id|${line.bankId}`;
+    } else {
+      const content = [
+        line.date.toISOString().slice(0, 10),
+        line.amount.toFixed(2),
+        line.reference || '',
+        line.description
+      ].join('|');
+      const occurrence = (seen.get(content) || 0) + 1;
+      seen.set(content, occurrence);
+      key = `${content}|${occurrence}`;
+    }
+
+    return crypto.createHash('sha1').update(key).digest('hex');
+  });
+};
+
+/**
+ * Clearing date for a voucher matched to a statement line: the statement
+ * date, unless the voucher was dated after it
+ */
+const clearingDate = (line, voucher) => (line.date < voucher.date ? voucher.date : line.date);
+
+/**
+ * Whether a voucher carries a statement line's reference
+ */
+const referenceMatches = (line, voucher) => {
+  if (!line.reference) return false;
+  const reference = line.reference.toLowerCase();
+
+  return [voucher.reference, voucher.voucherNumber, voucher.narration]
+    .some(text => text && text.toLowerCase().includes(reference));
+};
+
+/**
+ * Match unmatched statement lines to uncleared vouchers on the bank
+ * ledger. A voucher matches when it moves the same amount the same way
+ * within MATCH_WINDOW_DAYS of the statement date; one carrying the
+ * line's reference wins, otherwise the match has to be the only
+ * candidate. Matched vouchers are cleared on the statement date.
+ * @param {Object} ledger - Bank ledger
+ * @param {Array} lines - Unmatched StatementLine documents
+ * @param {ObjectId} userId - Who is importing
+ * @returns {Promise<number>} Lines matched
+ */
+const autoMatch = async (ledger, lines, userId) => {
+  if (lines.length === 0) return 0;
+
+  const dates = lines.map(line => line.date.getTime());
+  const windowMs = MATCH_WINDOW_DAYS * DAY_MS;
+
+  const [vouchers, taken] = await Promise.all([
+    Transaction.find({
+      ...ledgerFilter(ledger._id),
+      ...unclearedFilter(ledger._id),
+      isDeleted: false,
+      date: {
+        $gte: new Date(Math.min(...dates) - windowMs),
+        $lte: new Date(Math.max(...dates) + windowMs)
+      }
+    }).sort({ date: 1, createdAt: 1 }),
+    StatementLine.distinct('transaction', { ledger: ledger._id, status: 'matched' })
+  ]);
+
+  const used = new Set(taken.map(String));
+  const candidates = vouchers
+    .filter(voucher => !used.has(voucher._id.toString()))
+    .map(voucher => ({ voucher, amount: bankAmount(voucher, ledger._id) }));
+
+  const matches = [];
+  for (const line of [...lines].sort((a, b) => a.date - b.date)) {
+    const possible = candidates.filter(candidate =>
+      !used.has(candidate.voucher._id.toString()) &&
+      candidate.amount === line.amount &&
+      Math.abs(candidate.voucher.date - line.date) <= windowMs
+    );
+
+    const byReference = possible.filter(candidate => referenceMatches(line, candidate.voucher));
+    const match = byReference.length > 0 ? byReference[0] : (possible.length === 1 ? possible[0] : null);
+
+    if (match) {
+      used.add(match.voucher._id.toString());
+      matches.push({ line, voucher: match.voucher });
+    }
+  }
+
+  if (matches.length === 0) return 0;
+
+  await Transaction.bulkWrite(clearingOperations(
+    ledger._id,
+    matches.map(({ line, voucher }) => ({ transaction: voucher._id, clearedDate: clearingDate(line, voucher) })),
+    userId
+  ));
+
+  await StatementLine.bulkWrite(matches.map(({ line, voucher }) => ({
+    updateOne: {
+      filter: { _id: line._id, status: 'unmatched' },
+      update: { $set: { status: 'matched', transaction: voucher._id, matchType: 'auto' } }
+    }
+  })));
+
+  return matches.length;
+};
+
+/**
+ * Get bank ledgers with their saved CSV mapping
+ * GET /api/bank-imports/banks
+ */
+exports.getBanks = async (req, res) => {
+  try {
+    const groups = await bankGroupIds();
+    const ledgers = await Ledger.find({ group: { $in: groups }, isActive: true })
+      .select('name type balance')
+      .sort({ name: 1 })
+      .lean();
+
+    const profiles = await BankImportProfile.find({ ledger: { $in: ledgers.map(ledger => ledger._id) } }).lean();
+    const profileByLedger = new Map(profiles.map(profile => [profile.ledger.toString(), profile]));
+
+    const banks = ledgers.map(ledger => ({
+      ...ledger,
+      profile: profileByLedger.get(ledger._id.toString()) || null
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: banks.length,
+      data: { banks }
+    });
+  } catch (error) {
+    console.error('Get import banks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bank ledgers'
+    });
+  }
+};
+
+/**
+ * Save a bank's CSV column mapping
+ * PUT /api/bank-imports/profiles/:ledgerId
+ */
+exports.saveProfile = async (req, res) => {
+  try {
+    const { ledger, error } = await findBankLedger(req.params.ledgerId);
+    if (error) return respondError(res, error);
+
+    const mapping = Object.fromEntries(MAPPING_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
+    const profile = await BankImportProfile.findOneAndUpdate(
+      { ledger: ledger._id },
+      { ...mapping, ledger: ledger._id, updatedBy: req.user.id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await AuditLog.create({
+      action: 'SYSTEM_SETTINGS_CHANGE',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: ledger._id,
+      targetModel: 'Ledger',
+      details: { bankImportProfile: mapping }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Column mapping saved',
+      data: { profile }
+    });
+  } catch (error) {
+    console.error('Save import profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving column mapping'
+    });
+  }
+};
+
+/**
+ * Import a bank statement
+ * POST /api/bank-imports
+ * Body: { ledger, format, fileName, content, mapping?, saveMapping? }
+ * CSV files use the mapping sent with the request, or the bank's saved
+ * one. Lines already staged by an earlier import are skipped; new lines
+ * are matched to existing vouchers where possible.
+ */
+exports.importStatement = async (req, res) => {
+  try {
+    const { format, fileName, content, saveMapping } = req.body;
+
+    const { ledger, error } = await findBankLedger(req.body.ledger);
+    if (error) return respondError(res, error);
+
+    let mapping = null;
+    if (format === 'csv') {
+      mapping = req.body.mapping || await BankImportProfile.findOne({ ledger: ledger._id }).lean();
+
+      if (!mapping) {
+        return res.status(400).json({
+          success: false,
+          message: 'Map the CSV columns for this bank before importing'
+        });
+      }
+    }
+
+    const parsed = parseStatement(format, content, mapping);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the statement: ${parsed.error}`
+      });
+    }
+
+    if (parsed.lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The statement has no transactions'
+      });
+    }
+
+    const statementLines = parsed.lines.map(line => ({ ...line, amount: roundAmount(line.amount) }));
+    const fingerprints = fingerprintLines(statementLines);
+    const existing = await StatementLine.find({
+      ledger: ledger._id,
+      fingerprint: { $in: fingerprints }
+    }).distinct('fingerprint');
+    const staged = new Set(existing);
+
+    const statementImport = await BankStatementImport.create({
+      ledger: ledger._id,
+      format,
+      fileName,
+      lineCount: statementLines.length,
+      duplicateCount: fingerprints.filter(fingerprint => staged.has(fingerprint)).length,
+      importedBy: req.user.id
+    });
+
+    const lines = await StatementLine.insertMany(statementLines
+      .map((line, index) => ({
+        ...line,
+        ledger: ledger._id,
+        statementImport: statementImport._id,
+        fingerprint: fingerprints[index]
+      }))
+      .filter(line => !staged.has(line.fingerprint)));
+
+    if (format === 'csv' && saveMapping && req.body.mapping) {
+      await BankImportProfile.findOneAndUpdate(
+        { ledger: ledger._id },
+        {
+          ...Object.fromEntries(MAPPING_FIELDS.map(field => [field, req.body.mapping[field] ?? null])),
+          ledger: ledger._id,
+          updatedBy: req.user.id
+        },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    statementImport.matchedCount = await autoMatch(ledger, lines, req.user.id);
+    await statementImport.save();
+
+    await AuditLog.create({
+      action: 'IMPORT_BANK_STATEMENT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: ledger._id,
+      targetModel: 'Ledger',
+      details: {
+        format,
+        fileName,
+        lines: statementImport.lineCount,
+        duplicates: statementImport.duplicateCount,
+        matched: statementImport.matchedCount
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${lines.length} line${lines.length === 1 ? '' : 's'} imported, ` +
+        `${statementImport.matchedCount} matched, ${statementImport.duplicateCount} already imported`,
+      data: { import: statementImport }
+    });
+  } catch (error) {
+    console.error('Import bank statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing bank statement'
+    });
+  }
+};
+
+/**
+ * Get statement imports
+ * GET /api/bank-imports?ledger=
+ */
+exports.getImports = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.ledger) query.ledger = req.query.ledger;
+
+    const imports = await BankStatementImport.find(query)
+      .populate('ledger', 'name')
+      .populate('importedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      count: imports.length,
+      data: { imports }
+    });
+  } catch (error) {
+    console.error('Get bank imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bank imports'
+    });
+  }
+};
+
+/**
+ * Get staged statement lines
+ * GET /api/bank-imports/lines?ledger=&status=unmatched|matched|ignored|all&import=
+ * Unmatched lines carry the ledger and voucher type suggested by the
+ * first categorisation rule that codes them.
+ */
+exports.getLines = async (req, res) => {
+  try {
+    const { ledger, status = 'unmatched' } = req.query;
+
+    if (!ledger) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bank ledger is required'
+      });
+    }
+
+    const query = { ledger };
+    if (status !== 'all') query.status = status;
+    if (req.query.import) query.statementImport = req.query.import;
+
+    const [found, rules] = await Promise.all([
+      StatementLine.find(query)
+        .populate('transaction', 'voucherNumber type date narration')
+        .sort({ date: 1, _id: 1 })
+        .limit(1000),
+      CategorisationRule.activeRules()
+    ]);
+
+    const categorise = categoriser(rules);
+    const lines = found.map(line => {
+      const rule = line.status === 'unmatched' ? categorise(line) : null;
+      return {
+        ...line.toObject(),
+        suggestion: rule ? { rule: { _id: rule._id, name: rule.name }, ledger: rule.ledger, type: rule.type } : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: lines.length,
+      data: { lines }
+    });
+  } catch (error) {
+    console.error('Get statement lines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching statement lines'
+    });
+  }
+};
+
+/**
+ * Run auto-matching again over a bank's unmatched lines, e.g. after
+ * vouchers were entered by hand
+ * POST /api/bank-imports/lines/auto-match
+ * Body: { ledger }
+ */
+exports.rematchLines = async (req, res) => {
+  try {
+    const { ledger, error } = await findBankLedger(req.body.ledger);
+    if (error) return respondError(res, error);
+
+    const lines = await StatementLine.find({ ledger: ledger._id, status: 'unmatched' });
+    const matched = await autoMatch(ledger, lines, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${matched} line${matched === 1 ? '' : 's'} matched`,
+      data: { matched }
+    });
+  } catch (error) {
+    console.error('Auto-match statement lines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while matching statement lines'
+    });
+  }
+};
+
+/**
+ * Vouchers a statement line could be matched to by hand: uncleared
+ * vouchers on the bank moving the same amount, nearest date first
+ * GET /api/bank-imports/lines/:id/candidates
+ */
+exports.getLineCandidates = async (req, res) => {
+  try {
+    const line = await StatementLine.findById(req.params.id);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement line not found'
+      });
+    }
+
+    const vouchers = await Transaction.find({
+      ...ledgerFilter(line.ledger),
+      ...unclearedFilter(line.ledger),
+      isDeleted: false
+    }).select('date voucherNumber type narration reference debitLedger creditLedger amount entries');
+
+    const candidates = vouchers
+      .filter(voucher => bankAmount(voucher, line.ledger) === line.amount)
+      .sort((a, b) => Math.abs(a.date - line.date) - Math.abs(b.date - line.date))
+      .slice(0, 20)
+      .map(voucher => ({
+        _id: voucher._id,
+        date: voucher.date,
+        voucherNumber: voucher.voucherNumber,
+        type: voucher.type,
+        narration: voucher.narration,
+        reference: voucher.reference
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: candidates.length,
+      data: { candidates }
+    });
+  } catch (error) {
+    console.error('Get line candidates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching matching vouchers'
+    });
+  }
+};
+
+/**
+ * Match, unmatch or ignore a statement line
+ * PUT /api/bank-imports/lines/:id
+ * Body: { status: 'matched', transaction } | { status: 'unmatched' } | { status: 'ignored' }
+ * Unmatching takes the bank clearing date off the voucher again.
+ */
+exports.updateLine = async (req, res) => {
+  try {
+    const { status, transaction } = req.body;
+    const line = await StatementLine.findById(req.params.id);
+
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement line not found'
+      });
+    }
+
+    if (status !== 'unmatched' && line.status !== 'unmatched') {
+      return res.status(400).json({
+        success: false,
+        message: `Statement line is already ${line.status}; unmatch it first`
+      });
+    }
+
+    if (status === 'matched') {
+      const voucher = await Transaction.findOne({
+        _id: transaction,
+        isDeleted: false,
+        ...ledgerFilter(line.ledger)
+      });
+
+      if (!voucher) {
+        return res.status(404).json({
+          success: false,
+          message: 'Voucher not found on this bank ledger'
+        });
+      }
+
+      if (bankAmount(voucher, line.ledger) !== line.amount) {
+        return res.status(400).json({
+          success: false,
+          message: `Voucher ${voucher.voucherNumber} does not move the statement amount through this bank`
+        });
+      }
+
+      const taken = await StatementLine.exists({ transaction: voucher._id, status: 'matched', _id: { $ne: line._id } });
+      if (taken) {
+        return res.status(400).json({
+          success: false,
+          message: `Voucher ${voucher.voucherNumber} is already matched to another statement line`
+        });
+      }
+
+      await Transaction.bulkWrite(clearingOperations(
+        line.ledger,
+        [{ transaction: voucher._id, clearedDate: clearingDate(line, voucher) }],
+        req.user.id
+      ));
+      Object.assign(line, { status, transaction: voucher._id, matchType: 'manual' });
+    } else {
+      if (status === 'unmatched' && line.transaction) {
+        await Transaction.bulkWrite(clearingOperations(
+          line.ledger,
+          [{ transaction: line.transaction, clearedDate: null }],
+          req.user.id
+        ));
+      }
+      Object.assign(line, { status, transaction: null, matchType: null });
+    }
+
+    await line.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Statement line ${status}`,
+      data: { line }
+    });
+  } catch (error) {
+    console.error('Update statement line error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating statement line'
+    });
+  }
+};
+
+/**
+ * Create vouchers for unmatched statement lines
+ * POST /api/bank-imports/lines/create-vouchers
+ * Body: { lines: [{ line, ledger, type?, narration? }] }
+ * Money paid out becomes a payment (Dr ledger, Cr bank) and money paid
+ * in a receipt (Dr bank, Cr ledger), or a contra either way when `type`
+ * says so, dated and cleared on the statement date. A payment to a party
+ * flagged for TDS is grossed up so the bank line is what was paid after
+ * the tax held back. All the vouchers are created or none are.
+ */
+exports.createVouchers = async (req, res) => {
+  try {
+    const requested = req.body.lines;
+    const lineIds = requested.map(item => String(item.line));
+
+    if (new Set(lineIds).size !== lineIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each statement line can only be used once'
+      });
+    }
+
+    const lines = await StatementLine.find({ _id: { $in: lineIds } });
+    const lineById = new Map(lines.map(line => [line._id.toString(), line]));
+
+    const unusable = lineIds.find(id => lineById.get(id)?.status !== 'unmatched');
+    if (unusable) {
+      return res.status(400).json({
+        success: false,
+        message: lineById.has(unusable)
+          ? 'Only unmatched statement lines can become vouchers'
+          : `Statement line ${unusable} not found`
+      });
+    }
+
+    const ledgerIds = [...new Set(requested.map(item => String(item.ledger)))];
+    const ledgers = await Ledger.find({ _id: { $in: ledgerIds } }).select('name tdsSection pan gstin');
+    const ledgerById = new Map(ledgers.map(ledger => [ledger._id.toString(), ledger]));
+    if (ledgers.length !== ledgerIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more ledgers not found'
+      });
+    }
+
+    const lock = await FinancialYear.findLock(lines.map(line => line.date));
+    if (lock) {
+      return res.status(423).json({
+        success: false,
+        message: `Cannot create a voucher dated ${lock.date.toISOString().slice(0, 10)}: ${lock.reason}`
+      });
+    }
+
+    const planned = [];
+    for (const item of requested) {
+      const line = lineById.get(String(item.line));
+
+      if (line.ledger.equals(item.ledger)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A statement line cannot be posted back to its own bank ledger'
+        });
+      }
+
+      const deposit = line.amount > 0;
+      const type = item.type || (deposit ? 'receipt' : 'payment');
+
+      if ((type === 'payment' && deposit) || (type === 'receipt' && !deposit)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${type} cannot record money paid ${deposit ? 'in' : 'out'} (${line.description || line.reference})`
+        });
+      }
+
+      const voucher = {
+        date: startOfDay(line.date),
+        type,
+        debitLedger: deposit ? line.ledger : item.ledger,
+        creditLedger: deposit ? item.ledger : line.ledger,
+        amount: Math.abs(line.amount),
+        narration: (item.narration || line.description || '').slice(0, 1000),
+        reference: line.reference ? line.reference.slice(0, 100) : undefined,
+        createdBy: req.user.id,
+        bankClearances: [{ ledger: line.ledger, clearedDate: startOfDay(line.date), clearedBy: req.user.id }]
+      };
+
+      // The statement shows what left the bank, so TDS on a payment to a
+      // flagged party is added back on top to give the gross. Earlier
+      // lines in this batch count towards the party's thresholds.
+      if (type === 'payment') {
+        const { entries: tdsEntries, tds, error: tdsError } = await planTdsPayment({
+          party: ledgerById.get(String(item.ledger)),
+          bankLedger: line.ledger,
+          netAmount: voucher.amount,
+          date: voucher.date,
+          pending: planned.map(plan => plan.voucher)
+        }, req.user.id);
+        if (tdsError) return respondError(res, tdsError);
+
+        if (tds) Object.assign(voucher, { entries: tdsEntries, tds });
+      }
+
+      const { allocations, error: billError } = await planBillAllocations(voucher);
+      if (billError) return respondError(res, billError);
+
+      planned.push({ line, voucher, allocations });
+    }
+
+    // Vouchers, postings, line updates and audit entries commit or fail
+    // together. A line matched by another request since it was checked
+    // above aborts the lot.
+    let created;
+    let taken;
+    await mongoose.connection.transaction(async (session) => {
+      created = [];
+      taken = null;
+
+      for (const { line, voucher, allocations } of planned) {
+        const [transaction] = await Transaction.create([voucher], { session });
+
+        await applyPosting(transaction, { session });
+        await saveBillAllocations(transaction, allocations, { session });
+
+        const { matchedCount } = await StatementLine.updateOne(
+          { _id: line._id, status: 'unmatched' },
+          { $set: { status: 'matched', transaction: transaction._id, matchType: 'created' } },
+          { session }
+        );
+
+        if (matchedCount === 0) {
+          taken = line;
+          throw new Error(`Statement line ${line._id} is no longer unmatched`);
+        }
+
+        await AuditLog.create([{
+          action: 'CREATE_TRANSACTION',
+          userId: req.user.id,
+          userRole: req.user.role,
+          targetId: transaction._id,
+          targetModel: 'Transaction',
+          details: {
+            amount: transaction.amount,
+            type: transaction.type,
+            debitLedger: voucher.debitLedger,
+            creditLedger: voucher.creditLedger,
+            ...(voucher.tds && { tds: { section: voucher.tds.sectionCode, amount: voucher.tds.tdsAmount } }),
+            statementLine: line._id
+          }
+        }], { session });
+
+        created.push(transaction);
+      }
+    }).catch((error) => {
+      if (!taken) throw error;
+    });
+
+    if (taken) {
+      return res.status(409).json({
+        success: false,
+        message: `Statement line ${taken.description || taken.reference || taken._id} was matched by someone else; no vouchers were created`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} voucher${created.length === 1 ? '' : 's'} created`,
+      data: {
+        transactions: created.map(transaction => ({
+          _id: transaction._id,
+          voucherNumber: transaction.voucherNumber,
+          type: transaction.type,
+          date: transaction.date,
+          amount: transaction.amount
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Create statement vouchers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating vouchers'
+    });
+  }
+};
@@ -0,0 +1,203 @@
+/**
+ * Bank Reconciliation Controller
+ *
+ * Matches a bank ledger's postings against the bank statement by
+ * recording the date each one cleared in the bank
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const StatementLine = require('../models/StatementLine');
+const AuditLog = require('../models/AuditLog');
+const {
+  roundAmount,
+  postingLines,
+  ledgerFilter,
+  ledgerMovements,
+  netMovement,
+  describeBalance
+} = require('../utils/posting');
+const { startOfDay, endOfDay, isValidDate } = require('../utils/dates');
+const { findBankLedger, unclearedFilter, clearingOperations } = require('../utils/bankClearing');
+
+/**
+ * Get bank reconciliation
+ * GET /api/ledgers/:id/reconciliation?asOf=&show=unreconciled|all&from=
+ * Balance as per books and as per bank at `asOf`. The bank balance
+ * leaves out every posting not cleared by then. Lists the uncleared
+ * postings, or with show=all every posting from `from` to `asOf`.
+ */
+exports.getReconciliation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { asOf, show = 'unreconciled', from } = req.query;
+
+    if ((asOf && !isValidDate(asOf)) || (from && !isValidDate(from))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const { ledger, error } = await findBankLedger(id);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const asOfDate = endOfDay(asOf || new Date().toISOString().slice(0, 10));
+    const key = ledger._id.toString();
+    const upToDate = { ...ledgerFilter(ledger._id), date: { $lte: asOfDate } };
+    const uncleared = { ...upToDate, ...unclearedFilter(ledger._id, asOfDate) };
+
+    const listQuery = show === 'all'
+      ? {
+        ...ledgerFilter(ledger._id),
+        isDeleted: false,
+        date: from ? { $gte: startOfDay(from), $lte: asOfDate } : { $lte: asOfDate }
+      }
+      : { ...uncleared, isDeleted: false };
+
+    const [bookMovements, unclearedMovements, vouchers] = await Promise.all([
+      ledgerMovements(upToDate),
+      ledgerMovements(uncleared),
+      Transaction.find(listQuery)
+        .populate('debitLedger creditLedger entries.ledger', 'name')
+        .sort({ date: 1, createdAt: 1, _id: 1 })
+    ]);
+
+    const books = roundAmount(ledger.openingBalance + netMovement(ledger.type, bookMovements.get(key)));
+    const notInBank = unclearedMovements.get(key) || { debit: 0, credit: 0 };
+    const bank = roundAmount(books - netMovement(ledger.type, notInBank));
+
+    const entries = vouchers.map(tx => {
+      const lines = postingLines(tx);
+      const own = lines.filter(line => line.ledger?._id.toString() === key);
+      const debit = roundAmount(own.filter(line => line.side === 'Dr').reduce((sum, line) => sum + line.amount, 0));
+      const credit = roundAmount(own.filter(line => line.side === 'Cr').reduce((sum, line) => sum + line.amount, 0));
+      const contraSide = debit >= credit ? 'Cr' : 'Dr';
+      const clearance = (tx.bankClearances || []).find(item => item.ledger.equals(ledger._id));
+
+      return {
+        _id: tx._id,
+        date: tx.date,
+        voucherNumber: tx.voucherNumber,
+        type: tx.type,
+        narration: tx.narration,
+        contraLedger: lines
+          .filter(line => line.side === contraSide && line.ledger?._id.toString() !== key)
+          .map(line => line.ledger.name)
+          .join(', ') || null,
+        debit,
+        credit,
+        clearedDate: clearance ? clearance.clearedDate : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ledger: { _id: ledger._id, name: ledger.name, type: ledger.type },
+        asOf: asOfDate,
+        balanceAsPerBooks: describeBalance(ledger.type, books),
+        // Deposits not yet credited by the bank (Dr) and payments not yet presented (Cr)
+        notReflectedInBank: notInBank,
+        balanceAsPerBank: describeBalance(ledger.type, bank),
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Get bank reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching bank reconciliation'
+    });
+  }
+};
+
+/**
+ * Mark or unmark cleared entries
+ * PUT /api/ledgers/:id/reconciliation
+ * Body: { entries: [{ transaction, clearedDate }] }; a null clearedDate
+ * marks the entry uncleared again, and frees the imported statement line
+ * it was matched to so it can be matched again
+ */
+exports.updateReconciliation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { entries } = req.body;
+
+    const { ledger, error } = await findBankLedger(id);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const ids = [...new Set(entries.map(entry => String(entry.transaction)))];
+    const vouchers = await Transaction.find({
+      _id: { $in: ids },
+      isDeleted: false,
+      ...ledgerFilter(ledger._id)
+    }).select('date voucherNumber');
+
+    if (vouchers.length !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more vouchers not found on this ledger'
+      });
+    }
+
+    const voucherById = new Map(vouchers.map(voucher => [voucher._id.toString(), voucher]));
+
+    for (const entry of entries) {
+      const voucher = voucherById.get(String(entry.transaction));
+      if (entry.clearedDate && startOfDay(entry.clearedDate) < startOfDay(voucher.date)) {
+        return res.status(400).json({
+          success: false,
+          message: `Voucher ${voucher.voucherNumber} cannot clear before its own date`
+        });
+      }
+    }
+
+    const cleared = entries.filter(entry => entry.clearedDate).length;
+    const unclearedIds = entries.filter(entry => !entry.clearedDate).map(entry => entry.transaction);
+
+    await mongoose.connection.transaction(async (session) => {
+      await Transaction.bulkWrite(clearingOperations(ledger._id, entries, req.user.id), { session });
+
+      if (unclearedIds.length > 0) {
+        await StatementLine.updateMany(
+          { ledger: ledger._id, transaction: { $in: unclearedIds }, status: 'matched' },
+          { $set: { status: 'unmatched', transaction: null, matchType: null } },
+          { session }
+        );
+      }
+
+      await AuditLog.create([{
+        action: 'RECONCILE_BANK',
+        userId: req.user.id,
+        userRole: req.user.role,
+        targetId: ledger._id,
+        targetModel: 'Ledger',
+        details: { cleared, uncleared: entries.length - cleared }
+      }], { session });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${cleared} entr${cleared === 1 ? 'y' : 'ies'} cleared, ${entries.length - cleared} marked uncleared`
+    });
+  } catch (error) {
+    console.error('Update bank reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating bank reconciliation'
+    });
+  }
+};
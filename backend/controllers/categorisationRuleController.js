@@ -0,0 +1,434 @@
+/**
+ * Categorisation Rule Controller
+ *
+ * Rules that pre-fill the ledger and voucher type of imported bank lines,
+ * with a dry run against past narrations and suggestions learnt from how
+ * past vouchers were coded
+ */
+
+const Ledger = require('../models/Ledger');
+const Transaction = require('../models/Transaction');
+const StatementLine = require('../models/StatementLine');
+const CategorisationRule = require('../models/CategorisationRule');
+const AuditLog = require('../models/AuditLog');
+const { roundAmount, postingLines } = require('../utils/posting');
+const { findBankLedger } = require('../utils/bankClearing');
+const { ruleRegex, unsafePattern, ruleMatches, categoriser, narrationKeyword } = require('../utils/categorisation');
+
+// Past vouchers looked at when testing rules and learning suggestions
+const HISTORY_LIMIT = 2000;
+
+// A keyword becomes a suggestion once it was coded this many times ...
+const SUGGESTION_MIN_OCCURRENCES = 3;
+// ... to the same ledger at least this often
+const SUGGESTION_MIN_SHARE = 0.8;
+
+const RULE_FIELDS = [
+  'name',
+  'field',
+  'operator',
+  'pattern',
+  'caseSensitive',
+  'minAmount',
+  'maxAmount',
+  'bankLedger',
+  'ledger',
+  'type',
+  'priority',
+  'isActive'
+];
+
+/**
+ * Check the ledgers and pattern of a rule
+ * @param {Object} rule - Rule fields
+ * @returns {Promise<{error?: {status: number, message: string}}>}
+ */
+const checkRule = async (rule) => {
+  try {
+    ruleRegex(rule);
+  } catch (error) {
+    return { error: { status: 400, message: `Invalid pattern: ${error.message}` } };
+  }
+
+  const unsafe = rule.operator === 'regex' ? unsafePattern(rule.pattern) : null;
+  if (unsafe) {
+    return { error: { status: 400, message: `Pattern could run too slowly: ${unsafe}` } };
+  }
+
+  if (rule.ledger && !(await Ledger.exists({ _id: rule.ledger }))) {
+    return { error: { status: 404, message: 'Ledger to post to not found' } };
+  }
+
+  if (rule.bankLedger) {
+    const { error } = await findBankLedger(rule.bankLedger);
+    if (error) return { error };
+  }
+
+  if (rule.minAmount !== null && rule.minAmount !== undefined &&
+      rule.maxAmount !== null && rule.maxAmount !== undefined &&
+      Number(rule.minAmount) > Number(rule.maxAmount)) {
+    return { error: { status: 400, message: 'Minimum amount cannot exceed the maximum' } };
+  }
+
+  return {};
+};
+
+/**
+ * A past voucher as a bank line, for running rules over history.
+ * Payments are money out and receipts money in; a contra goes either way.
+ * @param {Object} voucher - Transaction
+ */
+const voucherAsLine = (voucher) => {
+  const lines = postingLines(voucher);
+  const amount = roundAmount(lines.filter(line => line.side === 'Dr').reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    description: voucher.narration || '',
+    reference: voucher.reference || '',
+    amount: voucher.type === 'payment' ? -amount : amount
+  };
+};
+
+/**
+ * Ledgers a past voucher was coded to, i.e. the side a bank line's
+ * voucher lets the user choose: the debits of a payment, the credits of
+ * a receipt, every ledger of a contra
+ * @param {Object} voucher - Transaction
+ * @returns {Array<ObjectId>}
+ */
+const codedLedgers = (voucher) => {
+  const side = { payment: 'Dr', receipt: 'Cr' }[voucher.type];
+  const ids = postingLines(voucher)
+    .filter(line => line.ledger && (!side || line.side === side))
+    .map(line => String(line.ledger._id || line.ledger));
+  return [...new Set(ids)];
+};
+
+/**
+ * Get all rules in the order they are tried
+ * GET /api/categorisation-rules
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await CategorisationRule.find()
+      .populate('ledger', 'name type')
+      .populate('bankLedger', 'name')
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: { rules }
+    });
+  } catch (error) {
+    console.error('Get categorisation rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categorisation rules'
+    });
+  }
+};
+
+/**
+ * Create rule
+ * POST /api/categorisation-rules
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const fields = Object.fromEntries(RULE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
+    const { error } = await checkRule(fields);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const rule = await CategorisationRule.create({ ...fields, createdBy: req.user.id });
+
+    await AuditLog.create({
+      action: 'CREATE_CATEGORISATION_RULE',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: rule._id,
+      targetModel: 'CategorisationRule',
+      details: { name: rule.name, pattern: rule.pattern, ledger: rule.ledger, type: rule.type }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Create categorisation rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating categorisation rule'
+    });
+  }
+};
+
+/**
+ * Update rule
+ * PUT /api/categorisation-rules/:id
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await CategorisationRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    const changes = Object.fromEntries(RULE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
+    const { error } = await checkRule({ ...rule.toObject(), ...changes });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    Object.assign(rule, changes);
+    await rule.save();
+
+    await AuditLog.create({
+      action: 'UPDATE_CATEGORISATION_RULE',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: rule._id,
+      targetModel: 'CategorisationRule',
+      details: { changes }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Update categorisation rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating categorisation rule'
+    });
+  }
+};
+
+/**
+ * Delete rule
+ * DELETE /api/categorisation-rules/:id
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await CategorisationRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    await AuditLog.create({
+      action: 'DELETE_CATEGORISATION_RULE',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: rule._id,
+      targetModel: 'CategorisationRule',
+      details: { name: rule.name, pattern: rule.pattern }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete categorisation rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting categorisation rule'
+    });
+  }
+};
+
+/**
+ * Test a rule against history
+ * POST /api/categorisation-rules/test
+ * Body: rule fields (saved or not). Runs the rule over the narrations of
+ * recent vouchers of its type, reporting how many it would have coded
+ * and how many of those were in fact posted to its ledger, and over the
+ * staged bank statement lines.
+ */
+exports.testRule = async (req, res) => {
+  try {
+    const rule = {
+      field: 'description',
+      operator: 'contains',
+      caseSensitive: false,
+      minAmount: null,
+      maxAmount: null,
+      bankLedger: null,
+      ...Object.fromEntries(RULE_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]]))
+    };
+
+    const { error } = await checkRule(rule);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const regex = ruleRegex(rule);
+
+    const [vouchers, statementLines] = await Promise.all([
+      Transaction.find({ type: rule.type, isDeleted: false })
+        .select('date voucherNumber type narration reference debitLedger creditLedger amount entries')
+        .sort({ date: -1 })
+        .limit(HISTORY_LIMIT),
+      StatementLine.find(rule.bankLedger ? { ledger: rule.bankLedger } : {})
+        .select('ledger date amount description reference status')
+        .sort({ date: -1 })
+        .limit(HISTORY_LIMIT)
+    ]);
+
+    const matchedVouchers = vouchers.filter(voucher => ruleMatches(rule, voucherAsLine(voucher), regex));
+    const agreeing = rule.ledger
+      ? matchedVouchers.filter(voucher => codedLedgers(voucher).includes(String(rule.ledger)))
+      : [];
+    const matchedLines = statementLines.filter(line => ruleMatches(rule, line, regex));
+
+    const sampleVouchers = matchedVouchers.slice(0, 20);
+    const names = new Map((await Ledger.find({
+      _id: { $in: [...new Set(sampleVouchers.flatMap(codedLedgers))] }
+    }).select('name')).map(ledger => [ledger._id.toString(), ledger.name]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vouchers: {
+          checked: vouchers.length,
+          matched: matchedVouchers.length,
+          // Of the matches, how many were posted to the rule's ledger
+          agreeing: agreeing.length,
+          samples: sampleVouchers.map(voucher => ({
+            _id: voucher._id,
+            date: voucher.date,
+            voucherNumber: voucher.voucherNumber,
+            narration: voucher.narration,
+            amount: Math.abs(voucherAsLine(voucher).amount),
+            codedTo: codedLedgers(voucher).map(id => names.get(id)).filter(Boolean)
+          }))
+        },
+        statementLines: {
+          checked: statementLines.length,
+          matched: matchedLines.length,
+          samples: matchedLines.slice(0, 20)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Test categorisation rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while testing categorisation rule'
+    });
+  }
+};
+
+/**
+ * Suggest rules from history
+ * GET /api/categorisation-rules/suggestions
+ * Groups recent payment and receipt narrations by the word naming the
+ * counterparty and suggests a "contains" rule wherever one ledger took
+ * nearly all of them, unless an active rule already codes them.
+ */
+exports.getSuggestions = async (req, res) => {
+  try {
+    const [vouchers, rules] = await Promise.all([
+      Transaction.find({
+        type: { $in: ['payment', 'receipt'] },
+        isDeleted: false,
+        narration: { $nin: [null, ''] }
+      })
+        .select('date type narration reference debitLedger creditLedger amount entries')
+        .sort({ date: -1 })
+        .limit(HISTORY_LIMIT),
+      CategorisationRule.activeRules()
+    ]);
+
+    // keyword|type -> { counts per ledger, examples }
+    const groups = new Map();
+    for (const voucher of vouchers) {
+      const keyword = narrationKeyword(voucher.narration);
+      const ledgers = codedLedgers(voucher);
+      if (!keyword || ledgers.length !== 1) continue;
+
+      const key = `${keyword}|${voucher.type}`;
+      if (!groups.has(key)) groups.set(key, { keyword, type: voucher.type, total: 0, counts: new Map(), examples: [] });
+
+      const group = groups.get(key);
+      group.total += 1;
+      group.counts.set(ledgers[0], (group.counts.get(ledgers[0]) || 0) + 1);
+      if (group.examples.length < 3) group.examples.push({ voucher, line: voucherAsLine(voucher) });
+    }
+
+    const categorise = categoriser(rules);
+    const suggestions = [];
+
+    for (const group of groups.values()) {
+      if (group.total < SUGGESTION_MIN_OCCURRENCES) continue;
+
+      const [ledger, count] = [...group.counts.entries()].sort((a, b) => b[1] - a[1])[0];
+      if (count / group.total < SUGGESTION_MIN_SHARE) continue;
+      if (group.examples.some(example => categorise(example.line))) continue;
+
+      suggestions.push({
+        name: group.keyword,
+        field: 'description',
+        operator: 'contains',
+        pattern: group.keyword,
+        ledger,
+        type: group.type,
+        occurrences: group.total,
+        share: roundAmount(count / group.total),
+        examples: group.examples.map(example => example.voucher.narration)
+      });
+    }
+
+    suggestions.sort((a, b) => b.occurrences - a.occurrences);
+    const top = suggestions.slice(0, 50);
+
+    const ledgers = await Ledger.find({ _id: { $in: top.map(suggestion => suggestion.ledger) } }).select('name type');
+    const ledgerById = new Map(ledgers.map(ledger => [ledger._id.toString(), ledger]));
+
+    res.status(200).json({
+      success: true,
+      count: top.length,
+      data: {
+        suggestions: top
+          .filter(suggestion => ledgerById.has(suggestion.ledger))
+          .map(suggestion => ({ ...suggestion, ledger: ledgerById.get(suggestion.ledger) }))
+      }
+    });
+  } catch (error) {
+    console.error('Get rule suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while learning rule suggestions'
+    });
+  }
+};
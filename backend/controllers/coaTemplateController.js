@@ -0,0 +1,74 @@
+/**
+ * Chart-of-Accounts Template Controller
+ *
+ * Lists and applies ready-made chart-of-accounts templates (Master Admin only)
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { listTemplates, findTemplate, applyTemplate } = require('../utils/coaTemplates');
+
+/**
+ * Get available templates
+ * GET /api/admin/coa-templates
+ * Master Admin only
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { templates: listTemplates() }
+    });
+  } catch (error) {
+    console.error('Get chart of accounts templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching templates'
+    });
+  }
+};
+
+/**
+ * Apply a template
+ * POST /api/admin/coa-templates/:key/apply
+ * Master Admin only
+ * Groups and ledgers that already exist by name are skipped, so applying
+ * the same template twice changes nothing the second time
+ */
+exports.applyTemplate = async (req, res) => {
+  try {
+    const template = findTemplate(req.params.key);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const result = await applyTemplate(template, req.user.id);
+
+    await AuditLog.create({
+      action: 'APPLY_COA_TEMPLATE',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: {
+        template: template.key,
+        groupsCreated: result.groupsCreated.length,
+        ledgersCreated: result.ledgersCreated.length,
+        skipped: result.skipped.length
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Template ${template.name} applied: ${result.ledgersCreated.length} ledger(s) created`,
+      data: { template: template.key, ...result }
+    });
+  } catch (error) {
+    console.error('Apply chart of accounts template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying template'
+    });
+  }
+};
@@ -0,0 +1,636 @@
+/**
+ * Financial Year Controller
+ *
+ * Handles financial years and period locking (Master Admin only)
+ */
+
+const mongoose = require('mongoose');
+const FinancialYear = require('../models/FinancialYear');
+const Ledger = require('../models/Ledger');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const {
+  roundAmount,
+  applyPosting,
+  reversePosting,
+  ledgerMovements,
+  netMovement,
+  describeBalance
+} = require('../utils/posting');
+const { startOfDay, endOfDay } = require('../utils/dates');
+const { fiscalYearOf } = require('../utils/fiscalYear');
+const { stockSummary, summaryTotals } = require('../utils/costing');
+
+/**
+ * Last moment of a twelve-month year beginning at `start`
+ * @param {Date} start - Year start (start of day)
+ */
+const twelveMonthsFrom = (start) => {
+  return new Date(Date.UTC(start.getUTCFullYear() + 1, start.getUTCMonth(), start.getUTCDate()) - 1);
+};
+
+/**
+ * Get all financial years
+ * GET /api/admin/financial-years
+ * Master Admin only
+ */
+exports.getFinancialYears = async (req, res) => {
+  try {
+    const years = await FinancialYear.find()
+      .populate('lockedBy', 'name email')
+      .populate('lockedPeriods.lockedBy', 'name email')
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { financialYears: years }
+    });
+  } catch (error) {
+    console.error('Get financial years error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching financial years'
+    });
+  }
+};
+
+/**
+ * Create financial year
+ * POST /api/admin/financial-years
+ * Master Admin only
+ * Without an end date the year runs for twelve months from the start;
+ * without a name it is labelled like '2026-27'
+ */
+exports.createFinancialYear = async (req, res) => {
+  try {
+    const { name, startDate, endDate } = req.body;
+
+    const start = startOfDay(startDate);
+    const end = endDate ? endOfDay(endDate) : twelveMonthsFrom(start);
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    const overlapping = await FinancialYear.findOne({
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    });
+
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: `Dates overlap financial year ${overlapping.name}`
+      });
+    }
+
+    const yearName = name || fiscalYearOf(start).label;
+
+    if (await FinancialYear.findOne({ name: yearName })) {
+      return res.status(400).json({
+        success: false,
+        message: `Financial year ${yearName} already exists`
+      });
+    }
+
+    const year = await FinancialYear.create({
+      name: yearName,
+      startDate: start,
+      endDate: end,
+      createdBy: req.user.id
+    });
+
+    await AuditLog.create({
+      action: 'CREATE_FINANCIAL_YEAR',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: year._id,
+      targetModel: 'FinancialYear',
+      details: { name: year.name, startDate: start, endDate: end }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Financial year created successfully',
+      data: { financialYear: year }
+    });
+  } catch (error) {
+    console.error('Create financial year error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating financial year'
+    });
+  }
+};
+
+/**
+ * Lock or unlock an entire financial year
+ * PUT /api/admin/financial-years/:id/lock
+ * PUT /api/admin/financial-years/:id/unlock
+ * Master Admin only
+ */
+const setYearLock = (isLocked) => async (req, res) => {
+  try {
+    const year = await FinancialYear.findById(req.params.id);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: 'Financial year not found'
+      });
+    }
+
+    if (!isLocked && year.isClosed) {
+      return res.status(400).json({
+        success: false,
+        message: `Financial year ${year.name} is closed; reopen it instead of unlocking`
+      });
+    }
+
+    year.isLocked = isLocked;
+    year.lockedAt = isLocked ? new Date() : null;
+    year.lockedBy = isLocked ? req.user.id : null;
+    await year.save();
+
+    await AuditLog.create({
+      action: isLocked ? 'LOCK_PERIOD' : 'UNLOCK_PERIOD',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: year._id,
+      targetModel: 'FinancialYear',
+      details: { name: year.name, scope: 'year' }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Financial year ${year.name} ${isLocked ? 'locked' : 'unlocked'}`,
+      data: { financialYear: year }
+    });
+  } catch (error) {
+    console.error('Set financial year lock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating financial year lock'
+    });
+  }
+};
+
+exports.lockFinancialYear = setYearLock(true);
+exports.unlockFinancialYear = setYearLock(false);
+
+/**
+ * Lock a period within a financial year
+ * POST /api/admin/financial-years/:id/locked-periods
+ * Master Admin only
+ */
+exports.lockPeriod = async (req, res) => {
+  try {
+    const { from, to, reason } = req.body;
+
+    const year = await FinancialYear.findById(req.params.id);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: 'Financial year not found'
+      });
+    }
+
+    const periodStart = startOfDay(from);
+    const periodEnd = endOfDay(to);
+
+    if (periodEnd < periodStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period end cannot be before its start'
+      });
+    }
+
+    if (periodStart < year.startDate || periodEnd > year.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Period must fall within financial year ${year.name}`
+      });
+    }
+
+    year.lockedPeriods.push({
+      from: periodStart,
+      to: periodEnd,
+      reason,
+      lockedBy: req.user.id
+    });
+    await year.save();
+
+    const period = year.lockedPeriods[year.lockedPeriods.length - 1];
+
+    await AuditLog.create({
+      action: 'LOCK_PERIOD',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: year._id,
+      targetModel: 'FinancialYear',
+      details: { name: year.name, scope: 'period', periodId: period._id, from: periodStart, to: periodEnd, reason }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Period locked successfully',
+      data: { financialYear: year }
+    });
+  } catch (error) {
+    console.error('Lock period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while locking period'
+    });
+  }
+};
+
+/**
+ * Unlock a period within a financial year
+ * DELETE /api/admin/financial-years/:id/locked-periods/:periodId
+ * Master Admin only
+ */
+exports.unlockPeriod = async (req, res) => {
+  try {
+    const { id, periodId } = req.params;
+
+    const year = await FinancialYear.findById(id);
+    const period = year && year.lockedPeriods.id(periodId);
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Locked period not found'
+      });
+    }
+
+    period.deleteOne();
+    await year.save();
+
+    await AuditLog.create({
+      action: 'UNLOCK_PERIOD',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: year._id,
+      targetModel: 'FinancialYear',
+      details: { name: year.name, scope: 'period', periodId, from: period.from, to: period.to }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Period unlocked successfully',
+      data: { financialYear: year }
+    });
+  } catch (error) {
+    console.error('Unlock period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking period'
+    });
+  }
+};
+
+/**
+ * Closing journal lines that bring every income and expense ledger to
+ * zero, with the net profit or loss taken to retained earnings
+ * @param {Array} ledgers - Ledgers with their closing balance
+ * @param {ObjectId} retainedEarningsId - Equity ledger receiving the result
+ * @returns {{entries: Array, netProfit: number}} netProfit is income less
+ *   expense, before the change in stock
+ */
+const buildClosingEntries = (ledgers, retainedEarningsId) => {
+  const entries = [];
+  let netProfit = 0;
+
+  for (const { ledger, balance } of ledgers) {
+    if (!['income', 'expense'].includes(ledger.type) || Math.abs(balance) < 0.005) continue;
+
+    // Post the balance to the side opposite its natural one
+    const reverseSide = Ledger.normalSide(ledger.type) === 'Dr' ? 'Cr' : 'Dr';
+    const oppositeSide = reverseSide === 'Dr' ? 'Cr' : 'Dr';
+    entries.push({
+      ledger: ledger._id,
+      side: balance > 0 ? reverseSide : oppositeSide,
+      amount: roundAmount(Math.abs(balance)),
+      narration: 'Transferred to retained earnings'
+    });
+
+    netProfit = roundAmount(netProfit + (ledger.type === 'income' ? balance : -balance));
+  }
+
+  if (Math.abs(netProfit) >= 0.005) {
+    entries.push({
+      ledger: retainedEarningsId,
+      side: netProfit > 0 ? 'Cr' : 'Dr',
+      amount: roundAmount(Math.abs(netProfit)),
+      narration: netProfit > 0 ? 'Net profit for the year' : 'Net loss for the year'
+    });
+  }
+
+  return { entries, netProfit };
+};
+
+/**
+ * Close a financial year
+ * POST /api/admin/financial-years/:id/close
+ * Master Admin only
+ * Posts a closing journal on the last day of the year that zeroes income
+ * and expense ledgers into the retained earnings ledger, so the next year
+ * (created if needed) opens with only balance sheet balances, and locks
+ * the year. The net profit recorded is the Profit & Loss figure, so it
+ * includes the year's change in stock; the journal carries only the
+ * ledger result, as stock is valued from the items and shown on the
+ * balance sheet from there.
+ */
+exports.closeFinancialYear = async (req, res) => {
+  try {
+    const { retainedEarningsLedger } = req.body;
+
+    const year = await FinancialYear.findById(req.params.id);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: 'Financial year not found'
+      });
+    }
+
+    if (year.isClosed) {
+      return res.status(400).json({
+        success: false,
+        message: `Financial year ${year.name} is already closed`
+      });
+    }
+
+    const openEarlier = await FinancialYear.findOne({ endDate: { $lt: year.startDate }, isClosed: false })
+      .sort({ startDate: 1 });
+
+    if (openEarlier) {
+      return res.status(400).json({
+        success: false,
+        message: `Close financial year ${openEarlier.name} first`
+      });
+    }
+
+    const retainedEarnings = await Ledger.findById(retainedEarningsLedger);
+
+    if (!retainedEarnings || retainedEarnings.type !== 'equity') {
+      return res.status(400).json({
+        success: false,
+        message: 'Retained earnings must be an existing equity ledger'
+      });
+    }
+
+    // The next year must start the day after this one ends
+    const nextStart = new Date(year.endDate.getTime() + 1);
+    const existingNextYear = await FinancialYear.findOne({ startDate: nextStart });
+
+    if (!existingNextYear) {
+      const overlapping = await FinancialYear.findOne({
+        startDate: { $lte: twelveMonthsFrom(nextStart) },
+        endDate: { $gte: nextStart }
+      });
+
+      if (overlapping) {
+        return res.status(400).json({
+          success: false,
+          message: `Financial year ${overlapping.name} does not start the day after ${year.name} ends`
+        });
+      }
+    }
+
+    // Closing less opening stock, which the Profit & Loss adds to the
+    // ledger result
+    const stock = await stockSummary({ from: year.startDate, to: year.endDate }).then(summaryTotals);
+    const stockChange = roundAmount(stock.closing - stock.opening);
+
+    const wasLocked = year.isLocked;
+    let nextYear = existingNextYear;
+    let closingVoucher = null;
+    let netProfit = 0;
+
+    // Everything below may be retried, so it only writes through the session
+    await mongoose.connection.transaction(async (session) => {
+      nextYear = existingNextYear;
+      closingVoucher = null;
+
+      if (!nextYear) {
+        [nextYear] = await FinancialYear.create([{
+          name: fiscalYearOf(nextStart).label,
+          startDate: nextStart,
+          endDate: twelveMonthsFrom(nextStart),
+          createdBy: req.user.id
+        }], { session });
+      }
+
+      const ledgers = await Ledger.find().select('name type openingBalance').session(session);
+      const movements = await ledgerMovements({ date: { $lte: year.endDate } }, { session });
+
+      const closingBalances = ledgers.map(ledger => ({
+        ledger,
+        balance: roundAmount(ledger.openingBalance + netMovement(ledger.type, movements.get(ledger._id.toString())))
+      }));
+
+      const closing = buildClosingEntries(closingBalances, retainedEarnings._id);
+      netProfit = roundAmount(closing.netProfit + stockChange);
+
+      if (closing.entries.length > 0) {
+        [closingVoucher] = await Transaction.create([{
+          date: year.endDate,
+          type: 'journal',
+          narration: `Closing entry for financial year ${year.name}`,
+          entries: closing.entries,
+          isClosingEntry: true,
+          createdBy: req.user.id
+        }], { session });
+
+        await applyPosting(closingVoucher, { session });
+      }
+
+      year.closing = {
+        closedAt: new Date(),
+        closedBy: req.user.id,
+        voucher: closingVoucher ? closingVoucher._id : null,
+        retainedEarningsLedger: retainedEarnings._id,
+        nextYear: nextYear._id,
+        netProfit,
+        stockChange,
+        wasLocked
+      };
+      year.isClosed = true;
+      if (!wasLocked) {
+        year.isLocked = true;
+        year.lockedAt = new Date();
+        year.lockedBy = req.user.id;
+      }
+      await year.save({ session });
+
+      await AuditLog.create([{
+        action: 'CLOSE_FINANCIAL_YEAR',
+        userId: req.user.id,
+        userRole: req.user.role,
+        targetId: year._id,
+        targetModel: 'FinancialYear',
+        details: {
+          name: year.name,
+          nextYear: nextYear.name,
+          closingVoucher: closingVoucher ? closingVoucher.voucherNumber : null,
+          netProfit,
+          stockChange
+        }
+      }], { session });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Financial year ${year.name} closed`,
+      data: {
+        financialYear: year,
+        nextYear,
+        closingVoucher,
+        netProfit,
+        stockChange
+      }
+    });
+  } catch (error) {
+    console.error('Close financial year error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing financial year'
+    });
+  }
+};
+
+/**
+ * Reopen a closed financial year
+ * POST /api/admin/financial-years/:id/reopen
+ * Master Admin only
+ * Cancels the closing journal, which takes the year's result back out of
+ * the next year's opening balances, and restores the year's lock to what it was before closing.
+ * Only the latest closed year can be reopened.
+ */
+exports.reopenFinancialYear = async (req, res) => {
+  try {
+    const year = await FinancialYear.findById(req.params.id);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: 'Financial year not found'
+      });
+    }
+
+    if (!year.isClosed) {
+      return res.status(400).json({
+        success: false,
+        message: `Financial year ${year.name} is not closed`
+      });
+    }
+
+    const closedLater = await FinancialYear.findOne({ startDate: { $gt: year.endDate }, isClosed: true })
+      .sort({ startDate: -1 });
+
+    if (closedLater) {
+      return res.status(400).json({
+        success: false,
+        message: `Reopen financial year ${closedLater.name} first`
+      });
+    }
+
+    const { voucher, wasLocked } = year.closing;
+
+    await mongoose.connection.transaction(async (session) => {
+      if (voucher) {
+        const cancelled = await Transaction.findOneAndUpdate(
+          { _id: voucher, isDeleted: false },
+          { isDeleted: true, deletedAt: new Date(), deletedBy: req.user.id },
+          { session }
+        );
+
+        if (cancelled) await reversePosting(cancelled, { session });
+      }
+
+      year.isClosed = false;
+      year.closing = undefined;
+      if (!wasLocked) {
+        year.isLocked = false;
+        year.lockedAt = null;
+        year.lockedBy = null;
+      }
+      await year.save({ session });
+
+      await AuditLog.create([{
+        action: 'REOPEN_FINANCIAL_YEAR',
+        userId: req.user.id,
+        userRole: req.user.role,
+        targetId: year._id,
+        targetModel: 'FinancialYear',
+        details: { name: year.name, closingVoucher: voucher }
+      }], { session });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Financial year ${year.name} reopened`,
+      data: { financialYear: year }
+    });
+  } catch (error) {
+    console.error('Reopen financial year error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reopening financial year'
+    });
+  }
+};
+
+/**
+ * Get opening balances of a financial year
+ * GET /api/admin/financial-years/:id/opening-balances
+ * Master Admin only
+ * Derived like every period report: each ledger's opening balance plus
+ * the vouchers dated before the year, so a closed previous year's
+ * closing journal has already moved its result into retained earnings.
+ */
+exports.getOpeningBalances = async (req, res) => {
+  try {
+    const year = await FinancialYear.findById(req.params.id);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        message: 'Financial year not found'
+      });
+    }
+
+    const [ledgers, movements] = await Promise.all([
+      Ledger.find({ type: { $nin: ['income', 'expense'] } }).select('name type openingBalance').sort({ name: 1 }),
+      ledgerMovements({ date: { $lt: year.startDate } })
+    ]);
+
+    const rows = ledgers
+      .map(ledger => ({
+        ledger: { _id: ledger._id, name: ledger.name, type: ledger.type },
+        amount: roundAmount(ledger.openingBalance + netMovement(ledger.type, movements.get(ledger._id.toString())))
+      }))
+      .filter(row => row.amount !== 0)
+      .map(row => ({ ...row, balance: describeBalance(row.ledger.type, row.amount) }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        financialYear: { _id: year._id, name: year.name, startDate: year.startDate, endDate: year.endDate },
+        openingBalances: rows
+      }
+    });
+  } catch (error) {
+    console.error('Get opening balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching opening balances'
+    });
+  }
+};
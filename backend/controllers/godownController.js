@@ -0,0 +1,258 @@
+/**
+ * Godown Controller
+ *
+ * Handles godowns and the stock held in each
+ */
+
+const Godown = require('../models/Godown');
+const StockBalance = require('../models/StockBalance');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Get all godowns
+ * GET /api/godowns
+ * Each godown carries the number of items it holds stock of
+ */
+exports.getAllGodowns = async (req, res) => {
+  try {
+    await Godown.main();
+
+    const [godowns, counts] = await Promise.all([
+      Godown.find({ isActive: true }).sort({ isPredefined: -1, name: 1 }).lean(),
+      StockBalance.aggregate([
+        { $match: { quantity: { $ne: 0 } } },
+        { $group: { _id: '$godown', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByGodown = new Map(counts.map(row => [row._id.toString(), row.count]));
+
+    res.status(200).json({
+      success: true,
+      count: godowns.length,
+      data: {
+        godowns: godowns.map(godown => ({
+          ...godown,
+          itemCount: countByGodown.get(godown._id.toString()) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get godowns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching godowns'
+    });
+  }
+};
+
+/**
+ * Get godown by ID
+ * GET /api/godowns/:id
+ * The godown with the quantity of every item held there
+ */
+exports.getGodownById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const godown = await Godown.findById(id);
+
+    if (!godown) {
+      return res.status(404).json({
+        success: false,
+        message: 'Godown not found'
+      });
+    }
+
+    const balances = await StockBalance.find({ godown: godown._id, quantity: { $ne: 0 } })
+      .populate({ path: 'item', select: 'name unit', populate: { path: 'unit', select: 'symbol' } })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        godown,
+        items: balances
+          .map(balance => ({ item: balance.item, quantity: balance.quantity }))
+          .sort((a, b) => (a.item?.name || '').localeCompare(b.item?.name || ''))
+      }
+    });
+  } catch (error) {
+    console.error('Get godown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching godown'
+    });
+  }
+};
+
+/**
+ * Create godown
+ * POST /api/godowns
+ */
+exports.createGodown = async (req, res) => {
+  try {
+    const { name, address } = req.body;
+
+    const existingGodown = await Godown.findOne({
+      name: { $regex: new RegExp(`^${name}$`, 'i') },
+      isActive: true
+    });
+
+    if (existingGodown) {
+      return res.status(409).json({
+        success: false,
+        message: 'Godown with this name already exists'
+      });
+    }
+
+    const godown = await Godown.create({
+      name,
+      address,
+      createdBy: req.user.id
+    });
+
+    await AuditLog.create({
+      action: 'CREATE_GODOWN',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: godown._id,
+      targetModel: 'Godown',
+      details: { name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Godown created successfully',
+      data: { godown }
+    });
+  } catch (error) {
+    console.error('Create godown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating godown'
+    });
+  }
+};
+
+/**
+ * Update godown
+ * PUT /api/godowns/:id
+ */
+exports.updateGodown = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, address } = req.body;
+
+    const godown = await Godown.findById(id);
+
+    if (!godown) {
+      return res.status(404).json({
+        success: false,
+        message: 'Godown not found'
+      });
+    }
+
+    if (name && name !== godown.name) {
+      const existingGodown = await Godown.findOne({
+        _id: { $ne: godown._id },
+        name: { $regex: new RegExp(`^${name}$`, 'i') },
+        isActive: true
+      });
+
+      if (existingGodown) {
+        return res.status(409).json({
+          success: false,
+          message: 'Godown with this name already exists'
+        });
+      }
+
+      godown.name = name;
+    }
+
+    if (address !== undefined) godown.address = address;
+
+    await godown.save();
+
+    await AuditLog.create({
+      action: 'UPDATE_GODOWN',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: godown._id,
+      targetModel: 'Godown',
+      details: { updates: { name, address } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Godown updated successfully',
+      data: { godown }
+    });
+  } catch (error) {
+    console.error('Update godown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating godown'
+    });
+  }
+};
+
+/**
+ * Delete godown (soft delete - deactivate)
+ * DELETE /api/godowns/:id
+ * Only Master Admin can delete godowns; the Main Location and godowns
+ * still holding stock are kept
+ */
+exports.deleteGodown = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const godown = await Godown.findById(id);
+
+    if (!godown) {
+      return res.status(404).json({
+        success: false,
+        message: 'Godown not found'
+      });
+    }
+
+    if (godown.isPredefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'The Main Location cannot be deleted'
+      });
+    }
+
+    const itemCount = await StockBalance.countDocuments({ godown: godown._id, quantity: { $ne: 0 } });
+
+    if (itemCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete godown. It holds stock of ${itemCount} item(s).`
+      });
+    }
+
+    godown.isActive = false;
+    await godown.save();
+
+    await AuditLog.create({
+      action: 'DELETE_GODOWN',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: godown._id,
+      targetModel: 'Godown',
+      details: { name: godown.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Godown deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete godown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting godown'
+    });
+  }
+};
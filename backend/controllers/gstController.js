@@ -0,0 +1,286 @@
+/**
+ * GST Controller
+ *
+ * Company GST registration, tax rate masters, and a preview of the GST
+ * on a tax invoice before it is saved
+ */
+
+const Ledger = require('../models/Ledger');
+const TaxRate = require('../models/TaxRate');
+const Company = require('../models/Company');
+const AuditLog = require('../models/AuditLog');
+const { STATE_CODES, isValidGstin, gstinStateCode } = require('../utils/gstin');
+const { planTaxInvoice } = require('../utils/gst');
+
+/**
+ * Get GST state codes
+ * GET /api/gst/states
+ */
+exports.getStates = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      states: Object.entries(STATE_CODES).map(([code, name]) => ({ code, name }))
+    }
+  });
+};
+
+/**
+ * Check a GSTIN
+ * GET /api/gst/gstin/:gstin
+ */
+exports.checkGstin = async (req, res) => {
+  const gstin = String(req.params.gstin).trim().toUpperCase();
+  const valid = isValidGstin(gstin);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      gstin,
+      valid,
+      state: valid ? { code: gstinStateCode(gstin), name: STATE_CODES[gstinStateCode(gstin)] } : null
+    }
+  });
+};
+
+/**
+ * Get company GST settings
+ * GET /api/gst/company
+ */
+exports.getCompany = async (req, res) => {
+  try {
+    const company = await Company.current();
+    await company.populate(Company.DUTY_LEDGER_KEYS.map(key => ({ path: `dutyLedgers.${key}`, select: 'name' })));
+
+    res.status(200).json({
+      success: true,
+      data: { company }
+    });
+  } catch (error) {
+    console.error('Get company error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching company settings'
+    });
+  }
+};
+
+/**
+ * Update company GST settings
+ * PUT /api/gst/company
+ * Master Admin only. The state follows the GSTIN when one is given.
+ */
+exports.updateCompany = async (req, res) => {
+  try {
+    const { name, gstin, state, tan, dutyLedgers = {} } = req.body;
+
+    if (gstin && state && gstinStateCode(gstin) !== state) {
+      return res.status(400).json({
+        success: false,
+        message: 'State does not match the GSTIN'
+      });
+    }
+
+    const chosen = Object.entries(dutyLedgers).filter(([key, id]) => Company.DUTY_LEDGER_KEYS.includes(key) && id);
+    const found = await Ledger.countDocuments({ _id: { $in: chosen.map(([, id]) => id) } });
+
+    if (found !== new Set(chosen.map(([, id]) => String(id))).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more duty ledgers not found'
+      });
+    }
+
+    const company = await Company.current();
+
+    if (name !== undefined) company.name = name;
+    if (tan !== undefined) company.tan = tan || null;
+    if (gstin !== undefined) company.gstin = gstin || null;
+    if (gstin) company.state = gstinStateCode(gstin);
+    else if (state !== undefined) company.state = state || null;
+
+    for (const key of Company.DUTY_LEDGER_KEYS) {
+      if (dutyLedgers[key] !== undefined) company.dutyLedgers[key] = dutyLedgers[key] || null;
+    }
+
+    company.updatedBy = req.user.id;
+    await company.save();
+
+    await AuditLog.create({
+      action: 'SYSTEM_SETTINGS_CHANGE',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { company: { name: company.name, gstin: company.gstin, state: company.state, tan: company.tan } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Company settings saved',
+      data: { company }
+    });
+  } catch (error) {
+    console.error('Update company error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving company settings'
+    });
+  }
+};
+
+/**
+ * Get tax rates
+ * GET /api/gst/tax-rates?active=true
+ */
+exports.getTaxRates = async (req, res) => {
+  try {
+    await TaxRate.ensureStandard();
+
+    const query = req.query.active === 'true' ? { isActive: true } : {};
+    const taxRates = await TaxRate.find(query).sort({ rate: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: taxRates.length,
+      data: { taxRates }
+    });
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tax rates'
+    });
+  }
+};
+
+/**
+ * Create tax rate
+ * POST /api/gst/tax-rates
+ * Master Admin only
+ */
+exports.createTaxRate = async (req, res) => {
+  try {
+    const { name, rate, description } = req.body;
+
+    if (await TaxRate.exists({ name: { $regex: new RegExp(`^${name}$`, 'i') } })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tax rate with this name already exists'
+      });
+    }
+
+    const taxRate = await TaxRate.create({ name, rate: Number(rate), description, createdBy: req.user.id });
+
+    await AuditLog.create({
+      action: 'CREATE_TAX_RATE',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: taxRate._id,
+      targetModel: 'TaxRate',
+      details: { name, rate: taxRate.rate }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: { taxRate }
+    });
+  } catch (error) {
+    console.error('Create tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating tax rate'
+    });
+  }
+};
+
+/**
+ * Update tax rate
+ * PUT /api/gst/tax-rates/:id
+ * Master Admin only. Vouchers already entered keep the rate they were
+ * taxed at.
+ */
+exports.updateTaxRate = async (req, res) => {
+  try {
+    const { name, rate, description, isActive } = req.body;
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    const duplicate = await TaxRate.exists({
+      _id: { $ne: taxRate._id },
+      name: { $regex: new RegExp(`^${name}$`, 'i') }
+    });
+
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tax rate with this name already exists'
+      });
+    }
+
+    taxRate.name = name;
+    taxRate.rate = Number(rate);
+    if (description !== undefined) taxRate.description = description;
+    if (typeof isActive === 'boolean') taxRate.isActive = isActive;
+    await taxRate.save();
+
+    await AuditLog.create({
+      action: 'UPDATE_TAX_RATE',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: taxRate._id,
+      targetModel: 'TaxRate',
+      details: { name, rate: taxRate.rate, isActive: taxRate.isActive }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: { taxRate }
+    });
+  } catch (error) {
+    console.error('Update tax rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating tax rate'
+    });
+  }
+};
+
+/**
+ * Preview a tax invoice
+ * POST /api/gst/preview
+ * Body: { type, partyLedger, taxLines: [{ ledger, taxableValue, taxRate? }], placeOfSupply? }
+ * Returns the GST split and the entries the voucher would post, without
+ * entering it. Missing duty ledgers are created just as on a real voucher.
+ */
+exports.previewInvoice = async (req, res) => {
+  try {
+    const { type, partyLedger, taxLines, placeOfSupply } = req.body;
+
+    const { entries, gst, error } = await planTaxInvoice({ type, partyLedger, taxLines, placeOfSupply }, req.user.id);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { entries, gst }
+    });
+  } catch (error) {
+    console.error('Preview tax invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while computing GST'
+    });
+  }
+};
@@ -4,9 +4,53 @@
  * Handles ledger management operations
  */
 
+const mongoose = require('mongoose');
 const Ledger = require('../models/Ledger');
+const LedgerGroup = require('../models/LedgerGroup');
 const Transaction = require('../models/Transaction');
 const AuditLog = require('../models/AuditLog');
+const TaxRate = require('../models/TaxRate');
+const TdsSection = require('../models/TdsSection');
+const {
+  roundAmount,
+  postingLines,
+  ledgerFilter,
+  ledgerMovements,
+  netMovement,
+  describeBalance
+} = require('../utils/posting');
+const { startOfDay, endOfDay, isValidDate } = require('../utils/dates');
+const { gstinStateCode } = require('../utils/gstin');
+const { partyBills, onAccountBalances } = require('../utils/billWise');
+const { resolveGroupId, buildGroupTree } = require('../utils/groupTree');
+
+/**
+ * Group a ledger of the given type is filed under: the requested group
+ * when it matches the type, otherwise the default group for the type
+ * @param {string} groupId - Requested group, if any
+ * @param {string} type - Ledger type
+ * @param {boolean} isDirect - Whether the ledger counts towards gross profit
+ * @returns {Promise<{group?: Object, error?: {status: number, message: string}}>}
+ */
+const findLedgerGroup = async (groupId, type, isDirect) => {
+  if (!groupId) {
+    return { group: await LedgerGroup.defaultFor(type, isDirect) };
+  }
+
+  const group = await LedgerGroup.findById(groupId);
+
+  if (!group) {
+    return { error: { status: 404, message: 'Ledger group not found' } };
+  }
+
+  if (group.nature !== type) {
+    return {
+      error: { status: 400, message: `Group ${group.name} only holds ${group.nature} ledgers` }
+    };
+  }
+
+  return { group };
+};
 
 /**
  * Get all ledgers
@@ -14,13 +58,14 @@ const AuditLog = require('../models/AuditLog');
  */
 exports.getAllLedgers = async (req, res) => {
   try {
-    const { type, search, sortBy = 'name', sortOrder = 'asc' } = req.query;
+    const { type, group, search, sortBy = 'name', sortOrder = 'asc' } = req.query;
 
     // Build query
     const query = { isActive: true };
     
     // Master admin can see all ledgers, users can see all active ledgers
     if (type) query.type = type;
+    if (group) query.group = group;
     if (search) {
       query.name = { $regex: search, $options: 'i' };
     }
@@ -28,6 +73,7 @@ exports.getAllLedgers = async (req, res) => {
     const sortDirection = sortOrder === 'desc' ? -1 : 1;
 
     const ledgers = await Ledger.find(query)
+      .populate('group', 'name nature')
       .populate('createdBy', 'name email')
       .sort({ [sortBy]: sortDirection });
 
@@ -65,10 +111,10 @@ exports.getLedgerById = async (req, res) => {
 
     // Get recent transactions for this ledger
     const recentTransactions = await Transaction.find({
-      $or: [{ debitLedger: id }, { creditLedger: id }],
+      ...ledgerFilter(id),
       isDeleted: false
     })
-      .populate('debitLedger creditLedger', 'name')
+      .populate('debitLedger creditLedger entries.ledger', 'name')
       .populate('createdBy', 'name')
       .sort({ date: -1 })
       .limit(10);
@@ -89,13 +135,218 @@ exports.getLedgerById = async (req, res) => {
   }
 };
 
+/**
+ * Get ledger statement
+ * GET /api/ledgers/:id/statement?from=&to=&page=&limit=
+ * Postings in date order with contra ledger, Dr/Cr columns and a
+ * running balance carried across pages
+ */
+exports.getLedgerStatement = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, page = 1, limit = 100 } = req.query;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const ledger = await Ledger.findById(id).select('name type openingBalance isActive');
+
+    if (!ledger) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ledger not found'
+      });
+    }
+
+    const periodStart = from ? startOfDay(from) : null;
+    const periodEnd = to ? endOfDay(to) : new Date();
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const rangeQuery = {
+      ...ledgerFilter(ledger._id),
+      isDeleted: false,
+      date: periodStart ? { $gte: periodStart, $lte: periodEnd } : { $lte: periodEnd }
+    };
+    const sortOrder = { date: 1, createdAt: 1, _id: 1 };
+
+    const [before, during, total, vouchers, skipped] = await Promise.all([
+      periodStart
+        ? ledgerMovements({ ...ledgerFilter(ledger._id), date: { $lt: periodStart } })
+        : new Map(),
+      ledgerMovements(rangeQuery),
+      Transaction.countDocuments(rangeQuery),
+      Transaction.find(rangeQuery)
+        .populate('debitLedger creditLedger entries.ledger', 'name')
+        .sort(sortOrder)
+        .skip(skip)
+        .limit(pageSize),
+      // Postings on earlier pages, so the running balance carries over
+      skip > 0
+        ? ledgerMovements(rangeQuery, { sort: sortOrder, limit: skip })
+        : new Map()
+    ]);
+
+    const key = ledger._id.toString();
+    const opening = roundAmount(ledger.openingBalance + netMovement(ledger.type, before.get(key)));
+    const periodTotals = during.get(key) || { debit: 0, credit: 0 };
+    const closing = roundAmount(opening + netMovement(ledger.type, periodTotals));
+
+    let running = roundAmount(opening + netMovement(ledger.type, skipped.get(key)));
+    const pageOpening = running;
+
+    const rows = vouchers.map(tx => {
+      const lines = postingLines(tx);
+      const own = lines.filter(line => line.ledger?._id.toString() === key);
+      const debit = roundAmount(own.filter(line => line.side === 'Dr').reduce((sum, line) => sum + line.amount, 0));
+      const credit = roundAmount(own.filter(line => line.side === 'Cr').reduce((sum, line) => sum + line.amount, 0));
+
+      // Contra ledgers sit on the opposite side of this ledger's posting
+      const contraSide = debit >= credit ? 'Cr' : 'Dr';
+      const contraLedgers = lines
+        .filter(line => line.side === contraSide && line.ledger?._id.toString() !== key)
+        .map(line => line.ledger);
+      const contra = contraLedgers.length === 1
+        ? { _id: contraLedgers[0]._id, name: contraLedgers[0].name }
+        : contraLedgers.length > 1
+          ? { _id: null, name: contraLedgers.map(l => l.name).join(', ') }
+          : null;
+
+      running = roundAmount(running + netMovement(ledger.type, { debit, credit }));
+
+      return {
+        _id: tx._id,
+        date: tx.date,
+        voucherNumber: tx.voucherNumber,
+        type: tx.type,
+        narration: tx.narration,
+        contraLedger: contra,
+        debit,
+        credit,
+        balance: describeBalance(ledger.type, running)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ledger,
+        from: periodStart,
+        to: periodEnd,
+        openingBalance: describeBalance(ledger.type, opening),
+        pageOpeningBalance: describeBalance(ledger.type, pageOpening),
+        entries: rows,
+        totals: periodTotals,
+        closingBalance: describeBalance(ledger.type, closing),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          pages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get ledger statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ledger statement'
+    });
+  }
+};
+
+/**
+ * Get a party ledger's bills
+ * GET /api/ledgers/:id/bills
+ * Pending bills by default; ?status=all also lists settled ones.
+ * ?asOf= reads the bills as they stood at the end of that day.
+ */
+exports.getLedgerBills = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status = 'pending', asOf } = req.query;
+
+    if (asOf && !isValidDate(asOf)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const ledger = await Ledger.findById(id).select('name type balance maintainBillWise creditDays');
+
+    if (!ledger) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ledger not found'
+      });
+    }
+
+    if (!ledger.maintainBillWise) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ledger does not maintain balances bill-by-bill'
+      });
+    }
+
+    const asOfDate = asOf ? endOfDay(asOf) : new Date();
+    const [bills, onAccount] = await Promise.all([
+      partyBills({ ledger: ledger._id }, { asOf: asOfDate, includeSettled: status === 'all' }),
+      onAccountBalances({ ledger: ledger._id }, { asOf: asOfDate })
+    ]);
+
+    // Pending bills and on-account amounts, Dr positive
+    const pending = roundAmount(bills.reduce(
+      (sum, bill) => sum + (bill.side === 'Dr' ? bill.pending : -bill.pending),
+      onAccount.get(ledger._id.toString()) || 0
+    ));
+    const toSide = (net) => ({ amount: Math.abs(net), side: net >= 0 ? 'Dr' : 'Cr' });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ledger,
+        asOf: asOfDate,
+        bills,
+        onAccount: toSide(onAccount.get(ledger._id.toString()) || 0),
+        totalPending: toSide(pending)
+      }
+    });
+  } catch (error) {
+    console.error('Get ledger bills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ledger bills'
+    });
+  }
+};
+
 /**
  * Create new ledger
  * POST /api/ledgers
  */
 exports.createLedger = async (req, res) => {
   try {
-    const { name, type, balance = 0, description } = req.body;
+    const {
+      name,
+      type,
+      isDirect = false,
+      group,
+      description,
+      maintainBillWise = false,
+      creditDays = 0,
+      gstin,
+      state,
+      taxRate,
+      hsnCode,
+      pan,
+      tdsSection
+    } = req.body;
 
     // Check if ledger with same name exists
     const existingLedger = await Ledger.findOne({ 
@@ -110,11 +361,43 @@ exports.createLedger = async (req, res) => {
       });
     }
 
+    const { group: ledgerGroup, error } = await findLedgerGroup(group, type, isDirect);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (taxRate && !(await TaxRate.exists({ _id: taxRate }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    if (tdsSection && !(await TdsSection.exists({ _id: tdsSection }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'TDS section not found'
+      });
+    }
+
     const ledger = await Ledger.create({
       name,
       type,
-      balance,
+      group: ledgerGroup._id,
+      isDirect: ledgerGroup.affectsGrossProfit,
       description,
+      maintainBillWise,
+      creditDays,
+      gstin: gstin || null,
+      state: state || gstinStateCode(gstin) || null,
+      taxRate: taxRate || null,
+      hsnCode: hsnCode || null,
+      pan: pan || null,
+      tdsSection: tdsSection || null,
       createdBy: req.user.id
     });
 
@@ -125,10 +408,11 @@ exports.createLedger = async (req, res) => {
       userRole: req.user.role,
       targetId: ledger._id,
       targetModel: 'Ledger',
-      details: { name, type, balance }
+      details: { name, type, group: ledgerGroup.name }
     });
 
     const populatedLedger = await Ledger.findById(ledger._id)
+      .populate('group', 'name nature')
       .populate('createdBy', 'name email');
 
     res.status(201).json({
@@ -152,7 +436,21 @@ exports.createLedger = async (req, res) => {
 exports.updateLedger = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, type, balance, description } = req.body;
+    const {
+      name,
+      type,
+      isDirect,
+      group,
+      description,
+      maintainBillWise,
+      creditDays,
+      gstin,
+      state,
+      taxRate,
+      hsnCode,
+      pan,
+      tdsSection
+    } = req.body;
 
     const ledger = await Ledger.findById(id);
 
@@ -165,9 +463,77 @@ exports.updateLedger = async (req, res) => {
 
     // Update fields
     if (name) ledger.name = name;
-    if (type) ledger.type = type;
-    if (typeof balance === 'number') ledger.balance = balance;
+    if (type && type !== ledger.type) {
+      // Balance is stored on the natural side, so moving between a
+      // debit- and credit-natured type flips its sign
+      if (Ledger.normalSide(type) !== Ledger.normalSide(ledger.type)) {
+        ledger.balance = -ledger.balance;
+        ledger.openingBalance = -ledger.openingBalance;
+      }
+      ledger.type = type;
+    }
+    if (typeof isDirect === 'boolean') ledger.isDirect = isDirect;
     if (description !== undefined) ledger.description = description;
+    if (typeof maintainBillWise === 'boolean') ledger.maintainBillWise = maintainBillWise;
+    if (creditDays !== undefined) ledger.creditDays = creditDays;
+
+    // A new GSTIN brings its state along unless one is given
+    if (gstin !== undefined) {
+      ledger.gstin = gstin || null;
+      if (gstin && !state) ledger.state = gstinStateCode(gstin);
+    }
+    if (state !== undefined && state) ledger.state = state;
+    if (state !== undefined && !state && !ledger.gstin) ledger.state = null;
+
+    if (ledger.gstin && ledger.state !== gstinStateCode(ledger.gstin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'State does not match the GSTIN'
+      });
+    }
+
+    if (taxRate !== undefined) {
+      if (taxRate && !(await TaxRate.exists({ _id: taxRate }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tax rate not found'
+        });
+      }
+      ledger.taxRate = taxRate || null;
+    }
+    if (hsnCode !== undefined) ledger.hsnCode = hsnCode || null;
+    if (pan !== undefined) ledger.pan = pan || null;
+
+    if (tdsSection !== undefined) {
+      if (tdsSection && !(await TdsSection.exists({ _id: tdsSection }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'TDS section not found'
+        });
+      }
+      ledger.tdsSection = tdsSection || null;
+    }
+
+    // Keep the group in step with the type: an explicit group must match
+    // it; a type change, or toggling isDirect against the current group,
+    // moves the ledger to the matching default group
+    const currentGroup = ledger.group && await LedgerGroup.findById(ledger.group);
+    const needsGroup = group || !currentGroup || currentGroup.nature !== ledger.type ||
+      currentGroup.affectsGrossProfit !== ledger.isDirect;
+
+    if (needsGroup) {
+      const { group: ledgerGroup, error } = await findLedgerGroup(group, ledger.type, ledger.isDirect);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      ledger.group = ledgerGroup._id;
+      ledger.isDirect = ledgerGroup.affectsGrossProfit;
+    }
 
     await ledger.save();
 
@@ -177,10 +543,12 @@ exports.updateLedger = async (req, res) => {
       userId: req.user.id,
       userRole: req.user.role,
       targetId: ledger._id,
-      targetModel: 'Ledger'
+      targetModel: 'Ledger',
+      details: { updates: { name, type, group, isDirect, maintainBillWise, gstin, state, taxRate, pan, tdsSection } }
     });
 
     const populatedLedger = await Ledger.findById(ledger._id)
+      .populate('group', 'name nature')
       .populate('createdBy', 'name email');
 
     res.status(200).json({
@@ -217,7 +585,7 @@ exports.deleteLedger = async (req, res) => {
 
     // Check if ledger has transactions
     const transactionCount = await Transaction.countDocuments({
-      $or: [{ debitLedger: id }, { creditLedger: id }],
+      ...ledgerFilter(id),
       isDeleted: false
     });
 
@@ -271,21 +639,50 @@ exports.getLedgerSummary = async (req, res) => {
       }
     ]);
 
-    const totalBalance = await Ledger.aggregate([
-      { $match: { isActive: true } },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$balance' }
-        }
-      }
+    // Balances are signed on each type's natural side, so they can only
+    // be compared within a type, never summed across types
+    const totals = { asset: 0, liability: 0, equity: 0, income: 0, expense: 0 };
+    summary.forEach(row => {
+      totals[row._id] = roundAmount(row.totalBalance);
+    });
+
+    await LedgerGroup.ensurePredefined();
+    const [ledgers, groups] = await Promise.all([
+      Ledger.find({ isActive: true }).select('name type group isDirect balance').sort({ name: 1 }),
+      LedgerGroup.find().lean()
     ]);
+    const groupsByName = new Map(groups.map(group => [group.name, group]));
+
+    const rows = ledgers.map(ledger => ({
+      ledger: {
+        _id: ledger._id,
+        name: ledger.name,
+        type: ledger.type,
+        group: resolveGroupId(ledger, groupsByName, LedgerGroup.defaultNameFor)
+      },
+      balance: ledger.balance,
+      balanceType: ledger.balanceType
+    }));
+
+    // Every ledger under a group shares its nature, so balances add up
+    const groupTree = buildGroupTree(groups, rows, {
+      groupOf: row => row.ledger.group,
+      zero: () => 0,
+      add: (sum, row) => roundAmount(sum + row.balance),
+      merge: (sum, child) => roundAmount(sum + child),
+      finish: (sum, group) => {
+        const { amount, side } = describeBalance(group.nature, sum);
+        return { balance: sum, amount, side };
+      }
+    });
 
     res.status(200).json({
       success: true,
       data: {
         byType: summary,
-        totalBalance: totalBalance[0]?.total || 0
+        groups: groupTree,
+        totals,
+        netWorth: roundAmount(totals.asset - totals.liability)
       }
     });
   } catch (error) {
@@ -296,3 +693,75 @@ exports.getLedgerSummary = async (req, res) => {
     });
   }
 };
+
+/**
+ * Rebuild ledger balances from voucher history
+ * POST /api/admin/ledgers/rebuild-balances
+ * Master Admin only
+ */
+exports.rebuildBalances = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const corrections = [];
+    let ledgersChecked = 0;
+
+    await mongoose.connection.transaction(async (session) => {
+      // Reset on retry so a re-run does not report corrections twice
+      corrections.length = 0;
+
+      const ledgers = await Ledger.find()
+        .select('name type balance openingBalance')
+        .session(session);
+      const movements = await ledgerMovements({}, { session });
+      ledgersChecked = ledgers.length;
+
+      for (const ledger of ledgers) {
+        const rebuilt = roundAmount(
+          ledger.openingBalance + netMovement(ledger.type, movements.get(ledger._id.toString()))
+        );
+        const drift = roundAmount(ledger.balance - rebuilt);
+
+        if (drift === 0) continue;
+
+        corrections.push({
+          ledger: ledger._id,
+          name: ledger.name,
+          previousBalance: ledger.balance,
+          rebuiltBalance: rebuilt,
+          drift
+        });
+
+        if (!dryRun) {
+          await Ledger.updateOne({ _id: ledger._id }, { balance: rebuilt }, { session });
+        }
+      }
+
+      if (!dryRun) {
+        await AuditLog.create([{
+          action: 'REBUILD_BALANCES',
+          userId: req.user.id,
+          userRole: req.user.role,
+          details: { ledgersChecked, corrected: corrections.length }
+        }], { session });
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${corrections.length} ledger(s) would be corrected`
+        : `${corrections.length} ledger(s) corrected`,
+      data: {
+        dryRun,
+        ledgersChecked,
+        corrections
+      }
+    });
+  } catch (error) {
+    console.error('Rebuild balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rebuilding ledger balances'
+    });
+  }
+};
@@ -0,0 +1,300 @@
+/**
+ * Ledger Group Controller
+ *
+ * Handles the chart of accounts group hierarchy
+ */
+
+const LedgerGroup = require('../models/LedgerGroup');
+const Ledger = require('../models/Ledger');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Get all ledger groups
+ * GET /api/ledger-groups
+ * Returns the flat list; each group has a parent ID and ledger count
+ */
+exports.getAllGroups = async (req, res) => {
+  try {
+    await LedgerGroup.ensurePredefined();
+
+    const [groups, counts] = await Promise.all([
+      LedgerGroup.find().sort({ name: 1 }).lean(),
+      Ledger.aggregate([
+        { $match: { isActive: true, group: { $ne: null } } },
+        { $group: { _id: '$group', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByGroup = new Map(counts.map(row => [row._id.toString(), row.count]));
+
+    res.status(200).json({
+      success: true,
+      count: groups.length,
+      data: {
+        groups: groups.map(group => ({
+          ...group,
+          ledgerCount: countByGroup.get(group._id.toString()) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get ledger groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ledger groups'
+    });
+  }
+};
+
+/**
+ * Create ledger group
+ * POST /api/ledger-groups
+ * A sub-group takes its nature and gross-profit treatment from its
+ * parent; a new primary group needs a nature of its own
+ */
+exports.createGroup = async (req, res) => {
+  try {
+    const { name, parent, nature, affectsGrossProfit = false } = req.body;
+
+    await LedgerGroup.ensurePredefined();
+
+    const existingGroup = await LedgerGroup.findOne({
+      name: { $regex: new RegExp(`^${name}$`, 'i') }
+    });
+
+    if (existingGroup) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ledger group with this name already exists'
+      });
+    }
+
+    let parentGroup = null;
+    if (parent) {
+      parentGroup = await LedgerGroup.findById(parent);
+
+      if (!parentGroup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent group not found'
+        });
+      }
+    } else if (!nature) {
+      return res.status(400).json({
+        success: false,
+        message: 'A primary group needs a nature'
+      });
+    }
+
+    const group = await LedgerGroup.create({
+      name,
+      parent: parentGroup ? parentGroup._id : null,
+      nature: parentGroup ? parentGroup.nature : nature,
+      affectsGrossProfit: parentGroup ? parentGroup.affectsGrossProfit : affectsGrossProfit,
+      createdBy: req.user.id
+    });
+
+    await AuditLog.create({
+      action: 'CREATE_LEDGER_GROUP',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: group._id,
+      targetModel: 'LedgerGroup',
+      details: { name, parent: parentGroup ? parentGroup.name : null, nature: group.nature }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Ledger group created successfully',
+      data: { group }
+    });
+  } catch (error) {
+    console.error('Create ledger group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating ledger group'
+    });
+  }
+};
+
+/**
+ * Update ledger group
+ * PUT /api/ledger-groups/:id
+ * Rename or move a group. Predefined groups cannot be moved, and a group
+ * can only move under a parent of the same nature.
+ */
+exports.updateGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, parent } = req.body;
+
+    const group = await LedgerGroup.findById(id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ledger group not found'
+      });
+    }
+
+    if (name && name !== group.name) {
+      const existingGroup = await LedgerGroup.findOne({
+        _id: { $ne: group._id },
+        name: { $regex: new RegExp(`^${name}$`, 'i') }
+      });
+
+      if (existingGroup) {
+        return res.status(409).json({
+          success: false,
+          message: 'Ledger group with this name already exists'
+        });
+      }
+
+      group.name = name;
+    }
+
+    if (parent !== undefined && String(parent) !== String(group.parent)) {
+      if (group.isPredefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Predefined groups cannot be moved'
+        });
+      }
+
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'A sub-group cannot be made a primary group'
+        });
+      }
+
+      const parentGroup = await LedgerGroup.findById(parent);
+
+      if (!parentGroup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent group not found'
+        });
+      }
+
+      if (parentGroup.nature !== group.nature) {
+        return res.status(400).json({
+          success: false,
+          message: `Group ${parentGroup.name} only holds ${parentGroup.nature} groups`
+        });
+      }
+
+      // Walk up from the new parent to make sure we are not moving the
+      // group underneath itself
+      for (let cursor = parentGroup; cursor; cursor = cursor.parent && await LedgerGroup.findById(cursor.parent)) {
+        if (cursor._id.equals(group._id)) {
+          return res.status(400).json({
+            success: false,
+            message: 'A group cannot be moved under itself or one of its sub-groups'
+          });
+        }
+      }
+
+      group.parent = parentGroup._id;
+      group.affectsGrossProfit = parentGroup.affectsGrossProfit;
+    }
+
+    const grossProfitChanged = group.isModified('affectsGrossProfit');
+    await group.save();
+
+    // Moving between direct and indirect groups carries the whole branch
+    if (grossProfitChanged) {
+      const branch = [group._id];
+      for (let i = 0; i < branch.length; i++) {
+        const children = await LedgerGroup.find({ parent: branch[i] }).select('_id');
+        branch.push(...children.map(child => child._id));
+      }
+
+      await LedgerGroup.updateMany({ _id: { $in: branch } }, { affectsGrossProfit: group.affectsGrossProfit });
+      await Ledger.updateMany({ group: { $in: branch } }, { isDirect: group.affectsGrossProfit });
+    }
+
+    await AuditLog.create({
+      action: 'UPDATE_LEDGER_GROUP',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: group._id,
+      targetModel: 'LedgerGroup',
+      details: { updates: { name, parent } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ledger group updated successfully',
+      data: { group }
+    });
+  } catch (error) {
+    console.error('Update ledger group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating ledger group'
+    });
+  }
+};
+
+/**
+ * Delete ledger group
+ * DELETE /api/ledger-groups/:id
+ * Only Master Admin can delete groups; predefined groups and groups
+ * that still hold sub-groups or ledgers are kept
+ */
+exports.deleteGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const group = await LedgerGroup.findById(id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ledger group not found'
+      });
+    }
+
+    if (group.isPredefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Predefined groups cannot be deleted'
+      });
+    }
+
+    const [childCount, ledgerCount] = await Promise.all([
+      LedgerGroup.countDocuments({ parent: group._id }),
+      Ledger.countDocuments({ group: group._id })
+    ]);
+
+    if (childCount > 0 || ledgerCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete group. It has ${childCount} sub-group(s) and ${ledgerCount} ledger(s).`
+      });
+    }
+
+    await group.deleteOne();
+
+    await AuditLog.create({
+      action: 'DELETE_LEDGER_GROUP',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: group._id,
+      targetModel: 'LedgerGroup',
+      details: { name: group.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ledger group deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete ledger group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting ledger group'
+    });
+  }
+};
@@ -0,0 +1,244 @@
+/**
+ * Opening Balance Controller
+ *
+ * Bulk entry of ledger opening balances as of the books start date
+ * (Master Admin only)
+ */
+
+const mongoose = require('mongoose');
+const Ledger = require('../models/Ledger');
+const LedgerGroup = require('../models/LedgerGroup');
+const FinancialYear = require('../models/FinancialYear');
+const AuditLog = require('../models/AuditLog');
+const { roundAmount, describeBalance, splitBalance } = require('../utils/posting');
+const { openingStockValue } = require('../utils/inventory');
+
+const SUSPENSE_LEDGER_NAME = 'Suspense A/c';
+
+/**
+ * Opening Dr total minus Cr total across the given ledgers and the
+ * items' opening stock; zero when the opening trial balance agrees
+ * @param {Array} ledgers - Ledgers with type and openingBalance
+ * @param {number} [openingStock=0] - Value of the items' opening stock, on the Dr side
+ */
+const openingDifference = (ledgers, openingStock = 0) => roundAmount(ledgers.reduce((sum, ledger) => {
+  const { debit, credit } = splitBalance(ledger.type, ledger.openingBalance);
+  return sum + debit - credit;
+}, openingStock));
+
+/**
+ * Opening balance grid: every active ledger with its Dr/Cr opening
+ * amount, plus totals and the difference across all ledgers. The items'
+ * opening stock is on the debit side, as Tally shows it, so capital
+ * entered against it agrees.
+ */
+const buildOpeningGrid = async () => {
+  const [ledgers, firstYear, openingStock] = await Promise.all([
+    Ledger.find()
+      .select('name type group openingBalance isActive')
+      .populate('group', 'name')
+      .sort({ type: 1, name: 1 }),
+    FinancialYear.findOne().sort({ startDate: 1 }),
+    openingStockValue()
+  ]);
+
+  const totals = { debit: openingStock, credit: 0 };
+  const rows = [];
+
+  for (const ledger of ledgers) {
+    const columns = splitBalance(ledger.type, ledger.openingBalance);
+    totals.debit = roundAmount(totals.debit + columns.debit);
+    totals.credit = roundAmount(totals.credit + columns.credit);
+
+    // Inactive ledgers still count towards the totals if they carry a balance
+    if (!ledger.isActive) continue;
+
+    rows.push({
+      ledger: {
+        _id: ledger._id,
+        name: ledger.name,
+        type: ledger.type,
+        group: ledger.group ? ledger.group.name : null
+      },
+      ...describeBalance(ledger.type, ledger.openingBalance)
+    });
+  }
+
+  return {
+    booksStartDate: firstYear ? firstYear.startDate : null,
+    openingStock,
+    ledgers: rows,
+    totals,
+    difference: roundAmount(totals.debit - totals.credit)
+  };
+};
+
+/**
+ * Get opening balances
+ * GET /api/admin/opening-balances
+ * Master Admin only
+ */
+exports.getOpeningBalances = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await buildOpeningGrid()
+    });
+  } catch (error) {
+    console.error('Get opening balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching opening balances'
+    });
+  }
+};
+
+/**
+ * Save opening balances
+ * PUT /api/admin/opening-balances
+ * Master Admin only
+ * Each changed ledger's opening balance is replaced and its current
+ * balance moves by the same amount, so posted vouchers stay on top of it.
+ * With postDifferenceToSuspense, whatever difference remains is put on
+ * the suspense ledger so the opening trial balance agrees.
+ */
+exports.saveOpeningBalances = async (req, res) => {
+  try {
+    const { balances, postDifferenceToSuspense = false, suspenseLedger, reason } = req.body;
+
+    // Later years' opening balances are derived from these, and a closed
+    // year's closing journal was worked out from them
+    const closedYear = await FinancialYear.findOne({ isClosed: true }).sort({ startDate: 1 });
+
+    if (closedYear) {
+      return res.status(423).json({
+        success: false,
+        message: `Financial year ${closedYear.name} is closed; reopen it before changing opening balances`
+      });
+    }
+
+    const ids = [...new Set(balances.map(entry => String(entry.ledger)))];
+    const found = await Ledger.countDocuments({ _id: { $in: ids } });
+
+    if (found !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more ledgers not found'
+      });
+    }
+
+    let suspense = null;
+    if (postDifferenceToSuspense && suspenseLedger) {
+      suspense = await Ledger.findById(suspenseLedger);
+
+      if (!suspense) {
+        return res.status(404).json({
+          success: false,
+          message: 'Suspense ledger not found'
+        });
+      }
+    }
+
+    // The Suspense A/c group is needed if the suspense ledger has to be
+    // made; the groups are set up outside the session, so before it starts
+    if (postDifferenceToSuspense && !suspense) {
+      await LedgerGroup.ensurePredefined();
+    }
+
+    const changes = [];
+    let suspenseAdjustment = null;
+
+    await mongoose.connection.transaction(async (session) => {
+      // Reset on retry
+      changes.length = 0;
+      suspenseAdjustment = null;
+
+      const ledgers = await Ledger.find({ _id: { $in: ids } }).session(session);
+      const byId = new Map(ledgers.map(ledger => [ledger._id.toString(), ledger]));
+
+      for (const entry of balances) {
+        const ledger = byId.get(String(entry.ledger));
+        const opening = roundAmount(Ledger.signedAmount(ledger.type, entry.side, Number(entry.amount)));
+        if (opening === ledger.openingBalance) continue;
+
+        await Ledger.updateOne(
+          { _id: ledger._id },
+          { $inc: { balance: roundAmount(opening - ledger.openingBalance) }, $set: { openingBalance: opening } },
+          { session }
+        );
+
+        changes.push({
+          ledger: ledger._id,
+          name: ledger.name,
+          from: describeBalance(ledger.type, ledger.openingBalance),
+          to: describeBalance(ledger.type, opening)
+        });
+        ledger.openingBalance = opening;
+      }
+
+      if (postDifferenceToSuspense) {
+        const all = await Ledger.find().select('type openingBalance').session(session);
+        const difference = openingDifference(all, await openingStockValue({ session }));
+
+        if (difference !== 0) {
+          let target = suspense;
+
+          if (!target) {
+            target = await Ledger.findOne({ name: SUSPENSE_LEDGER_NAME, isActive: true }).session(session);
+          }
+
+          if (!target) {
+            const group = await LedgerGroup.findOne({ name: 'Suspense A/c' }).session(session);
+            [target] = await Ledger.create([{
+              name: SUSPENSE_LEDGER_NAME,
+              type: group.nature,
+              group: group._id,
+              createdBy: req.user.id
+            }], { session });
+          }
+
+          // Excess debits are balanced with a credit to suspense, and vice versa
+          const adjustment = roundAmount(
+            Ledger.signedAmount(target.type, difference > 0 ? 'Cr' : 'Dr', Math.abs(difference))
+          );
+
+          await Ledger.updateOne(
+            { _id: target._id },
+            { $inc: { balance: adjustment, openingBalance: adjustment } },
+            { session }
+          );
+
+          suspenseAdjustment = {
+            ledger: target._id,
+            name: target.name,
+            amount: Math.abs(difference),
+            side: difference > 0 ? 'Cr' : 'Dr'
+          };
+        }
+      }
+
+      await AuditLog.create([{
+        action: 'UPDATE_OPENING_BALANCES',
+        userId: req.user.id,
+        userRole: req.user.role,
+        details: { reason, changes, suspenseAdjustment }
+      }], { session });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Opening balances saved: ${changes.length} ledger(s) changed`,
+      data: {
+        ...(await buildOpeningGrid()),
+        changes,
+        suspenseAdjustment
+      }
+    });
+  } catch (error) {
+    console.error('Save opening balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving opening balances'
+    });
+  }
+};
@@ -0,0 +1,1104 @@
+/**
+ * Report Controller
+ *
+ * Builds financial statements from ledger opening balances
+ * and voucher history
+ */
+
+const Ledger = require('../models/Ledger');
+const LedgerGroup = require('../models/LedgerGroup');
+const Transaction = require('../models/Transaction');
+const Counter = require('../models/Counter');
+const Company = require('../models/Company');
+const AuditLog = require('../models/AuditLog');
+const {
+  roundAmount,
+  postingLinesExpression,
+  ledgerMovements,
+  netMovement,
+  splitBalance
+} = require('../utils/posting');
+const { startOfDay, endOfDay, isValidDate, buildDateFilter, previousPeriod } = require('../utils/dates');
+const { resolveGroupId, buildGroupTree, branchIds } = require('../utils/groupTree');
+const { partyBills, onAccountBalances } = require('../utils/billWise');
+const { AGEING_BUCKETS, emptyBuckets, ageItems, fifoOutstanding } = require('../utils/ageing');
+const { toCsv } = require('../utils/csv');
+const { returnPeriod, checkReturn, buildGstr1, buildGstr3b, summariseGstr1 } = require('../utils/gstReturns');
+const { fiscalQuarter } = require('../utils/fiscalYear');
+const { stockSummary, summaryTotals } = require('../utils/costing');
+
+/**
+ * Add two Dr/Cr column pairs
+ */
+const addColumns = (a, b) => ({
+  debit: roundAmount(a.debit + b.debit),
+  credit: roundAmount(a.credit + b.credit)
+});
+
+/**
+ * Net a Dr/Cr column pair down to a single side
+ */
+const netColumns = ({ debit, credit }) => {
+  const net = roundAmount(debit - credit);
+  return { debit: Math.max(net, 0), credit: Math.max(-net, 0) };
+};
+
+/**
+ * Get trial balance
+ * GET /api/reports/trial-balance?asOf=&from=
+ * Opening is the balance before `from` (or the ledger opening balance
+ * when no `from` is given); period columns cover `from`..`asOf`.
+ * `groups` holds the same rows rolled up the ledger group tree.
+ */
+exports.getTrialBalance = async (req, res) => {
+  try {
+    const { asOf, from } = req.query;
+
+    if ((asOf && !isValidDate(asOf)) || (from && !isValidDate(from))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const periodEnd = asOf ? endOfDay(asOf) : new Date();
+    const periodStart = from ? startOfDay(from) : null;
+
+    if (periodStart && periodStart > periodEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'From date cannot be after the as-of date'
+      });
+    }
+
+    await LedgerGroup.ensurePredefined();
+
+    const [ledgers, groups, before, during] = await Promise.all([
+      Ledger.find().select('name type group isDirect openingBalance isActive').sort({ type: 1, name: 1 }),
+      LedgerGroup.find().lean(),
+      periodStart ? ledgerMovements({ date: { $lt: periodStart } }) : new Map(),
+      ledgerMovements({
+        date: periodStart ? { $gte: periodStart, $lte: periodEnd } : { $lte: periodEnd }
+      })
+    ]);
+
+    const groupsByName = new Map(groups.map(group => [group.name, group]));
+    const zero = { debit: 0, credit: 0 };
+    const totals = { opening: zero, debit: 0, credit: 0, closing: zero };
+    const rows = [];
+
+    for (const ledger of ledgers) {
+      const id = ledger._id.toString();
+      const period = during.get(id) || zero;
+
+      const openingSigned = roundAmount(ledger.openingBalance + netMovement(ledger.type, before.get(id)));
+      const closingSigned = roundAmount(openingSigned + netMovement(ledger.type, period));
+
+      // Skip dormant ledgers with nothing to show
+      if (!openingSigned && !period.debit && !period.credit && !closingSigned) continue;
+
+      const row = {
+        ledger: {
+          _id: ledger._id,
+          name: ledger.name,
+          type: ledger.type,
+          group: resolveGroupId(ledger, groupsByName, LedgerGroup.defaultNameFor),
+          isActive: ledger.isActive
+        },
+        opening: splitBalance(ledger.type, openingSigned),
+        debit: period.debit,
+        credit: period.credit,
+        closing: splitBalance(ledger.type, closingSigned)
+      };
+      rows.push(row);
+
+      totals.opening = addColumns(totals.opening, row.opening);
+      totals.debit = roundAmount(totals.debit + row.debit);
+      totals.credit = roundAmount(totals.credit + row.credit);
+      totals.closing = addColumns(totals.closing, row.closing);
+    }
+
+    const difference = roundAmount(totals.closing.debit - totals.closing.credit);
+
+    // Group subtotals show net opening and closing balances, like a ledger
+    const groupTree = buildGroupTree(groups, rows, {
+      groupOf: row => row.ledger.group,
+      zero: () => ({ opening: zero, debit: 0, credit: 0, closing: zero }),
+      add: (sum, row) => ({
+        opening: addColumns(sum.opening, row.opening),
+        debit: roundAmount(sum.debit + row.debit),
+        credit: roundAmount(sum.credit + row.credit),
+        closing: addColumns(sum.closing, row.closing)
+      }),
+      finish: sum => ({ ...sum, opening: netColumns(sum.opening), closing: netColumns(sum.closing) })
+    });
+
+    // Log the action
+    await AuditLog.create({
+      action: 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'trial-balance', asOf: periodEnd, from: periodStart }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        asOf: periodEnd,
+        from: periodStart,
+        ledgers: rows,
+        groups: groupTree,
+        totals,
+        difference,
+        isBalanced: difference === 0
+      }
+    });
+  } catch (error) {
+    console.error('Get trial balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building trial balance'
+    });
+  }
+};
+
+/**
+ * Get profit & loss statement
+ * GET /api/reports/profit-loss?startDate=&endDate=
+ * Includes a comparison column for the previous equivalent period.
+ * Year-end closing journals are left out so a closed year still shows
+ * its result. Gross profit is taken after opening and closing stock.
+ */
+exports.getProfitAndLoss = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate || !isValidDate(startDate) || !isValidDate(endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid startDate and endDate are required'
+      });
+    }
+
+    const current = { start: startOfDay(startDate), end: endOfDay(endDate) };
+
+    if (current.start > current.end) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be after end date'
+      });
+    }
+
+    const previous = previousPeriod(current.start, current.end);
+
+    const [ledgers, currentMovements, previousMovements, currentStock, previousStock] = await Promise.all([
+      Ledger.find({ type: { $in: ['income', 'expense'] } })
+        .select('name type isDirect isActive')
+        .sort({ name: 1 }),
+      ledgerMovements({ date: buildDateFilter(current.start, current.end), isClosingEntry: { $ne: true } }),
+      ledgerMovements({ date: buildDateFilter(previous.start, previous.end), isClosingEntry: { $ne: true } }),
+      stockSummary({ from: current.start, to: current.end }).then(summaryTotals),
+      stockSummary({ from: previous.start, to: previous.end }).then(summaryTotals)
+    ]);
+
+    const emptySection = () => ({ ledgers: [], total: { current: 0, previous: 0 } });
+    const sections = {
+      directIncome: emptySection(),
+      directExpenses: emptySection(),
+      indirectIncome: emptySection(),
+      indirectExpenses: emptySection()
+    };
+
+    for (const ledger of ledgers) {
+      const id = ledger._id.toString();
+      const amounts = {
+        current: netMovement(ledger.type, currentMovements.get(id)),
+        previous: netMovement(ledger.type, previousMovements.get(id))
+      };
+
+      if (!amounts.current && !amounts.previous) continue;
+
+      const prefix = ledger.isDirect ? 'direct' : 'indirect';
+      const section = sections[ledger.type === 'income' ? `${prefix}Income` : `${prefix}Expenses`];
+
+      section.ledgers.push({
+        ledger: { _id: ledger._id, name: ledger.name, type: ledger.type, isActive: ledger.isActive },
+        ...amounts
+      });
+      section.total.current = roundAmount(section.total.current + amounts.current);
+      section.total.previous = roundAmount(section.total.previous + amounts.previous);
+    }
+
+    const profitLine = (add, subtract, base = { current: 0, previous: 0 }) => ({
+      current: roundAmount(base.current + add.current - subtract.current),
+      previous: roundAmount(base.previous + add.previous - subtract.previous)
+    });
+
+    // Goods bought but not yet sold are carried forward, not spent
+    const stock = {
+      opening: { current: currentStock.opening, previous: previousStock.opening },
+      closing: { current: currentStock.closing, previous: previousStock.closing }
+    };
+    const tradingIncome = profitLine(sections.directIncome.total, stock.opening, stock.closing);
+
+    const grossProfit = profitLine(tradingIncome, sections.directExpenses.total);
+    const netProfit = profitLine(sections.indirectIncome.total, sections.indirectExpenses.total, grossProfit);
+
+    // Log the action
+    await AuditLog.create({
+      action: 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'profit-loss', startDate: current.start, endDate: current.end }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { startDate: current.start, endDate: current.end },
+        previousPeriod: { startDate: previous.start, endDate: previous.end },
+        sections,
+        stock,
+        grossProfit,
+        netProfit
+      }
+    });
+  } catch (error) {
+    console.error('Get profit & loss error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building profit & loss statement'
+    });
+  }
+};
+
+/**
+ * Get balance sheet
+ * GET /api/reports/balance-sheet?asOf=
+ * Income and expense balances not yet closed to a capital ledger are
+ * rolled up into a retained earnings line so the sheet balances. Closing
+ * stock is shown as an asset; what it has grown by since the item
+ * masters' opening stock is part of that profit.
+ */
+exports.getBalanceSheet = async (req, res) => {
+  try {
+    const { asOf } = req.query;
+
+    if (asOf && !isValidDate(asOf)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const asOfDate = asOf ? endOfDay(asOf) : new Date();
+
+    const [ledgers, movements, stockTotals] = await Promise.all([
+      Ledger.find().select('name type openingBalance isActive').sort({ name: 1 }),
+      ledgerMovements({ date: { $lte: asOfDate } }),
+      stockSummary({ to: asOfDate }).then(summaryTotals)
+    ]);
+
+    const groups = {
+      asset: { ledgers: [], total: 0 },
+      liability: { ledgers: [], total: 0 },
+      equity: { ledgers: [], total: 0 }
+    };
+    let income = 0;
+    let expense = 0;
+
+    for (const ledger of ledgers) {
+      const balance = roundAmount(
+        ledger.openingBalance + netMovement(ledger.type, movements.get(ledger._id.toString()))
+      );
+
+      if (ledger.type === 'income') {
+        income = roundAmount(income + balance);
+      } else if (ledger.type === 'expense') {
+        expense = roundAmount(expense + balance);
+      } else if (balance) {
+        groups[ledger.type].ledgers.push({
+          ledger: { _id: ledger._id, name: ledger.name, type: ledger.type, isActive: ledger.isActive },
+          balance
+        });
+        groups[ledger.type].total = roundAmount(groups[ledger.type].total + balance);
+      }
+    }
+
+    const closingStock = stockTotals.closing;
+    groups.asset.total = roundAmount(groups.asset.total + closingStock);
+
+    // Unclosed profit (or loss) belongs to the owners
+    const retainedEarnings = roundAmount(income - expense + closingStock - stockTotals.opening);
+    const totalEquity = roundAmount(groups.equity.total + retainedEarnings);
+    const totalLiabilitiesAndEquity = roundAmount(groups.liability.total + totalEquity);
+    const difference = roundAmount(groups.asset.total - totalLiabilitiesAndEquity);
+
+    // Log the action
+    await AuditLog.create({
+      action: 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'balance-sheet', asOf: asOfDate }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        asOf: asOfDate,
+        assets: { ...groups.asset, closingStock },
+        liabilities: groups.liability,
+        equity: {
+          ledgers: groups.equity.ledgers,
+          retainedEarnings,
+          total: totalEquity
+        },
+        totalAssets: groups.asset.total,
+        totalLiabilitiesAndEquity,
+        difference,
+        isBalanced: difference === 0
+      }
+    });
+  } catch (error) {
+    console.error('Get balance sheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building balance sheet'
+    });
+  }
+};
+
+/**
+ * Collapse sorted sequence numbers into the missing ranges up to `last`
+ * @param {number[]} issued - Issued sequence numbers, ascending
+ * @param {number} last - Highest number handed out by the counter
+ */
+const missingRanges = (issued, last) => {
+  const ranges = [];
+  let expected = 1;
+
+  for (const seq of [...issued, last + 1]) {
+    if (seq > expected) {
+      ranges.push({ from: expected, to: seq - 1, count: seq - expected });
+    }
+    expected = Math.max(expected, seq + 1);
+  }
+
+  return ranges;
+};
+
+/**
+ * Get voucher numbering gaps
+ * GET /api/reports/voucher-gaps?type=&fiscalYear=
+ * Lists every numbering series with the sequence numbers that have no
+ * voucher. Deleted vouchers keep their number and are listed as
+ * cancelled rather than missing.
+ */
+exports.getVoucherGaps = async (req, res) => {
+  try {
+    const { type, fiscalYear } = req.query;
+
+    const [counters, vouchers] = await Promise.all([
+      Counter.find().lean(),
+      Transaction.aggregate([
+        { $match: { voucherSeries: { $ne: null } } },
+        { $sort: { voucherSeq: 1 } },
+        {
+          $group: {
+            _id: '$voucherSeries',
+            vouchers: {
+              $push: { seq: '$voucherSeq', voucherNumber: '$voucherNumber', isDeleted: '$isDeleted' }
+            }
+          }
+        }
+      ])
+    ]);
+
+    const byKey = new Map(vouchers.map(group => [group._id, group.vouchers]));
+    const series = [];
+
+    for (const counter of counters) {
+      const [seriesType, seriesYear = null] = counter._id.split(':');
+      if (type && seriesType !== type) continue;
+      if (fiscalYear && seriesYear !== fiscalYear) continue;
+
+      const issued = byKey.get(counter._id) || [];
+      const missing = missingRanges(issued.map(voucher => voucher.seq), counter.seq);
+
+      series.push({
+        series: counter._id,
+        type: seriesType,
+        fiscalYear: seriesYear,
+        firstVoucherNumber: issued.length ? issued[0].voucherNumber : null,
+        lastVoucherNumber: issued.length ? issued[issued.length - 1].voucherNumber : null,
+        lastNumber: counter.seq,
+        issued: issued.length,
+        missing,
+        missingCount: missing.reduce((sum, range) => sum + range.count, 0),
+        cancelled: issued.filter(voucher => voucher.isDeleted).map(voucher => voucher.voucherNumber)
+      });
+    }
+
+    series.sort((a, b) => a.series.localeCompare(b.series));
+
+    await AuditLog.create({
+      action: 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'voucher-gaps', type, fiscalYear }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        series,
+        hasGaps: series.some(item => item.missingCount > 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get voucher gaps error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking voucher numbering'
+    });
+  }
+};
+
+/**
+ * Get outstanding bills
+ * GET /api/reports/outstanding?kind=receivables|payables&asOf=
+ * Pending bills of every bill-wise party, grouped by party. Receivables
+ * are the Dr bills (sales), payables the Cr bills (purchases).
+ */
+exports.getOutstanding = async (req, res) => {
+  try {
+    const { kind = 'receivables', asOf } = req.query;
+
+    if (!['receivables', 'payables'].includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: 'kind must be receivables or payables'
+      });
+    }
+
+    if (asOf && !isValidDate(asOf)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const asOfDate = asOf ? endOfDay(asOf) : new Date();
+    const side = kind === 'receivables' ? 'Dr' : 'Cr';
+
+    const [bills, onAccount] = await Promise.all([
+      partyBills({}, { asOf: asOfDate }),
+      onAccountBalances({}, { asOf: asOfDate })
+    ]);
+
+    const byParty = new Map();
+    for (const bill of bills.filter(bill => bill.side === side)) {
+      const key = bill.ledger.toString();
+      if (!byParty.has(key)) byParty.set(key, []);
+      byParty.get(key).push(bill);
+    }
+
+    const ledgers = await Ledger.find({ _id: { $in: [...byParty.keys()] } }).select('name creditDays');
+    const totals = { pending: 0, overdue: 0 };
+
+    const parties = ledgers.map(ledger => {
+      const partyBillList = byParty.get(ledger._id.toString());
+      const pending = roundAmount(partyBillList.reduce((sum, bill) => sum + bill.pending, 0));
+      const overdue = roundAmount(partyBillList
+        .filter(bill => bill.overdueDays > 0)
+        .reduce((sum, bill) => sum + bill.pending, 0));
+      const unallocated = onAccount.get(ledger._id.toString()) || 0;
+
+      totals.pending = roundAmount(totals.pending + pending);
+      totals.overdue = roundAmount(totals.overdue + overdue);
+
+      return {
+        ledger,
+        bills: partyBillList,
+        pending,
+        overdue,
+        onAccount: { amount: Math.abs(unallocated), side: unallocated >= 0 ? 'Dr' : 'Cr' }
+      };
+    }).sort((a, b) => b.pending - a.pending || a.ledger.name.localeCompare(b.ledger.name));
+
+    await AuditLog.create({
+      action: 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'outstanding', kind, asOf }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        kind,
+        asOf: asOfDate,
+        parties,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Get outstanding bills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching outstanding bills'
+    });
+  }
+};
+
+/**
+ * Postings of each ledger up to a date, newest first
+ * @param {Array<ObjectId>} ledgerIds - Ledgers to read
+ * @param {Date} asOf - Last date included
+ * @returns {Promise<Map<string, Array<{date: Date, side: string, amount: number}>>>}
+ */
+const postingsByLedger = async (ledgerIds, asOf) => {
+  if (ledgerIds.length === 0) return new Map();
+
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        isDeleted: false,
+        date: { $lte: asOf },
+        $or: [
+          { debitLedger: { $in: ledgerIds } },
+          { creditLedger: { $in: ledgerIds } },
+          { 'entries.ledger': { $in: ledgerIds } }
+        ]
+      }
+    },
+    { $project: { date: 1, lines: postingLinesExpression } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.ledger': { $in: ledgerIds } } },
+    { $sort: { date: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$lines.ledger',
+        postings: { $push: { date: '$date', side: '$lines.side', amount: '$lines.amount' } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row.postings]));
+};
+
+/**
+ * Get receivables or payables ageing
+ * GET /api/reports/ageing?kind=receivables|payables&asOf=&format=csv
+ * Covers bill-wise ledgers and every ledger under Sundry Debtors or
+ * Sundry Creditors. Bill-wise parties are aged by the date of each
+ * pending bill, with on-account amounts shown apart; other parties have
+ * their balance aged first-in first-out against their latest postings.
+ */
+exports.getAgeing = async (req, res) => {
+  try {
+    const { kind = 'receivables', asOf, format } = req.query;
+
+    if (!['receivables', 'payables'].includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: 'kind must be receivables or payables'
+      });
+    }
+
+    if (asOf && !isValidDate(asOf)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const asOfDate = asOf ? endOfDay(asOf) : new Date();
+    const side = kind === 'receivables' ? 'Dr' : 'Cr';
+    // Dr-positive amounts turned towards this report's side
+    const towards = (net) => (side === 'Dr' ? net : -net);
+
+    await LedgerGroup.ensurePredefined();
+    const groups = await LedgerGroup.find().select('name parent').lean();
+    const partyGroups = branchIds(groups, ['Sundry Debtors', 'Sundry Creditors']);
+
+    const parties = await Ledger.find({
+      $or: [{ maintainBillWise: true }, { group: { $in: partyGroups } }]
+    }).select('name type openingBalance maintainBillWise');
+
+    const billWiseIds = parties.filter(party => party.maintainBillWise).map(party => party._id);
+    const otherIds = parties.filter(party => !party.maintainBillWise).map(party => party._id);
+
+    const [bills, onAccount, postings] = await Promise.all([
+      billWiseIds.length > 0 ? partyBills({ ledger: { $in: billWiseIds } }, { asOf: asOfDate }) : [],
+      billWiseIds.length > 0 ? onAccountBalances({ ledger: { $in: billWiseIds } }, { asOf: asOfDate }) : new Map(),
+      postingsByLedger(otherIds, asOfDate)
+    ]);
+
+    const rows = [];
+
+    for (const party of parties) {
+      const key = party._id.toString();
+      let buckets;
+      let unallocated = 0;
+
+      if (party.maintainBillWise) {
+        const pending = bills
+          .filter(bill => bill.side === side && bill.ledger.equals(party._id))
+          .map(bill => ({ date: bill.billDate, amount: bill.pending }));
+        buckets = ageItems(pending, asOfDate);
+        unallocated = towards(onAccount.get(key) || 0);
+      } else {
+        const ledgerPostings = postings.get(key) || [];
+        const balance = towards(ledgerPostings.reduce(
+          (sum, posting) => roundAmount(sum + (posting.side === 'Dr' ? posting.amount : -posting.amount)),
+          Ledger.signedAmount(party.type, 'Dr', party.openingBalance)
+        ));
+        if (balance <= 0) continue;
+
+        buckets = ageItems(fifoOutstanding(balance, ledgerPostings.filter(posting => posting.side === side)), asOfDate);
+      }
+
+      const total = roundAmount(Object.values(buckets).reduce((sum, amount) => sum + amount, unallocated));
+      if (total === 0 && Object.values(buckets).every(amount => amount === 0)) continue;
+
+      rows.push({
+        ledger: { _id: party._id, name: party.name },
+        basis: party.maintainBillWise ? 'bills' : 'balance',
+        buckets,
+        onAccount: roundAmount(unallocated),
+        total
+      });
+    }
+
+    rows.sort((a, b) => b.total - a.total || a.ledger.name.localeCompare(b.ledger.name));
+
+    const totals = rows.reduce((sum, row) => {
+      for (const bucket of AGEING_BUCKETS) {
+        sum.buckets[bucket.key] = roundAmount(sum.buckets[bucket.key] + row.buckets[bucket.key]);
+      }
+      sum.onAccount = roundAmount(sum.onAccount + row.onAccount);
+      sum.total = roundAmount(sum.total + row.total);
+      return sum;
+    }, { buckets: emptyBuckets(), onAccount: 0, total: 0 });
+
+    await AuditLog.create({
+      action: 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'ageing', kind, asOf, format }
+    });
+
+    if (format === 'csv') {
+      const amounts = (row) => [...AGEING_BUCKETS.map(bucket => row.buckets[bucket.key]), row.onAccount, row.total];
+      const csv = toCsv(
+        ['Party', ...AGEING_BUCKETS.map(bucket => bucket.label), 'On Account', 'Total'],
+        [
+          ...rows.map(row => [row.ledger.name, ...amounts(row)]),
+          ['Total', ...amounts(totals)]
+        ]
+      );
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${kind}-ageing-${asOfDate.toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        kind,
+        asOf: asOfDate,
+        buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        parties: rows,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Get ageing report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating ageing report'
+    });
+  }
+};
+
+/**
+ * Tax invoices of the given types in a return period, with each GST
+ * line's ledger name and HSN code, each item line's unit, and for notes
+ * the invoice's GST
+ */
+const taxInvoices = (types, period) => Transaction.find({
+  type: { $in: types },
+  isDeleted: false,
+  gst: { $exists: true },
+  date: { $gte: period.start, $lte: period.end }
+})
+  .select('date voucherNumber type gst items originalVoucher')
+  .populate('gst.lines.ledger', 'name hsnCode')
+  .populate({ path: 'items.item', select: 'unit', populate: { path: 'unit', select: 'symbol' } })
+  .populate('originalVoucher', 'voucherNumber gst.supplyType gst.invoiceValue')
+  .sort({ date: 1, voucherNumber: 1 })
+  .lean();
+
+/**
+ * Send a return as a portal JSON download, refusing while it has errors
+ */
+const sendReturnFile = (res, name, fp, json, errors) => {
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Fix the ${errors.length} validation error(s) before downloading`,
+      errors
+    });
+  }
+
+  res.set('Content-Type', 'application/json; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${name}-${fp}.json"`);
+  return res.status(200).send(JSON.stringify(json, null, 2));
+};
+
+/**
+ * Get GSTR-1
+ * GET /api/reports/gstr1?month=YYYY-MM&format=json
+ * Outward supplies of the month from sales tax invoices: B2B invoices per
+ * customer GSTIN, large inter-state B2C invoices, B2C summary by place of
+ * supply and rate, credit notes (CDNR/CDNUR) and the HSN summary.
+ * format=json downloads the portal file once the return has no
+ * validation errors.
+ */
+exports.getGstr1 = async (req, res) => {
+  try {
+    const { month, format } = req.query;
+    const period = returnPeriod(month);
+
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: 'month must be in YYYY-MM format'
+      });
+    }
+
+    const [company, invoices] = await Promise.all([
+      Company.current(),
+      taxInvoices(['sales', 'credit_note'], period)
+    ]);
+
+    const gstr1 = buildGstr1(company, period.fp, invoices);
+    const { errors, warnings } = checkReturn(company, invoices);
+
+    await AuditLog.create({
+      action: format === 'json' ? 'EXPORT_DATA' : 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'gstr1', month, errors: errors.length }
+    });
+
+    if (format === 'json') return sendReturnFile(res, 'GSTR1', period.fp, gstr1, errors);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        month,
+        invoiceCount: invoices.filter(voucher => voucher.type === 'sales').length,
+        noteCount: invoices.filter(voucher => voucher.type === 'credit_note').length,
+        summary: summariseGstr1(gstr1),
+        errors,
+        warnings,
+        gstr1
+      }
+    });
+  } catch (error) {
+    console.error('Get GSTR-1 error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating GSTR-1'
+    });
+  }
+};
+
+/**
+ * Get GSTR-3B
+ * GET /api/reports/gstr3b?month=YYYY-MM&format=json
+ * Monthly summary: outward tax from sales, inter-state supplies to
+ * unregistered buyers, input tax credit from purchases and exempt
+ * inward supplies. Credit notes come off the outward figures and debit
+ * notes off the input tax.
+ */
+exports.getGstr3b = async (req, res) => {
+  try {
+    const { month, format } = req.query;
+    const period = returnPeriod(month);
+
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: 'month must be in YYYY-MM format'
+      });
+    }
+
+    const [company, sales, purchases] = await Promise.all([
+      Company.current(),
+      taxInvoices(['sales', 'credit_note'], period),
+      taxInvoices(['purchase', 'debit_note'], period)
+    ]);
+
+    const gstr3b = buildGstr3b(company, period.fp, sales, purchases);
+    // HSN codes are a GSTR-1 requirement; 3B only needs the GSTINs right
+    const { errors, warnings } = checkReturn(company, [...sales, ...purchases], { checkHsn: false });
+
+    await AuditLog.create({
+      action: format === 'json' ? 'EXPORT_DATA' : 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'gstr3b', month, errors: errors.length }
+    });
+
+    if (format === 'json') return sendReturnFile(res, 'GSTR3B', period.fp, gstr3b, errors);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        month,
+        invoiceCount: {
+          sales: sales.filter(voucher => voucher.type === 'sales').length,
+          purchases: purchases.filter(voucher => voucher.type === 'purchase').length,
+          creditNotes: sales.filter(voucher => voucher.type === 'credit_note').length,
+          debitNotes: purchases.filter(voucher => voucher.type === 'debit_note').length
+        },
+        errors,
+        warnings,
+        gstr3b
+      }
+    });
+  } catch (error) {
+    console.error('Get GSTR-3B error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating GSTR-3B'
+    });
+  }
+};
+
+/**
+ * Get TDS deductee report
+ * GET /api/reports/tds?fiscalYear=2026-27&quarter=1&format=csv
+ * Payments to TDS parties in a quarter of the financial year (Q1 is
+ * April to June), grouped by section and deductee, with the tax held
+ * back on each. Payments below the thresholds are listed with no tax.
+ */
+exports.getTdsReport = async (req, res) => {
+  try {
+    const { fiscalYear, quarter, format } = req.query;
+    const period = fiscalQuarter(fiscalYear, quarter);
+
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give fiscalYear as e.g. 2026-27 and quarter as 1 to 4'
+      });
+    }
+
+    const [company, payments] = await Promise.all([
+      Company.current(),
+      Transaction.find({
+        isDeleted: false,
+        tds: { $exists: true },
+        date: { $gte: period.start, $lte: period.end }
+      })
+        .select('date voucherNumber tds')
+        .populate('tds.partyLedger', 'name')
+        .populate('tds.section', 'section description')
+        .sort({ date: 1, voucherNumber: 1 })
+        .lean()
+    ]);
+
+    const sections = new Map();
+
+    for (const payment of payments) {
+      const { tds } = payment;
+      const sectionKey = tds.sectionCode;
+
+      if (!sections.has(sectionKey)) {
+        sections.set(sectionKey, {
+          section: tds.sectionCode,
+          description: tds.section?.description || '',
+          deductees: new Map(),
+          paidAmount: 0,
+          tdsAmount: 0
+        });
+      }
+
+      const section = sections.get(sectionKey);
+      const partyKey = String(tds.partyLedger?._id || tds.partyLedger);
+
+      if (!section.deductees.has(partyKey)) {
+        section.deductees.set(partyKey, {
+          ledger: { _id: tds.partyLedger?._id || tds.partyLedger, name: tds.partyLedger?.name || 'Deleted ledger' },
+          pan: tds.pan,
+          deducteeType: tds.deducteeType,
+          payments: [],
+          paidAmount: 0,
+          tdsAmount: 0
+        });
+      }
+
+      const deductee = section.deductees.get(partyKey);
+      deductee.payments.push({
+        _id: payment._id,
+        date: payment.date,
+        voucherNumber: payment.voucherNumber,
+        paidAmount: tds.paidAmount,
+        taxableAmount: tds.taxableAmount,
+        rate: tds.rate,
+        tdsAmount: tds.tdsAmount
+      });
+
+      deductee.paidAmount = roundAmount(deductee.paidAmount + tds.paidAmount);
+      deductee.tdsAmount = roundAmount(deductee.tdsAmount + tds.tdsAmount);
+      section.paidAmount = roundAmount(section.paidAmount + tds.paidAmount);
+      section.tdsAmount = roundAmount(section.tdsAmount + tds.tdsAmount);
+    }
+
+    const rows = [...sections.values()]
+      .sort((a, b) => a.section.localeCompare(b.section))
+      .map(section => ({
+        ...section,
+        deductees: [...section.deductees.values()].sort((a, b) => a.ledger.name.localeCompare(b.ledger.name))
+      }));
+
+    const totals = {
+      paidAmount: roundAmount(rows.reduce((sum, section) => sum + section.paidAmount, 0)),
+      tdsAmount: roundAmount(rows.reduce((sum, section) => sum + section.tdsAmount, 0))
+    };
+
+    await AuditLog.create({
+      action: 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'tds', fiscalYear, quarter, format }
+    });
+
+    if (format === 'csv') {
+      const csv = toCsv(
+        ['Section', 'Deductee', 'PAN', 'Deductee Type', 'Date', 'Voucher', 'Amount Paid', 'Taxable Amount', 'Rate %', 'TDS'],
+        rows.flatMap(section => section.deductees.flatMap(deductee => deductee.payments.map(payment => [
+          section.section,
+          deductee.ledger.name,
+          deductee.pan || 'PANNOTAVBL',
+          deductee.deducteeType === 'individual' ? 'Individual/HUF' : 'Others',
+          payment.date.toISOString().slice(0, 10),
+          payment.voucherNumber,
+          payment.paidAmount,
+          payment.taxableAmount,
+          payment.rate,
+          payment.tdsAmount
+        ])))
+      );
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="tds-${fiscalYear}-Q${quarter}.csv"`);
+      return res.status(200).send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { label: period.label, start: period.start, end: period.end },
+        tan: company.tan,
+        sections: rows,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Get TDS report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating TDS report'
+    });
+  }
+};
+
+/**
+ * Get stock summary
+ * GET /api/reports/stock-summary?startDate=&endDate=&format=csv
+ * Opening, inward, outward and closing quantity and value of every stock
+ * item, each valued by its own costing method. Without a startDate the
+ * opening is the item masters' opening stock; endDate defaults to today.
+ */
+exports.getStockSummary = async (req, res) => {
+  try {
+    const { startDate, endDate, format } = req.query;
+
+    if ((startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const from = startDate ? startOfDay(startDate) : null;
+    const to = endDate ? endOfDay(endDate) : new Date();
+
+    if (from && from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be after end date'
+      });
+    }
+
+    const rows = await stockSummary({ from, to });
+    const totals = summaryTotals(rows);
+
+    await AuditLog.create({
+      action: 'VIEW_REPORT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: { report: 'stock-summary', startDate: from, endDate: to, format }
+    });
+
+    if (format === 'csv') {
+      const figures = (figure) => [figure.quantity, figure.value];
+      const csv = toCsv(
+        [
+          'Item', 'Unit', 'Costing Method',
+          'Opening Qty', 'Opening Value', 'Inward Qty', 'Inward Value',
+          'Outward Qty', 'Outward Value', 'Closing Qty', 'Closing Rate', 'Closing Value'
+        ],
+        [
+          ...rows.map(row => [
+            row.item.name,
+            row.item.unit?.symbol || '',
+            row.method,
+            ...figures(row.opening),
+            ...figures(row.inward),
+            ...figures(row.outward),
+            row.closing.quantity,
+            row.closing.rate,
+            row.closing.value
+          ]),
+          ['Total', '', '', '', totals.opening, '', totals.inward, '', totals.outward, '', '', totals.closing]
+        ]
+      );
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="stock-summary-${to.toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { startDate: from, endDate: to },
+        items: rows,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Get stock summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating stock summary'
+    });
+  }
+};
@@ -0,0 +1,419 @@
+/**
+ * Stock Item Controller
+ *
+ * Handles stock items and their quantities godown by godown
+ */
+
+const mongoose = require('mongoose');
+const StockItem = require('../models/StockItem');
+const StockBalance = require('../models/StockBalance');
+const Unit = require('../models/Unit');
+const TaxRate = require('../models/TaxRate');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const {
+  roundQuantity,
+  describeQuantity,
+  planOpeningStock,
+  applyOpeningStock
+} = require('../utils/inventory');
+
+/**
+ * Simple unit a stock item can be kept in
+ * @param {string} unitId
+ * @returns {Promise<{unit?: Object, error?: {status: number, message: string}}>}
+ */
+const findItemUnit = async (unitId) => {
+  const unit = await Unit.findOne({ _id: unitId, isActive: true });
+
+  if (!unit) {
+    return { error: { status: 404, message: 'Unit not found' } };
+  }
+
+  if (unit.baseUnit) {
+    return {
+      error: { status: 400, message: `Keep the item in a simple unit; ${unit.symbol} can still be used on quantities` }
+    };
+  }
+
+  return { unit };
+};
+
+/**
+ * Get all stock items
+ * GET /api/stock-items?search=&godown=
+ * Each item carries its quantity in hand, across all godowns or in the
+ * one asked for
+ */
+exports.getAllItems = async (req, res) => {
+  try {
+    const { search, godown } = req.query;
+
+    if (godown && !mongoose.isValidObjectId(godown)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid godown ID'
+      });
+    }
+
+    const query = { isActive: true };
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const match = godown ? { godown: new mongoose.Types.ObjectId(godown) } : {};
+    const [items, totals] = await Promise.all([
+      StockItem.find(query)
+        .populate('unit', 'symbol decimalPlaces')
+        .populate('taxRate', 'name rate')
+        .sort({ name: 1 }),
+      StockBalance.aggregate([
+        { $match: match },
+        { $group: { _id: '$item', quantity: { $sum: '$quantity' } } }
+      ])
+    ]);
+
+    const quantityByItem = new Map(totals.map(row => [row._id.toString(), roundQuantity(row.quantity)]));
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: {
+        items: items.map(item => ({
+          ...item.toObject(),
+          quantity: quantityByItem.get(item._id.toString()) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get stock items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stock items'
+    });
+  }
+};
+
+/**
+ * Get stock item by ID
+ * GET /api/stock-items/:id
+ * The item with its quantity and opening stock in each godown
+ */
+exports.getItemById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const item = await StockItem.findById(id)
+      .populate('unit', 'symbol formalName decimalPlaces')
+      .populate('taxRate', 'name rate')
+      .populate('createdBy', 'name email');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock item not found'
+      });
+    }
+
+    const balances = await StockBalance.find({ item: item._id })
+      .populate('godown', 'name')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        item,
+        godowns: balances.map(balance => ({
+          godown: balance.godown,
+          quantity: balance.quantity,
+          openingQuantity: balance.openingQuantity,
+          openingValue: balance.openingValue
+        })),
+        quantity: roundQuantity(balances.reduce((sum, balance) => sum + balance.quantity, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get stock item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stock item'
+    });
+  }
+};
+
+/**
+ * Create stock item
+ * POST /api/stock-items
+ * Opening stock is given per godown as [{ godown, quantity, unit, value }];
+ * without a godown it goes to the Main Location
+ */
+exports.createItem = async (req, res) => {
+  try {
+    const { name, unit, hsnCode, taxRate, costingMethod, description, openingStock = [] } = req.body;
+
+    const existingItem = await StockItem.findOne({
+      name: { $regex: new RegExp(`^${name}$`, 'i') },
+      isActive: true
+    });
+
+    if (existingItem) {
+      return res.status(409).json({
+        success: false,
+        message: 'Stock item with this name already exists'
+      });
+    }
+
+    const { error: unitError } = await findItemUnit(unit);
+
+    if (unitError) {
+      return res.status(unitError.status).json({
+        success: false,
+        message: unitError.message
+      });
+    }
+
+    if (taxRate && !(await TaxRate.exists({ _id: taxRate }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    const item = new StockItem({
+      name,
+      unit,
+      hsnCode: hsnCode || null,
+      taxRate: taxRate || null,
+      costingMethod,
+      description,
+      createdBy: req.user.id
+    });
+
+    const { rows, error } = await planOpeningStock(item, openingStock);
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Item, opening balances and audit entry commit or fail together
+    await mongoose.connection.transaction(async (session) => {
+      await item.save({ session });
+      await applyOpeningStock(item, rows, { session });
+
+      await AuditLog.create([{
+        action: 'CREATE_STOCK_ITEM',
+        userId: req.user.id,
+        userRole: req.user.role,
+        targetId: item._id,
+        targetModel: 'StockItem',
+        details: { name, openingStock: rows }
+      }], { session });
+    });
+
+    const populatedItem = await StockItem.findById(item._id)
+      .populate('unit', 'symbol decimalPlaces')
+      .populate('taxRate', 'name rate');
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock item created successfully',
+      data: { item: populatedItem }
+    });
+  } catch (error) {
+    console.error('Create stock item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating stock item'
+    });
+  }
+};
+
+/**
+ * Update stock item
+ * PUT /api/stock-items/:id
+ * A given openingStock replaces the item's opening stock in every
+ * godown. The unit can only change before the item has any stock.
+ */
+exports.updateItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, unit, hsnCode, taxRate, costingMethod, description, openingStock } = req.body;
+
+    const item = await StockItem.findById(id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock item not found'
+      });
+    }
+
+    if (name && name !== item.name) {
+      const existingItem = await StockItem.findOne({
+        _id: { $ne: item._id },
+        name: { $regex: new RegExp(`^${name}$`, 'i') },
+        isActive: true
+      });
+
+      if (existingItem) {
+        return res.status(409).json({
+          success: false,
+          message: 'Stock item with this name already exists'
+        });
+      }
+
+      item.name = name;
+    }
+
+    if (unit && String(unit) !== String(item.unit)) {
+      const [inStock, onVouchers] = await Promise.all([
+        StockBalance.exists({
+          item: item._id,
+          $or: [{ quantity: { $ne: 0 } }, { openingQuantity: { $ne: 0 } }]
+        }),
+        Transaction.exists({ 'items.item': item._id, isDeleted: false })
+      ]);
+
+      if (inStock || onVouchers) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unit cannot be changed once the item has stock or vouchers'
+        });
+      }
+
+      const { error } = await findItemUnit(unit);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      item.unit = unit;
+    }
+
+    if (taxRate !== undefined) {
+      if (taxRate && !(await TaxRate.exists({ _id: taxRate }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tax rate not found'
+        });
+      }
+      item.taxRate = taxRate || null;
+    }
+    if (hsnCode !== undefined) item.hsnCode = hsnCode || null;
+    if (costingMethod) item.costingMethod = costingMethod;
+    if (description !== undefined) item.description = description;
+
+    let rows = null;
+    if (openingStock !== undefined) {
+      const planned = await planOpeningStock(item, openingStock);
+
+      if (planned.error) {
+        return res.status(planned.error.status).json({
+          success: false,
+          message: planned.error.message
+        });
+      }
+
+      rows = planned.rows;
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+      await item.save({ session });
+      if (rows) await applyOpeningStock(item, rows, { session });
+
+      await AuditLog.create([{
+        action: 'UPDATE_STOCK_ITEM',
+        userId: req.user.id,
+        userRole: req.user.role,
+        targetId: item._id,
+        targetModel: 'StockItem',
+        details: { updates: { name, unit, hsnCode, taxRate, costingMethod }, ...(rows && { openingStock: rows }) }
+      }], { session });
+    });
+
+    const populatedItem = await StockItem.findById(item._id)
+      .populate('unit', 'symbol decimalPlaces')
+      .populate('taxRate', 'name rate');
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock item updated successfully',
+      data: { item: populatedItem }
+    });
+  } catch (error) {
+    console.error('Update stock item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating stock item'
+    });
+  }
+};
+
+/**
+ * Delete stock item (soft delete - deactivate)
+ * DELETE /api/stock-items/:id
+ * Only Master Admin can delete stock items; items in stock or on
+ * vouchers are kept
+ */
+exports.deleteItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const item = await StockItem.findById(id).populate('unit', 'symbol');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock item not found'
+      });
+    }
+
+    const balances = await StockBalance.find({ item: item._id }).select('quantity');
+    const quantity = roundQuantity(balances.reduce((sum, balance) => sum + balance.quantity, 0));
+
+    if (balances.some(balance => balance.quantity !== 0)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete stock item. It has ${describeQuantity(quantity, item.unit)} in stock.`
+      });
+    }
+
+    const transactionCount = await Transaction.countDocuments({ 'items.item': item._id, isDeleted: false });
+
+    if (transactionCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete stock item. It has ${transactionCount} transaction(s).`
+      });
+    }
+
+    item.isActive = false;
+    await item.save();
+
+    await AuditLog.create({
+      action: 'DELETE_STOCK_ITEM',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: item._id,
+      targetModel: 'StockItem',
+      details: { name: item.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock item deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete stock item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting stock item'
+    });
+  }
+};
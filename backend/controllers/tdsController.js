@@ -0,0 +1,196 @@
+/**
+ * TDS Controller
+ *
+ * TDS section masters and a preview of the tax held back from a payment
+ */
+
+const Ledger = require('../models/Ledger');
+const TdsSection = require('../models/TdsSection');
+const AuditLog = require('../models/AuditLog');
+const { planTdsPayment } = require('../utils/tds');
+
+// Fields of a section that can be set from a request
+const sectionFields = ({ section, description, rate, individualRate, noPanRate, singleThreshold, annualThreshold }) => ({
+  section,
+  description,
+  rate: Number(rate),
+  individualRate: individualRate === null || individualRate === undefined || individualRate === '' ? null : Number(individualRate),
+  ...(noPanRate !== undefined && noPanRate !== null && { noPanRate: Number(noPanRate) }),
+  singleThreshold: Number(singleThreshold) || 0,
+  annualThreshold: Number(annualThreshold) || 0
+});
+
+/**
+ * Get TDS sections
+ * GET /api/tds/sections?active=true
+ */
+exports.getSections = async (req, res) => {
+  try {
+    await TdsSection.ensureStandard();
+
+    const query = req.query.active === 'true' ? { isActive: true } : {};
+    const sections = await TdsSection.find(query).sort({ section: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: sections.length,
+      data: { sections }
+    });
+  } catch (error) {
+    console.error('Get TDS sections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching TDS sections'
+    });
+  }
+};
+
+/**
+ * Create TDS section
+ * POST /api/tds/sections
+ * Master Admin only
+ */
+exports.createSection = async (req, res) => {
+  try {
+    const fields = sectionFields(req.body);
+
+    if (await TdsSection.exists({ section: fields.section.toUpperCase() })) {
+      return res.status(409).json({
+        success: false,
+        message: `Section ${fields.section} already exists`
+      });
+    }
+
+    const section = await TdsSection.create({ ...fields, createdBy: req.user.id });
+
+    await AuditLog.create({
+      action: 'CREATE_TDS_SECTION',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: section._id,
+      targetModel: 'TdsSection',
+      details: { section: section.section, rate: section.rate }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'TDS section created successfully',
+      data: { section }
+    });
+  } catch (error) {
+    console.error('Create TDS section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating TDS section'
+    });
+  }
+};
+
+/**
+ * Update TDS section
+ * PUT /api/tds/sections/:id
+ * Master Admin only. Payments already entered keep the tax worked out
+ * when they were posted.
+ */
+exports.updateSection = async (req, res) => {
+  try {
+    const section = await TdsSection.findById(req.params.id);
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'TDS section not found'
+      });
+    }
+
+    const fields = sectionFields(req.body);
+
+    const duplicate = await TdsSection.exists({
+      _id: { $ne: section._id },
+      section: fields.section.toUpperCase()
+    });
+
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: `Section ${fields.section} already exists`
+      });
+    }
+
+    Object.assign(section, fields);
+    if (typeof req.body.isActive === 'boolean') section.isActive = req.body.isActive;
+    await section.save();
+
+    await AuditLog.create({
+      action: 'UPDATE_TDS_SECTION',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: section._id,
+      targetModel: 'TdsSection',
+      details: { section: section.section, rate: section.rate, isActive: section.isActive }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'TDS section updated successfully',
+      data: { section }
+    });
+  } catch (error) {
+    console.error('Update TDS section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating TDS section'
+    });
+  }
+};
+
+/**
+ * Preview the TDS on a payment
+ * POST /api/tds/preview
+ * Body: { debitLedger, creditLedger, amount, date? }
+ * Returns the tax and the entries a payment voucher would post, without
+ * entering it
+ */
+exports.previewPayment = async (req, res) => {
+  try {
+    const { debitLedger, creditLedger, amount, date } = req.body;
+
+    const party = await Ledger.findById(debitLedger);
+
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        message: 'Party ledger not found'
+      });
+    }
+
+    const { entries, tds, error } = await planTdsPayment(
+      { party, bankLedger: creditLedger, amount, date: date || new Date() },
+      req.user.id
+    );
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries: entries || [
+          { ledger: party._id, side: 'Dr', amount: Number(amount) },
+          { ledger: creditLedger, side: 'Cr', amount: Number(amount) }
+        ],
+        tds: tds || null
+      }
+    });
+  } catch (error) {
+    console.error('Preview TDS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while computing TDS'
+    });
+  }
+};
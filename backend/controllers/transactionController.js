@@ -1,13 +1,58 @@
-/
 /**
  * Transaction Controller
  * 
  * Handles transaction/voucher operations
  */
 
+const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
 const Ledger = require('../models/Ledger');
 const AuditLog = require('../models/AuditLog');
+const FinancialYear = require('../models/FinancialYear');
+const BillAllocation = require('../models/BillAllocation');
+const VoucherSeries = require('../models/VoucherSeries');
+const { postingLines, ledgerFilter, applyPosting, reversePosting } = require('../utils/posting');
+const { buildDateFilter } = require('../utils/dates');
+const { planTaxInvoice } = require('../utils/gst');
+const { planTdsPayment } = require('../utils/tds');
+const { planItemInvoice, applyStock, reverseStock } = require('../utils/inventory');
+const {
+  NOTE_ORIGINAL_TYPES,
+  notesAgainst,
+  findOriginalVoucher,
+  checkNote,
+  checkNotedInvoice
+} = require('../utils/notes');
+const {
+  planBillAllocations,
+  reusableAllocations,
+  saveBillAllocations,
+  settledBills
+} = require('../utils/billWise');
+
+/**
+ * First ledger ID in the list that does not exist, if any
+ * @param {Array<string>} ledgerIds - Ledger IDs referenced by a voucher
+ */
+const findMissingLedger = async (ledgerIds) => {
+  const uniqueIds = [...new Set(ledgerIds.map(String))];
+  const found = await Ledger.find({ _id: { $in: uniqueIds } }).select('_id');
+  const foundIds = new Set(found.map(ledger => ledger._id.toString()));
+  return uniqueIds.find(id => !foundIds.has(id)) || null;
+};
+
+/**
+ * Reject a voucher change that touches a locked period
+ * @param {Object} res - Express response
+ * @param {string} action - What was attempted, e.g. 'create'
+ * @param {{date: Date, reason: string}} lock - Lock found for the voucher dates
+ */
+const respondLocked = (res, action, lock) => {
+  return res.status(423).json({
+    success: false,
+    message: `Cannot ${action} a voucher dated ${lock.date.toISOString().slice(0, 10)}: ${lock.reason}`
+  });
+};
 
 /**
  * Get all transactions
@@ -21,6 +66,7 @@ exports.getAllTransactions = async (req, res) => {
       startDate, 
       endDate,
       type,
+      ledger,
       search
     } = req.query;
 
@@ -32,13 +78,11 @@ exports.getAllTransactions = async (req, res) => {
       query.createdBy = req.user.id;
     }
 
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
-    }
+    const dateRange = buildDateFilter(startDate, endDate);
+    if (dateRange) query.date = dateRange;
 
     if (type) query.type = type;
+    if (ledger) Object.assign(query, ledgerFilter(ledger));
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -47,6 +91,7 @@ exports.getAllTransactions = async (req, res) => {
     const transactions = await Transaction.find(query)
       .populate('debitLedger', 'name type')
       .populate('creditLedger', 'name type')
+      .populate('entries.ledger', 'name type')
       .populate('createdBy', 'name email')
       .sort({ date: -1, createdAt: -1 })
       .skip(skip)
@@ -90,6 +135,8 @@ exports.getTransactionById = async (req, res) => {
     })
       .populate('debitLedger', 'name type balance')
       .populate('creditLedger', 'name type balance')
+      .populate('entries.ledger', 'name type balance')
+      .populate('originalVoucher', 'voucherNumber date type amount')
       .populate('createdBy', 'name email role');
 
     if (!transaction) {
@@ -108,9 +155,24 @@ exports.getTransactionById = async (req, res) => {
       });
     }
 
+    const [billAllocations, notes] = await Promise.all([
+      BillAllocation.find({ transaction: transaction._id })
+        .populate('ledger', 'name')
+        .sort({ createdAt: 1 }),
+      Object.values(NOTE_ORIGINAL_TYPES).includes(transaction.type)
+        ? notesAgainst(transaction._id)
+        : []
+    ]);
+
     res.status(200).json({
       success: true,
-      data: { transaction }
+      data: {
+        transaction,
+        billAllocations,
+        ...(notes.length > 0 && {
+          notes: notes.map(({ _id, voucherNumber, type, amount }) => ({ _id, voucherNumber, type, amount }))
+        })
+      }
     });
   } catch (error) {
     console.error('Get transaction error:', error);
@@ -127,61 +189,193 @@ exports.getTransactionById = async (req, res) => {
  */
 exports.createTransaction = async (req, res) => {
   try {
-    const { date, debitLedger, creditLedger, amount, narration, type } = req.body;
-
-    // Validate ledgers exist
-    const [debitLedgerDoc, creditLedgerDoc] = await Promise.all([
-      Ledger.findById(debitLedger),
-      Ledger.findById(creditLedger)
-    ]);
-
-    if (!debitLedgerDoc) {
-      return res.status(404).json({
-        success: false,
-        message: 'Debit ledger not found'
-      });
-    }
-
-    if (!creditLedgerDoc) {
-      return res.status(404).json({
-        success: false,
-        message: 'Credit ledger not found'
-      });
-    }
-
-    // Create transaction
-    const transaction = await Transaction.create({
-      date: date || new Date(),
+    const {
+      date,
       debitLedger,
       creditLedger,
       amount,
       narration,
       type,
+      entries,
+      reference,
+      dueDate,
+      billAllocations,
+      partyLedger,
+      taxLines,
+      placeOfSupply,
+      items,
+      godown,
+      originalVoucher,
+      deductTds = true
+    } = req.body;
+
+    const voucher = {
+      date: date || new Date(),
+      narration,
+      type,
+      reference,
+      dueDate: dueDate || null,
       createdBy: req.user.id
-    });
+    };
+
+    const lock = await FinancialYear.findLock([voucher.date]);
+    if (lock) return respondLocked(res, 'create', lock);
+
+    // A credit or debit note reverses part of the invoice it is raised
+    // against, in the invoice's place of supply unless told otherwise
+    let original = null;
+    if (NOTE_ORIGINAL_TYPES[type]) {
+      const { original: found, error: originalError } = await findOriginalVoucher(type, originalVoucher);
+
+      if (originalError) {
+        return res.status(originalError.status).json({
+          success: false,
+          message: originalError.message
+        });
+      }
 
-    // Update ledger balances
-    // For simplicity, this example just increments balances
-    // In a real system, you'd implement proper double-entry accounting logic
-    await Promise.all([
-      Ledger.findByIdAndUpdate(debitLedger, { $inc: { balance: amount } }),
-      Ledger.findByIdAndUpdate(creditLedger, { $inc: { balance: amount } })
-    ]);
+      original = found;
+      voucher.originalVoucher = original._id;
+    }
+    const supplyPlace = placeOfSupply || original?.gst?.placeOfSupply;
+
+    if (items) {
+      // Item invoice - amount, or entries and GST, are built from the stock lines
+      const { voucher: invoice, error: itemError } = await planItemInvoice(
+        { type, debitLedger, creditLedger, items, godown, placeOfSupply: supplyPlace },
+        req.user.id
+      );
+
+      if (itemError) {
+        return res.status(itemError.status).json({
+          success: false,
+          message: itemError.message
+        });
+      }
+
+      Object.assign(voucher, invoice);
+    } else if (taxLines) {
+      // Tax invoice - entries are built from the taxable lines and GST
+      const { entries: invoiceEntries, gst, error: taxError } = await planTaxInvoice(
+        { type, partyLedger, taxLines, placeOfSupply: supplyPlace },
+        req.user.id
+      );
+
+      if (taxError) {
+        return res.status(taxError.status).json({
+          success: false,
+          message: taxError.message
+        });
+      }
+
+      Object.assign(voucher, { entries: invoiceEntries, gst });
+    } else if (entries) {
+      // Compound voucher - validate every line's ledger exists
+      const missingLedger = await findMissingLedger(entries.map(entry => entry.ledger));
+
+      if (missingLedger) {
+        return res.status(404).json({
+          success: false,
+          message: `Ledger ${missingLedger} not found`
+        });
+      }
+
+      voucher.entries = entries;
+    } else {
+      // Validate ledgers exist
+      const [debitLedgerDoc, creditLedgerDoc] = await Promise.all([
+        Ledger.findById(debitLedger),
+        Ledger.findById(creditLedger)
+      ]);
+
+      if (!debitLedgerDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Debit ledger not found'
+        });
+      }
+
+      if (!creditLedgerDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Credit ledger not found'
+        });
+      }
+
+      // A payment to a party flagged for TDS holds the tax back from the bank
+      const { entries: tdsEntries, tds, error: tdsError } = type === 'payment' && deductTds
+        ? await planTdsPayment({ party: debitLedgerDoc, bankLedger: creditLedger, amount, date: voucher.date }, req.user.id)
+        : {};
+
+      if (tdsError) {
+        return res.status(tdsError.status).json({
+          success: false,
+          message: tdsError.message
+        });
+      }
+
+      if (tds) Object.assign(voucher, { entries: tdsEntries, tds });
+      else Object.assign(voucher, { debitLedger, creditLedger, amount });
+    }
+
+    if (original) {
+      const { error: noteError } = await checkNote(voucher, original);
 
-    // Log the action
-    await AuditLog.create({
-      action: 'CREATE_TRANSACTION',
-      userId: req.user.id,
-      userRole: req.user.role,
-      targetId: transaction._id,
-      targetModel: 'Transaction',
-      details: { amount, type, debitLedger, creditLedger }
+      if (noteError) {
+        return res.status(noteError.status).json({
+          success: false,
+          message: noteError.message
+        });
+      }
+    }
+
+    // Split postings to bill-wise party ledgers into bill references
+    const { allocations, error: billError } = await planBillAllocations(voucher, billAllocations);
+
+    if (billError) {
+      return res.status(billError.status).json({
+        success: false,
+        message: billError.message
+      });
+    }
+
+    // Voucher, ledger postings and audit entry commit or fail together
+    let transaction;
+    await mongoose.connection.transaction(async (session) => {
+      [transaction] = await Transaction.create([voucher], { session });
+
+      // Post the debit and credit to the ledger balances, and move any stock
+      await applyPosting(transaction, { session });
+      await applyStock(transaction, { session });
+      await saveBillAllocations(transaction, allocations, { session });
+
+      // Log the action
+      await AuditLog.create([{
+        action: 'CREATE_TRANSACTION',
+        userId: req.user.id,
+        userRole: req.user.role,
+        targetId: transaction._id,
+        targetModel: 'Transaction',
+        details: {
+          amount: transaction.amount,
+          type,
+          debitLedger,
+          creditLedger,
+          ...(voucher.entries && { lines: voucher.entries.length }),
+          ...(voucher.gst && { gst: { taxableValue: voucher.gst.taxableValue, supplyType: voucher.gst.supplyType } }),
+          ...(voucher.tds && { tds: { section: voucher.tds.sectionCode, amount: voucher.tds.tdsAmount } }),
+          ...(voucher.items && { items: voucher.items.length }),
+          ...(original && { originalVoucher: original.voucherNumber }),
+          ...(allocations.length > 0 && { billAllocations: allocations.length })
+        }
+      }], { session });
     });
 
     // Populate and return
     const populatedTransaction = await Transaction.findById(transaction._id)
       .populate('debitLedger', 'name type')
       .populate('creditLedger', 'name type')
+      .populate('entries.ledger', 'name type')
       .populate('createdBy', 'name email');
 
     res.status(201).json({
@@ -201,12 +395,32 @@ exports.createTransaction = async (req, res) => {
 /**
  * Update transaction
  * PUT /api/transactions/:id
- * Users can only edit their own transactions
+ * Users can only edit their own transactions. A request that sends no
+ * entries, taxLines, items or debit/credit/amount keeps the voucher's
+ * lines and changes only its date, narration, type or references.
  */
 exports.updateTransaction = async (req, res) => {
   try {
     const { id } = req.params;
-    const { date, debitLedger, creditLedger, amount, narration, type } = req.body;
+    const {
+      date,
+      debitLedger,
+      creditLedger,
+      amount,
+      narration,
+      type,
+      entries,
+      reference,
+      dueDate,
+      billAllocations,
+      partyLedger,
+      taxLines,
+      placeOfSupply,
+      items,
+      godown,
+      originalVoucher,
+      deductTds = true
+    } = req.body;
 
     const transaction = await Transaction.findOne({ 
       _id: id, 
@@ -229,28 +443,228 @@ exports.updateTransaction = async (req, res) => {
       });
     }
 
+    if (transaction.isClosingEntry) {
+      return res.status(400).json({
+        success: false,
+        message: 'Closing entries can only be removed by reopening the financial year'
+      });
+    }
+
+    // Both the current date and a new back-dated one must be open
+    const lock = await FinancialYear.findLock([transaction.date, date]);
+    if (lock) return respondLocked(res, 'edit', lock);
+
+    const voucherType = type || transaction.type;
+    let original = null;
+    if (NOTE_ORIGINAL_TYPES[voucherType]) {
+      const { original: found, error: originalError } = await findOriginalVoucher(
+        voucherType,
+        originalVoucher || transaction.originalVoucher
+      );
+
+      if (originalError) {
+        return res.status(originalError.status).json({
+          success: false,
+          message: originalError.message
+        });
+      }
+
+      original = found;
+    }
+    const supplyPlace = placeOfSupply || original?.gst?.placeOfSupply;
+
+    const sendsPair = [debitLedger, creditLedger, amount].some(value => value !== undefined);
+
+    if (items) {
+      const { voucher: invoice, error: itemError } = await planItemInvoice(
+        { type: voucherType, debitLedger, creditLedger, items, godown, placeOfSupply: supplyPlace },
+        req.user.id
+      );
+
+      if (itemError) {
+        return res.status(itemError.status).json({
+          success: false,
+          message: itemError.message
+        });
+      }
+
+      Object.assign(transaction, { entries: undefined, gst: undefined, tds: undefined }, invoice);
+    } else if (taxLines) {
+      const { entries: invoiceEntries, gst, error: taxError } = await planTaxInvoice(
+        { type: voucherType, partyLedger, taxLines, placeOfSupply: supplyPlace },
+        req.user.id
+      );
+
+      if (taxError) {
+        return res.status(taxError.status).json({
+          success: false,
+          message: taxError.message
+        });
+      }
+
+      transaction.entries = invoiceEntries;
+      transaction.gst = gst;
+      transaction.tds = undefined;
+      transaction.items = undefined;
+    } else if (entries) {
+      // Validate every line's ledger exists
+      const missingLedger = await findMissingLedger(entries.map(entry => entry.ledger));
+
+      if (missingLedger) {
+        return res.status(404).json({
+          success: false,
+          message: `Ledger ${missingLedger} not found`
+        });
+      }
+
+      // Replace the lines; the pair is cleared when the voucher validates.
+      // Lines entered by hand no longer follow the tax invoice or items.
+      transaction.entries = entries;
+      transaction.gst = undefined;
+      transaction.tds = undefined;
+      transaction.items = undefined;
+    } else if (sendsPair) {
+      // A pair voucher, or a compound or item voucher being turned into a
+      // pair. One edited without any lines keeps its lines, items and TDS
+      // as they were saved, so TDS is only planned again here.
+      // Validate ledgers exist
+      const [debitLedgerDoc, creditLedgerDoc] = await Promise.all([
+        Ledger.findById(debitLedger || transaction.debitLedger),
+        Ledger.findById(creditLedger || transaction.creditLedger)
+      ]);
+
+      if (!debitLedgerDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Debit ledger not found'
+        });
+      }
+
+      if (!creditLedgerDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Credit ledger not found'
+        });
+      }
+
+      const { entries: tdsEntries, tds, error: tdsError } = voucherType === 'payment' && deductTds
+        ? await planTdsPayment({
+          party: debitLedgerDoc,
+          bankLedger: creditLedgerDoc._id,
+          amount: amount || transaction.amount,
+          date: date || transaction.date,
+          transactionId: transaction._id
+        }, req.user.id)
+        : {};
+
+      if (tdsError) {
+        return res.status(tdsError.status).json({
+          success: false,
+          message: tdsError.message
+        });
+      }
+
+      // Editing as a single pair turns a compound voucher back into one,
+      // unless TDS splits the payment again
+      transaction.entries = tds ? tdsEntries : undefined;
+      transaction.gst = undefined;
+      transaction.tds = tds;
+      transaction.items = undefined;
+      if (debitLedger) transaction.debitLedger = debitLedger;
+      if (creditLedger) transaction.creditLedger = creditLedger;
+      if (amount) transaction.amount = amount;
+    }
+
     // Update fields
     if (date) transaction.date = date;
-    if (debitLedger) transaction.debitLedger = debitLedger;
-    if (creditLedger) transaction.creditLedger = creditLedger;
-    if (amount) transaction.amount = amount;
     if (narration) transaction.narration = narration;
     if (type) transaction.type = type;
+    if (reference !== undefined) transaction.reference = reference;
+    if (dueDate !== undefined) transaction.dueDate = dueDate || null;
+    transaction.originalVoucher = original ? original._id : null;
+
+    // A note must still fit its invoice, and an invoice the notes against
+    // it. An edit that leaves the lines, type and invoice alone changes
+    // neither, so a header-only edit is not checked again.
+    const linesChanged = Boolean(items || taxLines || entries || sendsPair);
+    if (linesChanged || type || originalVoucher) {
+      const { error: noteError } = original
+        ? await checkNote(transaction, original, { transactionId: transaction._id })
+        : await checkNotedInvoice(transaction);
+
+      if (noteError) {
+        return res.status(noteError.status).json({
+          success: false,
+          message: noteError.message
+        });
+      }
+    }
+
+    // A bank taken off the voucher no longer has anything to clear
+    if (transaction.bankClearances) {
+      const posted = new Set(postingLines(transaction).map(line => String(line.ledger)));
+      transaction.bankClearances = transaction.bankClearances.filter(item => posted.has(String(item.ledger)));
+    }
 
-    await transaction.save();
+    // Without new allocations, parties whose posting is unchanged keep theirs
+    const { allocations, error: billError } = await planBillAllocations(
+      transaction,
+      billAllocations || await reusableAllocations(transaction),
+      { transactionId: transaction._id }
+    );
+
+    if (billError) {
+      return res.status(billError.status).json({
+        success: false,
+        message: billError.message
+      });
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+      // Re-read the stored voucher inside the session so a retried
+      // transaction reverses exactly what is currently posted
+      const previous = await Transaction.findById(transaction._id)
+        .session(session)
+        .lean();
+
+      // A new type or a date in another financial year moves the voucher
+      // to another series, so it is numbered again when it is saved.
+      // Checked against the stored voucher, as a retry must draw afresh.
+      if (previous.voucherSeries && (type || date)) {
+        const series = await VoucherSeries.forType(transaction.type, { session });
+        if (series.counterKey(transaction.date) !== previous.voucherSeries) {
+          transaction.voucherNumber = undefined;
+          transaction.voucherSeries = undefined;
+          transaction.voucherSeq = undefined;
+        }
+      }
 
-    // Log the action
-    await AuditLog.create({
-      action: 'UPDATE_TRANSACTION',
-      userId: req.user.id,
-      userRole: req.user.role,
-      targetId: transaction._id,
-      targetModel: 'Transaction'
+      await transaction.save({ session });
+
+      // Reverse the old posting and stock movement and apply the edited ones
+      await reversePosting(previous, { session });
+      await applyPosting(transaction, { session });
+      await reverseStock(previous, { session });
+      await applyStock(transaction, { session });
+      await saveBillAllocations(transaction, allocations, { session });
+
+      // Log the action
+      await AuditLog.create([{
+        action: 'UPDATE_TRANSACTION',
+        userId: req.user.id,
+        userRole: req.user.role,
+        targetId: transaction._id,
+        targetModel: 'Transaction',
+        ...(previous.voucherNumber !== transaction.voucherNumber && {
+          details: { renumbered: { from: previous.voucherNumber, to: transaction.voucherNumber } }
+        })
+      }], { session });
     });
 
     const populatedTransaction = await Transaction.findById(transaction._id)
       .populate('debitLedger', 'name type')
       .populate('creditLedger', 'name type')
+      .populate('entries.ledger', 'name type')
       .populate('createdBy', 'name email');
 
     res.status(200).json({
@@ -296,19 +710,57 @@ exports.deleteTransaction = async (req, res) => {
       });
     }
 
-    // Soft delete
-    transaction.isDeleted = true;
-    transaction.deletedAt = new Date();
-    transaction.deletedBy = req.user.id;
-    await transaction.save();
-
-    // Log the action
-    await AuditLog.create({
-      action: 'DELETE_TRANSACTION',
-      userId: req.user.id,
-      userRole: req.user.role,
-      targetId: transaction._id,
-      targetModel: 'Transaction'
+    if (transaction.isClosingEntry) {
+      return res.status(400).json({
+        success: false,
+        message: 'Closing entries can only be removed by reopening the financial year'
+      });
+    }
+
+    const lock = await FinancialYear.findLock([transaction.date]);
+    if (lock) return respondLocked(res, 'delete', lock);
+
+    // Bills this voucher opened must not be left with settlements against nothing
+    const [settled] = await settledBills(transaction._id);
+    if (settled) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete voucher. Bill ${settled.reference} has ${settled.settled} settled against it.`
+      });
+    }
+
+    // Nor may credit or debit notes be left reversing an invoice that is gone
+    const notes = await notesAgainst(transaction._id);
+    if (notes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete voucher. ${notes.length} credit/debit note(s) are raised against it.`
+      });
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+      // Soft delete, guarded so a concurrent delete cannot reverse twice
+      const deleted = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, isDeleted: false },
+        { isDeleted: true, deletedAt: new Date(), deletedBy: req.user.id },
+        { session }
+      );
+
+      if (!deleted) return;
+
+      // Deleted vouchers no longer count towards ledger balances, stock or bills
+      await reversePosting(deleted, { session });
+      await reverseStock(deleted, { session });
+      await BillAllocation.deleteMany({ transaction: deleted._id }, { session });
+
+      // Log the action
+      await AuditLog.create([{
+        action: 'DELETE_TRANSACTION',
+        userId: req.user.id,
+        userRole: req.user.role,
+        targetId: transaction._id,
+        targetModel: 'Transaction'
+      }], { session });
     });
 
     res.status(200).json({
@@ -337,11 +789,8 @@ exports.getTransactionStats = async (req, res) => {
       dateFilter.createdBy = req.user.id;
     }
     
-    if (startDate || endDate) {
-      dateFilter.date = {};
-      if (startDate) dateFilter.date.$gte = new Date(startDate);
-      if (endDate) dateFilter.date.$lte = new Date(endDate);
-    }
+    const dateRange = buildDateFilter(startDate, endDate);
+    if (dateRange) dateFilter.date = dateRange;
 
     // Get statistics
     const stats = await Transaction.aggregate([
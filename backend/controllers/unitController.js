@@ -0,0 +1,285 @@
+/**
+ * Unit Controller
+ *
+ * Handles simple and compound units of measure
+ */
+
+const Unit = require('../models/Unit');
+const StockItem = require('../models/StockItem');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Simple unit a compound unit is built on
+ * @param {string} baseUnitId
+ * @param {ObjectId} [selfId] - Unit being edited, which cannot be its own base
+ * @returns {Promise<{baseUnit?: Object, error?: {status: number, message: string}}>}
+ */
+const findBaseUnit = async (baseUnitId, selfId) => {
+  if (selfId && String(baseUnitId) === String(selfId)) {
+    return { error: { status: 400, message: 'A unit cannot be built on itself' } };
+  }
+
+  const baseUnit = await Unit.findOne({ _id: baseUnitId, isActive: true });
+
+  if (!baseUnit) {
+    return { error: { status: 404, message: 'Base unit not found' } };
+  }
+
+  if (baseUnit.baseUnit) {
+    return { error: { status: 400, message: 'A compound unit must be built on a simple unit' } };
+  }
+
+  return { baseUnit };
+};
+
+/**
+ * Get all units
+ * GET /api/units
+ */
+exports.getAllUnits = async (req, res) => {
+  try {
+    const units = await Unit.find({ isActive: true })
+      .populate('baseUnit', 'symbol')
+      .sort({ symbol: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: units.length,
+      data: { units }
+    });
+  } catch (error) {
+    console.error('Get units error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching units'
+    });
+  }
+};
+
+/**
+ * Create unit
+ * POST /api/units
+ * With a baseUnit and conversion the unit is compound, e.g. Box of 12 Nos
+ */
+exports.createUnit = async (req, res) => {
+  try {
+    const { symbol, formalName, decimalPlaces = 0, baseUnit, conversion } = req.body;
+
+    const existingUnit = await Unit.findOne({
+      symbol: { $regex: new RegExp(`^${symbol}$`, 'i') },
+      isActive: true
+    });
+
+    if (existingUnit) {
+      return res.status(409).json({
+        success: false,
+        message: 'Unit with this symbol already exists'
+      });
+    }
+
+    if (baseUnit) {
+      const { error } = await findBaseUnit(baseUnit);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    const unit = await Unit.create({
+      symbol,
+      formalName,
+      decimalPlaces,
+      baseUnit: baseUnit || null,
+      conversion: baseUnit ? conversion : null,
+      createdBy: req.user.id
+    });
+
+    await AuditLog.create({
+      action: 'CREATE_UNIT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: unit._id,
+      targetModel: 'Unit',
+      details: { symbol, baseUnit: baseUnit || null, conversion: unit.conversion }
+    });
+
+    const populatedUnit = await Unit.findById(unit._id).populate('baseUnit', 'symbol');
+
+    res.status(201).json({
+      success: true,
+      message: 'Unit created successfully',
+      data: { unit: populatedUnit }
+    });
+  } catch (error) {
+    console.error('Create unit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating unit'
+    });
+  }
+};
+
+/**
+ * Update unit
+ * PUT /api/units/:id
+ * A unit stock items are kept in, or that compound units are built on,
+ * cannot itself become compound
+ */
+exports.updateUnit = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { symbol, formalName, decimalPlaces, baseUnit, conversion } = req.body;
+
+    const unit = await Unit.findById(id);
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unit not found'
+      });
+    }
+
+    if (symbol && symbol !== unit.symbol) {
+      const existingUnit = await Unit.findOne({
+        _id: { $ne: unit._id },
+        symbol: { $regex: new RegExp(`^${symbol}$`, 'i') },
+        isActive: true
+      });
+
+      if (existingUnit) {
+        return res.status(409).json({
+          success: false,
+          message: 'Unit with this symbol already exists'
+        });
+      }
+
+      unit.symbol = symbol;
+    }
+
+    if (formalName !== undefined) unit.formalName = formalName;
+    if (decimalPlaces !== undefined) unit.decimalPlaces = decimalPlaces;
+
+    if (baseUnit !== undefined && String(baseUnit || null) !== String(unit.baseUnit)) {
+      if (baseUnit) {
+        const [itemCount, compoundCount] = await Promise.all([
+          StockItem.countDocuments({ unit: unit._id, isActive: true }),
+          Unit.countDocuments({ baseUnit: unit._id, isActive: true })
+        ]);
+
+        if (itemCount > 0 || compoundCount > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Cannot make ${unit.symbol} compound. It is used by ${itemCount} stock item(s) and ${compoundCount} compound unit(s).`
+          });
+        }
+
+        const { error } = await findBaseUnit(baseUnit, unit._id);
+
+        if (error) {
+          return res.status(error.status).json({
+            success: false,
+            message: error.message
+          });
+        }
+      }
+
+      unit.baseUnit = baseUnit || null;
+    }
+
+    if (!unit.baseUnit) {
+      unit.conversion = null;
+    } else if (conversion !== undefined) {
+      unit.conversion = conversion;
+    }
+
+    if (unit.baseUnit && !unit.conversion) {
+      return res.status(400).json({
+        success: false,
+        message: 'A compound unit needs a conversion'
+      });
+    }
+
+    await unit.save();
+
+    await AuditLog.create({
+      action: 'UPDATE_UNIT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: unit._id,
+      targetModel: 'Unit',
+      details: { updates: { symbol, decimalPlaces, baseUnit, conversion } }
+    });
+
+    const populatedUnit = await Unit.findById(unit._id).populate('baseUnit', 'symbol');
+
+    res.status(200).json({
+      success: true,
+      message: 'Unit updated successfully',
+      data: { unit: populatedUnit }
+    });
+  } catch (error) {
+    console.error('Update unit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating unit'
+    });
+  }
+};
+
+/**
+ * Delete unit (soft delete - deactivate)
+ * DELETE /api/units/:id
+ * Only Master Admin can delete units; units still in use are kept
+ */
+exports.deleteUnit = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const unit = await Unit.findById(id);
+
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unit not found'
+      });
+    }
+
+    const [itemCount, compoundCount] = await Promise.all([
+      StockItem.countDocuments({ unit: unit._id, isActive: true }),
+      Unit.countDocuments({ baseUnit: unit._id, isActive: true })
+    ]);
+
+    if (itemCount > 0 || compoundCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete unit. It is used by ${itemCount} stock item(s) and ${compoundCount} compound unit(s).`
+      });
+    }
+
+    unit.isActive = false;
+    await unit.save();
+
+    await AuditLog.create({
+      action: 'DELETE_UNIT',
+      userId: req.user.id,
+      userRole: req.user.role,
+      targetId: unit._id,
+      targetModel: 'Unit',
+      details: { symbol: unit.symbol }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Unit deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete unit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting unit'
+    });
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * Voucher Series Controller
+ *
+ * Manages voucher numbering settings per voucher type (Master Admin only)
+ */
+
+const VoucherSeries = require('../models/VoucherSeries');
+const Counter = require('../models/Counter');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Effective settings for a series with a preview of the next number
+ */
+const describeSeries = async (series) => {
+  const now = new Date();
+  const counter = await Counter.findById(series.counterKey(now));
+  const lastSeq = counter ? counter.seq : 0;
+
+  return {
+    type: series.type,
+    prefix: series.prefix,
+    padding: series.padding,
+    resetEachYear: series.resetEachYear,
+    isDefault: series.isNew,
+    lastNumber: lastSeq,
+    nextVoucherNumber: series.format(lastSeq + 1, now),
+    updatedAt: series.updatedAt || null
+  };
+};
+
+/**
+ * Get numbering series for every voucher type
+ * GET /api/admin/voucher-series
+ * Master Admin only
+ */
+exports.getVoucherSeries = async (req, res) => {
+  try {
+    const series = await Promise.all(
+      VoucherSeries.VOUCHER_TYPES.map(async type => describeSeries(await VoucherSeries.forType(type)))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Get voucher series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching voucher series'
+    });
+  }
+};
+
+/**
+ * Update the numbering series of a voucher type
+ * PUT /api/admin/voucher-series/:type
+ * Master Admin only
+ * New settings apply to vouchers created afterwards; existing voucher
+ * numbers are never renumbered
+ */
+exports.updateVoucherSeries = async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { prefix, padding, resetEachYear } = req.body;
+
+    if (!VoucherSeries.VOUCHER_TYPES.includes(type)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown voucher type'
+      });
+    }
+
+    // Two types sharing a prefix would hand out the same numbers
+    if (prefix) {
+      const others = await Promise.all(
+        VoucherSeries.VOUCHER_TYPES
+          .filter(other => other !== type)
+          .map(other => VoucherSeries.forType(other))
+      );
+      const clash = others.find(other => other.prefix === prefix);
+
+      if (clash) {
+        return res.status(400).json({
+          success: false,
+          message: `Prefix ${prefix} is already used by ${clash.type} vouchers`
+        });
+      }
+    }
+
+    const series = await VoucherSeries.forType(type);
+    const previous = {
+      prefix: series.prefix,
+      padding: series.padding,
+      resetEachYear: series.resetEachYear
+    };
+
+    if (prefix) series.prefix = prefix;
+    if (padding !== undefined) series.padding = padding;
+    if (typeof resetEachYear === 'boolean') series.resetEachYear = resetEachYear;
+    series.updatedBy = req.user.id;
+
+    await series.save();
+
+    await AuditLog.create({
+      action: 'SYSTEM_SETTINGS_CHANGE',
+      userId: req.user.id,
+      userRole: req.user.role,
+      details: {
+        setting: 'voucher-series',
+        type,
+        previous,
+        updates: { prefix, padding, resetEachYear }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Voucher series updated successfully',
+      data: { series: await describeSeries(series) }
+    });
+  } catch (error) {
+    console.error('Update voucher series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating voucher series'
+    });
+  }
+};
@@ -5,6 +5,10 @@
  */
 
 const { body, validationResult } = require('express-validator');
+const { STATEMENT_FORMATS, CSV_DATE_FORMATS } = require('../utils/statementParsers');
+const { isValidGstin, isValidStateCode } = require('../utils/gstin');
+const { isValidHsn } = require('../utils/gstReturns');
+const { isValidPan, isValidTan } = require('../utils/tds');
 
 /**
  * Handle validation errors
@@ -70,6 +74,177 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+// Taxable lines and place of supply of a tax invoice, shared by voucher
+// entry and the GST preview
+const taxLineRules = [
+  body('taxLines.*.ledger')
+    .isMongoId()
+    .withMessage('Invalid taxable line ledger ID'),
+  
+  body('taxLines.*.taxableValue')
+    .isFloat({ min: 0.01 })
+    .withMessage('Taxable value must be greater than 0'),
+  
+  body('taxLines.*.taxRate')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid tax rate ID'),
+  
+  body('taxLines.*.hsnCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom(isValidHsn)
+    .withMessage('HSN/SAC code must be 4, 6 or 8 digits'),
+  
+  body('placeOfSupply')
+    .optional({ values: 'falsy' })
+    .custom(isValidStateCode)
+    .withMessage('Place of supply must be a GST state code')
+];
+
+// Voucher lines, tax and item invoices, and bill allocations; shared by
+// creation and update
+const voucherLineRules = [
+  // Compound vouchers: entry lines that must balance
+  body('entries')
+    .optional()
+    .isArray({ min: 2 })
+    .withMessage('A compound voucher needs at least two entry lines')
+    .custom((entries) => {
+      const totals = { Dr: 0, Cr: 0 };
+      entries.forEach(entry => {
+        if (totals[entry.side] !== undefined) {
+          totals[entry.side] += Math.round(Number(entry.amount) * 100);
+        }
+      });
+      if (!totals.Dr || !totals.Cr) {
+        throw new Error('A compound voucher needs at least one debit and one credit line');
+      }
+      if (totals.Dr !== totals.Cr) {
+        throw new Error('Total debits must equal total credits');
+      }
+      return true;
+    }),
+  
+  body('entries.*.ledger')
+    .isMongoId()
+    .withMessage('Invalid entry ledger ID'),
+  
+  body('entries.*.side')
+    .isIn(['Dr', 'Cr'])
+    .withMessage('Entry side must be Dr or Cr'),
+  
+  body('entries.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Entry amount must be greater than 0'),
+  
+  body('entries.*.narration')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Line narration cannot exceed 500 characters'),
+  
+  // Tax invoices: party plus taxable sales/purchase lines; the entries
+  // and GST are worked out on the server
+  body('taxLines')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('A tax invoice needs at least one taxable line'),
+  
+  body('taxLines')
+    .if(body('taxLines').exists())
+    .custom((taxLines, { req }) => !req.body.entries)
+    .withMessage('Send either entries or taxLines, not both'),
+  
+  body('partyLedger')
+    .if(body('taxLines').exists())
+    .notEmpty()
+    .withMessage('Party ledger is required on a tax invoice')
+    .isMongoId()
+    .withMessage('Invalid party ledger ID'),
+  
+  ...taxLineRules,
+  
+  // Item invoices: stock lines on a debit/credit ledger pair; the amount,
+  // entries and GST are worked out on the server
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('An item invoice needs at least one item line'),
+  
+  body('items')
+    .if(body('items').exists())
+    .custom((items, { req }) => !req.body.entries && !req.body.taxLines)
+    .withMessage('Send items without entries or taxLines'),
+  
+  body('items.*.item')
+    .isMongoId()
+    .withMessage('Invalid stock item ID'),
+  
+  body('items.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than 0'),
+  
+  body('items.*.rate')
+    .isFloat({ min: 0 })
+    .withMessage('Rate cannot be negative'),
+  
+  body('items.*.discount')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount must be between 0 and 100 percent'),
+  
+  body(['items.*.unit', 'items.*.godown', 'items.*.taxRate', 'godown'])
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid unit, godown or tax rate ID'),
+  
+  body('reference')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  
+  body('dueDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Invalid due date format'),
+  
+  body('deductTds')
+    .optional()
+    .isBoolean()
+    .withMessage('deductTds must be true or false'),
+  
+  // Bill-wise split of party ledger postings
+  body('billAllocations')
+    .optional()
+    .isArray()
+    .withMessage('Bill allocations must be an array'),
+  
+  body('billAllocations.*.ledger')
+    .isMongoId()
+    .withMessage('Invalid bill allocation ledger ID'),
+  
+  body('billAllocations.*.refType')
+    .isIn(['new_ref', 'agst_ref', 'on_account'])
+    .withMessage('Reference type must be new_ref, agst_ref or on_account'),
+  
+  body('billAllocations.*.reference')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bill reference cannot exceed 100 characters'),
+  
+  body('billAllocations.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Allocation amount must be greater than 0'),
+  
+  body('billAllocations.*.dueDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Invalid bill due date format')
+];
+
 /**
  * Transaction creation validation rules
  */
@@ -79,19 +254,27 @@ const validateTransaction = [
     .isISO8601()
     .withMessage('Invalid date format'),
   
+  // Single-pair vouchers: one debit ledger, one credit ledger, one amount
   body('debitLedger')
+    .if(body('entries').not().exists())
+    .if(body('taxLines').not().exists())
     .notEmpty()
     .withMessage('Debit ledger is required')
     .isMongoId()
     .withMessage('Invalid debit ledger ID'),
   
   body('creditLedger')
+    .if(body('entries').not().exists())
+    .if(body('taxLines').not().exists())
     .notEmpty()
     .withMessage('Credit ledger is required')
     .isMongoId()
     .withMessage('Invalid credit ledger ID'),
   
   body('amount')
+    .if(body('entries').not().exists())
+    .if(body('taxLines').not().exists())
+    .if(body('items').not().exists())
     .notEmpty()
     .withMessage('Amount is required')
     .isFloat({ min: 0.01 })
@@ -107,9 +290,64 @@ const validateTransaction = [
   body('type')
     .notEmpty()
     .withMessage('Transaction type is required')
-    .isIn(['payment', 'receipt', 'journal', 'contra', 'sales', 'purchase'])
+    .isIn(['payment', 'receipt', 'journal', 'contra', 'sales', 'purchase', 'credit_note', 'debit_note'])
     .withMessage('Invalid transaction type'),
   
+  // Credit and debit notes: the sales or purchase voucher they reverse
+  body('originalVoucher')
+    .if(body('type').isIn(['credit_note', 'debit_note']))
+    .notEmpty()
+    .withMessage('Original voucher is required on a credit or debit note')
+    .isMongoId()
+    .withMessage('Invalid original voucher ID'),
+  
+  ...voucherLineRules,
+  
+  handleValidationErrors
+];
+
+/**
+ * Transaction update validation rules
+ * Everything is optional: a request without entries, taxLines, items or
+ * a debit/credit/amount keeps the voucher's lines and edits the header
+ */
+const validateTransactionUpdate = [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  
+  body(['debitLedger', 'creditLedger'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid debit or credit ledger ID'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  
+  body('narration')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Narration cannot be empty')
+    .isLength({ max: 1000 })
+    .withMessage('Narration cannot exceed 1000 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['payment', 'receipt', 'journal', 'contra', 'sales', 'purchase', 'credit_note', 'debit_note'])
+    .withMessage('Invalid transaction type'),
+  
+  // A note left without one keeps the voucher it was raised against
+  body('originalVoucher')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid original voucher ID'),
+  
+  ...voucherLineRules,
+  
   handleValidationErrors
 ];
 
@@ -130,10 +368,760 @@ const validateLedger = [
     .isIn(['asset', 'liability', 'income', 'expense', 'equity'])
     .withMessage('Invalid ledger type'),
   
+  // Opening balances go through the opening balance screen, which guards
+  // closed years and records why each one changed
   body('balance')
+    .not()
+    .exists()
+    .withMessage('Set opening balances through /api/admin/opening-balances'),
+  
+  body('isDirect')
+    .optional()
+    .isBoolean()
+    .withMessage('isDirect must be true or false'),
+  
+  body('group')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid ledger group ID'),
+  
+  body('maintainBillWise')
     .optional()
+    .isBoolean()
+    .withMessage('maintainBillWise must be true or false'),
+  
+  body('creditDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Credit days must be between 0 and 365'),
+  
+  body('gstin')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('Invalid GSTIN (check the format and check digit)'),
+  
+  body('state')
+    .optional({ values: 'falsy' })
+    .custom(isValidStateCode)
+    .withMessage('State must be a GST state code'),
+  
+  body('state')
+    .optional({ values: 'falsy' })
+    .custom((state, { req }) => !req.body.gstin || String(req.body.gstin).slice(0, 2) === state)
+    .withMessage('State does not match the GSTIN'),
+  
+  body('taxRate')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid tax rate ID'),
+  
+  body('hsnCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom(isValidHsn)
+    .withMessage('HSN/SAC code must be 4, 6 or 8 digits'),
+  
+  body('pan')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidPan)
+    .withMessage('Invalid PAN (expected e.g. AAPFU0939F)'),
+  
+  body('tdsSection')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid TDS section ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Bank reconciliation validation rules
+ */
+const validateReconciliation = [
+  body('entries')
+    .isArray({ min: 1 })
+    .withMessage('At least one entry is required'),
+  
+  body('entries.*.transaction')
+    .isMongoId()
+    .withMessage('Invalid voucher ID'),
+  
+  body('entries.*.clearedDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid clearing date format'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Bank statement CSV column mapping rules, for a mapping at `prefix`
+ * (checked only when sent) or the request body itself when empty
+ */
+const importMappingRules = (prefix) => {
+  const field = (name) => body(prefix ? `${prefix}.${name}` : name)
+    .if((value, { req }) => !prefix || Boolean(req.body[prefix]));
+  const column = (name) => field(name)
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Column name cannot exceed 100 characters');
+
+  return [
+    field('dateColumn')
+      .trim()
+      .notEmpty()
+      .withMessage('Date column is required'),
+    
+    field('delimiter')
+      .optional()
+      .isIn([',', ';', '\t', '|'])
+      .withMessage('Delimiter must be comma, semicolon, tab or pipe'),
+    
+    field('hasHeader')
+      .optional()
+      .isBoolean()
+      .withMessage('hasHeader must be true or false'),
+    
+    field('skipRows')
+      .optional()
+      .isInt({ min: 0, max: 50 })
+      .withMessage('Rows to skip must be between 0 and 50'),
+    
+    field('dateFormat')
+      .optional()
+      .isIn(CSV_DATE_FORMATS)
+      .withMessage('Unsupported date format'),
+    
+    field('decimalSeparator')
+      .optional()
+      .isIn(['.', ','])
+      .withMessage('Decimal separator must be . or ,'),
+    
+    column('descriptionColumn'),
+    column('referenceColumn'),
+    column('amountColumn'),
+    column('withdrawalColumn'),
+    column('depositColumn'),
+    
+    field('amountColumn').custom((value, { req }) => {
+      const mapping = prefix ? req.body[prefix] : req.body;
+      if (!mapping.amountColumn && !(mapping.withdrawalColumn && mapping.depositColumn)) {
+        throw new Error('Map an amount column, or both withdrawal and deposit columns');
+      }
+      return true;
+    })
+  ];
+};
+
+/**
+ * Bank statement import validation rules
+ */
+const validateStatementImport = [
+  body('ledger')
+    .isMongoId()
+    .withMessage('Invalid bank ledger ID'),
+  
+  body('format')
+    .isIn(STATEMENT_FORMATS)
+    .withMessage(`Format must be one of: ${STATEMENT_FORMATS.join(', ')}`),
+  
+  body('fileName')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('File name cannot exceed 255 characters'),
+  
+  body('content')
+    .isString()
+    .notEmpty()
+    .withMessage('Statement file content is required'),
+  
+  body('saveMapping')
+    .optional()
+    .isBoolean()
+    .withMessage('saveMapping must be true or false'),
+  
+  body('mapping')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Invalid column mapping'),
+  
+  ...importMappingRules('mapping'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Bank import profile (saved CSV mapping) validation rules
+ */
+const validateImportProfile = [
+  ...importMappingRules(''),
+  
+  handleValidationErrors
+];
+
+/**
+ * Statement line match/unmatch/ignore validation rules
+ */
+const validateStatementLine = [
+  body('status')
+    .isIn(['matched', 'unmatched', 'ignored'])
+    .withMessage('Status must be matched, unmatched or ignored'),
+  
+  body('transaction')
+    .if(body('status').equals('matched'))
+    .isMongoId()
+    .withMessage('Pick the voucher to match'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Vouchers from statement lines validation rules
+ */
+const validateStatementVouchers = [
+  body('lines')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Pick between 1 and 200 statement lines'),
+  
+  body('lines.*.line')
+    .isMongoId()
+    .withMessage('Invalid statement line ID'),
+  
+  body('lines.*.ledger')
+    .isMongoId()
+    .withMessage('Pick the ledger each line is posted to'),
+  
+  body('lines.*.type')
+    .optional()
+    .isIn(['payment', 'receipt', 'contra'])
+    .withMessage('Voucher type must be payment, receipt or contra'),
+  
+  body('lines.*.narration')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Narration cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Categorisation rule matching rules, shared by saving and testing a rule
+ */
+const ruleMatchingRules = [
+  body('pattern')
+    .trim()
+    .notEmpty()
+    .withMessage('Pattern is required')
+    .isLength({ max: 200 })
+    .withMessage('Pattern cannot exceed 200 characters'),
+  
+  body('type')
+    .isIn(['payment', 'receipt', 'contra'])
+    .withMessage('Voucher type must be payment, receipt or contra'),
+  
+  body('field')
+    .optional()
+    .isIn(['description', 'reference'])
+    .withMessage('Rules match on the description or the reference'),
+  
+  body('operator')
+    .optional()
+    .isIn(['contains', 'starts_with', 'equals', 'regex'])
+    .withMessage('Operator must be contains, starts_with, equals or regex'),
+  
+  body('caseSensitive')
+    .optional()
+    .isBoolean()
+    .withMessage('caseSensitive must be true or false'),
+  
+  body('minAmount')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount cannot be negative'),
+  
+  body('maxAmount')
+    .optional({ values: 'null' })
     .isFloat({ min: 0 })
-    .withMessage('Balance cannot be negative'),
+    .withMessage('Maximum amount cannot be negative'),
+  
+  body('bankLedger')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid bank ledger ID'),
+  
+  body('ledger')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid ledger ID')
+];
+
+/**
+ * Categorisation rule validation rules
+ */
+const validateCategorisationRule = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Rule name is required')
+    .isLength({ max: 100 })
+    .withMessage('Rule name cannot exceed 100 characters'),
+  
+  body('ledger')
+    .notEmpty()
+    .withMessage('Ledger to post to is required'),
+  
+  ...ruleMatchingRules,
+  
+  body('priority')
+    .optional()
+    .isInt({ min: 0, max: 10000 })
+    .withMessage('Priority must be a whole number between 0 and 10000'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Categorisation rule dry-run validation rules
+ */
+const validateRuleTest = [
+  ...ruleMatchingRules,
+  
+  handleValidationErrors
+];
+
+/**
+ * Company GST settings validation rules
+ */
+const validateCompany = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Company name cannot exceed 200 characters'),
+  
+  body('gstin')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('Invalid GSTIN (check the format and check digit)'),
+  
+  body('state')
+    .optional({ values: 'falsy' })
+    .custom(isValidStateCode)
+    .withMessage('State must be a GST state code'),
+  
+  body('tan')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidTan)
+    .withMessage('Invalid TAN (expected e.g. PDES03028F)'),
+  
+  body('dutyLedgers.*')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid duty ledger ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Tax rate validation rules
+ */
+const validateTaxRate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Tax rate name is required')
+    .isLength({ max: 100 })
+    .withMessage('Tax rate name cannot exceed 100 characters'),
+  
+  body('rate')
+    .isIn([0, 5, 12, 18, 28])
+    .withMessage('GST rate must be 0, 5, 12, 18 or 28'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * TDS section validation rules
+ */
+const validateTdsSection = [
+  body('section')
+    .trim()
+    .notEmpty()
+    .withMessage('Section is required')
+    .isLength({ max: 20 })
+    .withMessage('Section cannot exceed 20 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  
+  body('rate')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rate must be between 0 and 100'),
+  
+  body(['individualRate', 'noPanRate'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rates must be between 0 and 100'),
+  
+  body(['singleThreshold', 'annualThreshold'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Thresholds cannot be negative'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * TDS payment preview validation rules
+ */
+const validateTdsPreview = [
+  body('debitLedger')
+    .isMongoId()
+    .withMessage('Invalid party ledger ID'),
+  
+  body('creditLedger')
+    .isMongoId()
+    .withMessage('Invalid bank ledger ID'),
+  
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Tax invoice preview validation rules
+ */
+const validateGstPreview = [
+  body('type')
+    .isIn(['sales', 'purchase'])
+    .withMessage('Type must be sales or purchase'),
+  
+  body('partyLedger')
+    .isMongoId()
+    .withMessage('Invalid party ledger ID'),
+  
+  body('taxLines')
+    .isArray({ min: 1 })
+    .withMessage('A tax invoice needs at least one taxable line'),
+  
+  ...taxLineRules,
+  
+  handleValidationErrors
+];
+
+/**
+ * Opening balance grid validation rules
+ */
+const validateOpeningBalances = [
+  body('balances')
+    .isArray({ min: 1 })
+    .withMessage('At least one opening balance is required'),
+  
+  body('balances.*.ledger')
+    .isMongoId()
+    .withMessage('Invalid ledger ID'),
+  
+  body('balances.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Opening amount cannot be negative'),
+  
+  body('balances.*.side')
+    .isIn(['Dr', 'Cr'])
+    .withMessage('Opening side must be Dr or Cr'),
+  
+  body('postDifferenceToSuspense')
+    .optional()
+    .isBoolean()
+    .withMessage('postDifferenceToSuspense must be true or false'),
+  
+  body('suspenseLedger')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid suspense ledger ID'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Ledger group validation rules
+ */
+const validateLedgerGroup = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Group name is required')
+    .isLength({ max: 100 })
+    .withMessage('Group name cannot exceed 100 characters'),
+  
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent group ID'),
+  
+  body('nature')
+    .optional()
+    .isIn(['asset', 'liability', 'income', 'expense', 'equity'])
+    .withMessage('Invalid group nature'),
+  
+  body('affectsGrossProfit')
+    .optional()
+    .isBoolean()
+    .withMessage('affectsGrossProfit must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Stock item validation rules
+ */
+const validateStockItem = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Stock item name is required')
+    .isLength({ max: 200 })
+    .withMessage('Stock item name cannot exceed 200 characters'),
+  
+  body('unit')
+    .notEmpty()
+    .withMessage('Unit is required')
+    .isMongoId()
+    .withMessage('Invalid unit ID'),
+  
+  body('hsnCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom(isValidHsn)
+    .withMessage('HSN code must be 4, 6 or 8 digits'),
+  
+  body('taxRate')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid tax rate ID'),
+  
+  body('costingMethod')
+    .optional()
+    .isIn(['fifo', 'average', 'last_purchase'])
+    .withMessage('Costing method must be fifo, average or last_purchase'),
+  
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('openingStock')
+    .optional()
+    .isArray()
+    .withMessage('Opening stock must be a list of godowns'),
+  
+  body(['openingStock.*.godown', 'openingStock.*.unit'])
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid godown or unit ID'),
+  
+  body('openingStock.*.quantity')
+    .isFloat({ min: 0 })
+    .withMessage('Opening quantity cannot be negative'),
+  
+  body('openingStock.*.value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Opening value cannot be negative'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Unit validation rules
+ */
+const validateUnit = [
+  body('symbol')
+    .trim()
+    .notEmpty()
+    .withMessage('Unit symbol is required')
+    .isLength({ max: 20 })
+    .withMessage('Unit symbol cannot exceed 20 characters'),
+  
+  body('formalName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Formal name cannot exceed 100 characters'),
+  
+  body('decimalPlaces')
+    .optional()
+    .isInt({ min: 0, max: 4 })
+    .withMessage('Decimal places must be between 0 and 4'),
+  
+  body('baseUnit')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid base unit ID'),
+  
+  body('conversion')
+    .if(body('baseUnit').notEmpty())
+    .isFloat({ gt: 1 })
+    .withMessage('A compound unit must hold more than one of its base unit'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Godown validation rules
+ */
+const validateGodown = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Godown name is required')
+    .isLength({ max: 100 })
+    .withMessage('Godown name cannot exceed 100 characters'),
+  
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Voucher series validation rules
+ */
+const validateVoucherSeries = [
+  body('prefix')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .notEmpty()
+    .withMessage('Prefix cannot be empty')
+    .isLength({ max: 10 })
+    .withMessage('Prefix cannot exceed 10 characters')
+    .matches(/^[A-Z0-9-]+$/)
+    .withMessage('Prefix may only contain letters, digits and hyphens'),
+  
+  body('padding')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Padding must be between 1 and 10'),
+  
+  body('resetEachYear')
+    .optional()
+    .isBoolean()
+    .withMessage('resetEachYear must be true or false'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Financial year validation rules
+ */
+const validateFinancialYear = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 20 })
+    .withMessage('Name cannot exceed 20 characters'),
+  
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Locked period validation rules
+ */
+const validateLockedPeriod = [
+  body('from')
+    .notEmpty()
+    .withMessage('Period start is required')
+    .isISO8601()
+    .withMessage('Invalid period start'),
+  
+  body('to')
+    .notEmpty()
+    .withMessage('Period end is required')
+    .isISO8601()
+    .withMessage('Invalid period end'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Year-end closing validation rules
+ */
+const validateYearClosing = [
+  body('retainedEarningsLedger')
+    .notEmpty()
+    .withMessage('Retained earnings ledger is required')
+    .isMongoId()
+    .withMessage('Invalid retained earnings ledger ID'),
   
   handleValidationErrors
 ];
@@ -142,6 +1130,28 @@ module.exports = {
   validateUserRegistration,
   validateLogin,
   validateTransaction,
+  validateTransactionUpdate,
   validateLedger,
+  validateLedgerGroup,
+  validateOpeningBalances,
+  validateReconciliation,
+  validateStatementImport,
+  validateImportProfile,
+  validateStatementLine,
+  validateStatementVouchers,
+  validateCategorisationRule,
+  validateRuleTest,
+  validateCompany,
+  validateTaxRate,
+  validateGstPreview,
+  validateTdsSection,
+  validateTdsPreview,
+  validateStockItem,
+  validateUnit,
+  validateGodown,
+  validateVoucherSeries,
+  validateFinancialYear,
+  validateLockedPeriod,
+  validateYearClosing,
   handleValidationErrors
 };
@@ -23,9 +23,38 @@ const auditLogSchema = new mongoose.Schema({
         'CREATE_LEDGER',
         'UPDATE_LEDGER',
         'DELETE_LEDGER',
+        'CREATE_LEDGER_GROUP',
+        'UPDATE_LEDGER_GROUP',
+        'DELETE_LEDGER_GROUP',
+        'APPLY_COA_TEMPLATE',
         'CREATE_TRANSACTION',
         'UPDATE_TRANSACTION',
         'DELETE_TRANSACTION',
+        'REBUILD_BALANCES',
+        'RECONCILE_BANK',
+        'IMPORT_BANK_STATEMENT',
+        'CREATE_CATEGORISATION_RULE',
+        'UPDATE_CATEGORISATION_RULE',
+        'DELETE_CATEGORISATION_RULE',
+        'CREATE_TAX_RATE',
+        'UPDATE_TAX_RATE',
+        'CREATE_TDS_SECTION',
+        'UPDATE_TDS_SECTION',
+        'CREATE_STOCK_ITEM',
+        'UPDATE_STOCK_ITEM',
+        'DELETE_STOCK_ITEM',
+        'CREATE_UNIT',
+        'UPDATE_UNIT',
+        'DELETE_UNIT',
+        'CREATE_GODOWN',
+        'UPDATE_GODOWN',
+        'DELETE_GODOWN',
+        'UPDATE_OPENING_BALANCES',
+        'CREATE_FINANCIAL_YEAR',
+        'LOCK_PERIOD',
+        'UNLOCK_PERIOD',
+        'CLOSE_FINANCIAL_YEAR',
+        'REOPEN_FINANCIAL_YEAR',
         'VIEW_REPORT',
         'EXPORT_DATA',
         'SYSTEM_SETTINGS_CHANGE'
@@ -50,7 +79,7 @@ const auditLogSchema = new mongoose.Schema({
   },
   targetModel: {
     type: String,
-    enum: ['User', 'Ledger', 'Transaction', null],
+    enum: ['User', 'Ledger', 'LedgerGroup', 'Transaction', 'FinancialYear', 'CategorisationRule', 'TaxRate', 'TdsSection', 'StockItem', 'Unit', 'Godown', null],
     default: null
   },
   details: {
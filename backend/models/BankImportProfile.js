@@ -0,0 +1,81 @@
+/**
+ * BankImportProfile Model - Mongoose Schema
+ *
+ * Saved CSV column mapping for a bank ledger, so each bank's statement
+ * download can be imported again without mapping its columns by hand.
+ * Columns are header names, or 1-based positions when the file has no
+ * header row.
+ */
+
+const mongoose = require('mongoose');
+const { CSV_DATE_FORMATS } = require('../utils/statementParsers');
+
+const column = {
+  type: String,
+  trim: true,
+  maxlength: [100, 'Column name cannot exceed 100 characters'],
+  default: null
+};
+
+const bankImportProfileSchema = new mongoose.Schema({
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: [true, 'Bank ledger is required'],
+    unique: true
+  },
+  delimiter: {
+    type: String,
+    enum: {
+      values: [',', ';', '\t', '|'],
+      message: 'Delimiter must be comma, semicolon, tab or pipe'
+    },
+    default: ','
+  },
+  hasHeader: {
+    type: Boolean,
+    default: true
+  },
+  // Lines above the header (bank name, account number, ...)
+  skipRows: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rows to skip cannot be negative']
+  },
+  dateColumn: {
+    ...column,
+    required: [true, 'Date column is required']
+  },
+  dateFormat: {
+    type: String,
+    enum: {
+      values: CSV_DATE_FORMATS,
+      message: 'Unsupported date format'
+    },
+    default: 'YYYY-MM-DD'
+  },
+  decimalSeparator: {
+    type: String,
+    enum: {
+      values: ['.', ','],
+      message: 'Decimal separator must be . or ,'
+    },
+    default: '.'
+  },
+  descriptionColumn: column,
+  referenceColumn: column,
+  // Either one signed amount column (positive = deposit) ...
+  amountColumn: column,
+  // ... or separate withdrawal and deposit columns
+  withdrawalColumn: column,
+  depositColumn: column,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BankImportProfile', bankImportProfileSchema);
@@ -0,0 +1,54 @@
+/**
+ * BankStatementImport Model - Mongoose Schema
+ *
+ * One uploaded bank statement file and what became of its lines
+ */
+
+const mongoose = require('mongoose');
+const { STATEMENT_FORMATS } = require('../utils/statementParsers');
+
+const bankStatementImportSchema = new mongoose.Schema({
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: [true, 'Bank ledger is required']
+  },
+  format: {
+    type: String,
+    required: [true, 'Statement format is required'],
+    enum: {
+      values: STATEMENT_FORMATS,
+      message: 'Unsupported statement format'
+    }
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters'],
+    default: null
+  },
+  lineCount: {
+    type: Number,
+    default: 0
+  },
+  // Lines already staged by an earlier import of an overlapping statement
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  matchedCount: {
+    type: Number,
+    default: 0
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Importer is required']
+  }
+}, {
+  timestamps: true
+});
+
+bankStatementImportSchema.index({ ledger: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BankStatementImport', bankStatementImportSchema);
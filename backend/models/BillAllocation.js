@@ -0,0 +1,72 @@
+/**
+ * BillAllocation Model - Mongoose Schema
+ *
+ * Splits a voucher's posting to a bill-wise party ledger into bill
+ * references: a New Ref opens a bill (e.g. a sales invoice), an Agst Ref
+ * settles part or all of an open bill, and On Account is kept against
+ * the party without any bill
+ */
+
+const mongoose = require('mongoose');
+
+const REF_TYPES = ['new_ref', 'agst_ref', 'on_account'];
+
+const billAllocationSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: [true, 'Voucher is required']
+  },
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: [true, 'Party ledger is required']
+  },
+  // Voucher date, copied so outstanding bills can be read as of a date
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  refType: {
+    type: String,
+    required: [true, 'Reference type is required'],
+    enum: {
+      values: REF_TYPES,
+      message: 'Reference type must be new_ref, agst_ref or on_account'
+    }
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Bill reference cannot exceed 100 characters'],
+    default: null
+  },
+  // Only set on a New Ref
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  // Side of the party ledger's posting on the voucher
+  side: {
+    type: String,
+    required: [true, 'Allocation side is required'],
+    enum: {
+      values: ['Dr', 'Cr'],
+      message: 'Allocation side must be Dr or Cr'
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Allocation amount is required'],
+    min: [0.01, 'Allocation amount must be greater than 0']
+  }
+}, {
+  timestamps: true
+});
+
+billAllocationSchema.index({ ledger: 1, reference: 1 });
+billAllocationSchema.index({ transaction: 1 });
+
+billAllocationSchema.statics.REF_TYPES = REF_TYPES;
+
+module.exports = mongoose.model('BillAllocation', billAllocationSchema);
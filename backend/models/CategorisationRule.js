@@ -0,0 +1,111 @@
+/**
+ * CategorisationRule Model - Mongoose Schema
+ *
+ * User-defined rule that codes an imported bank line: when the line's
+ * narration (or reference) matches, the voucher created from it posts
+ * to `ledger` as a `type` voucher. Rules are tried in ascending
+ * `priority`; the first match wins.
+ */
+
+const mongoose = require('mongoose');
+
+const FIELDS = ['description', 'reference'];
+const OPERATORS = ['contains', 'starts_with', 'equals', 'regex'];
+const VOUCHER_TYPES = ['payment', 'receipt', 'contra'];
+
+const categorisationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  field: {
+    type: String,
+    enum: {
+      values: FIELDS,
+      message: 'Rules match on the description or the reference'
+    },
+    default: 'description'
+  },
+  operator: {
+    type: String,
+    enum: {
+      values: OPERATORS,
+      message: 'Invalid rule operator'
+    },
+    default: 'contains'
+  },
+  pattern: {
+    type: String,
+    required: [true, 'Pattern is required'],
+    trim: true,
+    maxlength: [200, 'Pattern cannot exceed 200 characters']
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Optional bounds on the line amount (ignoring its sign)
+  minAmount: {
+    type: Number,
+    min: [0, 'Minimum amount cannot be negative'],
+    default: null
+  },
+  maxAmount: {
+    type: Number,
+    min: [0, 'Maximum amount cannot be negative'],
+    default: null
+  },
+  // Only lines of this bank; any bank when empty
+  bankLedger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    default: null
+  },
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: [true, 'Ledger to post to is required']
+  },
+  // A payment rule only codes money paid out and a receipt rule only
+  // money paid in; a contra rule codes either
+  type: {
+    type: String,
+    required: [true, 'Voucher type is required'],
+    enum: {
+      values: VOUCHER_TYPES,
+      message: 'Voucher type must be payment, receipt or contra'
+    }
+  },
+  priority: {
+    type: Number,
+    default: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+categorisationRuleSchema.index({ priority: 1, createdAt: 1 });
+
+categorisationRuleSchema.statics.FIELDS = FIELDS;
+categorisationRuleSchema.statics.OPERATORS = OPERATORS;
+categorisationRuleSchema.statics.VOUCHER_TYPES = VOUCHER_TYPES;
+
+/**
+ * Active rules in the order they are tried
+ */
+categorisationRuleSchema.statics.activeRules = function() {
+  return this.find({ isActive: true }).sort({ priority: 1, createdAt: 1 }).lean();
+};
+
+module.exports = mongoose.model('CategorisationRule', categorisationRuleSchema);
@@ -0,0 +1,73 @@
+/**
+ * Company Model - Mongoose Schema
+ *
+ * The business whose books these are: one document holding its GST
+ * and TDS registrations and the duty ledgers tax on vouchers is posted to
+ */
+
+const mongoose = require('mongoose');
+
+const DUTY_LEDGER_KEYS = ['outputCgst', 'outputSgst', 'outputIgst', 'inputCgst', 'inputSgst', 'inputIgst', 'tdsPayable'];
+
+const dutyLedger = {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: 'Ledger',
+  default: null
+};
+
+const companySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Company name cannot exceed 200 characters'],
+    default: ''
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  // GST state code the company is registered in, e.g. '27'
+  state: {
+    type: String,
+    default: null
+  },
+  // Tax deduction account number, quoted on TDS returns
+  tan: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  // Tax collected on sales (output), paid on purchases (input) and
+  // deducted from payments (TDS); any left empty is created under
+  // Duties & Taxes when first needed
+  dutyLedgers: {
+    outputCgst: dutyLedger,
+    outputSgst: dutyLedger,
+    outputIgst: dutyLedger,
+    inputCgst: dutyLedger,
+    inputSgst: dutyLedger,
+    inputIgst: dutyLedger,
+    tdsPayable: dutyLedger
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+companySchema.statics.DUTY_LEDGER_KEYS = DUTY_LEDGER_KEYS;
+
+/**
+ * The company document, created empty on first use
+ */
+companySchema.statics.current = function() {
+  return this.findOneAndUpdate({}, { $setOnInsert: { name: '' } }, { new: true, upsert: true });
+};
+
+module.exports = mongoose.model('Company', companySchema);
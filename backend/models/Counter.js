@@ -0,0 +1,42 @@
+/**
+ * Counter Model - Mongoose Schema
+ *
+ * Named sequence counters, incremented atomically
+ * Used to hand out gap-free voucher numbers per series
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Series key, e.g. 'payment:2026-27'
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Increment a counter and return its new value, creating it at 1.
+ * Run inside the voucher's session so a rolled-back voucher does not
+ * consume a number.
+ * @param {string} key - Counter key
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - MongoDB session
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function(key, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,130 @@
+/**
+ * FinancialYear Model - Mongoose Schema
+ *
+ * Defines the accounting years of the books
+ * A year can be locked as a whole, or only for selected periods,
+ * to stop vouchers dated inside it from being created or changed.
+ * Closing a year also locks it.
+ */
+
+const mongoose = require('mongoose');
+
+const lockedPeriodSchema = new mongoose.Schema({
+  from: {
+    type: Date,
+    required: [true, 'Period start is required']
+  },
+  to: {
+    type: Date,
+    required: [true, 'Period end is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const financialYearSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Financial year name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [20, 'Name cannot exceed 20 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lockedPeriods: {
+    type: [lockedPeriodSchema],
+    default: []
+  },
+  isClosed: {
+    type: Boolean,
+    default: false
+  },
+  // Set while the year is closed; cleared again when it is reopened
+  closing: {
+    closedAt: Date,
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    voucher: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    retainedEarningsLedger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' },
+    nextYear: { type: mongoose.Schema.Types.ObjectId, ref: 'FinancialYear' },
+    // As on the Profit & Loss: the ledger result plus the change in stock
+    netProfit: Number,
+    stockChange: Number,
+    wasLocked: Boolean
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Describe the lock covering a date, or null when the date is open
+ * @param {Date} date - Voucher date
+ * @returns {string|null}
+ */
+financialYearSchema.methods.lockFor = function(date) {
+  if (date < this.startDate || date > this.endDate) return null;
+  if (this.isLocked) return `financial year ${this.name} is locked`;
+
+  const period = this.lockedPeriods.find(p => date >= p.from && date <= p.to);
+  if (!period) return null;
+
+  const range = `${period.from.toISOString().slice(0, 10)} to ${period.to.toISOString().slice(0, 10)}`;
+  return `period ${range} of ${this.name} is locked${period.reason ? ` (${period.reason})` : ''}`;
+};
+
+/**
+ * Find the first lock covering any of the given dates
+ * @param {Date[]} dates - Voucher dates to check
+ * @returns {Promise<{date: Date, reason: string}|null>}
+ */
+financialYearSchema.statics.findLock = async function(dates) {
+  const checked = dates.filter(Boolean).map(date => new Date(date));
+
+  for (const date of checked) {
+    const year = await this.findOne({ startDate: { $lte: date }, endDate: { $gte: date } });
+    const reason = year && year.lockFor(date);
+    if (reason) return { date, reason };
+  }
+
+  return null;
+};
+
+financialYearSchema.index({ startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('FinancialYear', financialYearSchema);
@@ -0,0 +1,63 @@
+/**
+ * Godown Model - Mongoose Schema
+ *
+ * Places stock is kept. Stock entered without a godown goes to the
+ * predefined Main Location.
+ */
+
+const mongoose = require('mongoose');
+
+const MAIN_LOCATION = 'Main Location';
+
+let mainReady = null;
+
+const godownSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Godown name is required'],
+    trim: true,
+    maxlength: [100, 'Godown name cannot exceed 100 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Address cannot exceed 500 characters']
+  },
+  isPredefined: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+godownSchema.index({ name: 1 });
+
+/**
+ * The Main Location godown, created the first time it is asked for.
+ * Runs once per process.
+ */
+godownSchema.statics.main = function() {
+  if (!mainReady) {
+    mainReady = this.findOneAndUpdate(
+      { isPredefined: true },
+      { $setOnInsert: { name: MAIN_LOCATION, isPredefined: true } },
+      { new: true, upsert: true }
+    ).catch(error => {
+      mainReady = null;
+      throw error;
+    });
+  }
+  return mainReady;
+};
+
+module.exports = mongoose.model('Godown', godownSchema);
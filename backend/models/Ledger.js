@@ -7,6 +7,10 @@
 
 const mongoose = require('mongoose');
 
+// Ledger types whose balance normally sits on the debit side.
+// Everything else (liability, income, equity) is credit-natured.
+const DEBIT_NATURE_TYPES = ['asset', 'expense'];
+
 const ledgerSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -22,10 +26,80 @@ const ledgerSchema = new mongoose.Schema({
       message: 'Ledger type must be asset, liability, income, expense, or equity'
     }
   },
+  // Signed balance on the ledger's natural side: positive means the
+  // ledger carries its usual Dr/Cr balance, negative means the opposite
   balance: {
+    type: Number,
+    default: 0
+  },
+  // Balance brought into the books before any voucher, on the same
+  // signed natural-side basis. Rebuilding balances starts from here.
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  // Chart of accounts group; its nature always matches `type`
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerGroup',
+    default: null
+  },
+  // Direct incomes/expenses (sales, purchases, wages, freight) sit above
+  // the gross profit line in the profit & loss statement. Follows the
+  // group's gross-profit treatment whenever a group is assigned.
+  isDirect: {
+    type: Boolean,
+    default: false
+  },
+  // Party ledgers (customers, suppliers) whose vouchers are split into
+  // bill references so outstanding bills can be tracked one by one
+  maintainBillWise: {
+    type: Boolean,
+    default: false
+  },
+  // Days after the bill date a new bill falls due
+  creditDays: {
     type: Number,
     default: 0,
-    min: [0, 'Balance cannot be negative']
+    min: [0, 'Credit days cannot be negative'],
+    max: [365, 'Credit days cannot exceed 365']
+  },
+  // GST registration of a party ledger
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  // GST state code of a party, e.g. '27'; taken from the GSTIN when set
+  state: {
+    type: String,
+    default: null
+  },
+  // Default GST rate for a sales or purchase ledger's tax lines
+  taxRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate',
+    default: null
+  },
+  // Default HSN (goods) or SAC (services) code for its tax lines
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Income-tax PAN of a party; taken from the GSTIN when not set
+  pan: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  // Payments to this party have tax deducted at source under this section
+  tdsSection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TdsSection',
+    default: null
   },
   description: {
     type: String,
@@ -42,7 +116,35 @@ const ledgerSchema = new mongoose.Schema({
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Natural balance side for a ledger type ('Dr' or 'Cr')
+ * @param {string} type - Ledger type
+ */
+ledgerSchema.statics.normalSide = function(type) {
+  return DEBIT_NATURE_TYPES.includes(type) ? 'Dr' : 'Cr';
+};
+
+/**
+ * Effect of a debit or credit on a ledger's signed balance
+ * @param {string} type - Ledger type
+ * @param {string} side - 'Dr' or 'Cr'
+ * @param {number} amount - Posting amount
+ */
+ledgerSchema.statics.signedAmount = function(type, side, amount) {
+  return this.normalSide(type) === side ? amount : -amount;
+};
+
+// Side the current balance sits on, e.g. a bank overdraft shows as 'Cr'
+ledgerSchema.virtual('balanceType').get(function() {
+  if (this.balance === undefined || !this.type) return undefined;
+  const normal = this.constructor.normalSide(this.type);
+  if (this.balance >= 0) return normal;
+  return normal === 'Dr' ? 'Cr' : 'Dr';
 });
 
 // Index for faster queries
@@ -50,5 +152,6 @@ ledgerSchema.index({ name: 1 });
 ledgerSchema.index({ type: 1 });
 ledgerSchema.index({ createdBy: 1 });
 ledgerSchema.index({ isActive: 1 });
+ledgerSchema.index({ group: 1 });
 
 module.exports = mongoose.model('Ledger', ledgerSchema);
@@ -0,0 +1,152 @@
+/**
+ * LedgerGroup Model - Mongoose Schema
+ *
+ * Defines the chart of accounts hierarchy that ledgers are filed under,
+ * e.g. HDFC Bank → Bank Accounts → Current Assets
+ * Primary groups carry the nature (ledger type) that every sub-group
+ * and ledger below them shares
+ */
+
+const mongoose = require('mongoose');
+
+const NATURES = ['asset', 'liability', 'income', 'expense', 'equity'];
+
+// Groups every set of books starts with. Sub-groups take their nature
+// and gross-profit treatment from their parent.
+const PREDEFINED_GROUPS = [
+  { name: 'Capital Account', nature: 'equity' },
+  { name: 'Reserves & Surplus', parent: 'Capital Account' },
+  { name: 'Loans (Liability)', nature: 'liability' },
+  { name: 'Bank OD A/c', parent: 'Loans (Liability)' },
+  { name: 'Secured Loans', parent: 'Loans (Liability)' },
+  { name: 'Unsecured Loans', parent: 'Loans (Liability)' },
+  { name: 'Current Liabilities', nature: 'liability' },
+  { name: 'Duties & Taxes', parent: 'Current Liabilities' },
+  { name: 'Provisions', parent: 'Current Liabilities' },
+  { name: 'Sundry Creditors', parent: 'Current Liabilities' },
+  { name: 'Suspense A/c', nature: 'liability' },
+  { name: 'Fixed Assets', nature: 'asset' },
+  { name: 'Investments', nature: 'asset' },
+  { name: 'Current Assets', nature: 'asset' },
+  { name: 'Bank Accounts', parent: 'Current Assets' },
+  { name: 'Cash-in-Hand', parent: 'Current Assets' },
+  { name: 'Deposits (Asset)', parent: 'Current Assets' },
+  { name: 'Loans & Advances (Asset)', parent: 'Current Assets' },
+  { name: 'Stock-in-Hand', parent: 'Current Assets' },
+  { name: 'Sundry Debtors', parent: 'Current Assets' },
+  { name: 'Sales Accounts', nature: 'income', affectsGrossProfit: true },
+  { name: 'Direct Incomes', nature: 'income', affectsGrossProfit: true },
+  { name: 'Indirect Incomes', nature: 'income' },
+  { name: 'Purchase Accounts', nature: 'expense', affectsGrossProfit: true },
+  { name: 'Direct Expenses', nature: 'expense', affectsGrossProfit: true },
+  { name: 'Indirect Expenses', nature: 'expense' }
+];
+
+const ledgerGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerGroup',
+    default: null
+  },
+  nature: {
+    type: String,
+    required: [true, 'Group nature is required'],
+    enum: {
+      values: NATURES,
+      message: 'Invalid group nature'
+    }
+  },
+  // Direct income/expense groups count towards gross profit
+  affectsGrossProfit: {
+    type: Boolean,
+    default: false
+  },
+  isPredefined: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ledgerGroupSchema.index({ parent: 1 });
+
+let predefinedReady = null;
+
+/**
+ * Create any missing predefined groups. Runs once per process; existing
+ * groups are left untouched.
+ */
+ledgerGroupSchema.statics.ensurePredefined = function() {
+  if (!predefinedReady) {
+    predefinedReady = (async () => {
+      const created = new Map();
+
+      // Parents are listed before their children
+      for (const definition of PREDEFINED_GROUPS) {
+        const parent = definition.parent ? created.get(definition.parent) : null;
+
+        const group = await this.findOneAndUpdate(
+          { name: definition.name },
+          {
+            $setOnInsert: {
+              name: definition.name,
+              parent: parent ? parent._id : null,
+              nature: parent ? parent.nature : definition.nature,
+              affectsGrossProfit: parent ? parent.affectsGrossProfit : Boolean(definition.affectsGrossProfit),
+              isPredefined: true
+            }
+          },
+          { new: true, upsert: true }
+        );
+        created.set(definition.name, group);
+      }
+    })().catch(error => {
+      predefinedReady = null;
+      throw error;
+    });
+  }
+  return predefinedReady;
+};
+
+/**
+ * Name of the predefined group a ledger of this type is filed under
+ * when it has no group of its own
+ * @param {string} type - Ledger type
+ * @param {boolean} isDirect - Whether the ledger counts towards gross profit
+ */
+ledgerGroupSchema.statics.defaultNameFor = function(type, isDirect = false) {
+  switch (type) {
+    case 'asset': return 'Current Assets';
+    case 'liability': return 'Current Liabilities';
+    case 'equity': return 'Capital Account';
+    case 'income': return isDirect ? 'Direct Incomes' : 'Indirect Incomes';
+    default: return isDirect ? 'Direct Expenses' : 'Indirect Expenses';
+  }
+};
+
+/**
+ * Default group document for a ledger type
+ * @param {string} type - Ledger type
+ * @param {boolean} isDirect - Whether the ledger counts towards gross profit
+ */
+ledgerGroupSchema.statics.defaultFor = async function(type, isDirect = false) {
+  await this.ensurePredefined();
+  return this.findOne({ name: this.defaultNameFor(type, isDirect) });
+};
+
+ledgerGroupSchema.statics.NATURES = NATURES;
+
+module.exports = mongoose.model('LedgerGroup', ledgerGroupSchema);
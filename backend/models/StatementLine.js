@@ -0,0 +1,83 @@
+/**
+ * StatementLine Model - Mongoose Schema
+ *
+ * A bank statement line staged for matching. A line is matched to the
+ * voucher that records it (found automatically, picked by hand, or
+ * created from the line) or ignored (e.g. a line the books will never
+ * carry on its own).
+ */
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['unmatched', 'matched', 'ignored'];
+
+const statementLineSchema = new mongoose.Schema({
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: [true, 'Bank ledger is required']
+  },
+  statementImport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatementImport',
+    required: [true, 'Import is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  // Positive for money paid into the account, negative for money paid out
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // The bank's own id for the line, where the format has one
+  bankId: {
+    type: String,
+    default: null
+  },
+  // Identifies the line across imports of overlapping statements
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: STATUSES,
+      message: 'Invalid statement line status'
+    },
+    default: 'unmatched'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  // How the voucher was found: auto, manual or created
+  matchType: {
+    type: String,
+    enum: ['auto', 'manual', 'created', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+statementLineSchema.index({ ledger: 1, fingerprint: 1 }, { unique: true });
+statementLineSchema.index({ ledger: 1, status: 1, date: 1 });
+statementLineSchema.index({ transaction: 1 });
+
+statementLineSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('StatementLine', statementLineSchema);
@@ -0,0 +1,43 @@
+/**
+ * StockBalance Model - Mongoose Schema
+ *
+ * Quantity of one stock item in one godown, in the item's unit. Like a
+ * ledger balance, `quantity` is the opening stock plus every movement
+ * since, so it can always be rebuilt from the opening figures.
+ */
+
+const mongoose = require('mongoose');
+
+const stockBalanceSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockItem',
+    required: [true, 'Stock item is required']
+  },
+  godown: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Godown',
+    required: [true, 'Godown is required']
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  // Stock brought into the books before any voucher, and its value
+  openingQuantity: {
+    type: Number,
+    default: 0
+  },
+  openingValue: {
+    type: Number,
+    min: [0, 'Opening value cannot be negative'],
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+stockBalanceSchema.index({ item: 1, godown: 1 }, { unique: true });
+stockBalanceSchema.index({ godown: 1 });
+
+module.exports = mongoose.model('StockBalance', stockBalanceSchema);
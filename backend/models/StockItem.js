@@ -0,0 +1,67 @@
+/**
+ * StockItem Model - Mongoose Schema
+ *
+ * Goods bought, sold and held in stock. Quantities are kept in the
+ * item's simple unit; how much sits in each godown is in StockBalance.
+ */
+
+const mongoose = require('mongoose');
+
+const COSTING_METHODS = ['fifo', 'average', 'last_purchase'];
+
+const stockItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Stock item name is required'],
+    trim: true,
+    maxlength: [200, 'Stock item name cannot exceed 200 characters']
+  },
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Unit',
+    required: [true, 'Unit is required']
+  },
+  // GST defaults for invoice lines of this item
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  taxRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate',
+    default: null
+  },
+  // How closing stock and the cost of goods going out are valued
+  costingMethod: {
+    type: String,
+    enum: {
+      values: COSTING_METHODS,
+      message: `Costing method must be one of ${COSTING_METHODS.join(', ')}`
+    },
+    default: 'average'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+stockItemSchema.statics.COSTING_METHODS = COSTING_METHODS;
+
+stockItemSchema.index({ name: 1 });
+stockItemSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('StockItem', stockItemSchema);
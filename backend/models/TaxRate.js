@@ -0,0 +1,82 @@
+/**
+ * TaxRate Model - Mongoose Schema
+ *
+ * GST rate master. Within a state the rate is split equally into CGST
+ * and SGST; between states the whole rate is charged as IGST.
+ */
+
+const mongoose = require('mongoose');
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+let standardReady = null;
+
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rate name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Tax rate name cannot exceed 100 characters']
+  },
+  // Total GST rate in percent
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    enum: {
+      values: GST_RATES,
+      message: `GST rate must be one of ${GST_RATES.join(', ')}`
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+taxRateSchema.virtual('cgstRate').get(function() {
+  return this.rate / 2;
+});
+
+taxRateSchema.virtual('sgstRate').get(function() {
+  return this.rate / 2;
+});
+
+taxRateSchema.virtual('igstRate').get(function() {
+  return this.rate;
+});
+
+taxRateSchema.statics.GST_RATES = GST_RATES;
+
+/**
+ * Create the standard "GST n%" rates when no rate exists yet. Runs once
+ * per process.
+ */
+taxRateSchema.statics.ensureStandard = function() {
+  if (!standardReady) {
+    standardReady = (async () => {
+      if (await this.exists({})) return;
+      await this.insertMany(GST_RATES.map(rate => ({ name: `GST ${rate}%`, rate })));
+    })().catch(error => {
+      standardReady = null;
+      throw error;
+    });
+  }
+  return standardReady;
+};
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
@@ -0,0 +1,99 @@
+/**
+ * TdsSection Model - Mongoose Schema
+ *
+ * Income-tax section under which tax is deducted at source from
+ * payments, e.g. 194C for contractors, with its rates and the
+ * thresholds below which nothing is deducted
+ */
+
+const mongoose = require('mongoose');
+
+// Sections created when none exists yet (rates and thresholds for FY 2025-26)
+const STANDARD_SECTIONS = [
+  { section: '194C', description: 'Payment to contractors', rate: 2, individualRate: 1, singleThreshold: 30000, annualThreshold: 100000 },
+  { section: '194H', description: 'Commission or brokerage', rate: 2, annualThreshold: 20000 },
+  { section: '194I', description: 'Rent of land, building or furniture', rate: 10, annualThreshold: 600000 },
+  { section: '194J', description: 'Fees for professional or technical services', rate: 10, annualThreshold: 50000 }
+];
+
+let standardReady = null;
+
+const tdsSectionSchema = new mongoose.Schema({
+  section: {
+    type: String,
+    required: [true, 'Section is required'],
+    trim: true,
+    uppercase: true,
+    unique: true,
+    maxlength: [20, 'Section cannot exceed 20 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Rate in percent for companies, firms and other deductees
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100']
+  },
+  // Rate for individuals and HUFs; the general rate when not set
+  individualRate: {
+    type: Number,
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100'],
+    default: null
+  },
+  // Rate when the deductee has not furnished a PAN (section 206AA)
+  noPanRate: {
+    type: Number,
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100'],
+    default: 20
+  },
+  // A single payment above this is always taxed (0 = no single limit)
+  singleThreshold: {
+    type: Number,
+    min: [0, 'Threshold cannot be negative'],
+    default: 0
+  },
+  // Once a party's payments in the financial year exceed this, all of
+  // them are taxed (0 = no annual limit)
+  annualThreshold: {
+    type: Number,
+    min: [0, 'Threshold cannot be negative'],
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Create the common sections when no section exists yet. Runs once per
+ * process.
+ */
+tdsSectionSchema.statics.ensureStandard = function() {
+  if (!standardReady) {
+    standardReady = (async () => {
+      if (await this.exists({})) return;
+      await this.insertMany(STANDARD_SECTIONS);
+    })().catch(error => {
+      standardReady = null;
+      throw error;
+    });
+  }
+  return standardReady;
+};
+
+module.exports = mongoose.model('TdsSection', tdsSectionSchema);
@@ -2,10 +2,180 @@
  * Transaction Model - Mongoose Schema
  * 
  * Defines the transaction/voucher schema
- * Tracks all financial transactions with debit and credit ledgers
+ * Tracks all financial transactions with debit and credit ledgers,
+ * either as a single Dr/Cr pair or as compound entry lines
  */
 
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const VoucherSeries = require('./VoucherSeries');
+
+// One line of a compound (multi-line) voucher
+const entryLineSchema = new mongoose.Schema({
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: [true, 'Entry ledger is required']
+  },
+  side: {
+    type: String,
+    required: [true, 'Entry side is required'],
+    enum: {
+      values: ['Dr', 'Cr'],
+      message: 'Entry side must be Dr or Cr'
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Entry amount is required'],
+    min: [0.01, 'Entry amount must be greater than 0']
+  },
+  narration: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Line narration cannot exceed 500 characters']
+  }
+});
+
+// Date a bank ledger's posting on this voucher appeared in the bank
+// statement; a contra between two banks clears once for each
+const bankClearanceSchema = new mongoose.Schema({
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: [true, 'Bank ledger is required']
+  },
+  clearedDate: {
+    type: Date,
+    required: [true, 'Clearing date is required']
+  },
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+// Taxable value and GST of one sales/purchase ledger on a tax invoice
+const gstLineSchema = new mongoose.Schema({
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  taxRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate',
+    required: true
+  },
+  rate: { type: Number, required: true },
+  hsnCode: { type: String, default: null },
+  taxableValue: { type: Number, required: true },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 }
+}, { _id: false });
+
+// GST details of a sales or purchase tax invoice; the voucher's entries
+// carry the same amounts posted to the party, income/expense and duty
+// ledgers
+const gstSchema = new mongoose.Schema({
+  partyLedger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  partyGstin: { type: String, default: null },
+  // State code of the place of supply
+  placeOfSupply: { type: String, required: true },
+  // intra: CGST + SGST, inter: IGST
+  supplyType: {
+    type: String,
+    enum: ['intra', 'inter'],
+    required: true
+  },
+  lines: [gstLineSchema],
+  taxableValue: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  invoiceValue: { type: Number, default: 0 }
+}, { _id: false });
+
+// One stock item line of an item invoice. `quantity` is in the item's
+// own unit and is what moves in the godown; the billed quantity and
+// rate are in the unit the line was entered in.
+const itemLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockItem',
+    required: true
+  },
+  godown: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Godown',
+    required: true
+  },
+  quantity: { type: Number, required: true },
+  billedQuantity: { type: Number, required: true },
+  unit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Unit',
+    required: true
+  },
+  rate: { type: Number, required: true },
+  // Discount in percent
+  discount: { type: Number, default: 0 },
+  // Value after discount, before tax
+  amount: { type: Number, required: true },
+  taxRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate',
+    default: null
+  },
+  hsnCode: { type: String, default: null }
+}, { _id: false });
+
+// Tax deducted at source from a payment to a party. Payments below the
+// section's thresholds are recorded with no tax so later payments can
+// tell when the annual limit is crossed.
+const tdsSchema = new mongoose.Schema({
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TdsSection',
+    required: true
+  },
+  sectionCode: { type: String, required: true },
+  partyLedger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  pan: { type: String, default: null },
+  deducteeType: {
+    type: String,
+    enum: ['individual', 'other'],
+    required: true
+  },
+  // Gross amount credited to the party by this voucher
+  paidAmount: { type: Number, required: true },
+  // Amount the tax was worked out on; includes earlier untaxed payments
+  // when this one takes the year over the annual threshold
+  taxableAmount: { type: Number, default: 0 },
+  rate: { type: Number, required: true },
+  tdsAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+// Single-pair vouchers use debitLedger/creditLedger; compound vouchers
+// use entries instead and leave the pair empty
+const isSinglePair = function() {
+  return !this.entries || this.entries.length === 0;
+};
+
+// Credit and debit notes are raised against an earlier invoice
+const isNote = function() {
+  return ['credit_note', 'debit_note'].includes(this.type);
+};
 
 const transactionSchema = new mongoose.Schema({
   date: {
@@ -18,15 +188,28 @@ const transactionSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // Counter key and sequence the voucher number was drawn from
+  voucherSeries: {
+    type: String,
+    default: null
+  },
+  voucherSeq: {
+    type: Number,
+    default: null
+  },
   debitLedger: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Ledger',
-    required: [true, 'Debit ledger is required']
+    required: [isSinglePair, 'Debit ledger is required']
   },
   creditLedger: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Ledger',
-    required: [true, 'Credit ledger is required']
+    required: [isSinglePair, 'Credit ledger is required']
+  },
+  entries: {
+    type: [entryLineSchema],
+    default: undefined
   },
   amount: {
     type: Number,
@@ -45,19 +228,60 @@ const transactionSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Narration cannot exceed 1000 characters']
   },
+  // Party's bill or invoice number; a new bill opened by this voucher
+  // takes it as its reference (falling back to the voucher number)
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
   type: {
     type: String,
     required: [true, 'Transaction type is required'],
     enum: {
-      values: ['payment', 'receipt', 'journal', 'contra', 'sales', 'purchase'],
+      values: ['payment', 'receipt', 'journal', 'contra', 'sales', 'purchase', 'credit_note', 'debit_note'],
       message: 'Invalid transaction type'
     }
   },
+  // Sales voucher a credit note, or purchase voucher a debit note, is
+  // raised against
+  originalVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: [isNote, 'Original voucher is required on a credit or debit note'],
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Creator is required']
   },
+  bankClearances: {
+    type: [bankClearanceSchema],
+    default: undefined
+  },
+  gst: {
+    type: gstSchema,
+    default: undefined
+  },
+  tds: {
+    type: tdsSchema,
+    default: undefined
+  },
+  // Item invoices: the stock lines the amount and entries are built from
+  items: {
+    type: [itemLineSchema],
+    default: undefined
+  },
+  // Year-end journal moving income and expense into retained earnings
+  isClosingEntry: {
+    type: Boolean,
+    default: false
+  },
   isDeleted: {
     type: Boolean,
     default: false
@@ -75,16 +299,39 @@ const transactionSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate voucher number before saving
+// Compound vouchers must balance; their amount is the total debited
+transactionSchema.pre('validate', function(next) {
+  if (isSinglePair.call(this)) return next();
+
+  const totals = { Dr: 0, Cr: 0 };
+  this.entries.forEach(entry => {
+    totals[entry.side] += Math.round(entry.amount * 100);
+  });
+
+  if (!totals.Dr || !totals.Cr) {
+    this.invalidate('entries', 'A compound voucher needs at least one debit and one credit line');
+  } else if (totals.Dr !== totals.Cr) {
+    this.invalidate('entries', 'Total debits must equal total credits');
+  }
+
+  this.amount = totals.Dr / 100;
+  this.debitLedger = undefined;
+  this.creditLedger = undefined;
+  next();
+});
+
+// Number new vouchers from their type's series. The counter is bumped in
+// the voucher's own session, so an aborted write leaves no gap.
 transactionSchema.pre('save', async function(next) {
   if (!this.voucherNumber) {
-    const date = new Date();
-    const prefix = 'VCH';
-    const timestamp = date.getFullYear().toString().substr(-2) +
-                     String(date.getMonth() + 1).padStart(2, '0') +
-                     String(date.getDate()).padStart(2, '0');
-    const random = Math.floor(1000 + Math.random() * 9000);
-    this.voucherNumber = `${prefix}-${timestamp}-${random}`;
+    const session = this.$session();
+    const series = await VoucherSeries.forType(this.type, { session });
+    const key = series.counterKey(this.date);
+    const seq = await Counter.next(key, { session });
+
+    this.voucherNumber = series.format(seq, this.date);
+    this.voucherSeries = key;
+    this.voucherSeq = seq;
   }
   next();
 });
@@ -94,7 +341,13 @@ transactionSchema.index({ date: -1 });
 transactionSchema.index({ createdBy: 1 });
 transactionSchema.index({ debitLedger: 1 });
 transactionSchema.index({ creditLedger: 1 });
+transactionSchema.index({ 'entries.ledger': 1 });
 transactionSchema.index({ voucherNumber: 1 });
+transactionSchema.index({ voucherSeries: 1, voucherSeq: 1 });
 transactionSchema.index({ isDeleted: 1 });
+transactionSchema.index({ 'bankClearances.ledger': 1 });
+transactionSchema.index({ 'tds.partyLedger': 1, date: 1 });
+transactionSchema.index({ 'items.item': 1 });
+transactionSchema.index({ originalVoucher: 1 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
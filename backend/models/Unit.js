@@ -0,0 +1,63 @@
+/**
+ * Unit Model - Mongoose Schema
+ *
+ * Units of measure for stock items. A simple unit stands on its own
+ * (Nos, Kg); a compound unit is a fixed number of a simple unit, e.g. a
+ * Box of 12 Nos, and lets quantities be entered in either.
+ */
+
+const mongoose = require('mongoose');
+
+const unitSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: [true, 'Unit symbol is required'],
+    trim: true,
+    maxlength: [20, 'Unit symbol cannot exceed 20 characters']
+  },
+  formalName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Formal name cannot exceed 100 characters']
+  },
+  // Decimal places quantities in this unit are kept to (0 for Nos)
+  decimalPlaces: {
+    type: Number,
+    min: [0, 'Decimal places cannot be negative'],
+    max: [4, 'Decimal places cannot exceed 4'],
+    default: 0
+  },
+  // Compound units only: one of this unit is `conversion` of `baseUnit`
+  baseUnit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Unit',
+    default: null
+  },
+  conversion: {
+    type: Number,
+    min: [0, 'Conversion must be positive'],
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+unitSchema.virtual('isCompound').get(function() {
+  return Boolean(this.baseUnit);
+});
+
+unitSchema.index({ symbol: 1 });
+unitSchema.index({ baseUnit: 1 });
+
+module.exports = mongoose.model('Unit', unitSchema);
@@ -0,0 +1,98 @@
+/**
+ * VoucherSeries Model - Mongoose Schema
+ *
+ * Numbering settings for each voucher type
+ * Types without a saved series use the defaults below
+ */
+
+const mongoose = require('mongoose');
+const { fiscalYearOf } = require('../utils/fiscalYear');
+
+// Default prefix per voucher type
+const DEFAULT_PREFIXES = {
+  payment: 'PAY',
+  receipt: 'RCT',
+  journal: 'JRN',
+  contra: 'CTR',
+  sales: 'SAL',
+  purchase: 'PUR',
+  credit_note: 'CRN',
+  debit_note: 'DBN'
+};
+
+const VOUCHER_TYPES = Object.keys(DEFAULT_PREFIXES);
+
+const voucherSeriesSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Voucher type is required'],
+    unique: true,
+    enum: {
+      values: VOUCHER_TYPES,
+      message: 'Invalid voucher type'
+    }
+  },
+  prefix: {
+    type: String,
+    required: [true, 'Prefix is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Prefix cannot exceed 10 characters'],
+    match: [/^[A-Z0-9-]+$/, 'Prefix may only contain letters, digits and hyphens']
+  },
+  padding: {
+    type: Number,
+    default: 4,
+    min: [1, 'Padding must be at least 1'],
+    max: [10, 'Padding cannot exceed 10']
+  },
+  // Restart numbering at 1 every financial year
+  resetEachYear: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Saved series for a type, or an unsaved one holding the defaults
+ * @param {string} type - Voucher type
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - MongoDB session
+ */
+voucherSeriesSchema.statics.forType = async function(type, { session } = {}) {
+  const series = await this.findOne({ type }).session(session || null);
+  return series || new this({ type, prefix: DEFAULT_PREFIXES[type] });
+};
+
+/**
+ * Counter key for a voucher date: one counter per type, or per type and
+ * financial year when the series resets each year
+ * @param {Date} date - Voucher date
+ */
+voucherSeriesSchema.methods.counterKey = function(date) {
+  return this.resetEachYear ? `${this.type}:${fiscalYearOf(date).label}` : this.type;
+};
+
+/**
+ * Format a sequence number, e.g. PAY/2026-27/0001 or PAY/0001
+ * @param {number} seq - Sequence number
+ * @param {Date} date - Voucher date
+ */
+voucherSeriesSchema.methods.format = function(seq, date) {
+  const number = String(seq).padStart(this.padding, '0');
+  return this.resetEachYear
+    ? `${this.prefix}/${fiscalYearOf(date).label}/${number}`
+    : `${this.prefix}/${number}`;
+};
+
+voucherSeriesSchema.statics.DEFAULT_PREFIXES = DEFAULT_PREFIXES;
+voucherSeriesSchema.statics.VOUCHER_TYPES = VOUCHER_TYPES;
+
+module.exports = mongoose.model('VoucherSeries', voucherSeriesSchema);
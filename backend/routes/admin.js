@@ -9,8 +9,20 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const auditLogController = require('../controllers/auditLogController');
+const ledgerController = require('../controllers/ledgerController');
+const voucherSeriesController = require('../controllers/voucherSeriesController');
+const financialYearController = require('../controllers/financialYearController');
+const coaTemplateController = require('../controllers/coaTemplateController');
+const openingBalanceController = require('../controllers/openingBalanceController');
 const { verifyToken } = require('../middleware/verifyToken');
 const { requireMasterAdmin, preventMasterAdminDeletion } = require('../middleware/roleMiddleware');
+const {
+  validateOpeningBalances,
+  validateVoucherSeries,
+  validateFinancialYear,
+  validateLockedPeriod,
+  validateYearClosing
+} = require('../middleware/validation');
 
 // All routes in this file require Master Admin access
 router.use(verifyToken);
@@ -94,4 +106,128 @@ router.get('/audit-logs/stats', auditLogController.getAuditLogStats);
  */
 router.get('/audit-logs/recent', auditLogController.getRecentActivity);
 
+/**
+ * ==================== LEDGER MAINTENANCE ====================
+ */
+
+/**
+ * @route   POST /api/admin/ledgers/rebuild-balances
+ * @desc    Recompute every ledger balance from non-deleted vouchers (?dryRun=true to preview)
+ * @access  Private (Master Admin)
+ */
+router.post('/ledgers/rebuild-balances', ledgerController.rebuildBalances);
+
+/**
+ * @route   GET /api/admin/opening-balances
+ * @desc    Opening balance of every ledger with Dr/Cr totals and difference
+ * @access  Private (Master Admin)
+ */
+router.get('/opening-balances', openingBalanceController.getOpeningBalances);
+
+/**
+ * @route   PUT /api/admin/opening-balances
+ * @desc    Save opening balances in bulk, optionally posting the difference to suspense
+ * @access  Private (Master Admin)
+ */
+router.put('/opening-balances', validateOpeningBalances, openingBalanceController.saveOpeningBalances);
+
+/**
+ * @route   GET /api/admin/coa-templates
+ * @desc    List chart-of-accounts templates
+ * @access  Private (Master Admin)
+ */
+router.get('/coa-templates', coaTemplateController.getTemplates);
+
+/**
+ * @route   POST /api/admin/coa-templates/:key/apply
+ * @desc    Create a template's missing ledger groups and ledgers
+ * @access  Private (Master Admin)
+ */
+router.post('/coa-templates/:key/apply', coaTemplateController.applyTemplate);
+
+/**
+ * ==================== VOUCHER NUMBERING ====================
+ */
+
+/**
+ * @route   GET /api/admin/voucher-series
+ * @desc    Numbering series for every voucher type with the next number
+ * @access  Private (Master Admin)
+ */
+router.get('/voucher-series', voucherSeriesController.getVoucherSeries);
+
+/**
+ * @route   PUT /api/admin/voucher-series/:type
+ * @desc    Update prefix, padding or yearly reset of a voucher type's series
+ * @access  Private (Master Admin)
+ */
+router.put('/voucher-series/:type', validateVoucherSeries, voucherSeriesController.updateVoucherSeries);
+
+/**
+ * ==================== FINANCIAL YEARS ====================
+ */
+
+/**
+ * @route   GET /api/admin/financial-years
+ * @desc    Get all financial years with their locks
+ * @access  Private (Master Admin)
+ */
+router.get('/financial-years', financialYearController.getFinancialYears);
+
+/**
+ * @route   POST /api/admin/financial-years
+ * @desc    Create a financial year
+ * @access  Private (Master Admin)
+ */
+router.post('/financial-years', validateFinancialYear, financialYearController.createFinancialYear);
+
+/**
+ * @route   PUT /api/admin/financial-years/:id/lock
+ * @desc    Lock an entire financial year against voucher changes
+ * @access  Private (Master Admin)
+ */
+router.put('/financial-years/:id/lock', financialYearController.lockFinancialYear);
+
+/**
+ * @route   PUT /api/admin/financial-years/:id/unlock
+ * @desc    Unlock an entire financial year
+ * @access  Private (Master Admin)
+ */
+router.put('/financial-years/:id/unlock', financialYearController.unlockFinancialYear);
+
+/**
+ * @route   POST /api/admin/financial-years/:id/close
+ * @desc    Close a year into retained earnings and carry balances forward
+ * @access  Private (Master Admin)
+ */
+router.post('/financial-years/:id/close', validateYearClosing, financialYearController.closeFinancialYear);
+
+/**
+ * @route   POST /api/admin/financial-years/:id/reopen
+ * @desc    Reverse the closing of the latest closed year
+ * @access  Private (Master Admin)
+ */
+router.post('/financial-years/:id/reopen', financialYearController.reopenFinancialYear);
+
+/**
+ * @route   GET /api/admin/financial-years/:id/opening-balances
+ * @desc    Balance sheet balances a financial year opens with, derived from the ledgers and earlier vouchers
+ * @access  Private (Master Admin)
+ */
+router.get('/financial-years/:id/opening-balances', financialYearController.getOpeningBalances);
+
+/**
+ * @route   POST /api/admin/financial-years/:id/locked-periods
+ * @desc    Lock a date range within a financial year
+ * @access  Private (Master Admin)
+ */
+router.post('/financial-years/:id/locked-periods', validateLockedPeriod, financialYearController.lockPeriod);
+
+/**
+ * @route   DELETE /api/admin/financial-years/:id/locked-periods/:periodId
+ * @desc    Remove a period lock
+ * @access  Private (Master Admin)
+ */
+router.delete('/financial-years/:id/locked-periods/:periodId', financialYearController.unlockPeriod);
+
 module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * Bank Import Routes
+ * 
+ * Routes for importing bank statements and matching their lines
+ */
+
+const express = require('express');
+const router = express.Router();
+const bankImportController = require('../controllers/bankImportController');
+const { verifyToken } = require('../middleware/verifyToken');
+const { requireUser } = require('../middleware/roleMiddleware');
+const {
+  validateStatementImport,
+  validateImportProfile,
+  validateStatementLine,
+  validateStatementVouchers
+} = require('../middleware/validation');
+
+// All routes require authentication
+router.use(verifyToken);
+router.use(requireUser);
+
+/**
+ * @route   GET /api/bank-imports/banks
+ * @desc    Bank ledgers with their saved CSV column mapping
+ * @access  Private
+ */
+router.get('/banks', bankImportController.getBanks);
+
+/**
+ * @route   PUT /api/bank-imports/profiles/:ledgerId
+ * @desc    Save a bank's CSV column mapping
+ * @access  Private
+ */
+router.put('/profiles/:ledgerId', validateImportProfile, bankImportController.saveProfile);
+
+/**
+ * @route   GET /api/bank-imports/lines
+ * @desc    Staged statement lines of a bank (?ledger=&status=&import=)
+ * @access  Private
+ */
+router.get('/lines', bankImportController.getLines);
+
+/**
+ * @route   POST /api/bank-imports/lines/auto-match
+ * @desc    Match a bank's unmatched lines to existing vouchers again
+ * @access  Private
+ */
+router.post('/lines/auto-match', bankImportController.rematchLines);
+
+/**
+ * @route   POST /api/bank-imports/lines/create-vouchers
+ * @desc    Create payment/receipt vouchers for unmatched lines
+ * @access  Private
+ */
+router.post('/lines/create-vouchers', validateStatementVouchers, bankImportController.createVouchers);
+
+/**
+ * @route   GET /api/bank-imports/lines/:id/candidates
+ * @desc    Uncleared vouchers a line could be matched to by hand
+ * @access  Private
+ */
+router.get('/lines/:id/candidates', bankImportController.getLineCandidates);
+
+/**
+ * @route   PUT /api/bank-imports/lines/:id
+ * @desc    Match, unmatch or ignore a statement line
+ * @access  Private
+ */
+router.put('/lines/:id', validateStatementLine, bankImportController.updateLine);
+
+/**
+ * @route   GET /api/bank-imports
+ * @desc    Recent statement imports (?ledger=)
+ * @access  Private
+ */
+router.get('/', bankImportController.getImports);
+
+/**
+ * @route   POST /api/bank-imports
+ * @desc    Import a CSV, OFX, MT940 or CAMT.053 statement
+ * @access  Private
+ */
+router.post('/', validateStatementImport, bankImportController.importStatement);
+
+module.exports = router;
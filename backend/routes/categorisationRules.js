@@ -0,0 +1,60 @@
+/**
+ * Categorisation Rule Routes
+ * 
+ * Routes for the rules that code imported bank lines
+ */
+
+const express = require('express');
+const router = express.Router();
+const categorisationRuleController = require('../controllers/categorisationRuleController');
+const { verifyToken } = require('../middleware/verifyToken');
+const { requireUser, requireMasterAdmin } = require('../middleware/roleMiddleware');
+const { validateCategorisationRule, validateRuleTest } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(verifyToken);
+router.use(requireUser);
+
+/**
+ * @route   GET /api/categorisation-rules
+ * @desc    Get all rules in priority order
+ * @access  Private
+ */
+router.get('/', categorisationRuleController.getRules);
+
+/**
+ * @route   GET /api/categorisation-rules/suggestions
+ * @desc    Rules learnt from how past voucher narrations were coded
+ * @access  Private
+ */
+router.get('/suggestions', categorisationRuleController.getSuggestions);
+
+/**
+ * @route   POST /api/categorisation-rules/test
+ * @desc    Dry-run a rule against past vouchers and staged bank lines
+ * @access  Private
+ */
+router.post('/test', validateRuleTest, categorisationRuleController.testRule);
+
+/**
+ * @route   POST /api/categorisation-rules
+ * @desc    Create a rule
+ * @access  Private
+ */
+router.post('/', validateCategorisationRule, categorisationRuleController.createRule);
+
+/**
+ * @route   PUT /api/categorisation-rules/:id
+ * @desc    Update a rule
+ * @access  Private
+ */
+router.put('/:id', validateCategorisationRule, categorisationRuleController.updateRule);
+
+/**
+ * @route   DELETE /api/categorisation-rules/:id
+ * @desc    Delete a rule (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.delete('/:id', requireMasterAdmin, categorisationRuleController.deleteRule);
+
+module.exports = router;
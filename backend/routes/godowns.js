@@ -0,0 +1,53 @@
+/**
+ * Godown Routes
+ * 
+ * Routes for managing godowns
+ */
+
+const express = require('express');
+const router = express.Router();
+const godownController = require('../controllers/godownController');
+const { verifyToken } = require('../middleware/verifyToken');
+const { requireUser, requireMasterAdmin } = require('../middleware/roleMiddleware');
+const { validateGodown } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(verifyToken);
+router.use(requireUser);
+
+/**
+ * @route   GET /api/godowns
+ * @desc    Get all godowns
+ * @access  Private
+ */
+router.get('/', godownController.getAllGodowns);
+
+/**
+ * @route   GET /api/godowns/:id
+ * @desc    Get single godown with the stock held there
+ * @access  Private
+ */
+router.get('/:id', godownController.getGodownById);
+
+/**
+ * @route   POST /api/godowns
+ * @desc    Create new godown
+ * @access  Private
+ */
+router.post('/', validateGodown, godownController.createGodown);
+
+/**
+ * @route   PUT /api/godowns/:id
+ * @desc    Update godown
+ * @access  Private
+ */
+router.put('/:id', validateGodown, godownController.updateGodown);
+
+/**
+ * @route   DELETE /api/godowns/:id
+ * @desc    Delete godown (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.delete('/:id', requireMasterAdmin, godownController.deleteGodown);
+
+module.exports = router;
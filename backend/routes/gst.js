@@ -0,0 +1,74 @@
+/**
+ * GST Routes
+ * 
+ * Routes for company GST settings, tax rates and tax invoice previews
+ */
+
+const express = require('express');
+const router = express.Router();
+const gstController = require('../controllers/gstController');
+const { verifyToken } = require('../middleware/verifyToken');
+const { requireUser, requireMasterAdmin } = require('../middleware/roleMiddleware');
+const { validateCompany, validateTaxRate, validateGstPreview } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(verifyToken);
+router.use(requireUser);
+
+/**
+ * @route   GET /api/gst/states
+ * @desc    GST state codes
+ * @access  Private
+ */
+router.get('/states', gstController.getStates);
+
+/**
+ * @route   GET /api/gst/gstin/:gstin
+ * @desc    Check a GSTIN's format and check digit
+ * @access  Private
+ */
+router.get('/gstin/:gstin', gstController.checkGstin);
+
+/**
+ * @route   GET /api/gst/company
+ * @desc    Company GSTIN, state and duty ledgers
+ * @access  Private
+ */
+router.get('/company', gstController.getCompany);
+
+/**
+ * @route   PUT /api/gst/company
+ * @desc    Update company GST settings (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.put('/company', requireMasterAdmin, validateCompany, gstController.updateCompany);
+
+/**
+ * @route   GET /api/gst/tax-rates
+ * @desc    Get tax rates
+ * @access  Private
+ */
+router.get('/tax-rates', gstController.getTaxRates);
+
+/**
+ * @route   POST /api/gst/tax-rates
+ * @desc    Create a tax rate (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.post('/tax-rates', requireMasterAdmin, validateTaxRate, gstController.createTaxRate);
+
+/**
+ * @route   PUT /api/gst/tax-rates/:id
+ * @desc    Update a tax rate (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.put('/tax-rates/:id', requireMasterAdmin, validateTaxRate, gstController.updateTaxRate);
+
+/**
+ * @route   POST /api/gst/preview
+ * @desc    Work out the GST and entries of a tax invoice without entering it
+ * @access  Private
+ */
+router.post('/preview', validateGstPreview, gstController.previewInvoice);
+
+module.exports = router;
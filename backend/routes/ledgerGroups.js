@@ -0,0 +1,46 @@
+/**
+ * Ledger Group Routes
+ * 
+ * Routes for managing the chart of accounts group hierarchy
+ */
+
+const express = require('express');
+const router = express.Router();
+const ledgerGroupController = require('../controllers/ledgerGroupController');
+const { verifyToken } = require('../middleware/verifyToken');
+const { requireUser, requireMasterAdmin } = require('../middleware/roleMiddleware');
+const { validateLedgerGroup } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(verifyToken);
+router.use(requireUser);
+
+/**
+ * @route   GET /api/ledger-groups
+ * @desc    Get all ledger groups with their parent and ledger count
+ * @access  Private
+ */
+router.get('/', ledgerGroupController.getAllGroups);
+
+/**
+ * @route   POST /api/ledger-groups
+ * @desc    Create a ledger group
+ * @access  Private
+ */
+router.post('/', validateLedgerGroup, ledgerGroupController.createGroup);
+
+/**
+ * @route   PUT /api/ledger-groups/:id
+ * @desc    Rename or move a ledger group
+ * @access  Private
+ */
+router.put('/:id', validateLedgerGroup, ledgerGroupController.updateGroup);
+
+/**
+ * @route   DELETE /api/ledger-groups/:id
+ * @desc    Delete an empty ledger group (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.delete('/:id', requireMasterAdmin, ledgerGroupController.deleteGroup);
+
+module.exports = router;
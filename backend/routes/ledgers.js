@@ -7,9 +7,10 @@
 const express = require('express');
 const router = express.Router();
 const ledgerController = require('../controllers/ledgerController');
+const bankReconciliationController = require('../controllers/bankReconciliationController');
 const { verifyToken } = require('../middleware/verifyToken');
 const { requireUser, requireMasterAdmin } = require('../middleware/roleMiddleware');
-const { validateLedger } = require('../middleware/validation');
+const { validateLedger, validateReconciliation } = require('../middleware/validation');
 
 // All routes require authentication
 router.use(verifyToken);
@@ -29,6 +30,34 @@ router.get('/', ledgerController.getAllLedgers);
  */
 router.get('/summary', ledgerController.getLedgerSummary);
 
+/**
+ * @route   GET /api/ledgers/:id/statement
+ * @desc    Ledger statement with opening, running and closing balance (?from=&to=&page=&limit=)
+ * @access  Private
+ */
+router.get('/:id/statement', ledgerController.getLedgerStatement);
+
+/**
+ * @route   GET /api/ledgers/:id/bills
+ * @desc    Pending bills of a bill-wise party ledger (?status=all&asOf=)
+ * @access  Private
+ */
+router.get('/:id/bills', ledgerController.getLedgerBills);
+
+/**
+ * @route   GET /api/ledgers/:id/reconciliation
+ * @desc    Balance as per books and bank with uncleared entries (?asOf=&show=all&from=)
+ * @access  Private
+ */
+router.get('/:id/reconciliation', bankReconciliationController.getReconciliation);
+
+/**
+ * @route   PUT /api/ledgers/:id/reconciliation
+ * @desc    Mark or unmark entries as cleared in bulk
+ * @access  Private
+ */
+router.put('/:id/reconciliation', validateReconciliation, bankReconciliationController.updateReconciliation);
+
 /**
  * @route   GET /api/ledgers/:id
  * @desc    Get single ledger by ID
@@ -0,0 +1,87 @@
+/**
+ * Report Routes
+ *
+ * Routes for financial statements and accounting reports
+ */
+
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const { verifyToken } = require('../middleware/verifyToken');
+const { requireUser } = require('../middleware/roleMiddleware');
+
+// All routes require authentication
+router.use(verifyToken);
+router.use(requireUser);
+
+/**
+ * @route   GET /api/reports/trial-balance
+ * @desc    Opening, period Dr/Cr and closing balance per ledger (?asOf=&from=)
+ * @access  Private
+ */
+router.get('/trial-balance', reportController.getTrialBalance);
+
+/**
+ * @route   GET /api/reports/profit-loss
+ * @desc    Income statement for a date range with previous-period comparison (?startDate=&endDate=)
+ * @access  Private
+ */
+router.get('/profit-loss', reportController.getProfitAndLoss);
+
+/**
+ * @route   GET /api/reports/balance-sheet
+ * @desc    Assets, liabilities and equity as of a date with retained earnings roll-up (?asOf=)
+ * @access  Private
+ */
+router.get('/balance-sheet', reportController.getBalanceSheet);
+
+/**
+ * @route   GET /api/reports/voucher-gaps
+ * @desc    Missing and cancelled numbers in each voucher numbering series (?type=&fiscalYear=)
+ * @access  Private
+ */
+router.get('/voucher-gaps', reportController.getVoucherGaps);
+
+/**
+ * @route   GET /api/reports/outstanding
+ * @desc    Pending bills per party (?kind=receivables|payables&asOf=)
+ * @access  Private
+ */
+router.get('/outstanding', reportController.getOutstanding);
+
+/**
+ * @route   GET /api/reports/ageing
+ * @desc    Receivables/payables ageing in 30-day buckets (?kind=&asOf=&format=csv)
+ * @access  Private
+ */
+router.get('/ageing', reportController.getAgeing);
+
+/**
+ * @route   GET /api/reports/gstr1
+ * @desc    GSTR-1 preview and validation for a month, or the portal JSON (?month=YYYY-MM&format=json)
+ * @access  Private
+ */
+router.get('/gstr1', reportController.getGstr1);
+
+/**
+ * @route   GET /api/reports/gstr3b
+ * @desc    GSTR-3B preview and validation for a month, or the portal JSON (?month=YYYY-MM&format=json)
+ * @access  Private
+ */
+router.get('/gstr3b', reportController.getGstr3b);
+
+/**
+ * @route   GET /api/reports/tds
+ * @desc    Section-wise TDS deductee report for a quarter (?fiscalYear=2026-27&quarter=1&format=csv)
+ * @access  Private
+ */
+router.get('/tds', reportController.getTdsReport);
+
+/**
+ * @route   GET /api/reports/stock-summary
+ * @desc    Stock summary valued by each item's costing method (?startDate=&endDate=&format=csv)
+ * @access  Private
+ */
+router.get('/stock-summary', reportController.getStockSummary);
+
+module.exports = router;
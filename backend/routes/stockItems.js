@@ -0,0 +1,53 @@
+/**
+ * Stock Item Routes
+ * 
+ * Routes for managing stock items and their quantities per godown
+ */
+
+const express = require('express');
+const router = express.Router();
+const stockItemController = require('../controllers/stockItemController');
+const { verifyToken } = require('../middleware/verifyToken');
+const { requireUser, requireMasterAdmin } = require('../middleware/roleMiddleware');
+const { validateStockItem } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(verifyToken);
+router.use(requireUser);
+
+/**
+ * @route   GET /api/stock-items
+ * @desc    Get all stock items with quantity in hand (?search=&godown=)
+ * @access  Private
+ */
+router.get('/', stockItemController.getAllItems);
+
+/**
+ * @route   GET /api/stock-items/:id
+ * @desc    Get single stock item with its quantity in each godown
+ * @access  Private
+ */
+router.get('/:id', stockItemController.getItemById);
+
+/**
+ * @route   POST /api/stock-items
+ * @desc    Create new stock item with opening stock per godown
+ * @access  Private
+ */
+router.post('/', validateStockItem, stockItemController.createItem);
+
+/**
+ * @route   PUT /api/stock-items/:id
+ * @desc    Update stock item
+ * @access  Private
+ */
+router.put('/:id', validateStockItem, stockItemController.updateItem);
+
+/**
+ * @route   DELETE /api/stock-items/:id
+ * @desc    Delete stock item (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.delete('/:id', requireMasterAdmin, stockItemController.deleteItem);
+
+module.exports = router;
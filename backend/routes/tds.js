@@ -0,0 +1,46 @@
+/**
+ * TDS Routes
+ * 
+ * Routes for TDS section masters and payment previews
+ */
+
+const express = require('express');
+const router = express.Router();
+const tdsController = require('../controllers/tdsController');
+const { verifyToken } = require('../middleware/verifyToken');
+const { requireUser, requireMasterAdmin } = require('../middleware/roleMiddleware');
+const { validateTdsSection, validateTdsPreview } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(verifyToken);
+router.use(requireUser);
+
+/**
+ * @route   GET /api/tds/sections
+ * @desc    Get TDS sections
+ * @access  Private
+ */
+router.get('/sections', tdsController.getSections);
+
+/**
+ * @route   POST /api/tds/sections
+ * @desc    Create a TDS section (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.post('/sections', requireMasterAdmin, validateTdsSection, tdsController.createSection);
+
+/**
+ * @route   PUT /api/tds/sections/:id
+ * @desc    Update a TDS section (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.put('/sections/:id', requireMasterAdmin, validateTdsSection, tdsController.updateSection);
+
+/**
+ * @route   POST /api/tds/preview
+ * @desc    Work out the TDS and entries of a payment without entering it
+ * @access  Private
+ */
+router.post('/preview', validateTdsPreview, tdsController.previewPayment);
+
+module.exports = router;
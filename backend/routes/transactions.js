@@ -9,7 +9,7 @@ const router = express.Router();
 const transactionController = require('../controllers/transactionController');
 const { verifyToken } = require('../middleware/verifyToken');
 const { requireUser, canEditTransaction } = require('../middleware/roleMiddleware');
-const { validateTransaction } = require('../middleware/validation');
+const { validateTransaction, validateTransactionUpdate } = require('../middleware/validation');
 
 // All routes require authentication
 router.use(verifyToken);
@@ -45,10 +45,10 @@ router.post('/', validateTransaction, transactionController.createTransaction);
 
 /**
  * @route   PUT /api/transactions/:id
- * @desc    Update transaction
+ * @desc    Update transaction; without lines or a debit/credit/amount only the header changes
  * @access  Private (Own transactions only, unless Master Admin)
  */
-router.put('/:id', canEditTransaction, validateTransaction, transactionController.updateTransaction);
+router.put('/:id', canEditTransaction, validateTransactionUpdate, transactionController.updateTransaction);
 
 /**
  * @route   DELETE /api/transactions/:id
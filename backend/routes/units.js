@@ -0,0 +1,46 @@
+/**
+ * Unit Routes
+ * 
+ * Routes for managing simple and compound units of measure
+ */
+
+const express = require('express');
+const router = express.Router();
+const unitController = require('../controllers/unitController');
+const { verifyToken } = require('../middleware/verifyToken');
+const { requireUser, requireMasterAdmin } = require('../middleware/roleMiddleware');
+const { validateUnit } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(verifyToken);
+router.use(requireUser);
+
+/**
+ * @route   GET /api/units
+ * @desc    Get all units
+ * @access  Private
+ */
+router.get('/', unitController.getAllUnits);
+
+/**
+ * @route   POST /api/units
+ * @desc    Create a simple unit, or a compound one with baseUnit and conversion
+ * @access  Private
+ */
+router.post('/', validateUnit, unitController.createUnit);
+
+/**
+ * @route   PUT /api/units/:id
+ * @desc    Update unit
+ * @access  Private
+ */
+router.put('/:id', validateUnit, unitController.updateUnit);
+
+/**
+ * @route   DELETE /api/units/:id
+ * @desc    Delete unit (Master Admin only)
+ * @access  Private (Master Admin)
+ */
+router.delete('/:id', requireMasterAdmin, unitController.deleteUnit);
+
+module.exports = router;
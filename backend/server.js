@@ -20,6 +20,15 @@ const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
 const transactionRoutes = require('./routes/transactions');
 const ledgerRoutes = require('./routes/ledgers');
+const ledgerGroupRoutes = require('./routes/ledgerGroups');
+const reportRoutes = require('./routes/reports');
+const bankImportRoutes = require('./routes/bankImports');
+const categorisationRuleRoutes = require('./routes/categorisationRules');
+const gstRoutes = require('./routes/gst');
+const tdsRoutes = require('./routes/tds');
+const stockItemRoutes = require('./routes/stockItems');
+const unitRoutes = require('./routes/units');
+const godownRoutes = require('./routes/godowns');
 
 // Initialize Express app
 const app = express();
@@ -46,7 +55,8 @@ app.use(cors(corsOptions));
 // Handle preflight requests explicitly
 app.options('*', cors(corsOptions));
 
-app.use(express.json());
+// Bank statements are uploaded as text inside the JSON body
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware (development only)
@@ -62,6 +72,15 @@ app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/ledgers', ledgerRoutes);
+app.use('/api/ledger-groups', ledgerGroupRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/bank-imports', bankImportRoutes);
+app.use('/api/categorisation-rules', categorisationRuleRoutes);
+app.use('/api/gst', gstRoutes);
+app.use('/api/tds', tdsRoutes);
+app.use('/api/stock-items', stockItemRoutes);
+app.use('/api/units', unitRoutes);
+app.use('/api/godowns', godownRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
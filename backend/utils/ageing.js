@@ -0,0 +1,85 @@
+/**
+ * Ageing Helpers
+ *
+ * Spreads a party's outstanding amount over age buckets counted from
+ * the date each part of it arose
+ */
+
+const { roundAmount } = require('./posting');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound in days of each bucket; the last one is open-ended
+const AGEING_BUCKETS = [
+  { key: '0-30', label: '0–30 days', maxDays: 30 },
+  { key: '31-60', label: '31–60 days', maxDays: 60 },
+  { key: '61-90', label: '61–90 days', maxDays: 90 },
+  { key: '90+', label: 'Over 90 days', maxDays: null }
+];
+
+/**
+ * Whole days from a date up to the as-of date (never negative)
+ * @param {Date} date - Date the amount arose
+ * @param {Date} asOf - Date the report is read at
+ */
+const ageInDays = (date, asOf) => Math.max(0, Math.floor((asOf - new Date(date)) / DAY_MS));
+
+/**
+ * Bucket key for an age in days
+ * @param {number|null} days - Age; null (no date, e.g. an opening balance) is the oldest bucket
+ */
+const bucketFor = (days) => {
+  if (days === null) return AGEING_BUCKETS[AGEING_BUCKETS.length - 1].key;
+  return AGEING_BUCKETS.find(bucket => bucket.maxDays === null || days <= bucket.maxDays).key;
+};
+
+/**
+ * Empty bucket totals
+ * @returns {Object<string, number>}
+ */
+const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+/**
+ * Add dated amounts into bucket totals
+ * @param {Array<{date: Date|null, amount: number}>} items - Outstanding pieces
+ * @param {Date} asOf - Date the report is read at
+ * @param {Object<string, number>} [buckets] - Totals to add to
+ */
+const ageItems = (items, asOf, buckets = emptyBuckets()) => {
+  for (const item of items) {
+    const key = bucketFor(item.date ? ageInDays(item.date, asOf) : null);
+    buckets[key] = roundAmount(buckets[key] + item.amount);
+  }
+  return buckets;
+};
+
+/**
+ * Outstanding pieces of a balance kept without bill references, on a
+ * first-in first-out basis: the balance is made up of the latest
+ * postings on its side, and whatever they do not cover is older
+ * (the opening balance)
+ * @param {number} balance - Outstanding amount, positive
+ * @param {Array<{date: Date, amount: number}>} postings - Postings on the balance's side, newest first
+ * @returns {Array<{date: Date|null, amount: number}>}
+ */
+const fifoOutstanding = (balance, postings) => {
+  const items = [];
+  let remaining = roundAmount(balance);
+
+  for (const posting of postings) {
+    if (remaining <= 0) break;
+    const amount = Math.min(remaining, posting.amount);
+    items.push({ date: posting.date, amount });
+    remaining = roundAmount(remaining - amount);
+  }
+
+  if (remaining > 0) items.push({ date: null, amount: remaining });
+  return items;
+};
+
+module.exports = {
+  AGEING_BUCKETS,
+  emptyBuckets,
+  ageItems,
+  fifoOutstanding
+};
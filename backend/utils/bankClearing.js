@@ -0,0 +1,119 @@
+/**
+ * Bank Clearing Helpers
+ *
+ * Shared by bank reconciliation and statement import: which ledgers are
+ * bank accounts, and recording the date a voucher cleared in the bank
+ */
+
+const Ledger = require('../models/Ledger');
+const LedgerGroup = require('../models/LedgerGroup');
+const { roundAmount, postingLines } = require('./posting');
+const { startOfDay } = require('./dates');
+const { branchIds } = require('./groupTree');
+
+// Groups whose ledgers are bank accounts
+const BANK_GROUPS = ['Bank Accounts', 'Bank OD A/c'];
+
+/**
+ * Ids of the bank groups and their sub-groups
+ * @returns {Promise<Array<ObjectId>>}
+ */
+const bankGroupIds = async () => {
+  await LedgerGroup.ensurePredefined();
+  const groups = await LedgerGroup.find().select('name parent').lean();
+  return branchIds(groups, BANK_GROUPS);
+};
+
+/**
+ * Bank ledger by id, or the error to send back
+ * @param {string} id - Ledger id
+ * @returns {Promise<{ledger?: Object, error?: {status: number, message: string}}>}
+ */
+const findBankLedger = async (id) => {
+  const ledger = await Ledger.findById(id).select('name type group openingBalance balance');
+
+  if (!ledger) {
+    return { error: { status: 404, message: 'Ledger not found' } };
+  }
+
+  const bankGroups = await bankGroupIds();
+
+  if (!ledger.group || !bankGroups.some(groupId => groupId.equals(ledger.group))) {
+    return {
+      error: { status: 400, message: 'Only ledgers under Bank Accounts or Bank OD A/c can be reconciled' }
+    };
+  }
+
+  return { ledger };
+};
+
+/**
+ * Vouchers on a ledger that had not cleared the bank by a date
+ * @param {ObjectId} ledgerId - Bank ledger
+ * @param {Date} [asOf] - Reconciliation date; without one, not cleared at all
+ */
+const unclearedFilter = (ledgerId, asOf) => ({
+  bankClearances: {
+    $not: { $elemMatch: asOf ? { ledger: ledgerId, clearedDate: { $lte: asOf } } : { ledger: ledgerId } }
+  }
+});
+
+/**
+ * Net amount a voucher moves through a bank ledger, positive when money
+ * comes in (a debit to the bank)
+ * @param {Object} transaction - Voucher
+ * @param {ObjectId} ledgerId - Bank ledger
+ */
+const bankAmount = (transaction, ledgerId) => roundAmount(
+  postingLines(transaction)
+    .filter(line => line.ledger && (line.ledger._id || line.ledger).equals(ledgerId))
+    .reduce((sum, line) => sum + (line.side === 'Dr' ? line.amount : -line.amount), 0)
+);
+
+/**
+ * bulkWrite operations that replace a bank ledger's clearing date on
+ * each voucher; other banks on a contra keep theirs
+ * @param {ObjectId} ledgerId - Bank ledger
+ * @param {Array<{transaction: ObjectId, clearedDate: Date|string|null}>} entries - null marks uncleared
+ * @param {ObjectId} userId - Who cleared them
+ */
+const clearingOperations = (ledgerId, entries, userId) => {
+  const operations = [];
+
+  for (const entry of entries) {
+    operations.push({
+      updateOne: {
+        filter: { _id: entry.transaction },
+        update: { $pull: { bankClearances: { ledger: ledgerId } } }
+      }
+    });
+
+    if (entry.clearedDate) {
+      operations.push({
+        updateOne: {
+          filter: { _id: entry.transaction },
+          update: {
+            $push: {
+              bankClearances: {
+                ledger: ledgerId,
+                clearedDate: startOfDay(entry.clearedDate),
+                clearedBy: userId
+              }
+            }
+          }
+        }
+      });
+    }
+  }
+
+  return operations;
+};
+
+module.exports = {
+  BANK_GROUPS,
+  bankGroupIds,
+  findBankLedger,
+  unclearedFilter,
+  bankAmount,
+  clearingOperations
+};
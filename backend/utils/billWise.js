@@ -0,0 +1,341 @@
+/**
+ * Bill-wise Allocation Helpers
+ *
+ * Splits a voucher's postings to bill-wise party ledgers into bill
+ * references (New Ref, Agst Ref, On Account) and reads outstanding bills
+ * back from those allocations
+ */
+
+const mongoose = require('mongoose');
+const Ledger = require('../models/Ledger');
+const BillAllocation = require('../models/BillAllocation');
+const Transaction = require('../models/Transaction');
+const { roundAmount, postingLines } = require('./posting');
+
+// Voucher types whose party posting opens a new bill when the request
+// does not allocate it; any other voucher goes on account
+const BILL_OPENING_TYPES = ['sales', 'purchase'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Net Dr/Cr of each ledger on a voucher; ledgers that net to zero are left out
+ * @param {Object} voucher - Transaction document or plain voucher fields
+ * @returns {Map<string, {side: string, amount: number}>}
+ */
+const netPostings = (voucher) => {
+  const net = new Map();
+  for (const line of postingLines(voucher)) {
+    const key = String(line.ledger);
+    const signed = line.side === 'Dr' ? line.amount : -line.amount;
+    net.set(key, roundAmount((net.get(key) || 0) + signed));
+  }
+
+  const postings = new Map();
+  for (const [key, value] of net) {
+    if (value !== 0) postings.set(key, { side: value > 0 ? 'Dr' : 'Cr', amount: Math.abs(value) });
+  }
+  return postings;
+};
+
+/**
+ * Every bill reference with its bill amount and what has been settled
+ * against it. Ledger ids in `match` must be ObjectIds (aggregation does
+ * not cast them).
+ * @param {Object} match - Extra filter on allocations, e.g. { ledger }
+ * @param {Object} options
+ * @param {Date} [options.asOf] - Ignore allocations dated after this
+ * @param {ObjectId} [options.excludeTransaction] - Leave one voucher out
+ * @returns {Promise<Array<{ledger, reference, transaction, billDate, dueDate, side, billAmount, adjusted, pending}>>}
+ */
+const billSummary = async (match = {}, { asOf = null, excludeTransaction = null } = {}) => {
+  const filter = { ...match, refType: { $in: ['new_ref', 'agst_ref'] } };
+  if (asOf) filter.date = { $lte: asOf };
+  if (excludeTransaction) {
+    filter.transaction = { $ne: new mongoose.Types.ObjectId(String(excludeTransaction)) };
+  }
+
+  const isNew = { $eq: ['$refType', 'new_ref'] };
+  const rows = await BillAllocation.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: { ledger: '$ledger', reference: '$reference' },
+        transaction: { $max: { $cond: [isNew, '$transaction', null] } },
+        billDate: { $min: { $cond: [isNew, '$date', null] } },
+        dueDate: { $max: { $cond: [isNew, '$dueDate', null] } },
+        side: { $max: { $cond: [isNew, '$side', null] } },
+        billAmount: { $sum: { $cond: [isNew, '$amount', 0] } },
+        adjusted: { $sum: { $cond: [isNew, 0, '$amount'] } }
+      }
+    },
+    { $sort: { billDate: 1, '_id.reference': 1 } }
+  ]);
+
+  return rows.map(row => ({
+    ledger: row._id.ledger,
+    reference: row._id.reference,
+    transaction: row.transaction,
+    billDate: row.billDate,
+    dueDate: row.dueDate,
+    side: row.side,
+    billAmount: roundAmount(row.billAmount),
+    adjusted: roundAmount(row.adjusted),
+    pending: roundAmount(row.billAmount - row.adjusted)
+  }));
+};
+
+/**
+ * Bills as of a date with the number of the voucher that opened each
+ * and how many days past due the pending ones are
+ * @param {Object} match - Extra filter on allocations (ObjectIds, as above)
+ * @param {Object} options
+ * @param {Date} [options.asOf] - Date to read the bills at (default now)
+ * @param {boolean} [options.includeSettled] - Also list fully settled bills
+ */
+const partyBills = async (match = {}, { asOf = new Date(), includeSettled = false } = {}) => {
+  const bills = (await billSummary(match, { asOf }))
+    .filter(bill => bill.billAmount > 0 && (includeSettled || bill.pending > 0));
+
+  const vouchers = await Transaction.find({ _id: { $in: bills.map(bill => bill.transaction) } })
+    .select('voucherNumber type');
+  const voucherById = new Map(vouchers.map(voucher => [voucher._id.toString(), voucher]));
+
+  return bills.map(bill => {
+    const voucher = voucherById.get(String(bill.transaction));
+    return {
+      ...bill,
+      voucherNumber: voucher ? voucher.voucherNumber : null,
+      voucherType: voucher ? voucher.type : null,
+      overdueDays: bill.pending > 0 && bill.dueDate
+        ? Math.max(0, Math.floor((asOf - bill.dueDate) / DAY_MS))
+        : 0
+    };
+  });
+};
+
+/**
+ * On-account amount per party ledger, Dr positive
+ * @param {Object} match - Extra filter on allocations (ObjectIds, as above)
+ * @param {Object} options
+ * @param {Date} [options.asOf] - Ignore allocations dated after this
+ * @returns {Promise<Map<string, number>>}
+ */
+const onAccountBalances = async (match = {}, { asOf = null } = {}) => {
+  const filter = { ...match, refType: 'on_account' };
+  if (asOf) filter.date = { $lte: asOf };
+
+  const rows = await BillAllocation.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: '$ledger',
+        net: { $sum: { $cond: [{ $eq: ['$side', 'Dr'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), roundAmount(row.net)]));
+};
+
+/**
+ * Bills a voucher opened that other vouchers have since settled, with
+ * the amount settled against each
+ * @param {ObjectId} transactionId - Voucher that opened the bills
+ * @returns {Promise<Array<{ledger, reference, side: string, settled: number}>>}
+ */
+const settledBills = async (transactionId) => {
+  const opened = await BillAllocation.find({ transaction: transactionId, refType: 'new_ref' })
+    .select('ledger reference side')
+    .lean();
+
+  if (opened.length === 0) return [];
+
+  const rows = await BillAllocation.aggregate([
+    {
+      $match: {
+        transaction: { $ne: new mongoose.Types.ObjectId(String(transactionId)) },
+        refType: 'agst_ref',
+        $or: opened.map(bill => ({ ledger: bill.ledger, reference: bill.reference }))
+      }
+    },
+    { $group: { _id: { ledger: '$ledger', reference: '$reference' }, settled: { $sum: '$amount' } } }
+  ]);
+
+  return rows.map(row => ({
+    ledger: row._id.ledger,
+    reference: row._id.reference,
+    side: opened.find(bill => bill.ledger.equals(row._id.ledger) && bill.reference === row._id.reference).side,
+    settled: roundAmount(row.settled)
+  }));
+};
+
+/**
+ * Work out the bill allocations for a voucher's bill-wise party ledgers.
+ * A party ledger without allocation lines in the request gets one line
+ * for its whole posting: a New Ref on sales and purchase vouchers, On
+ * Account otherwise.
+ * @param {Object} voucher - Voucher fields (date, type, reference, dueDate, voucherNumber and its lines)
+ * @param {Array} [requested] - Allocation lines from the request
+ * @param {Object} options
+ * @param {ObjectId} [options.transactionId] - Voucher being edited; its current allocations are replaced
+ * @returns {Promise<{allocations: Array}|{error: {status: number, message: string}}>}
+ */
+const planBillAllocations = async (voucher, requested, { transactionId = null } = {}) => {
+  const fail = (message, status = 400) => ({ error: { status, message } });
+
+  const postings = netPostings(voucher);
+  const ledgers = await Ledger.find({ _id: { $in: [...postings.keys()] }, maintainBillWise: true })
+    .select('name creditDays');
+  const parties = new Map(ledgers.map(ledger => [ledger._id.toString(), ledger]));
+  const lines = requested || [];
+
+  const stray = lines.find(line => !parties.has(String(line.ledger)));
+  if (stray) return fail(`Ledger ${stray.ledger} is not a bill-wise ledger posted on this voucher`);
+
+  const bills = parties.size > 0
+    ? await billSummary({ ledger: { $in: ledgers.map(ledger => ledger._id) } }, { excludeTransaction: transactionId })
+    : [];
+  const billsByKey = new Map(bills.map(bill => [`${bill.ledger}:${bill.reference}`, bill]));
+
+  const allocations = [];
+  const opened = new Set();
+
+  for (const [id, ledger] of parties) {
+    const posting = postings.get(id);
+    let ledgerLines = lines.filter(line => String(line.ledger) === id);
+
+    if (ledgerLines.length === 0) {
+      ledgerLines = [{
+        refType: BILL_OPENING_TYPES.includes(voucher.type) ? 'new_ref' : 'on_account',
+        amount: posting.amount
+      }];
+    }
+
+    const total = roundAmount(ledgerLines.reduce((sum, line) => sum + Number(line.amount), 0));
+    if (total !== posting.amount) {
+      return fail(`Bill allocations for ${ledger.name} total ${total} but the voucher posts ${posting.amount} ${posting.side}`);
+    }
+
+    for (const line of ledgerLines) {
+      const amount = roundAmount(line.amount);
+      const allocation = { ledger: ledger._id, date: voucher.date, refType: line.refType, reference: null, side: posting.side, amount };
+
+      if (line.refType === 'new_ref') {
+        // Saved vouchers fall back to their number; new ones get it on save
+        allocation.reference = line.reference || voucher.reference || voucher.voucherNumber || null;
+        const key = `${id}:${allocation.reference}`;
+        const existing = billsByKey.get(key);
+
+        if (allocation.reference && ((existing && existing.billAmount > 0) || opened.has(key))) {
+          return fail(`Bill ${allocation.reference} already exists for ${ledger.name}`, 409);
+        }
+        opened.add(key);
+
+        const dueDate = line.dueDate || voucher.dueDate;
+        allocation.dueDate = dueDate
+          ? new Date(dueDate)
+          : new Date(new Date(voucher.date).getTime() + (ledger.creditDays || 0) * DAY_MS);
+      } else if (line.refType === 'agst_ref') {
+        if (!line.reference) return fail(`Agst Ref allocation for ${ledger.name} needs a bill reference`);
+
+        const bill = billsByKey.get(`${id}:${line.reference}`);
+        if (!bill || bill.billAmount === 0) {
+          return fail(`Bill ${line.reference} not found for ${ledger.name}`, 404);
+        }
+
+        if (bill.side === posting.side) {
+          return fail(`Bill ${line.reference} is a ${bill.side} bill and can only be settled by a ${bill.side === 'Dr' ? 'Cr' : 'Dr'} entry`);
+        }
+
+        if (amount > bill.pending) {
+          return fail(`Allocation of ${amount} exceeds the ${bill.pending} pending on bill ${line.reference}`);
+        }
+
+        // Several lines may settle the same bill
+        bill.pending = roundAmount(bill.pending - amount);
+        allocation.reference = line.reference;
+      }
+
+      allocations.push(allocation);
+    }
+  }
+
+  // An edit must not shrink or drop a bill that has already been settled
+  if (transactionId) {
+    for (const bill of await settledBills(transactionId)) {
+      const kept = roundAmount(allocations
+        .filter(allocation => allocation.refType === 'new_ref' && allocation.ledger.equals(bill.ledger) &&
+          allocation.reference === bill.reference && allocation.side === bill.side)
+        .reduce((sum, allocation) => sum + allocation.amount, 0));
+
+      if (kept < bill.settled) {
+        return fail(`Bill ${bill.reference} already has ${bill.settled} settled against it and cannot be reduced below that`);
+      }
+    }
+  }
+
+  return { allocations };
+};
+
+/**
+ * A saved voucher's current allocation lines for each party ledger whose
+ * posting they still add up to, so an edit that leaves a party untouched
+ * keeps its bill references. Other parties fall back to the defaults.
+ * @param {Object} transaction - Transaction document carrying the edited lines
+ * @returns {Promise<Array>}
+ */
+const reusableAllocations = async (transaction) => {
+  const postings = netPostings(transaction);
+  const current = await BillAllocation.find({ transaction: transaction._id }).lean();
+
+  const byLedger = new Map();
+  for (const allocation of current) {
+    const key = allocation.ledger.toString();
+    if (!byLedger.has(key)) byLedger.set(key, []);
+    byLedger.get(key).push(allocation);
+  }
+
+  const lines = [];
+  for (const [key, allocations] of byLedger) {
+    const posting = postings.get(key);
+    const total = roundAmount(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+    if (!posting || posting.side !== allocations[0].side || posting.amount !== total) continue;
+
+    lines.push(...allocations.map(({ ledger, refType, reference, dueDate, amount }) => ({
+      ledger, refType, reference, dueDate, amount
+    })));
+  }
+  return lines;
+};
+
+/**
+ * Replace a voucher's bill allocations
+ * @param {Object} transaction - Saved transaction document
+ * @param {Array} allocations - Planned allocations from planBillAllocations()
+ * @param {Object} options
+ * @param {ClientSession} options.session - MongoDB session to run in
+ */
+const saveBillAllocations = async (transaction, allocations, { session = null } = {}) => {
+  await BillAllocation.deleteMany({ transaction: transaction._id }, { session });
+  if (allocations.length === 0) return [];
+
+  return BillAllocation.insertMany(allocations.map(allocation => ({
+    ...allocation,
+    transaction: transaction._id,
+    date: transaction.date,
+    reference: allocation.refType === 'on_account'
+      ? null
+      : allocation.reference || transaction.voucherNumber
+  })), { session });
+};
+
+module.exports = {
+  billSummary,
+  partyBills,
+  onAccountBalances,
+  settledBills,
+  planBillAllocations,
+  reusableAllocations,
+  saveBillAllocations
+};
@@ -0,0 +1,153 @@
+/**
+ * Bank Line Categorisation
+ *
+ * Evaluates categorisation rules against bank lines, and learns rule
+ * suggestions from how past vouchers with similar narrations were coded
+ */
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words in bank narrations that say how money moved, not to whom
+const NOISE_WORDS = new Set([
+  'ACH', 'ATM', 'BIL', 'BILL', 'BRN', 'CARD', 'CASH', 'CHQ', 'CLG', 'CMS', 'CREDIT', 'CRV', 'DEBIT',
+  'DEPOSIT', 'DIRECT', 'DRV', 'ECS', 'FROM', 'FUND', 'FUNDS', 'IMPS', 'INB', 'INF', 'INTERNET',
+  'MOB', 'MOBILE', 'NACH', 'NEFT', 'NET', 'ONLINE', 'PAY', 'PAYMENT', 'POS', 'PURCHASE', 'RECEIVED',
+  'REF', 'RTGS', 'SEPA', 'SWIFT', 'THE', 'TPT', 'TRANSFER', 'TRF', 'TXN', 'UPI', 'VIA', 'VISA',
+  'WIRE', 'WITHDRAWAL'
+]);
+
+/**
+ * Regular expression for a rule's pattern
+ * @param {Object} rule - Rule fields (operator, pattern, caseSensitive)
+ * @returns {RegExp}
+ * @throws {SyntaxError} For an invalid regex pattern
+ */
+const ruleRegex = (rule) => {
+  const flags = rule.caseSensitive ? '' : 'i';
+  const pattern = escapeRegex(rule.pattern);
+
+  switch (rule.operator) {
+    case 'regex': return new RegExp(rule.pattern, flags);
+    case 'starts_with': return new RegExp(`^\\s*${pattern}`, flags);
+    case 'equals': return new RegExp(`^\\s*${pattern}\\s*$`, flags);
+    default: return new RegExp(pattern, flags);
+  }
+};
+
+// Quantifier at a position in a regex source: its length and whether it
+// repeats (?, {0,1} and {1} only make a part optional or fixed)
+const quantifierAt = (pattern, index) => {
+  const char = pattern[index];
+  if (char === '*' || char === '+') return { length: 1, repeats: true };
+  if (char === '?') return { length: 1, repeats: false };
+
+  const braces = char === '{' && /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+  if (!braces) return null;
+  const max = braces[2] ? (braces[3] === '' ? Infinity : Number(braces[3])) : Number(braces[1]);
+  return { length: braces[0].length, repeats: max > 1 };
+};
+
+/**
+ * Why a regex rule pattern could take exponential time on a long line,
+ * if it could: a repeated group holding another repeat or an
+ * alternation, e.g. (a+)+ or (a|ab)*, or a backreference. Rules run on
+ * every imported line inside the server, so such patterns are refused
+ * when a rule is saved.
+ * @param {string} pattern - Regex source
+ * @returns {string|null}
+ */
+const unsafePattern = (pattern) => {
+  if (/\\([1-9]|k<)/.test(pattern)) return 'backreferences are not allowed';
+
+  const groups = [{ repeats: false, alternates: false }];
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    const group = groups[groups.length - 1];
+
+    if (char === '\\') {
+      index++;
+    } else if (char === '[') {
+      // A character class is a single character, whatever it holds
+      for (index++; index < pattern.length && pattern[index] !== ']'; index++) {
+        if (pattern[index] === '\\') index++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+      // Skip the ?: ?= ?! ?<= ?<! or ?<name> after the bracket
+      const prefix = /^\?(<[A-Za-z_$][\w$]*>|<=|<!|[:=!])/.exec(pattern.slice(index + 1));
+      if (prefix) index += prefix[0].length;
+    } else if (char === ')' && groups.length > 1) {
+      groups.pop();
+      const parent = groups[groups.length - 1];
+      const quantifier = quantifierAt(pattern, index + 1);
+
+      if (quantifier && quantifier.repeats && (group.repeats || group.alternates)) {
+        return 'a repeated group cannot hold another repeat or an alternation';
+      }
+      if (group.repeats || (quantifier && quantifier.repeats)) parent.repeats = true;
+    } else if (char === '|') {
+      group.alternates = true;
+    } else {
+      const quantifier = quantifierAt(pattern, index);
+      if (quantifier) {
+        if (quantifier.repeats) group.repeats = true;
+        index += quantifier.length - 1;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Whether a rule codes a bank line
+ * @param {Object} rule - Rule
+ * @param {{description: string, reference: string, amount: number, ledger: ObjectId}} line - Signed amount, positive for money in
+ * @param {RegExp} [regex] - Precompiled ruleRegex(rule)
+ */
+const ruleMatches = (rule, line, regex = ruleRegex(rule)) => {
+  if (rule.type === 'payment' && line.amount > 0) return false;
+  if (rule.type === 'receipt' && line.amount < 0) return false;
+  if (rule.bankLedger && line.ledger && String(rule.bankLedger) !== String(line.ledger)) return false;
+
+  const amount = Math.abs(line.amount);
+  if (rule.minAmount !== null && rule.minAmount !== undefined && amount < rule.minAmount) return false;
+  if (rule.maxAmount !== null && rule.maxAmount !== undefined && amount > rule.maxAmount) return false;
+
+  return regex.test(line[rule.field || 'description'] || '');
+};
+
+/**
+ * Categoriser over a list of rules, tried in the order given
+ * @param {Array} rules - Rules, highest priority first
+ * @returns {function(Object): Object|null} Line to the first matching rule
+ */
+const categoriser = (rules) => {
+  const compiled = rules.map(rule => ({ rule, regex: ruleRegex(rule) }));
+
+  return (line) => {
+    const hit = compiled.find(({ rule, regex }) => ruleMatches(rule, line, regex));
+    return hit ? hit.rule : null;
+  };
+};
+
+/**
+ * The word of a narration that names the counterparty, e.g. AMAZON in
+ * "UPI/AMAZON PAY/412345": the first word of three or more letters that
+ * is not a payment-channel word
+ * @param {string} narration - Bank or voucher narration
+ * @returns {string|null}
+ */
+const narrationKeyword = (narration) => {
+  const words = String(narration || '').toUpperCase().split(/[^A-Z]+/);
+  return words.find(word => word.length >= 3 && !NOISE_WORDS.has(word)) || null;
+};
+
+module.exports = {
+  ruleRegex,
+  unsafePattern,
+  ruleMatches,
+  categoriser,
+  narrationKeyword
+};
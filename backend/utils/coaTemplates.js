@@ -0,0 +1,113 @@
+/**
+ * Chart-of-Accounts Templates
+ *
+ * Ready-made sets of ledger groups and ledgers for common kinds of books,
+ * stored as JSON under templates/coa. Applying a template only creates
+ * what is missing (matched by name), so it is safe to run again, e.g.
+ * after an interrupted run or on books that already have some ledgers.
+ */
+
+const LedgerGroup = require('../models/LedgerGroup');
+const Ledger = require('../models/Ledger');
+
+// Required explicitly so serverless bundlers ship the JSON files
+const TEMPLATES = [
+  require('../templates/coa/trading.json'),
+  require('../templates/coa/services.json'),
+  require('../templates/coa/household.json')
+];
+
+/**
+ * Case-insensitive exact-name match
+ */
+const nameMatch = (name) => ({
+  $regex: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+});
+
+/**
+ * Summary of every available template
+ * @returns {Array<{key: string, name: string, description: string, groups: number, ledgers: number}>}
+ */
+const listTemplates = () => TEMPLATES.map(template => ({
+  key: template.key,
+  name: template.name,
+  description: template.description,
+  groups: template.groups.length,
+  ledgers: template.ledgers.length
+}));
+
+/**
+ * Template definition by key
+ * @param {string} key - Template key, e.g. 'trading'
+ * @returns {Object|null}
+ */
+const findTemplate = (key) => TEMPLATES.find(template => template.key === key) || null;
+
+/**
+ * Create the template's missing groups and ledgers
+ * @param {Object} template - Template definition
+ * @param {ObjectId} userId - User recorded as creator
+ * @returns {Promise<{groupsCreated: string[], ledgersCreated: string[], skipped: string[]}>}
+ */
+const applyTemplate = async (template, userId) => {
+  await LedgerGroup.ensurePredefined();
+
+  const result = { groupsCreated: [], ledgersCreated: [], skipped: [] };
+  const groups = new Map();
+
+  const findGroup = async (name) => {
+    if (!groups.has(name)) {
+      groups.set(name, await LedgerGroup.findOne({ name: nameMatch(name) }));
+    }
+    return groups.get(name);
+  };
+
+  // Template groups are listed parents first
+  for (const definition of template.groups) {
+    if (await findGroup(definition.name)) {
+      result.skipped.push(`group ${definition.name}`);
+      continue;
+    }
+
+    const parent = await findGroup(definition.parent);
+    if (!parent) throw new Error(`Template group ${definition.name} has unknown parent ${definition.parent}`);
+
+    const group = await LedgerGroup.create({
+      name: definition.name,
+      parent: parent._id,
+      nature: parent.nature,
+      affectsGrossProfit: parent.affectsGrossProfit,
+      createdBy: userId
+    });
+    groups.set(definition.name, group);
+    result.groupsCreated.push(group.name);
+  }
+
+  for (const definition of template.ledgers) {
+    const existing = await Ledger.findOne({ name: nameMatch(definition.name), isActive: true });
+    if (existing) {
+      result.skipped.push(`ledger ${definition.name}`);
+      continue;
+    }
+
+    const group = await findGroup(definition.group);
+    if (!group) throw new Error(`Template ledger ${definition.name} has unknown group ${definition.group}`);
+
+    await Ledger.create({
+      name: definition.name,
+      type: group.nature,
+      group: group._id,
+      isDirect: group.affectsGrossProfit,
+      createdBy: userId
+    });
+    result.ledgersCreated.push(definition.name);
+  }
+
+  return result;
+};
+
+module.exports = {
+  listTemplates,
+  findTemplate,
+  applyTemplate
+};
@@ -0,0 +1,273 @@
+/**
+ * Stock Costing
+ *
+ * Values stock by replaying each item's movements in date order: the
+ * opening stock first, then every item invoice line. Purchases come in
+ * at their invoice value (after discount, before tax); everything going
+ * out, and anything coming back in other than a purchase, is valued at
+ * the item's cost under its costing method:
+ *
+ * - fifo: goods go out in the order they came in
+ * - average: moving weighted average of the stock in hand
+ * - last_purchase: the rate of the most recent purchase
+ *
+ * Stock that goes negative is carried at the last known cost. Under
+ * average cost the receipt that makes good a shortfall restarts the
+ * value at its own rate.
+ */
+
+const Transaction = require('../models/Transaction');
+const StockItem = require('../models/StockItem');
+const StockBalance = require('../models/StockBalance');
+const { roundAmount } = require('./posting');
+const { STOCK_DIRECTION, roundQuantity } = require('./inventory');
+
+// Voucher types whose inward lines bring stock in at their own value
+const VALUED_INWARD_TYPES = ['purchase'];
+
+/**
+ * Running cost of one item under a costing method
+ * @param {string} method - One of StockItem.COSTING_METHODS
+ * @returns {{receive: Function, issue: Function, costRate: Function, snapshot: Function}}
+ */
+const costingState = (method) => {
+  let quantity = 0;
+  let value = 0;
+  let lastRate = 0;
+  let layers = [];
+
+  const costRate = () => {
+    if (method === 'last_purchase') return lastRate;
+    if (method === 'average') return quantity > 0 ? value / quantity : lastRate;
+    return layers.length > 0 ? layers[0].rate : lastRate;
+  };
+
+  /**
+   * Bring stock in; without a value it comes in at the current cost
+   * @param {number} inQuantity
+   * @param {number} [inValue]
+   * @returns {number} Value it was brought in at
+   */
+  const receive = (inQuantity, inValue) => {
+    const received = inValue === undefined ? roundAmount(inQuantity * costRate()) : roundAmount(inValue);
+    const rate = inQuantity > 0 ? received / inQuantity : costRate();
+
+    if (inValue !== undefined && inQuantity > 0) lastRate = rate;
+
+    if (method === 'fifo') {
+      // Goods received first make good any shortfall from negative stock
+      let remaining = inQuantity;
+      while (remaining > 0 && layers.length > 0 && layers[0].quantity < 0) {
+        const cover = Math.min(remaining, -layers[0].quantity);
+        layers[0].quantity = roundQuantity(layers[0].quantity + cover);
+        remaining = roundQuantity(remaining - cover);
+        if (layers[0].quantity === 0) layers.shift();
+      }
+      if (remaining > 0) layers.push({ quantity: remaining, rate });
+      value = roundAmount(layers.reduce((sum, layer) => sum + layer.quantity * layer.rate, 0));
+    } else if (method === 'average' && quantity <= 0) {
+      // Goods issued before they were received went out at the last known
+      // cost; what is left after making good the shortfall is valued
+      // afresh at the incoming rate, not averaged with that shortfall
+      value = roundAmount(roundQuantity(quantity + inQuantity) * rate);
+    } else {
+      value = roundAmount(value + received);
+    }
+
+    quantity = roundQuantity(quantity + inQuantity);
+    if (method === 'last_purchase') value = roundAmount(quantity * lastRate);
+    return received;
+  };
+
+  /**
+   * Send stock out
+   * @param {number} outQuantity
+   * @returns {number} Cost of the goods sent out
+   */
+  const issue = (outQuantity) => {
+    let cost;
+
+    if (method === 'fifo') {
+      cost = 0;
+      let remaining = outQuantity;
+      while (remaining > 0 && layers.length > 0 && layers[0].quantity > 0) {
+        const take = Math.min(remaining, layers[0].quantity);
+        cost += take * layers[0].rate;
+        lastRate = layers[0].rate;
+        layers[0].quantity = roundQuantity(layers[0].quantity - take);
+        remaining = roundQuantity(remaining - take);
+        if (layers[0].quantity === 0) layers.shift();
+      }
+      if (remaining > 0) {
+        // Only a shortfall can be left once the stock in hand is used up
+        const shortfall = layers.length > 0 ? -layers[0].quantity : 0;
+        cost += remaining * lastRate;
+        layers = [{ quantity: -roundQuantity(shortfall + remaining), rate: lastRate }];
+      }
+      cost = roundAmount(cost);
+      quantity = roundQuantity(quantity - outQuantity);
+      value = roundAmount(layers.reduce((sum, layer) => sum + layer.quantity * layer.rate, 0));
+      return cost;
+    }
+
+    const rate = costRate();
+    if (method === 'average' && quantity > 0) lastRate = rate;
+    cost = roundAmount(outQuantity * rate);
+    quantity = roundQuantity(quantity - outQuantity);
+    value = method === 'last_purchase' ? roundAmount(quantity * lastRate) : roundAmount(value - cost);
+    if (quantity === 0) value = 0;
+    return cost;
+  };
+
+  const snapshot = () => ({
+    quantity,
+    value,
+    rate: quantity !== 0 ? roundAmount(value / quantity) : roundAmount(costRate())
+  });
+
+  return { receive, issue, costRate, snapshot };
+};
+
+/**
+ * Item invoice lines up to a date, oldest first
+ * @param {Date} to - Last moment to include
+ * @param {Object} [options]
+ * @param {Array<ObjectId>} [options.items] - Only these items
+ * @returns {Promise<Array<{date, type, item, quantity, amount}>>}
+ */
+const stockMovements = (to, { items } = {}) => Transaction.aggregate([
+  {
+    $match: {
+      isDeleted: false,
+      type: { $in: Object.keys(STOCK_DIRECTION) },
+      'items.0': { $exists: true },
+      date: { $lte: to }
+    }
+  },
+  { $sort: { date: 1, createdAt: 1, _id: 1 } },
+  { $unwind: '$items' },
+  ...(items ? [{ $match: { 'items.item': { $in: items } } }] : []),
+  {
+    $project: {
+      _id: 0,
+      date: 1,
+      type: 1,
+      item: '$items.item',
+      quantity: '$items.quantity',
+      amount: '$items.amount'
+    }
+  }
+]);
+
+/**
+ * Opening, inward, outward and closing stock of every item over a period
+ *
+ * @param {Object} period
+ * @param {Date} [period.from] - Start of the period; without it the opening is the item masters' opening stock
+ * @param {Date} period.to - End of the period
+ * @param {Object} [options]
+ * @param {Array<ObjectId>} [options.items] - Only these items
+ * @returns {Promise<Array<{item, method, opening, inward, outward, closing}>>}
+ *   Each figure is { quantity, value }; closing also has the rate. Items
+ *   with no stock and no movement are left out.
+ */
+const stockSummary = async ({ from = null, to }, { items } = {}) => {
+  const itemFilter = items ? { _id: { $in: items } } : {};
+  const [stockItems, openings, movements] = await Promise.all([
+    StockItem.find(itemFilter).select('name unit costingMethod isActive').populate('unit', 'symbol').lean(),
+    StockBalance.aggregate([
+      ...(items ? [{ $match: { item: { $in: items } } }] : []),
+      {
+        $group: {
+          _id: '$item',
+          quantity: { $sum: '$openingQuantity' },
+          value: { $sum: '$openingValue' }
+        }
+      }
+    ]),
+    stockMovements(to, { items })
+  ]);
+
+  const openingByItem = new Map(openings.map(row => [row._id.toString(), row]));
+  const movementsByItem = new Map();
+  for (const movement of movements) {
+    const key = movement.item.toString();
+    if (!movementsByItem.has(key)) movementsByItem.set(key, []);
+    movementsByItem.get(key).push(movement);
+  }
+
+  const rows = [];
+  for (const item of stockItems) {
+    const key = item._id.toString();
+    const method = item.costingMethod || 'average';
+    const state = costingState(method);
+    const masterOpening = openingByItem.get(key);
+
+    if (masterOpening && masterOpening.quantity) {
+      state.receive(roundQuantity(masterOpening.quantity), masterOpening.value);
+    }
+
+    let opening = from ? null : state.snapshot();
+    const inward = { quantity: 0, value: 0 };
+    const outward = { quantity: 0, value: 0 };
+
+    for (const movement of movementsByItem.get(key) || []) {
+      if (!opening && movement.date >= from) opening = state.snapshot();
+      const inPeriod = Boolean(opening);
+
+      if (STOCK_DIRECTION[movement.type] > 0) {
+        const received = state.receive(
+          movement.quantity,
+          VALUED_INWARD_TYPES.includes(movement.type) ? movement.amount : undefined
+        );
+        if (inPeriod) {
+          inward.quantity = roundQuantity(inward.quantity + movement.quantity);
+          inward.value = roundAmount(inward.value + received);
+        }
+      } else {
+        const cost = state.issue(movement.quantity);
+        if (inPeriod) {
+          outward.quantity = roundQuantity(outward.quantity + movement.quantity);
+          outward.value = roundAmount(outward.value + cost);
+        }
+      }
+    }
+
+    if (!opening) opening = state.snapshot();
+    const closing = state.snapshot();
+
+    if (!opening.quantity && !closing.quantity && !inward.quantity && !outward.quantity) continue;
+
+    rows.push({
+      item: { _id: item._id, name: item.name, unit: item.unit, isActive: item.isActive },
+      method,
+      opening: { quantity: opening.quantity, value: opening.value },
+      inward,
+      outward,
+      closing
+    });
+  }
+
+  return rows.sort((a, b) => a.item.name.localeCompare(b.item.name));
+};
+
+/**
+ * Total value of each column of a stock summary
+ * @param {Array} rows - From stockSummary
+ * @returns {{opening: number, inward: number, outward: number, closing: number}}
+ */
+const summaryTotals = (rows) => {
+  const total = (column) => roundAmount(rows.reduce((sum, row) => sum + row[column].value, 0));
+  return {
+    opening: total('opening'),
+    inward: total('inward'),
+    outward: total('outward'),
+    closing: total('closing')
+  };
+};
+
+module.exports = {
+  costingState,
+  stockSummary,
+  summaryTotals
+};
@@ -0,0 +1,82 @@
+/**
+ * CSV Helpers
+ *
+ * Builds RFC 4180 CSV text for report downloads and reads uploaded
+ * CSV files back into rows
+ */
+
+/**
+ * Quote a value when it holds a comma, quote or line break
+ * @param {*} value - Cell value; null and undefined become empty
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text for a header row and data rows
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array<*>>} rows - One array of cells per row
+ */
+const toCsv = (header, rows) => [header, ...rows]
+  .map(row => row.map(escapeCell).join(','))
+  .join('\r\n') + '\r\n';
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells that hold
+ * the delimiter, doubled quotes or line breaks. Blank lines are dropped.
+ * @param {string} text - CSV file content
+ * @param {string} [delimiter] - Cell separator
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  // Strip a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
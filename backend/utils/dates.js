@@ -0,0 +1,84 @@
+/**
+ * Date Helpers
+ *
+ * Query parameters arrive as 'YYYY-MM-DD' strings. A plain date parses as
+ * UTC midnight, so range ends are widened to the end of that day to keep
+ * vouchers posted later on the same day inside the range.
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Start of the given day (UTC)
+ * @param {string|Date} value - Date or 'YYYY-MM-DD' string
+ */
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * End of the given day (UTC) for date-only values, unchanged otherwise
+ * @param {string|Date} value - Date or 'YYYY-MM-DD' string
+ */
+const endOfDay = (value) => {
+  const date = new Date(value);
+  if (typeof value === 'string' && DATE_ONLY.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Whether a value parses to a real date
+ * @param {*} value - Candidate date
+ */
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Build a MongoDB range filter from optional start/end query values
+ * @param {string} startDate - Inclusive start
+ * @param {string} endDate - Inclusive end (whole day for date-only values)
+ * @returns {Object|null} Range filter, or null when neither bound is set
+ */
+const buildDateFilter = (startDate, endDate) => {
+  if (!startDate && !endDate) return null;
+
+  const filter = {};
+  if (startDate) filter.$gte = new Date(startDate);
+  if (endDate) filter.$lte = endOfDay(endDate);
+  return filter;
+};
+
+/**
+ * Previous period of the same length, immediately before the given one.
+ * Whole-month ranges shift by whole months so a quarter compares with the
+ * previous quarter rather than the same number of days.
+ * @param {Date} start - Period start (start of day)
+ * @param {Date} end - Period end (end of day)
+ * @returns {{start: Date, end: Date}}
+ */
+const previousPeriod = (start, end) => {
+  const nextDay = new Date(end.getTime() + 1);
+  const isWholeMonths = start.getUTCDate() === 1 && nextDay.getUTCDate() === 1;
+
+  if (isWholeMonths) {
+    const months = (nextDay.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+      (nextDay.getUTCMonth() - start.getUTCMonth());
+    const prevStart = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - months, 1));
+    return { start: prevStart, end: new Date(start.getTime() - 1) };
+  }
+
+  const length = end.getTime() - start.getTime();
+  const prevEnd = new Date(start.getTime() - 1);
+  return { start: new Date(prevEnd.getTime() - length), end: prevEnd };
+};
+
+module.exports = {
+  startOfDay,
+  endOfDay,
+  isValidDate,
+  buildDateFilter,
+  previousPeriod
+};
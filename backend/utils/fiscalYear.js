@@ -0,0 +1,53 @@
+/**
+ * Fiscal Year Helpers
+ *
+ * The books follow an April–March financial year. A year is labelled by
+ * its start year and the last two digits of its end year, e.g. '2026-27'.
+ */
+
+// Month (1-12) in which the financial year begins
+const FISCAL_YEAR_START_MONTH = 4;
+
+/**
+ * Fiscal year containing a date
+ * @param {string|Date} value - Any date within the year
+ * @returns {{label: string, start: Date, end: Date}}
+ */
+const fiscalYearOf = (value) => {
+  const date = new Date(value);
+  const startMonth = FISCAL_YEAR_START_MONTH - 1;
+  const startYear = date.getUTCMonth() >= startMonth
+    ? date.getUTCFullYear()
+    : date.getUTCFullYear() - 1;
+
+  const start = new Date(Date.UTC(startYear, startMonth, 1));
+  const end = new Date(Date.UTC(startYear + 1, startMonth, 1) - 1);
+  const label = `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+
+  return { label, start, end };
+};
+
+/**
+ * Quarter of a fiscal year, Q1 being the first three months
+ * @param {string} label - Fiscal year label, e.g. '2026-27'
+ * @param {number|string} quarter - 1 to 4
+ * @returns {{label: string, start: Date, end: Date}|null} Null for an unknown year or quarter
+ */
+const fiscalQuarter = (label, quarter) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(label || '');
+  const number = Number(quarter);
+  if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) return null;
+  if (!Number.isInteger(number) || number < 1 || number > 4) return null;
+
+  const startMonth = FISCAL_YEAR_START_MONTH - 1 + (number - 1) * 3;
+  const start = new Date(Date.UTC(Number(match[1]), startMonth, 1));
+  const end = new Date(Date.UTC(Number(match[1]), startMonth + 3, 1) - 1);
+
+  return { label: `${label} Q${number}`, start, end };
+};
+
+module.exports = {
+  FISCAL_YEAR_START_MONTH,
+  fiscalYearOf,
+  fiscalQuarter
+};
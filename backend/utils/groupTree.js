@@ -0,0 +1,111 @@
+/**
+ * Ledger Group Tree
+ *
+ * Files report rows under their ledger group and rolls each group's
+ * totals up through every ancestor, so a report can show primary groups
+ * with collapsible subtotals down to individual ledgers.
+ */
+
+// Balance sheet natures first, then the profit & loss ones
+const NATURE_ORDER = ['equity', 'liability', 'asset', 'income', 'expense'];
+
+/**
+ * Group id a ledger is filed under, falling back to the default group
+ * for its type when it has none
+ * @param {Object} ledger - Ledger with type, isDirect and group
+ * @param {Map<string, Object>} groupsByName - Groups keyed by name
+ * @param {Function} defaultNameFor - LedgerGroup.defaultNameFor
+ * @returns {string|null}
+ */
+const resolveGroupId = (ledger, groupsByName, defaultNameFor) => {
+  if (ledger.group) return (ledger.group._id || ledger.group).toString();
+  const fallback = groupsByName.get(defaultNameFor(ledger.type, ledger.isDirect));
+  return fallback ? fallback._id.toString() : null;
+};
+
+/**
+ * Ids of the named groups and every group below them
+ * @param {Array<Object>} groups - Every ledger group
+ * @param {Array<string>} names - Groups at the top of the branches
+ * @returns {Array<ObjectId>}
+ */
+const branchIds = (groups, names) => {
+  const branch = groups.filter(group => names.includes(group.name)).map(group => group._id);
+  for (let i = 0; i < branch.length; i++) {
+    branch.push(...groups.filter(group => group.parent && group.parent.equals(branch[i])).map(group => group._id));
+  }
+  return branch;
+};
+
+/**
+ * Build the group tree for a set of report rows
+ * @param {Array<Object>} groups - Every ledger group
+ * @param {Array<Object>} rows - Report rows, one per ledger
+ * @param {Object} options
+ * @param {Function} options.groupOf - row => group id string
+ * @param {Function} options.zero - () => empty totals
+ * @param {Function} options.add - (totals, row) => totals including the row
+ * @param {Function} [options.merge] - (totals, childTotals) => combined totals (defaults to add)
+ * @param {Function} [options.finish] - (totals, group) => totals as presented
+ * @returns {Array<{group: Object, totals: Object, ledgers: Array, children: Array}>}
+ *   Primary groups that have at least one row somewhere below them
+ */
+const buildGroupTree = (groups, rows, { groupOf, zero, add, merge = add, finish = totals => totals }) => {
+  const nodes = new Map(groups.map(group => [group._id.toString(), {
+    group: {
+      _id: group._id,
+      name: group.name,
+      nature: group.nature,
+      parent: group.parent || null
+    },
+    raw: zero(),
+    ledgers: [],
+    children: []
+  }]));
+
+  for (const row of rows) {
+    const node = nodes.get(groupOf(row));
+    if (!node) continue;
+    node.ledgers.push(row);
+    node.raw = add(node.raw, row);
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.group.parent && nodes.get(node.group.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  // Depth-first: totals include every descendant; empty branches are dropped
+  const settle = (node) => {
+    node.children = node.children.map(settle).filter(Boolean);
+    if (node.ledgers.length === 0 && node.children.length === 0) return null;
+
+    const raw = node.children.reduce((totals, child) => merge(totals, child.raw), node.raw);
+    node.children.sort((a, b) => a.group.name.localeCompare(b.group.name));
+
+    return {
+      group: node.group,
+      raw,
+      totals: finish(raw, node.group),
+      ledgers: node.ledgers,
+      children: node.children
+    };
+  };
+
+  const strip = ({ raw, ...node }) => ({ ...node, children: node.children.map(strip) });
+
+  return roots
+    .map(settle)
+    .filter(Boolean)
+    .sort((a, b) => NATURE_ORDER.indexOf(a.group.nature) - NATURE_ORDER.indexOf(b.group.nature) ||
+      a.group.name.localeCompare(b.group.name))
+    .map(strip);
+};
+
+module.exports = {
+  resolveGroupId,
+  branchIds,
+  buildGroupTree
+};
@@ -0,0 +1,218 @@
+/**
+ * GST Helpers
+ *
+ * Works out the GST on a sales or purchase tax invoice and the voucher
+ * entries that post it: the party for the invoice value, each sales or
+ * purchase ledger for its taxable value, and the duty ledgers for the
+ * tax. Supply within the company's state is taxed as CGST + SGST, supply
+ * between states as IGST. Credit and debit notes are posted the same
+ * way with every side turned round.
+ */
+
+const Ledger = require('../models/Ledger');
+const LedgerGroup = require('../models/LedgerGroup');
+const TaxRate = require('../models/TaxRate');
+const Company = require('../models/Company');
+const { roundAmount } = require('./posting');
+const { gstinStateCode } = require('./gstin');
+
+// Names of the duty ledgers created when the company has none set
+const DUTY_LEDGER_NAMES = {
+  outputCgst: 'Output CGST',
+  outputSgst: 'Output SGST',
+  outputIgst: 'Output IGST',
+  inputCgst: 'Input CGST',
+  inputSgst: 'Input SGST',
+  inputIgst: 'Input IGST',
+  tdsPayable: 'TDS Payable'
+};
+
+// Voucher types that can carry GST: the duty ledgers their tax goes to
+// and the side the party is posted on. A credit note takes back part of
+// a sale and a debit note part of a purchase.
+const TAX_VOUCHER_TYPES = {
+  sales: { duty: 'output', partySide: 'Dr' },
+  purchase: { duty: 'input', partySide: 'Cr' },
+  credit_note: { duty: 'output', partySide: 'Cr' },
+  debit_note: { duty: 'input', partySide: 'Dr' }
+};
+
+/**
+ * GST on each taxable line
+ * @param {Array<{ledger, taxRate, rate: number, taxableValue: number}>} lines - Taxable lines
+ * @param {boolean} interState - Whether supply crosses state lines
+ * @returns {{lines: Array, taxableValue: number, cgst: number, sgst: number, igst: number, invoiceValue: number}}
+ */
+const computeGst = (lines, interState) => {
+  const computed = lines.map(line => {
+    const taxableValue = roundAmount(line.taxableValue);
+    const half = roundAmount(taxableValue * line.rate / 200);
+
+    return {
+      ...line,
+      taxableValue,
+      cgst: interState ? 0 : half,
+      sgst: interState ? 0 : half,
+      igst: interState ? roundAmount(taxableValue * line.rate / 100) : 0
+    };
+  });
+
+  const sum = (key) => roundAmount(computed.reduce((total, line) => total + line[key], 0));
+  const totals = { taxableValue: sum('taxableValue'), cgst: sum('cgst'), sgst: sum('sgst'), igst: sum('igst') };
+
+  return {
+    lines: computed,
+    ...totals,
+    invoiceValue: roundAmount(totals.taxableValue + totals.cgst + totals.sgst + totals.igst)
+  };
+};
+
+/**
+ * One of the company's duty ledgers, creating the default one under
+ * Duties & Taxes when none is set
+ * @param {Object} company - Company document
+ * @param {string} key - Company.DUTY_LEDGER_KEYS entry, e.g. 'outputCgst'
+ * @param {ObjectId} userId - Creator of any new ledger
+ * @returns {Promise<ObjectId>}
+ */
+const dutyLedger = async (company, key, userId) => {
+  const id = company.dutyLedgers?.[key];
+  if (id && await Ledger.exists({ _id: id })) return id;
+
+  let ledger = await Ledger.findOne({ name: DUTY_LEDGER_NAMES[key] });
+
+  if (!ledger) {
+    await LedgerGroup.ensurePredefined();
+    const group = await LedgerGroup.findOne({ name: 'Duties & Taxes' });
+    ledger = await Ledger.create({
+      name: DUTY_LEDGER_NAMES[key],
+      type: group.nature,
+      group: group._id,
+      createdBy: userId
+    });
+  }
+
+  await Company.updateOne({ _id: company._id }, { $set: { [`dutyLedgers.${key}`]: ledger._id } });
+  return ledger._id;
+};
+
+/**
+ * The company's CGST, SGST and IGST ledgers for one side of an invoice
+ * @param {Object} company - Company document
+ * @param {'output'|'input'} kind - Output tax on sales, input tax on purchases
+ * @param {ObjectId} userId - Creator of any new ledger
+ * @returns {Promise<{cgst: ObjectId, sgst: ObjectId, igst: ObjectId}>}
+ */
+const dutyLedgers = async (company, kind, userId) => {
+  const ids = {};
+
+  for (const tax of ['cgst', 'sgst', 'igst']) {
+    ids[tax] = await dutyLedger(company, `${kind}${tax[0].toUpperCase()}${tax.slice(1)}`, userId);
+  }
+
+  return ids;
+};
+
+/**
+ * Work out a tax invoice: the GST details and the voucher entries
+ * @param {Object} invoice
+ * @param {string} invoice.type - One of TAX_VOUCHER_TYPES
+ * @param {string} invoice.partyLedger - Customer or supplier
+ * @param {Array<{ledger, taxableValue, taxRate?, hsnCode?}>} invoice.taxLines - Sales/purchase ledgers and taxable
+ *   values; a line without a taxRate or hsnCode uses its ledger's
+ * @param {string} [invoice.placeOfSupply] - State code; defaults to the customer's state on sales and
+ *   credit notes, and the company's state on purchases and debit notes
+ * @param {ObjectId} userId - Who is entering the voucher
+ * @returns {Promise<{entries?: Array, gst?: Object, error?: {status: number, message: string}}>}
+ */
+const planTaxInvoice = async ({ type, partyLedger, taxLines, placeOfSupply }, userId) => {
+  const voucherType = TAX_VOUCHER_TYPES[type];
+  if (!voucherType) {
+    return { error: { status: 400, message: 'Tax lines only apply to sales, purchase, credit note and debit note vouchers' } };
+  }
+  const outward = voucherType.duty === 'output';
+
+  const company = await Company.current();
+  if (!company.state) {
+    return { error: { status: 400, message: "Set the company's GST state before entering tax invoices" } };
+  }
+
+  const ledgerIds = [...new Set([partyLedger, ...taxLines.map(line => line.ledger)].map(String))];
+  const ledgers = await Ledger.find({ _id: { $in: ledgerIds } }).select('name gstin state taxRate hsnCode');
+  const ledgerById = new Map(ledgers.map(ledger => [ledger._id.toString(), ledger]));
+
+  const party = ledgerById.get(String(partyLedger));
+  if (!party) {
+    return { error: { status: 404, message: 'Party ledger not found' } };
+  }
+
+  const missing = taxLines.find(line => !ledgerById.has(String(line.ledger)));
+  if (missing) {
+    return { error: { status: 404, message: `Ledger ${missing.ledger} not found` } };
+  }
+
+  if (taxLines.some(line => String(line.ledger) === String(partyLedger))) {
+    return { error: { status: 400, message: 'The party cannot also be a taxable line' } };
+  }
+
+  await TaxRate.ensureStandard();
+  const rateIds = taxLines.map(line => String(line.taxRate || ledgerById.get(String(line.ledger)).taxRate || ''));
+  const rates = await TaxRate.find({ _id: { $in: rateIds.filter(Boolean) }, isActive: true });
+  const rateById = new Map(rates.map(rate => [rate._id.toString(), rate]));
+
+  const lines = [];
+  for (const [index, line] of taxLines.entries()) {
+    const rate = rateById.get(rateIds[index]);
+    if (!rate) {
+      const ledger = ledgerById.get(String(line.ledger));
+      return { error: { status: 400, message: `Pick an active tax rate for ${ledger.name}` } };
+    }
+    lines.push({
+      ledger: line.ledger,
+      taxRate: rate._id,
+      rate: rate.rate,
+      hsnCode: line.hsnCode || ledgerById.get(String(line.ledger)).hsnCode || null,
+      taxableValue: Number(line.taxableValue)
+    });
+  }
+
+  const partyState = party.state || gstinStateCode(party.gstin) || null;
+  const supplyPlace = placeOfSupply || (outward ? partyState || company.state : company.state);
+  const supplierState = outward ? company.state : partyState || company.state;
+  const interState = supplierState !== supplyPlace;
+
+  const gst = {
+    partyLedger: party._id,
+    partyGstin: party.gstin || null,
+    placeOfSupply: supplyPlace,
+    supplyType: interState ? 'inter' : 'intra',
+    ...computeGst(lines, interState)
+  };
+
+  // Sales credit income and output tax; purchases debit expense and input
+  // tax; notes post the other way round
+  const { partySide } = voucherType;
+  const otherSide = partySide === 'Dr' ? 'Cr' : 'Dr';
+  const duties = await dutyLedgers(company, voucherType.duty, userId);
+
+  const entries = [
+    { ledger: party._id, side: partySide, amount: gst.invoiceValue },
+    ...gst.lines
+      .filter(line => line.taxableValue > 0)
+      .map(line => ({ ledger: line.ledger, side: otherSide, amount: line.taxableValue })),
+    ...['cgst', 'sgst', 'igst']
+      .filter(tax => gst[tax] > 0)
+      .map(tax => ({ ledger: duties[tax], side: otherSide, amount: gst[tax], narration: tax.toUpperCase() }))
+  ];
+
+  return { entries, gst };
+};
+
+module.exports = {
+  DUTY_LEDGER_NAMES,
+  TAX_VOUCHER_TYPES,
+  computeGst,
+  dutyLedger,
+  dutyLedgers,
+  planTaxInvoice
+};
@@ -0,0 +1,504 @@
+/**
+ * GST Return Helpers
+ *
+ * Builds GSTR-1 and GSTR-3B for a month from the GST details of tax
+ * invoices and credit/debit notes, in the JSON layout the GST portal's
+ * offline tool uploads, and lists what would make the portal reject the
+ * file.
+ */
+
+const { roundAmount } = require('./posting');
+const { roundQuantity } = require('./inventory');
+const { isValidGstin } = require('./gstin');
+
+// HSN (goods) codes are 4, 6 or 8 digits; SAC (services) codes are
+// 6 digits starting 99
+const HSN_PATTERN = /^\d{4}(\d{2}){0,2}$/;
+
+// Inter-state invoices to unregistered buyers above this value are
+// reported invoice by invoice (B2CL) rather than summarised (B2CS)
+const B2CL_LIMIT = 100000;
+
+const TAX_KEYS = ['txval', 'iamt', 'camt', 'samt', 'csamt'];
+
+// Notes reduce the supplies (credit notes) or input tax (debit notes)
+// of the invoices they are raised against
+const REVERSING_TYPES = ['credit_note', 'debit_note'];
+
+// Unit quantity codes the portal accepts in the HSN summary
+const UQC_CODES = new Set([
+  'BAG', 'BAL', 'BDL', 'BKL', 'BOU', 'BOX', 'BTL', 'BUN', 'CAN', 'CBM', 'CCM', 'CMS', 'CTN', 'DOZ',
+  'DRM', 'GGK', 'GMS', 'GRS', 'GYD', 'KGS', 'KLR', 'KME', 'LTR', 'MLT', 'MTR', 'MTS', 'NOS', 'OTH',
+  'PAC', 'PCS', 'PRS', 'QTL', 'ROL', 'SET', 'SQF', 'SQM', 'SQY', 'TBS', 'TGM', 'THD', 'TON', 'TUB',
+  'UGS', 'UNT', 'YDS'
+]);
+
+// Common unit symbols that are not themselves portal codes
+const UQC_ALIASES = {
+  NO: 'NOS', NUMBER: 'NOS', NUMBERS: 'NOS',
+  PC: 'PCS', PIECE: 'PCS', PIECES: 'PCS',
+  KG: 'KGS', KILOGRAM: 'KGS', KILOGRAMS: 'KGS',
+  G: 'GMS', GM: 'GMS', GRAM: 'GMS', GRAMS: 'GMS',
+  L: 'LTR', LT: 'LTR', LITRE: 'LTR', LITRES: 'LTR', LITER: 'LTR', LITERS: 'LTR',
+  ML: 'MLT', M: 'MTR', METRE: 'MTR', METRES: 'MTR', METER: 'MTR', METERS: 'MTR',
+  DOZEN: 'DOZ', BOXES: 'BOX', PKT: 'PAC', PACK: 'PAC', PAIR: 'PRS', PAIRS: 'PRS',
+  SQFT: 'SQF', TONNE: 'MTS', QUINTAL: 'QTL'
+};
+
+/**
+ * Whether an HSN/SAC code is well formed
+ * @param {string} code - HSN or SAC code
+ */
+const isValidHsn = (code) => typeof code === 'string' && HSN_PATTERN.test(code);
+
+/**
+ * Calendar month of a return
+ * @param {string} month - 'YYYY-MM'
+ * @returns {{fp: string, start: Date, end: Date}|null} Portal period 'MMYYYY' and the month's bounds
+ */
+const returnPeriod = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+
+  return {
+    fp: `${match[2]}${match[1]}`,
+    start: new Date(Date.UTC(year, monthIndex, 1)),
+    end: new Date(Date.UTC(year, monthIndex + 1, 1) - 1)
+  };
+};
+
+// Portal dates are dd-mm-yyyy
+const portalDate = (date) => {
+  const value = new Date(date);
+  return [
+    String(value.getUTCDate()).padStart(2, '0'),
+    String(value.getUTCMonth() + 1).padStart(2, '0'),
+    value.getUTCFullYear()
+  ].join('-');
+};
+
+const emptyTax = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+// Add a GST line's amounts into portal-style tax totals; a sign of -1
+// takes them off instead
+const addTax = (totals, line, sign = 1) => {
+  totals.txval = roundAmount(totals.txval + sign * line.taxableValue);
+  totals.iamt = roundAmount(totals.iamt + sign * line.igst);
+  totals.camt = roundAmount(totals.camt + sign * line.cgst);
+  totals.samt = roundAmount(totals.samt + sign * line.sgst);
+  return totals;
+};
+
+// -1 for vouchers that reverse an invoice, 1 otherwise
+const taxSign = (voucher) => (REVERSING_TYPES.includes(voucher.type) ? -1 : 1);
+
+// HSN of a GST line: the code captured on the voucher, else its ledger's
+const lineHsn = (line) => line.hsnCode || line.ledger?.hsnCode || null;
+
+/**
+ * Portal unit quantity code for a unit symbol, e.g. Nos → NOS, Kg → KGS
+ * @param {string} symbol - Unit symbol
+ * @returns {string} OTH when the unit has no code
+ */
+const unitUqc = (symbol) => {
+  const key = String(symbol || '').toUpperCase().replace(/[^A-Z]/g, '');
+  if (UQC_CODES.has(key)) return key;
+  return UQC_ALIASES[key] || 'OTH';
+};
+
+/**
+ * A voucher's GST lines as HSN summary parts, one per HSN code, rate and
+ * unit. Item lines give the quantity in their stock item's unit; where
+ * items in different units share a code and rate, the tax is split by
+ * their value. Without items there is no quantity: services are NA and
+ * goods OTH.
+ * @param {Object} voucher - Voucher with gst (lines' ledgers populated)
+ *   and, for an item invoice, items (item.unit populated)
+ * @returns {Array<{code, rate, desc, uqc, qty, line}>} `line` holds the
+ *   part's taxableValue, igst, cgst and sgst
+ */
+const hsnParts = (voucher) => {
+  const { gst } = voucher;
+  const groups = new Map();
+
+  for (const line of gst.lines) {
+    const code = lineHsn(line) || '';
+    const key = `${code}|${line.rate}`;
+    if (!groups.has(key)) {
+      groups.set(key, { code, rate: line.rate, desc: line.ledger?.name || '', line: { taxableValue: 0, igst: 0, cgst: 0, sgst: 0 }, units: new Map() });
+    }
+    const total = groups.get(key).line;
+    for (const amount of ['taxableValue', 'igst', 'cgst', 'sgst']) {
+      total[amount] = roundAmount(total[amount] + line[amount]);
+    }
+  }
+
+  // An item line's GST line has its tax rate and its HSN code, or the
+  // sales/purchase ledger's when the item has none
+  const rateById = new Map(gst.lines.map(line => [String(line.taxRate), line.rate]));
+  const ledgerHsn = gst.lines[0]?.ledger?.hsnCode || '';
+  for (const item of voucher.items || []) {
+    const group = groups.get(`${item.hsnCode || ledgerHsn}|${rateById.get(String(item.taxRate))}`);
+    if (!group) continue;
+
+    const uqc = unitUqc(item.item?.unit?.symbol);
+    const unit = group.units.get(uqc) || { qty: 0, amount: 0 };
+    unit.qty = roundQuantity(unit.qty + item.quantity);
+    unit.amount = roundAmount(unit.amount + item.amount);
+    group.units.set(uqc, unit);
+  }
+
+  const parts = [];
+  for (const { units, line, ...group } of groups.values()) {
+    if (units.size === 0) {
+      parts.push({ ...group, uqc: group.code.startsWith('99') ? 'NA' : 'OTH', qty: 0, line });
+      continue;
+    }
+
+    // Each unit takes its share of the tax; the last takes what is left
+    const total = [...units.values()].reduce((sum, unit) => sum + unit.amount, 0);
+    const left = { ...line };
+    [...units].forEach(([uqc, unit], index) => {
+      const share = index === units.size - 1 ? null : unit.amount / total;
+      const part = {};
+      for (const key of ['taxableValue', 'igst', 'cgst', 'sgst']) {
+        part[key] = share === null ? left[key] : roundAmount(line[key] * share);
+        left[key] = roundAmount(left[key] - part[key]);
+      }
+      parts.push({ ...group, uqc, qty: unit.qty, line: part });
+    });
+  }
+
+  return parts;
+};
+
+/**
+ * Invoice items, one per tax rate as the portal expects
+ * @param {Object} gst - Voucher GST details
+ * @param {boolean} intra - Whether CGST/SGST amounts are reported
+ */
+const invoiceItems = (gst, intra) => {
+  const byRate = new Map();
+  for (const line of gst.lines) {
+    if (!byRate.has(line.rate)) byRate.set(line.rate, { rt: line.rate, ...emptyTax() });
+    addTax(byRate.get(line.rate), line);
+  }
+
+  return [...byRate.values()].map((detail, index) => {
+    const { camt, samt, ...inter } = detail;
+    return { num: index + 1, itm_det: intra ? detail : inter };
+  });
+};
+
+/**
+ * Where a sales invoice or credit note goes in GSTR-1
+ *
+ * Credit notes to registered buyers are reported note by note (CDNR);
+ * to unregistered buyers, note by note (CDNUR) when the invoice was a
+ * large inter-state one, otherwise netted off the B2C summary.
+ *
+ * @param {Object} voucher - Sales voucher or credit note with gst; a
+ *   credit note's originalVoucher populated with its gst
+ * @returns {'b2b'|'b2cl'|'b2cs'|'cdnr'|'cdnur'}
+ */
+const gstr1Section = (voucher) => {
+  const { gst } = voucher;
+  const isNote = voucher.type === 'credit_note';
+  // A note follows the invoice it reverses, not its own value
+  const invoiceGst = (isNote && voucher.originalVoucher?.gst) || gst;
+
+  if (gst.partyGstin) return isNote ? 'cdnr' : 'b2b';
+  if (invoiceGst.supplyType === 'inter' && invoiceGst.invoiceValue > B2CL_LIMIT) return isNote ? 'cdnur' : 'b2cl';
+  return 'b2cs';
+};
+
+/**
+ * Problems the portal would reject, or that deserve a second look
+ * @param {Object} company - Company settings
+ * @param {Array} vouchers - Vouchers with gst (lines' ledgers populated with name and hsnCode)
+ * @param {Object} [options]
+ * @param {boolean} [options.checkHsn=true] - Whether every line needs an HSN/SAC code
+ * @returns {{errors: Array, warnings: Array}} Each issue has voucher ({ _id, voucherNumber }) and message
+ */
+const checkReturn = (company, vouchers, { checkHsn = true } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const issue = (list, voucher, message) => list.push({
+    voucher: voucher ? { _id: voucher._id, voucherNumber: voucher.voucherNumber } : null,
+    message
+  });
+
+  if (!company.gstin) {
+    issue(errors, null, 'The company has no GSTIN; set it on GST Settings');
+  } else if (!isValidGstin(company.gstin)) {
+    issue(errors, null, `Company GSTIN ${company.gstin} is invalid`);
+  }
+
+  for (const voucher of vouchers) {
+    const { gst } = voucher;
+
+    if (gst.partyGstin && !isValidGstin(gst.partyGstin)) {
+      issue(errors, voucher, `Party GSTIN ${gst.partyGstin} is invalid`);
+    }
+
+    if (checkHsn) {
+      for (const line of gst.lines) {
+        const hsn = lineHsn(line);
+        const ledgerName = line.ledger?.name || 'a taxable line';
+        if (!hsn) issue(errors, voucher, `Missing HSN/SAC code for ${ledgerName}`);
+        else if (!isValidHsn(hsn)) issue(errors, voucher, `Invalid HSN/SAC code ${hsn} for ${ledgerName}`);
+      }
+    }
+
+    if (voucher.type === 'sales' && gstr1Section(voucher) === 'b2cl') {
+      issue(warnings, voucher, "No customer GSTIN; reported as B2C large. Add the customer's GSTIN if they are registered");
+    }
+
+    if (voucher.type === 'purchase' && !gst.partyGstin && (gst.igst || gst.cgst || gst.sgst)) {
+      issue(warnings, voucher, 'Input tax claimed on a purchase from a supplier without a GSTIN');
+    }
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * GSTR-1 for a month
+ * @param {Object} company - Company settings (gstin)
+ * @param {string} fp - Return period 'MMYYYY'
+ * @param {Array} invoices - Sales vouchers and credit notes with gst (lines' ledgers populated)
+ * @returns {Object} Portal JSON
+ */
+const buildGstr1 = (company, fp, invoices) => {
+  const b2b = new Map();
+  const b2cl = new Map();
+  const b2cs = new Map();
+  const cdnr = new Map();
+  const cdnur = [];
+  const hsn = { b2b: new Map(), b2c: new Map() };
+
+  for (const voucher of invoices) {
+    const { gst } = voucher;
+    const section = gstr1Section(voucher);
+    const sign = taxSign(voucher);
+    const intra = gst.supplyType === 'intra';
+    const invoice = {
+      inum: voucher.voucherNumber,
+      idt: portalDate(voucher.date),
+      val: gst.invoiceValue
+    };
+    const note = {
+      ntty: 'C',
+      nt_num: voucher.voucherNumber,
+      nt_dt: portalDate(voucher.date),
+      val: gst.invoiceValue
+    };
+
+    if (section === 'cdnr') {
+      if (!cdnr.has(gst.partyGstin)) cdnr.set(gst.partyGstin, { ctin: gst.partyGstin, nt: [] });
+      cdnr.get(gst.partyGstin).nt.push({
+        ...note,
+        pos: gst.placeOfSupply,
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: invoiceItems(gst, intra)
+      });
+    } else if (section === 'cdnur') {
+      cdnur.push({ typ: 'B2CL', ...note, pos: gst.placeOfSupply, itms: invoiceItems(gst, false) });
+    } else if (section === 'b2b') {
+      if (!b2b.has(gst.partyGstin)) b2b.set(gst.partyGstin, { ctin: gst.partyGstin, inv: [] });
+      b2b.get(gst.partyGstin).inv.push({
+        ...invoice,
+        pos: gst.placeOfSupply,
+        rchrg: 'N',
+        inv_typ: 'R',
+        itms: invoiceItems(gst, intra)
+      });
+    } else if (section === 'b2cl') {
+      if (!b2cl.has(gst.placeOfSupply)) b2cl.set(gst.placeOfSupply, { pos: gst.placeOfSupply, inv: [] });
+      b2cl.get(gst.placeOfSupply).inv.push({ ...invoice, itms: invoiceItems(gst, false) });
+    } else {
+      for (const line of gst.lines) {
+        const key = `${gst.supplyType}|${gst.placeOfSupply}|${line.rate}`;
+        if (!b2cs.has(key)) {
+          b2cs.set(key, {
+            sply_ty: intra ? 'INTRA' : 'INTER',
+            pos: gst.placeOfSupply,
+            typ: 'OE',
+            rt: line.rate,
+            ...emptyTax()
+          });
+        }
+        addTax(b2cs.get(key), line, sign);
+      }
+    }
+
+    // HSN summary, split by whether the buyer is registered
+    const summary = gst.partyGstin ? hsn.b2b : hsn.b2c;
+    for (const part of hsnParts(voucher)) {
+      const key = `${part.code}|${part.rate}|${part.uqc}`;
+      if (!summary.has(key)) {
+        summary.set(key, {
+          hsn_sc: part.code,
+          desc: part.desc,
+          uqc: part.uqc,
+          qty: 0,
+          rt: part.rate,
+          ...emptyTax()
+        });
+      }
+      const row = summary.get(key);
+      row.qty = roundQuantity(row.qty + sign * part.qty);
+      addTax(row, part.line, sign);
+    }
+  }
+
+  const numbered = (rows) => [...rows.values()].map((row, index) => ({ num: index + 1, ...row }));
+  const withoutCentralTax = ({ camt, samt, ...row }) => row;
+
+  return {
+    gstin: company.gstin,
+    fp,
+    b2b: [...b2b.values()],
+    b2cl: [...b2cl.values()],
+    b2cs: [...b2cs.values()].map(row => (row.sply_ty === 'INTER' ? withoutCentralTax(row) : row)),
+    cdnr: [...cdnr.values()],
+    cdnur,
+    hsn: {
+      hsn_b2b: numbered(hsn.b2b),
+      hsn_b2c: numbered(hsn.b2c)
+    }
+  };
+};
+
+/**
+ * GSTR-3B for a month
+ * @param {Object} company - Company settings (gstin)
+ * @param {string} fp - Return period 'MMYYYY'
+ * @param {Array} sales - Sales vouchers and credit notes with gst
+ * @param {Array} purchases - Purchase vouchers and debit notes with gst
+ * @returns {Object} Portal JSON; notes are netted off the supplies and
+ *   input tax they reverse
+ */
+const buildGstr3b = (company, fp, sales, purchases) => {
+  const taxable = emptyTax();
+  const nilRated = emptyTax();
+  const unregistered = new Map();
+
+  for (const voucher of sales) {
+    const { gst } = voucher;
+    const sign = taxSign(voucher);
+
+    for (const line of gst.lines) {
+      addTax(line.rate > 0 ? taxable : nilRated, line, sign);
+    }
+
+    // 3.2: inter-state supplies to unregistered persons, by place of supply
+    if (gst.supplyType === 'inter' && !gst.partyGstin) {
+      if (!unregistered.has(gst.placeOfSupply)) {
+        unregistered.set(gst.placeOfSupply, { pos: gst.placeOfSupply, txval: 0, iamt: 0 });
+      }
+      const row = unregistered.get(gst.placeOfSupply);
+      row.txval = roundAmount(row.txval + sign * gst.taxableValue);
+      row.iamt = roundAmount(row.iamt + sign * gst.igst);
+    }
+  }
+
+  const inputTax = emptyTax();
+  const exemptInward = { inter: 0, intra: 0 };
+
+  for (const voucher of purchases) {
+    const { gst } = voucher;
+    const sign = taxSign(voucher);
+
+    for (const line of gst.lines) {
+      if (line.rate > 0) addTax(inputTax, line, sign);
+      else exemptInward[gst.supplyType] = roundAmount(exemptInward[gst.supplyType] + sign * line.taxableValue);
+    }
+  }
+
+  const { txval, ...itc } = inputTax;
+  const zeroItc = () => ({ iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+  return {
+    gstin: company.gstin,
+    ret_period: fp,
+    sup_details: {
+      osup_det: taxable,
+      osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+      osup_nil_exmp: { txval: nilRated.txval },
+      isup_rev: emptyTax(),
+      osup_nongst: { txval: 0 }
+    },
+    inter_sup: {
+      unreg_details: [...unregistered.values()],
+      comp_details: [],
+      uin_details: []
+    },
+    itc_elg: {
+      itc_avl: [
+        { ty: 'IMPG', ...zeroItc() },
+        { ty: 'IMPS', ...zeroItc() },
+        { ty: 'ISRC', ...zeroItc() },
+        { ty: 'ISD', ...zeroItc() },
+        { ty: 'OTH', ...itc }
+      ],
+      itc_rev: [
+        { ty: 'RUL', ...zeroItc() },
+        { ty: 'OTH', ...zeroItc() }
+      ],
+      itc_net: itc,
+      itc_inelg: [
+        { ty: 'RUL', ...zeroItc() },
+        { ty: 'OTH', ...zeroItc() }
+      ]
+    },
+    inward_sup: {
+      isup_details: [
+        { ty: 'GST', ...exemptInward },
+        { ty: 'NONGST', inter: 0, intra: 0 }
+      ]
+    }
+  };
+};
+
+/**
+ * Section totals of a GSTR-1 for the preview
+ * @param {Object} gstr1 - Portal JSON from buildGstr1
+ */
+const summariseGstr1 = (gstr1) => {
+  const total = (rows) => rows.reduce((sum, row) => {
+    for (const key of TAX_KEYS) sum[key] = roundAmount(sum[key] + (row[key] || 0));
+    return sum;
+  }, emptyTax());
+  const documentTotal = (documents) => ({
+    count: documents.length,
+    value: roundAmount(documents.reduce((sum, document) => sum + document.val, 0)),
+    ...total(documents.flatMap(document => document.itms.map(item => item.itm_det)))
+  });
+
+  return {
+    b2b: documentTotal(gstr1.b2b.flatMap(party => party.inv)),
+    b2cl: documentTotal(gstr1.b2cl.flatMap(place => place.inv)),
+    b2cs: { count: gstr1.b2cs.length, ...total(gstr1.b2cs) },
+    cdnr: documentTotal(gstr1.cdnr.flatMap(party => party.nt)),
+    cdnur: documentTotal(gstr1.cdnur),
+    hsn: { count: gstr1.hsn.hsn_b2b.length + gstr1.hsn.hsn_b2c.length, ...total([...gstr1.hsn.hsn_b2b, ...gstr1.hsn.hsn_b2c]) }
+  };
+};
+
+module.exports = {
+  HSN_PATTERN,
+  B2CL_LIMIT,
+  isValidHsn,
+  returnPeriod,
+  portalDate,
+  gstr1Section,
+  checkReturn,
+  buildGstr1,
+  buildGstr3b,
+  summariseGstr1
+};
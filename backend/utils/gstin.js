@@ -0,0 +1,99 @@
+/**
+ * GSTIN Helpers
+ *
+ * Indian GST state codes and GSTIN validation. A GSTIN is 15 characters:
+ * the 2-digit state code, the holder's PAN, an entity number, a 'Z' and
+ * a check character computed over the first 14.
+ */
+
+// GST state and union territory codes
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const CHECK_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Whether a code is a GST state code
+ * @param {string} code - Two-digit code, e.g. '27'
+ */
+const isValidStateCode = (code) => Object.prototype.hasOwnProperty.call(STATE_CODES, code);
+
+/**
+ * Check character for the first 14 characters of a GSTIN: each
+ * character's base-36 value is weighted 1 and 2 alternately, the
+ * quotient and remainder of each product by 36 are summed, and the
+ * check value brings that sum up to a multiple of 36
+ * @param {string} body - First 14 characters
+ * @returns {string}
+ */
+const gstinCheckChar = (body) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i += 1) {
+    const product = CHECK_CHARS.indexOf(body[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHECK_CHARS[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Whether a GSTIN is well formed, for a known state, and carries the
+ * right check character
+ * @param {string} gstin - GSTIN, upper case
+ */
+const isValidGstin = (gstin) => {
+  if (typeof gstin !== 'string' || !GSTIN_PATTERN.test(gstin)) return false;
+  if (!isValidStateCode(gstin.slice(0, 2))) return false;
+  return gstinCheckChar(gstin.slice(0, 14)) === gstin[14];
+};
+
+/**
+ * State code a GSTIN was issued in
+ * @param {string} gstin - GSTIN
+ * @returns {string|null}
+ */
+const gstinStateCode = (gstin) => (gstin ? gstin.slice(0, 2) : null);
+
+module.exports = {
+  STATE_CODES,
+  isValidStateCode,
+  isValidGstin,
+  gstinStateCode
+};
@@ -0,0 +1,339 @@
+/**
+ * Inventory Helpers
+ *
+ * Quantity conversion between simple and compound units, the opening
+ * stock an item is brought into the books with, and item invoices:
+ * sales, purchase, credit note and debit note vouchers built from stock
+ * lines that move stock in and out of godowns.
+ */
+
+const Unit = require('../models/Unit');
+const Godown = require('../models/Godown');
+const StockItem = require('../models/StockItem');
+const StockBalance = require('../models/StockBalance');
+const Ledger = require('../models/Ledger');
+const { roundAmount } = require('./posting');
+const { TAX_VOUCHER_TYPES, planTaxInvoice } = require('./gst');
+
+// Stock an item invoice brings in (+1) or sends out (-1). Goods come
+// back on a credit note (sales return) and go back on a debit note
+// (purchase return).
+const STOCK_DIRECTION = {
+  sales: -1,
+  purchase: 1,
+  credit_note: 1,
+  debit_note: -1
+};
+
+/**
+ * Round a quantity to a number of decimal places
+ * @param {number} value - Quantity
+ * @param {number} [decimalPlaces=4]
+ */
+const roundQuantity = (value, decimalPlaces = 4) => {
+  const factor = 10 ** decimalPlaces;
+  return Math.round((Number(value) + Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Label a quantity with its unit, e.g. "12 Nos"
+ * @param {number} quantity
+ * @param {{symbol: string}} unit
+ */
+const describeQuantity = (quantity, unit) => `${quantity} ${unit.symbol}`;
+
+/**
+ * Convert a quantity entered in some unit to the item's own unit
+ *
+ * The item's unit is always accepted; a compound unit is accepted when
+ * it is built on the item's unit, so 2 Box (of 12 Nos) becomes 24 Nos.
+ *
+ * @param {{unit: ObjectId}} item - Stock item
+ * @param {number} quantity - Quantity as entered
+ * @param {ObjectId|string} [unitId] - Unit it was entered in; the item's unit when left out
+ * @returns {Promise<{quantity?: number, error?: {status: number, message: string}}>}
+ */
+const toItemQuantity = async (item, quantity, unitId) => {
+  const itemUnitId = item.unit._id || item.unit;
+  const enteredIn = unitId || itemUnitId;
+  const unit = await Unit.findById(enteredIn).select('symbol decimalPlaces baseUnit conversion');
+
+  if (!unit) {
+    return { error: { status: 404, message: 'Unit not found' } };
+  }
+
+  if (String(unit._id) === String(itemUnitId)) {
+    return { quantity: roundQuantity(quantity, unit.decimalPlaces) };
+  }
+
+  if (!unit.baseUnit || String(unit.baseUnit) !== String(itemUnitId)) {
+    return { error: { status: 400, message: `${unit.symbol} cannot be used for ${item.name}` } };
+  }
+
+  const base = await Unit.findById(itemUnitId).select('decimalPlaces');
+  return { quantity: roundQuantity(quantity * unit.conversion, base ? base.decimalPlaces : 4) };
+};
+
+/**
+ * Work out an item's opening stock, godown by godown
+ * @param {Object} item - Stock item
+ * @param {Array<{godown?: string, quantity: number, unit?: string, value?: number}>} openingStock
+ *   Godown defaults to the Main Location
+ * @returns {Promise<{rows?: Array<{godown: ObjectId, quantity: number, value: number}>, error?: Object}>}
+ */
+const planOpeningStock = async (item, openingStock = []) => {
+  const rows = [];
+  const seen = new Set();
+
+  for (const line of openingStock) {
+    const godown = line.godown
+      ? await Godown.findOne({ _id: line.godown, isActive: true })
+      : await Godown.main();
+
+    if (!godown) {
+      return { error: { status: 404, message: 'Godown not found' } };
+    }
+
+    if (seen.has(String(godown._id))) {
+      return { error: { status: 400, message: `${godown.name} is listed more than once` } };
+    }
+    seen.add(String(godown._id));
+
+    const { quantity, error } = await toItemQuantity(item, line.quantity, line.unit);
+    if (error) return { error };
+
+    rows.push({ godown: godown._id, quantity, value: roundAmount(line.value || 0) });
+  }
+
+  return { rows };
+};
+
+/**
+ * Replace an item's opening stock. Quantities already moved by vouchers
+ * stay on top of the new opening figures; godowns left out drop to no
+ * opening stock.
+ * @param {Object} item - Stock item
+ * @param {Array} rows - From planOpeningStock
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ */
+const applyOpeningStock = async (item, rows, { session } = {}) => {
+  const balances = await StockBalance.find({ item: item._id }).session(session || null);
+  const byGodown = new Map(balances.map(balance => [String(balance.godown), balance]));
+
+  for (const row of rows) {
+    const balance = byGodown.get(String(row.godown));
+    byGodown.delete(String(row.godown));
+
+    if (!balance) {
+      await StockBalance.create([{
+        item: item._id,
+        godown: row.godown,
+        quantity: row.quantity,
+        openingQuantity: row.quantity,
+        openingValue: row.value
+      }], { session });
+      continue;
+    }
+
+    balance.quantity = roundQuantity(balance.quantity + row.quantity - balance.openingQuantity);
+    balance.openingQuantity = row.quantity;
+    balance.openingValue = row.value;
+    await balance.save({ session });
+  }
+
+  for (const balance of byGodown.values()) {
+    if (!balance.openingQuantity && !balance.openingValue) continue;
+    balance.quantity = roundQuantity(balance.quantity - balance.openingQuantity);
+    balance.openingQuantity = 0;
+    balance.openingValue = 0;
+    await balance.save({ session });
+  }
+};
+
+/**
+ * Value of all items' opening stock. It is an asset brought into the
+ * books like a debit opening balance, so the opening trial balance
+ * counts it on the debit side.
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<number>}
+ */
+const openingStockValue = async ({ session } = {}) => {
+  const [total] = await StockBalance.aggregate([
+    { $group: { _id: null, value: { $sum: '$openingValue' } } }
+  ]).session(session || null);
+  return total ? roundAmount(total.value) : 0;
+};
+
+/**
+ * Work out an item invoice: the stock lines and the voucher fields
+ * they make
+ *
+ * Each line is valued at quantity × rate less its discount. Sales and
+ * debit notes debit the party (debitLedger) and credit the sales or
+ * purchase ledger (creditLedger); purchases and credit notes the other
+ * way round. When any line carries GST — its own tax rate, the item's,
+ * or the sales/purchase ledger's — the invoice is built as a tax invoice
+ * with entries for the tax; otherwise it stays a single pair for the
+ * items' total.
+ *
+ * @param {Object} invoice
+ * @param {string} invoice.type - A STOCK_DIRECTION voucher type
+ * @param {string} invoice.debitLedger
+ * @param {string} invoice.creditLedger
+ * @param {Array<{item, quantity, unit?, rate, discount?, taxRate?, godown?}>} invoice.items
+ * @param {string} [invoice.godown] - Godown for lines without one; the Main Location when left out
+ * @param {string} [invoice.placeOfSupply]
+ * @param {ObjectId} userId - Who is entering the voucher
+ * @returns {Promise<{voucher?: Object, error?: {status: number, message: string}}>}
+ *   voucher holds items plus either entries and gst or debitLedger, creditLedger and amount
+ */
+const planItemInvoice = async ({ type, debitLedger, creditLedger, items, godown, placeOfSupply }, userId) => {
+  if (!STOCK_DIRECTION[type]) {
+    return { error: { status: 400, message: 'Items only apply to sales, purchase, credit note and debit note vouchers' } };
+  }
+
+  const [debitLedgerDoc, creditLedgerDoc] = await Promise.all([
+    Ledger.findById(debitLedger).select('taxRate'),
+    Ledger.findById(creditLedger).select('taxRate')
+  ]);
+
+  if (!debitLedgerDoc) {
+    return { error: { status: 404, message: 'Debit ledger not found' } };
+  }
+
+  if (!creditLedgerDoc) {
+    return { error: { status: 404, message: 'Credit ledger not found' } };
+  }
+
+  const [party, accountLedger] = TAX_VOUCHER_TYPES[type].partySide === 'Dr'
+    ? [debitLedgerDoc, creditLedgerDoc]
+    : [creditLedgerDoc, debitLedgerDoc];
+
+  const defaultGodown = godown
+    ? await Godown.findOne({ _id: godown, isActive: true })
+    : await Godown.main();
+
+  if (!defaultGodown) {
+    return { error: { status: 404, message: 'Godown not found' } };
+  }
+
+  const stockItems = await StockItem.find({ _id: { $in: items.map(line => line.item) }, isActive: true });
+  const itemById = new Map(stockItems.map(item => [item._id.toString(), item]));
+
+  const lines = [];
+  for (const line of items) {
+    const item = itemById.get(String(line.item));
+    if (!item) {
+      return { error: { status: 404, message: `Stock item ${line.item} not found` } };
+    }
+
+    let lineGodown = defaultGodown._id;
+    if (line.godown && String(line.godown) !== String(defaultGodown._id)) {
+      if (!(await Godown.exists({ _id: line.godown, isActive: true }))) {
+        return { error: { status: 404, message: 'Godown not found' } };
+      }
+      lineGodown = line.godown;
+    }
+
+    const { quantity, error } = await toItemQuantity(item, line.quantity, line.unit);
+    if (error) return { error };
+
+    const gross = roundAmount(Number(line.quantity) * Number(line.rate));
+    const discount = Number(line.discount) || 0;
+
+    lines.push({
+      item: item._id,
+      godown: lineGodown,
+      quantity,
+      billedQuantity: Number(line.quantity),
+      unit: line.unit || item.unit,
+      rate: Number(line.rate),
+      discount,
+      amount: roundAmount(gross - gross * discount / 100),
+      taxRate: line.taxRate || item.taxRate || accountLedger.taxRate || null,
+      hsnCode: item.hsnCode || null,
+      name: item.name
+    });
+  }
+
+  const total = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+  if (total <= 0) {
+    return { error: { status: 400, message: 'The items add up to nothing' } };
+  }
+
+  const stored = lines.map(({ name, ...line }) => line);
+
+  if (!lines.some(line => line.taxRate)) {
+    return { voucher: { debitLedger, creditLedger, amount: total, items: stored } };
+  }
+
+  // GST is charged on the whole invoice or not at all
+  const untaxed = lines.find(line => !line.taxRate);
+  if (untaxed) {
+    return { error: { status: 400, message: `Pick a tax rate for ${untaxed.name}` } };
+  }
+
+  // One taxable line per rate and HSN code, all on the sales/purchase ledger
+  const taxLines = new Map();
+  for (const line of lines) {
+    const key = `${line.taxRate}|${line.hsnCode || ''}`;
+    const taxLine = taxLines.get(key) || { ledger: accountLedger._id, taxRate: line.taxRate, hsnCode: line.hsnCode, taxableValue: 0 };
+    taxLine.taxableValue = roundAmount(taxLine.taxableValue + line.amount);
+    taxLines.set(key, taxLine);
+  }
+
+  const { entries, gst, error } = await planTaxInvoice(
+    { type, partyLedger: party._id, taxLines: [...taxLines.values()], placeOfSupply },
+    userId
+  );
+  if (error) return { error };
+
+  return { voucher: { entries, gst, items: stored } };
+};
+
+/**
+ * Move the stock of a voucher's item lines in or out of their godowns
+ * @param {Object} transaction - Voucher with items and type
+ * @param {Object} [options]
+ * @param {boolean} [options.reverse] - Undo the movement instead
+ * @param {ClientSession} [options.session]
+ */
+const applyStock = async (transaction, { reverse = false, session = null } = {}) => {
+  const direction = STOCK_DIRECTION[transaction.type];
+  if (!direction || !transaction.items || transaction.items.length === 0) return;
+
+  const factor = reverse ? -direction : direction;
+
+  // Operations inside a MongoDB transaction must not run in parallel
+  for (const line of transaction.items) {
+    await StockBalance.updateOne(
+      { item: line.item, godown: line.godown },
+      { $inc: { quantity: factor * line.quantity } },
+      { upsert: true, session }
+    );
+  }
+};
+
+/**
+ * Undo the stock movement of a previously posted voucher
+ * @param {Object} transaction - Transaction as it was when posted
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ */
+const reverseStock = (transaction, { session = null } = {}) =>
+  applyStock(transaction, { reverse: true, session });
+
+module.exports = {
+  STOCK_DIRECTION,
+  roundQuantity,
+  describeQuantity,
+  toItemQuantity,
+  planOpeningStock,
+  applyOpeningStock,
+  openingStockValue,
+  planItemInvoice,
+  applyStock,
+  reverseStock
+};
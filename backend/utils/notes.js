@@ -0,0 +1,197 @@
+/**
+ * Credit and Debit Note Helpers
+ *
+ * A credit note takes back part of a sale — goods returned, or an
+ * allowance on the price — and a debit note part of a purchase. Each is
+ * raised against the original invoice and reverses it in kind: the same
+ * party, GST only when the invoice charged it, and stock only for items
+ * the invoice moved. Together the notes against an invoice cannot come
+ * to more than the invoice itself.
+ */
+
+const Transaction = require('../models/Transaction');
+const StockItem = require('../models/StockItem');
+const { roundAmount, postingLines } = require('./posting');
+const { roundQuantity } = require('./inventory');
+const { TAX_VOUCHER_TYPES } = require('./gst');
+
+// Type of invoice each kind of note is raised against
+const NOTE_ORIGINAL_TYPES = {
+  credit_note: 'sales',
+  debit_note: 'purchase'
+};
+
+const NOTE_LABELS = {
+  credit_note: 'credit note',
+  debit_note: 'debit note'
+};
+
+/**
+ * Value of a voucher: its amount, or the debit total of its entries
+ * before the voucher is saved
+ * @param {Object} voucher - Transaction document or plain voucher fields
+ */
+const voucherValue = (voucher) => roundAmount(postingLines(voucher)
+  .filter(line => line.side === 'Dr')
+  .reduce((sum, line) => sum + line.amount, 0));
+
+/**
+ * Quantity of each item across item lines
+ * @param {Array} [lines] - Item lines with item and quantity
+ * @returns {Map<string, number>} Keyed by item ID
+ */
+const itemQuantities = (lines) => {
+  const byItem = new Map();
+  for (const line of lines || []) {
+    const key = String(line.item);
+    byItem.set(key, roundQuantity((byItem.get(key) || 0) + line.quantity));
+  }
+  return byItem;
+};
+
+/**
+ * Name of a stock item for a message, or its ID if it is gone
+ * @param {string} key - Item ID
+ */
+const itemName = async (key) => {
+  const item = await StockItem.findById(key).select('name');
+  return item ? item.name : key;
+};
+
+/**
+ * Party a sales, purchase or note voucher is with, when it can be told
+ * @param {Object} voucher - Transaction document or plain voucher fields
+ * @returns {ObjectId|null}
+ */
+const voucherParty = (voucher) => {
+  if (voucher.gst) return voucher.gst.partyLedger;
+  if (voucher.entries && voucher.entries.length > 0) return null;
+  return TAX_VOUCHER_TYPES[voucher.type].partySide === 'Dr' ? voucher.debitLedger : voucher.creditLedger;
+};
+
+/**
+ * Notes raised against an invoice
+ * @param {ObjectId} originalId - Invoice
+ * @param {Object} [options]
+ * @param {ObjectId} [options.excludeId] - Note being edited
+ */
+const notesAgainst = (originalId, { excludeId = null } = {}) => Transaction.find({
+  originalVoucher: originalId,
+  isDeleted: false,
+  ...(excludeId && { _id: { $ne: excludeId } })
+})
+  .select('voucherNumber type amount entries debitLedger creditLedger items')
+  .lean();
+
+/**
+ * The invoice a note is raised against
+ * @param {string} type - 'credit_note' or 'debit_note'
+ * @param {string} originalId - Original voucher ID
+ * @returns {Promise<{original?: Object, error?: {status: number, message: string}}>}
+ */
+const findOriginalVoucher = async (type, originalId) => {
+  const originalType = NOTE_ORIGINAL_TYPES[type];
+
+  if (!originalId) {
+    return { error: { status: 400, message: `A ${NOTE_LABELS[type]} must name the ${originalType} voucher it is raised against` } };
+  }
+
+  const original = await Transaction.findOne({ _id: originalId, isDeleted: false, type: originalType }).lean();
+
+  if (!original) {
+    return { error: { status: 404, message: `Original ${originalType} voucher not found` } };
+  }
+
+  return { original };
+};
+
+/**
+ * Check a note against the invoice it reverses
+ * @param {Object} note - Note as it will be saved (type, and entries and gst, or the pair; items when goods come back)
+ * @param {Object} original - Invoice from findOriginalVoucher
+ * @param {Object} [options]
+ * @param {ObjectId} [options.transactionId] - Note being edited, left out of the earlier notes
+ * @returns {Promise<{error?: {status: number, message: string}}>}
+ */
+const checkNote = async (note, original, { transactionId = null } = {}) => {
+  const fail = (message) => ({ error: { status: 400, message } });
+
+  const party = voucherParty(note);
+  const originalParty = voucherParty(original);
+  if (party && originalParty && String(party) !== String(originalParty)) {
+    return fail(`The ${NOTE_LABELS[note.type]} must be for the same party as ${original.voucherNumber}`);
+  }
+
+  if (original.gst && !note.gst) {
+    return fail(`${original.voucherNumber} charged GST; enter the ${NOTE_LABELS[note.type]} with tax lines or taxed items`);
+  }
+
+  if (!original.gst && note.gst) {
+    return fail(`${original.voucherNumber} charged no GST, so the ${NOTE_LABELS[note.type]} cannot either`);
+  }
+
+  const earlier = await notesAgainst(original._id, { excludeId: transactionId });
+
+  const available = roundAmount(original.amount - earlier.reduce((sum, earlierNote) => sum + earlierNote.amount, 0));
+  const value = voucherValue(note);
+  if (value > available) {
+    return fail(`The ${NOTE_LABELS[note.type]} comes to ${value} but only ${available} of ${original.voucherNumber} is left to reverse`);
+  }
+
+  // Goods can only come back as far as the invoice moved them
+  const invoiced = itemQuantities(original.items);
+  const reversed = itemQuantities(earlier.flatMap(earlierNote => earlierNote.items || []));
+
+  for (const [key, quantity] of itemQuantities(note.items)) {
+    const left = roundQuantity((invoiced.get(key) || 0) - (reversed.get(key) || 0));
+    if (quantity <= left) continue;
+
+    const name = await itemName(key);
+    return fail(invoiced.has(key)
+      ? `Only ${left} of ${name} on ${original.voucherNumber} is left to reverse`
+      : `${name} is not on ${original.voucherNumber}`);
+  }
+
+  return {};
+};
+
+/**
+ * Check an invoice edit still leaves room for the notes raised against
+ * it, in value and in the quantity of each item they return
+ * @param {Object} invoice - Edited sales or purchase voucher
+ * @returns {Promise<{error?: {status: number, message: string}}>}
+ */
+const checkNotedInvoice = async (invoice) => {
+  const notes = await notesAgainst(invoice._id);
+  if (notes.length === 0) return {};
+
+  if (notes.some(note => NOTE_ORIGINAL_TYPES[note.type] !== invoice.type)) {
+    return { error: { status: 400, message: `Cannot change the type of a voucher with ${notes.length} note(s) raised against it` } };
+  }
+
+  const noted = roundAmount(notes.reduce((sum, note) => sum + note.amount, 0));
+  if (voucherValue(invoice) < noted) {
+    return { error: { status: 400, message: `Notes against this voucher already come to ${noted}; it cannot be reduced below that` } };
+  }
+
+  const invoiced = itemQuantities(invoice.items);
+  const returned = itemQuantities(notes.flatMap(note => note.items || []));
+
+  for (const [key, quantity] of returned) {
+    if ((invoiced.get(key) || 0) >= quantity) continue;
+
+    const name = await itemName(key);
+    return { error: { status: 400, message: `Notes against this voucher already return ${quantity} of ${name}; it cannot be reduced below that` } };
+  }
+
+  return {};
+};
+
+module.exports = {
+  NOTE_ORIGINAL_TYPES,
+  voucherValue,
+  notesAgainst,
+  findOriginalVoucher,
+  checkNote,
+  checkNotedInvoice
+};
@@ -0,0 +1,199 @@
+/**
+ * Double-Entry Posting Helpers
+ *
+ * Applies and reverses the ledger balance effect of a voucher
+ * A voucher is either a single Dr/Cr pair (debitLedger/creditLedger)
+ * or a compound voucher whose entry lines balance Dr against Cr
+ */
+
+const Ledger = require('../models/Ledger');
+const Transaction = require('../models/Transaction');
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * @param {number} value - Amount to round
+ */
+const roundAmount = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Break a voucher into its Dr/Cr posting lines
+ * @param {Object} transaction - Transaction document or plain object
+ * @returns {Array<{ledger: *, side: string, amount: number}>}
+ */
+const postingLines = (transaction) => {
+  if (transaction.entries && transaction.entries.length > 0) {
+    return transaction.entries.map(entry => ({
+      ledger: entry.ledger,
+      side: entry.side,
+      amount: Number(entry.amount)
+    }));
+  }
+
+  const amount = Number(transaction.amount);
+  return [
+    { ledger: transaction.debitLedger, side: 'Dr', amount },
+    { ledger: transaction.creditLedger, side: 'Cr', amount }
+  ];
+};
+
+/**
+ * Filter matching every voucher that posts to a ledger
+ * @param {string|ObjectId} ledgerId - Ledger to match
+ */
+const ledgerFilter = (ledgerId) => ({
+  $or: [
+    { debitLedger: ledgerId },
+    { creditLedger: ledgerId },
+    { 'entries.ledger': ledgerId }
+  ]
+});
+
+/**
+ * Aggregation expression yielding a voucher's posting lines, mirroring
+ * postingLines() for both single-pair and compound vouchers
+ */
+const postingLinesExpression = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$entries', []] } }, 0] },
+    {
+      $map: {
+        input: '$entries',
+        as: 'entry',
+        in: { ledger: '$$entry.ledger', side: '$$entry.side', amount: '$$entry.amount' }
+      }
+    },
+    [
+      { ledger: '$debitLedger', side: 'Dr', amount: '$amount' },
+      { ledger: '$creditLedger', side: 'Cr', amount: '$amount' }
+    ]
+  ]
+};
+
+/**
+ * Post a voucher to its ledgers (or undo it when reverse is true)
+ * @param {Object} transaction - Transaction document or plain object
+ * @param {Object} options
+ * @param {boolean} options.reverse - Undo a previous posting
+ * @param {ClientSession} options.session - MongoDB session to run in
+ */
+const applyPosting = async (transaction, { reverse = false, session = null } = {}) => {
+  const lines = postingLines(transaction);
+  const ledgerIds = lines.map(line => line.ledger._id || line.ledger);
+
+  const ledgers = await Ledger.find({ _id: { $in: ledgerIds } })
+    .select('type')
+    .session(session);
+  const typeById = new Map(ledgers.map(l => [l._id.toString(), l.type]));
+
+  const factor = reverse ? -1 : 1;
+
+  // Operations inside a MongoDB transaction must not run in parallel
+  for (let i = 0; i < lines.length; i++) {
+    const id = ledgerIds[i];
+    const type = typeById.get(id.toString());
+
+    if (!type) {
+      throw new Error(`Ledger ${id} not found while posting voucher`);
+    }
+
+    await Ledger.updateOne(
+      { _id: id },
+      { $inc: { balance: factor * Ledger.signedAmount(type, lines[i].side, lines[i].amount) } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Undo the ledger effect of a previously posted voucher
+ * @param {Object} transaction - Transaction as it was when posted
+ * @param {Object} options
+ * @param {ClientSession} options.session - MongoDB session to run in
+ */
+const reversePosting = (transaction, { session = null } = {}) =>
+  applyPosting(transaction, { reverse: true, session });
+
+/**
+ * Total debits and credits per ledger for vouchers matching a filter
+ * @param {Object} match - Transaction filter (isDeleted: false is always applied)
+ * @param {Object} options
+ * @param {Object} options.sort - Voucher order, used together with limit
+ * @param {number} options.limit - Only count the first N matching vouchers
+ * @param {ClientSession} options.session - MongoDB session to run in
+ * @returns {Promise<Map<string, {debit: number, credit: number}>>}
+ */
+const ledgerMovements = async (match = {}, { sort = null, limit = null, session = null } = {}) => {
+  const rows = await Transaction.aggregate([
+    { $match: { ...match, isDeleted: false } },
+    ...(sort ? [{ $sort: sort }] : []),
+    ...(limit ? [{ $limit: limit }] : []),
+    { $project: { lines: postingLinesExpression } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.ledger',
+        debit: { $sum: { $cond: [{ $eq: ['$lines.side', 'Dr'] }, '$lines.amount', 0] } },
+        credit: { $sum: { $cond: [{ $eq: ['$lines.side', 'Cr'] }, '$lines.amount', 0] } }
+      }
+    }
+  ]).session(session);
+
+  return new Map(rows.map(row => [
+    row._id.toString(),
+    { debit: roundAmount(row.debit), credit: roundAmount(row.credit) }
+  ]));
+};
+
+/**
+ * Signed natural-side balance produced by a set of movements
+ * @param {string} type - Ledger type
+ * @param {{debit: number, credit: number}} movement - Totals for the ledger
+ */
+const netMovement = (type, movement) => {
+  if (!movement) return 0;
+  return roundAmount(
+    Ledger.signedAmount(type, 'Dr', movement.debit) +
+    Ledger.signedAmount(type, 'Cr', movement.credit)
+  );
+};
+
+/**
+ * Present a signed natural-side balance as an amount with its side
+ * @param {string} type - Ledger type
+ * @param {number} balance - Signed natural-side balance
+ * @returns {{amount: number, side: string}}
+ */
+const describeBalance = (type, balance) => {
+  const normal = Ledger.normalSide(type);
+  return {
+    amount: roundAmount(Math.abs(balance)),
+    side: balance >= 0 ? normal : (normal === 'Dr' ? 'Cr' : 'Dr')
+  };
+};
+
+/**
+ * Present a signed natural-side balance as Dr/Cr columns
+ * @param {string} type - Ledger type
+ * @param {number} balance - Signed natural-side balance
+ * @returns {{debit: number, credit: number}}
+ */
+const splitBalance = (type, balance) => {
+  const { amount, side } = describeBalance(type, balance);
+
+  return side === 'Dr'
+    ? { debit: amount, credit: 0 }
+    : { debit: 0, credit: amount };
+};
+
+module.exports = {
+  roundAmount,
+  postingLines,
+  postingLinesExpression,
+  ledgerFilter,
+  applyPosting,
+  reversePosting,
+  ledgerMovements,
+  netMovement,
+  splitBalance,
+  describeBalance
+};
@@ -4,9 +4,12 @@
  * Creates initial users for the accounting system:
  * - 1 Master Admin
  * - 3 Normal Users (maximum allowed)
+ * Optionally loads a chart-of-accounts template (ledger groups and ledgers)
  * 
  * Usage: npm run seed
  * Or: node utils/seed.js
+ * With a template: npm run seed -- --template=trading
+ * (or set COA_TEMPLATE=trading)
  */
 
 const mongoose = require('mongoose');
@@ -18,6 +21,11 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
 // Import models
 const User = require('../models/User');
+const { listTemplates, findTemplate, applyTemplate } = require('./coaTemplates');
+
+// Chart-of-accounts template to load, if any
+const templateArg = process.argv.find(arg => arg.startsWith('--template='));
+const templateKey = templateArg ? templateArg.split('=')[1] : process.env.COA_TEMPLATE;
 
 // Seed data
 const seedData = {
@@ -118,6 +126,25 @@ const createUsers = async () => {
   }
 };
 
+/**
+ * Load the chosen chart-of-accounts template
+ */
+const loadTemplate = async (admin) => {
+  const template = findTemplate(templateKey);
+
+  if (!template) {
+    const available = listTemplates().map(t => t.key).join(', ');
+    throw new Error(`Unknown template "${templateKey}". Available: ${available}`);
+  }
+
+  const result = await applyTemplate(template, admin._id);
+  console.log('');
+  console.log(`=== CHART OF ACCOUNTS: ${template.name} ===`);
+  console.log(`Groups created: ${result.groupsCreated.length}`);
+  console.log(`Ledgers created: ${result.ledgersCreated.length}`);
+  if (result.skipped.length) console.log(`Already present: ${result.skipped.length}`);
+};
+
 /**
  * Main seed function
  */
@@ -135,11 +162,14 @@ const seedDatabase = async () => {
     await clearDatabase();
     
     // Create Master Admin
-    await createMasterAdmin();
+    const admin = await createMasterAdmin();
     
     // Create Users
     await createUsers();
     
+    // Load chart of accounts
+    if (templateKey) await loadTemplate(admin);
+    
     console.log('');
     console.log('========================================');
     console.log('  SEED COMPLETED SUCCESSFULLY');
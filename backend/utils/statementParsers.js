@@ -0,0 +1,327 @@
+/**
+ * Bank Statement Parsers
+ *
+ * Turn downloaded bank statements into plain statement lines:
+ *   { date, amount, description, reference, bankId }
+ * `amount` is signed from the bank account's point of view: positive for
+ * money paid in (a deposit), negative for money paid out. `bankId` is
+ * the bank's own id for the line where the format carries one (OFX
+ * FITID, MT940 bank reference, CAMT.053 AcctSvcrRef).
+ *
+ * Supported formats: CSV (with a column mapping), OFX, SWIFT MT940 and
+ * ISO 20022 CAMT.053.
+ */
+
+const { parseCsv } = require('./csv');
+
+const STATEMENT_FORMATS = ['csv', 'ofx', 'mt940', 'camt053'];
+
+const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY'];
+
+/**
+ * UTC midnight for a calendar date, or null when it does not exist
+ */
+const utcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? date
+    : null;
+};
+
+/**
+ * Read a date in one of CSV_DATE_FORMATS; two-digit years are 20xx
+ * @param {string} value - Cell text
+ * @param {string} format - e.g. 'DD/MM/YYYY'
+ */
+const parseDateAs = (value, format) => {
+  const parts = String(value).trim().match(/\d+/g);
+  const order = format.match(/[DMY]+/g);
+  if (!parts || parts.length < 3) return null;
+
+  const fields = {};
+  order.forEach((token, index) => { fields[token[0]] = Number(parts[index]); });
+  const year = fields.Y < 100 ? 2000 + fields.Y : fields.Y;
+  return utcDate(year, fields.M, fields.D);
+};
+
+/**
+ * Read an amount written with either decimal separator, thousands
+ * separators, a currency symbol or accounting brackets for negatives
+ * @param {string} value - Cell text
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} Amount, null for an empty cell, NaN when unreadable
+ */
+const parseAmount = (value, decimalSeparator = '.') => {
+  let text = String(value || '').trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+  text = text.replace(/[^\d.,]/g, '');
+  text = decimalSeparator === ','
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+
+  if (!text) return NaN;
+  const amount = Number(text);
+  return negative ? -amount : amount;
+};
+
+/**
+ * Column index for a mapped column: a header name, or a 1-based
+ * position when the file has no header row
+ */
+const columnIndex = (header, column, label) => {
+  if (column === undefined || column === null || column === '') return null;
+
+  if (header) {
+    const index = header.findIndex(name => name.trim().toLowerCase() === String(column).trim().toLowerCase());
+    if (index !== -1) return index;
+  }
+
+  if (/^\d+$/.test(String(column))) return Number(column) - 1;
+  throw new Error(`${label} column "${column}" not found in the file`);
+};
+
+/**
+ * Parse a CSV statement with a column mapping
+ * @param {string} content - File content
+ * @param {Object} mapping - Column mapping (see BankImportProfile)
+ */
+const parseCsvStatement = (content, mapping) => {
+  if (!mapping) throw new Error('CSV statements need a column mapping');
+
+  const {
+    delimiter = ',',
+    hasHeader = true,
+    skipRows = 0,
+    dateFormat = 'YYYY-MM-DD',
+    decimalSeparator = '.'
+  } = mapping;
+
+  const rows = parseCsv(content, delimiter).slice(skipRows);
+  const header = hasHeader ? rows.shift() : null;
+
+  const columns = {
+    date: columnIndex(header, mapping.dateColumn, 'Date'),
+    description: columnIndex(header, mapping.descriptionColumn, 'Description'),
+    reference: columnIndex(header, mapping.referenceColumn, 'Reference'),
+    amount: columnIndex(header, mapping.amountColumn, 'Amount'),
+    withdrawal: columnIndex(header, mapping.withdrawalColumn, 'Withdrawal'),
+    deposit: columnIndex(header, mapping.depositColumn, 'Deposit')
+  };
+
+  if (columns.date === null) throw new Error('The mapping needs a date column');
+  if (columns.amount === null && columns.withdrawal === null && columns.deposit === null) {
+    throw new Error('The mapping needs an amount column, or withdrawal and deposit columns');
+  }
+
+  const firstRow = skipRows + (hasHeader ? 2 : 1);
+
+  return rows.map((cells, index) => {
+    const rowNumber = firstRow + index;
+    const cell = (column) => (column === null ? '' : (cells[column] || '').trim());
+
+    const date = parseDateAs(cell(columns.date), dateFormat);
+    if (!date) throw new Error(`Row ${rowNumber}: "${cell(columns.date)}" is not a ${dateFormat} date`);
+
+    let amount;
+    if (columns.amount !== null) {
+      amount = parseAmount(cell(columns.amount), decimalSeparator);
+    } else {
+      const withdrawal = parseAmount(cell(columns.withdrawal), decimalSeparator) || 0;
+      const deposit = parseAmount(cell(columns.deposit), decimalSeparator) || 0;
+      amount = deposit - Math.abs(withdrawal);
+    }
+
+    if (amount === null || Number.isNaN(amount)) {
+      throw new Error(`Row ${rowNumber}: amount is missing or unreadable`);
+    }
+
+    return {
+      date,
+      amount,
+      description: cell(columns.description),
+      reference: cell(columns.reference) || null,
+      bankId: null
+    };
+  });
+};
+
+/**
+ * Decode the XML/SGML character entities found in OFX and CAMT files
+ */
+const decodeEntities = (text) => text
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Parse an OFX statement (SGML 1.x or XML 2.x)
+ * @param {string} content - File content
+ */
+const parseOfx = (content) => {
+  // OFX 1.x leaves leaf elements unclosed, so a value runs to the next tag
+  const value = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match && match[1].trim() ? decodeEntities(match[1].trim()) : null;
+  };
+
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi);
+  if (!blocks) throw new Error('No transactions found in the OFX file');
+
+  return blocks.map((block, index) => {
+    const posted = value(block, 'DTPOSTED') || '';
+    const date = /^\d{8}/.test(posted)
+      ? utcDate(Number(posted.slice(0, 4)), Number(posted.slice(4, 6)), Number(posted.slice(6, 8)))
+      : null;
+    const amount = parseAmount(value(block, 'TRNAMT'));
+
+    if (!date || amount === null || Number.isNaN(amount)) {
+      throw new Error(`Transaction ${index + 1}: missing or unreadable date or amount`);
+    }
+
+    return {
+      date,
+      amount,
+      description: [value(block, 'NAME'), value(block, 'MEMO')].filter(Boolean).join(' / '),
+      reference: value(block, 'CHECKNUM') || value(block, 'REFNUM'),
+      bankId: value(block, 'FITID')
+    };
+  });
+};
+
+/**
+ * Parse a SWIFT MT940 statement
+ * @param {string} content - File content
+ */
+const parseMt940 = (content) => {
+  // Collect tag fields; lines not starting a tag continue the previous one
+  const fields = [];
+  for (const line of content.split(/\r?\n/)) {
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tag) {
+      fields.push({ tag: tag[1], value: tag[2] });
+    } else if (fields.length > 0 && line.trim() && !/^-}?$/.test(line.trim()) && !line.startsWith('{')) {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  }
+
+  const lines = [];
+  for (const field of fields) {
+    if (field.tag === '61') {
+      const match = field.value.match(
+        /^(\d{2})(\d{2})(\d{2})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+(?:,\d*)?)([NSF][A-Z0-9]{3})([^\n/]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/
+      );
+      if (!match) throw new Error(`Unreadable :61: line "${field.value.split('\n')[0]}"`);
+
+      const date = utcDate(2000 + Number(match[1]), Number(match[2]), Number(match[3]));
+      if (!date) throw new Error(`Invalid date in :61: line "${field.value.split('\n')[0]}"`);
+
+      // C and RD (reversed debit) pay money in; D and RC take it out
+      const sign = match[5] === 'C' || match[5] === 'RD' ? 1 : -1;
+      const reference = match[9].trim();
+
+      lines.push({
+        date,
+        amount: sign * Number(match[7].replace(',', '.')),
+        description: (match[11] || '').trim(),
+        reference: reference && reference !== 'NONREF' ? reference : null,
+        bankId: match[10] ? match[10].trim() : null
+      });
+    } else if (field.tag === '86' && lines.length > 0) {
+      const last = lines[lines.length - 1];
+      const details = field.value.replace(/\s*\n\s*/g, ' ').trim();
+      last.description = [details, last.description].filter(Boolean).join(' / ');
+    }
+  }
+
+  if (lines.length === 0) throw new Error('No :61: statement lines found in the MT940 file');
+  return lines;
+};
+
+/**
+ * Parse an ISO 20022 CAMT.053 statement
+ * @param {string} content - File content
+ */
+const parseCamt053 = (content) => {
+  // Elements may carry a namespace prefix, e.g. <ns2:Ntry>
+  const block = (xml, tag) => {
+    const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+    return match ? match[1] : null;
+  };
+  const value = (xml, tag) => {
+    const inner = xml && block(xml, tag);
+    return inner && !inner.includes('<') && inner.trim() ? decodeEntities(inner.trim()) : null;
+  };
+  const values = (xml, tag) => (xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>[^<]*</(?:\\w+:)?${tag}>`, 'g')) || [])
+    .map(element => decodeEntities(element.replace(/<[^>]+>/g, '').trim()))
+    .filter(Boolean);
+
+  const entries = content.match(/<(?:\w+:)?Ntry\b[^>]*>[\s\S]*?<\/(?:\w+:)?Ntry>/g);
+  if (!entries) throw new Error('No entries found in the CAMT.053 file');
+
+  return entries.map((entry, index) => {
+    const booked = block(entry, 'BookgDt') || block(entry, 'ValDt') || '';
+    const dateText = value(booked, 'Dt') || (value(booked, 'DtTm') || '').slice(0, 10);
+    const dateMatch = dateText.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const date = dateMatch ? utcDate(Number(dateMatch[1]), Number(dateMatch[2]), Number(dateMatch[3])) : null;
+    const amount = parseAmount(value(entry, 'Amt'));
+
+    if (!date || amount === null || Number.isNaN(amount)) {
+      throw new Error(`Entry ${index + 1}: missing or unreadable date or amount`);
+    }
+
+    // A reversal books the opposite way to its credit/debit indicator
+    const credit = value(entry, 'CdtDbtInd') === 'CRDT';
+    const reversed = value(entry, 'RvslInd') === 'true';
+    const endToEnd = value(entry, 'EndToEndId');
+    const parties = block(entry, 'RltdPties') || '';
+    const counterparty = credit ? block(parties, 'Dbtr') : block(parties, 'Cdtr');
+
+    return {
+      date,
+      amount: (credit !== reversed ? 1 : -1) * Math.abs(amount),
+      description: [
+        counterparty && value(counterparty, 'Nm'),
+        ...values(entry, 'Ustrd'),
+        value(entry, 'AddtlNtryInf')
+      ].filter(Boolean).join(' / '),
+      reference: endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : value(entry, 'NtryRef'),
+      bankId: value(entry, 'AcctSvcrRef')
+    };
+  });
+};
+
+/**
+ * Parse a statement file
+ * @param {string} format - One of STATEMENT_FORMATS
+ * @param {string} content - File content
+ * @param {Object} [mapping] - Column mapping, CSV only
+ * @returns {{lines?: Array, error?: string}}
+ */
+const parseStatement = (format, content, mapping = null) => {
+  try {
+    let lines;
+    switch (format) {
+      case 'csv': lines = parseCsvStatement(content, mapping); break;
+      case 'ofx': lines = parseOfx(content); break;
+      case 'mt940': lines = parseMt940(content); break;
+      case 'camt053': lines = parseCamt053(content); break;
+      default: return { error: `Unsupported statement format ${format}` };
+    }
+
+    // Zero-amount lines (e.g. balance notices) are not transactions
+    return { lines: lines.filter(line => line.amount !== 0) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  CSV_DATE_FORMATS,
+  parseStatement
+};
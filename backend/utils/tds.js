@@ -0,0 +1,185 @@
+/**
+ * TDS Helpers
+ *
+ * Tax deducted at source from payments to parties flagged with a TDS
+ * section. The payment voucher debits the party with the gross amount
+ * and credits the bank with what is actually paid and TDS Payable with
+ * the tax held back.
+ */
+
+const Transaction = require('../models/Transaction');
+const TdsSection = require('../models/TdsSection');
+const Company = require('../models/Company');
+const { roundAmount } = require('./posting');
+const { fiscalYearOf } = require('./fiscalYear');
+const { dutyLedger } = require('./gst');
+
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const TAN_PATTERN = /^[A-Z]{4}\d{5}[A-Z]$/;
+
+// The fourth character of a PAN is the holder's status; individuals
+// (P) and Hindu undivided families (H) are often taxed at a lower rate
+const INDIVIDUAL_STATUSES = ['P', 'H'];
+
+/**
+ * Whether a PAN is well formed
+ * @param {string} pan - PAN, upper case
+ */
+const isValidPan = (pan) => typeof pan === 'string' && PAN_PATTERN.test(pan);
+
+/**
+ * Whether a TAN is well formed
+ * @param {string} tan - TAN, upper case
+ */
+const isValidTan = (tan) => typeof tan === 'string' && TAN_PATTERN.test(tan);
+
+/**
+ * A party's PAN: its own, or the one inside its GSTIN
+ * @param {{pan?: string, gstin?: string}} ledger - Party ledger
+ * @returns {string|null}
+ */
+const partyPan = (ledger) => {
+  if (ledger.pan) return ledger.pan;
+  const fromGstin = ledger.gstin ? ledger.gstin.slice(2, 12) : null;
+  return isValidPan(fromGstin) ? fromGstin : null;
+};
+
+/**
+ * Deductee type and rate for a party under a section
+ * @param {Object} section - TdsSection
+ * @param {string|null} pan - Party PAN
+ * @returns {{deducteeType: 'individual'|'other', rate: number}}
+ */
+const tdsRate = (section, pan) => {
+  const deducteeType = pan && INDIVIDUAL_STATUSES.includes(pan[3]) ? 'individual' : 'other';
+
+  if (!isValidPan(pan)) return { deducteeType, rate: section.noPanRate };
+  if (deducteeType === 'individual' && section.individualRate !== null && section.individualRate !== undefined) {
+    return { deducteeType, rate: section.individualRate };
+  }
+  return { deducteeType, rate: section.rate };
+};
+
+/**
+ * Work out the TDS on a payment to a party
+ *
+ * Nothing is deducted until a single payment exceeds the section's
+ * single-payment threshold or the party's payments in the financial year
+ * exceed its annual threshold. The payment that crosses the annual
+ * threshold also picks up the tax on the year's earlier untaxed payments.
+ * Tax is rounded to the nearest rupee.
+ *
+ * Given `netAmount` instead of `amount` — a bank statement line, where
+ * only what left the bank is known — the gross is worked back so that
+ * the gross less its TDS comes to the net.
+ *
+ * @param {Object} payment
+ * @param {Object} payment.party - Debit ledger document (with tdsSection, pan, gstin)
+ * @param {string} payment.bankLedger - Ledger the payment is made from
+ * @param {number} [payment.amount] - Gross amount credited to the party
+ * @param {number} [payment.netAmount] - Amount credited to the bank, when the gross is not known
+ * @param {Date|string} payment.date - Voucher date
+ * @param {ObjectId} [payment.transactionId] - Voucher being edited, left out of the year's total
+ * @param {Array} [payment.pending] - Vouchers planned alongside this one but not yet saved
+ * @param {ObjectId} userId - Creator of the TDS Payable ledger if it has to be made
+ * @returns {Promise<{entries?: Array, tds?: Object, error?: {status: number, message: string}}>}
+ *   Empty when the party is not flagged for TDS
+ */
+const planTdsPayment = async ({ party, bankLedger, amount, netAmount, date, transactionId, pending = [] }, userId) => {
+  if (!party.tdsSection) return {};
+
+  const section = await TdsSection.findOne({ _id: party.tdsSection, isActive: true });
+  if (!section) return {};
+
+  const pan = partyPan(party);
+  const { deducteeType, rate } = tdsRate(section, pan);
+  const year = fiscalYearOf(date);
+
+  const saved = await Transaction.find({
+    ...(transactionId && { _id: { $ne: transactionId } }),
+    isDeleted: false,
+    'tds.partyLedger': party._id,
+    'tds.section': section._id,
+    date: { $gte: year.start, $lte: year.end }
+  }).select('tds').lean();
+  const earlier = saved.concat(pending.filter(voucher => voucher.tds &&
+    String(voucher.tds.partyLedger) === String(party._id) &&
+    String(voucher.tds.section) === String(section._id) &&
+    voucher.date >= year.start && voucher.date <= year.end));
+
+  const paidBefore = roundAmount(earlier.reduce((sum, voucher) => sum + voucher.tds.paidAmount, 0));
+  const untaxedBefore = roundAmount(earlier
+    .filter(voucher => voucher.tds.tdsAmount === 0)
+    .reduce((sum, voucher) => sum + voucher.tds.paidAmount, 0));
+
+  // Taxable amount of a payment of this gross
+  const taxableOn = (paid) => {
+    const yearTotal = roundAmount(paidBefore + paid);
+
+    const noThresholds = !section.singleThreshold && !section.annualThreshold;
+    const overSingle = section.singleThreshold > 0 && paid > section.singleThreshold;
+    const overAnnual = section.annualThreshold > 0 && yearTotal > section.annualThreshold;
+    const crossesAnnual = overAnnual && paidBefore <= section.annualThreshold;
+
+    if (!(noThresholds || overSingle || overAnnual)) return 0;
+    return crossesAnnual ? roundAmount(paid + untaxedBefore) : paid;
+  };
+  const tdsOn = (paid) => Math.round(taxableOn(paid) * rate / 100);
+
+  let paidAmount = roundAmount(Number(amount));
+  if (amount === undefined) {
+    // The gross only grows as tax is added back, so a few rounds settle
+    // it; a gross that never settles is left to the voucher screen
+    const net = roundAmount(Number(netAmount));
+    paidAmount = net;
+    for (let round = 0; round < 5 && roundAmount(paidAmount - tdsOn(paidAmount)) !== net; round++) {
+      paidAmount = roundAmount(net + tdsOn(paidAmount));
+    }
+
+    if (roundAmount(paidAmount - tdsOn(paidAmount)) !== net) {
+      return { error: { status: 400, message: `TDS on the payment of ${net} to ${party.name} cannot be worked back from the bank amount; enter it from the voucher screen` } };
+    }
+  }
+
+  const taxableAmount = taxableOn(paidAmount);
+  const tdsAmount = tdsOn(paidAmount);
+
+  if (tdsAmount >= paidAmount) {
+    return { error: { status: 400, message: `TDS of ${tdsAmount} would use up the whole payment of ${paidAmount}` } };
+  }
+
+  const tds = {
+    section: section._id,
+    sectionCode: section.section,
+    partyLedger: party._id,
+    pan,
+    deducteeType,
+    paidAmount,
+    taxableAmount,
+    rate,
+    tdsAmount
+  };
+
+  const entries = [
+    { ledger: party._id, side: 'Dr', amount: paidAmount },
+    { ledger: bankLedger, side: 'Cr', amount: roundAmount(paidAmount - tdsAmount) }
+  ];
+
+  if (tdsAmount > 0) {
+    const company = await Company.current();
+    const tdsPayable = await dutyLedger(company, 'tdsPayable', userId);
+    entries.push({ ledger: tdsPayable, side: 'Cr', amount: tdsAmount, narration: `TDS u/s ${section.section}` });
+  }
+
+  return { entries, tds };
+};
+
+module.exports = {
+  PAN_PATTERN,
+  TAN_PATTERN,
+  isValidPan,
+  isValidTan,
+  partyPan,
+  tdsRate,
+  planTdsPayment
+};
@@ -21,6 +21,14 @@ import AdminRoute from './components/common/AdminRoute.jsx';
 import Login from './components/pages/Login.jsx';
 import Dashboard from './components/pages/Dashboard.jsx';
 import UserManagement from './components/pages/UserManagement.jsx';
+import Reports from './components/pages/Reports.jsx';
+import LedgerStatement from './components/pages/LedgerStatement.jsx';
+import BankReconciliation from './components/pages/BankReconciliation.jsx';
+import BankImport from './components/pages/BankImport.jsx';
+import CategorisationRules from './components/pages/CategorisationRules.jsx';
+import OpeningBalances from './components/pages/OpeningBalances.jsx';
+import GstSettings from './components/pages/GstSettings.jsx';
+import TdsSettings from './components/pages/TdsSettings.jsx';
 
 // Layout wrapper for authenticated pages
 const AuthenticatedLayout = ({ children }) => (
@@ -83,15 +91,56 @@ const App = () => {
             }
           />
           
+          <Route
+            path="/ledgers/:id/statement"
+            element={
+              <ProtectedRoute>
+                <AuthenticatedLayout>
+                  <LedgerStatement />
+                </AuthenticatedLayout>
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/bank-import"
+            element={
+              <ProtectedRoute>
+                <AuthenticatedLayout>
+                  <BankImport />
+                </AuthenticatedLayout>
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/bank-import/rules"
+            element={
+              <ProtectedRoute>
+                <AuthenticatedLayout>
+                  <CategorisationRules />
+                </AuthenticatedLayout>
+              </ProtectedRoute>
+            }
+          />
+          
+          <Route
+            path="/ledgers/:id/reconcile"
+            element={
+              <ProtectedRoute>
+                <AuthenticatedLayout>
+                  <BankReconciliation />
+                </AuthenticatedLayout>
+              </ProtectedRoute>
+            }
+          />
+          
           <Route
             path="/reports"
             element={
               <ProtectedRoute>
                 <AuthenticatedLayout>
-                  <div className="text-center text-gray-500 mt-20">
-                    <h2 className="text-2xl font-semibold mb-4">Reports</h2>
-                    <p>Reports and analytics page (to be implemented)</p>
-                  </div>
+                  <Reports />
                 </AuthenticatedLayout>
               </ProtectedRoute>
             }
@@ -109,6 +158,39 @@ const App = () => {
             }
           />
           
+          <Route
+            path="/admin/opening-balances"
+            element={
+              <AdminRoute>
+                <AuthenticatedLayout>
+                  <OpeningBalances />
+                </AuthenticatedLayout>
+              </AdminRoute>
+            }
+          />
+          
+          <Route
+            path="/admin/gst"
+            element={
+              <AdminRoute>
+                <AuthenticatedLayout>
+                  <GstSettings />
+                </AuthenticatedLayout>
+              </AdminRoute>
+            }
+          />
+          
+          <Route
+            path="/admin/tds"
+            element={
+              <AdminRoute>
+                <AuthenticatedLayout>
+                  <TdsSettings />
+                </AuthenticatedLayout>
+              </AdminRoute>
+            }
+          />
+          
           <Route
             path="/admin/audit-logs"
             element={
@@ -18,12 +18,16 @@ const Sidebar = () => {
     { path: '/dashboard', label: 'Dashboard', icon: '📊' },
     { path: '/transactions', label: 'Transactions', icon: '📄' },
     { path: '/ledgers', label: 'Ledgers', icon: '📚' },
+    { path: '/bank-import', label: 'Bank Import', icon: '🏦' },
     { path: '/reports', label: 'Reports', icon: '📈' },
   ];
 
   // Navigation items for Master Admin only
   const adminNavItems = [
     { path: '/admin/users', label: 'User Management', icon: '👥' },
+    { path: '/admin/opening-balances', label: 'Opening Balances', icon: '⚖️' },
+    { path: '/admin/gst', label: 'GST Settings', icon: '🧾' },
+    { path: '/admin/tds', label: 'TDS Settings', icon: '✂️' },
     { path: '/admin/audit-logs', label: 'Audit Logs', icon: '📋' },
     { path: '/admin/settings', label: 'System Settings', icon: '⚙️' },
   ];
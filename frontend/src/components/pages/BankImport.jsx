@@ -0,0 +1,586 @@
+/**
+ * Bank Import Page
+ *
+ * Import a bank statement (CSV, OFX, MT940 or CAMT.053), review how its
+ * lines matched the vouchers in the books, and create payment and
+ * receipt vouchers for the lines that did not match
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../services/api.js';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'ofx', label: 'OFX / QFX' },
+  { value: 'mt940', label: 'SWIFT MT940' },
+  { value: 'camt053', label: 'ISO 20022 CAMT.053' }
+];
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY'];
+
+const emptyMapping = {
+  delimiter: ',',
+  hasHeader: true,
+  skipRows: 0,
+  dateColumn: '',
+  dateFormat: 'DD/MM/YYYY',
+  decimalSeparator: '.',
+  descriptionColumn: '',
+  referenceColumn: '',
+  amountColumn: '',
+  withdrawalColumn: '',
+  depositColumn: ''
+};
+
+// Guess the format from the file extension
+const formatFromName = (fileName) => {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.ofx') || name.endsWith('.qfx')) return 'ofx';
+  if (name.endsWith('.sta') || name.endsWith('.940') || name.endsWith('.mt940')) return 'mt940';
+  if (name.endsWith('.xml')) return 'camt053';
+  if (name.endsWith('.csv') || name.endsWith('.txt')) return 'csv';
+  return null;
+};
+
+const BankImport = () => {
+  const [banks, setBanks] = useState([]);
+  const [ledgers, setLedgers] = useState([]);
+  const [bankId, setBankId] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(emptyMapping);
+  const [saveMapping, setSaveMapping] = useState(true);
+  const [status, setStatus] = useState('unmatched');
+  const [lines, setLines] = useState([]);
+  // Ledger and voucher type each line is posted with, keyed by line id;
+  // pre-filled from the categorisation rules
+  const [contra, setContra] = useState({});
+  const [types, setTypes] = useState({});
+  const [selected, setSelected] = useState([]);
+  // Line being matched by hand and the vouchers it could match
+  const [matching, setMatching] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchBanks();
+  }, []);
+
+  useEffect(() => {
+    if (bankId) fetchLines();
+  }, [bankId, status]);
+
+  const fetchBanks = async () => {
+    try {
+      setLoading(true);
+      const [banksResponse, ledgersResponse] = await Promise.all([
+        api.get('/bank-imports/banks'),
+        api.get('/ledgers')
+      ]);
+      const bankList = banksResponse.data.data.banks;
+      setBanks(bankList);
+      setLedgers(ledgersResponse.data.data.ledgers);
+      if (bankList.length > 0) selectBank(bankList[0]._id, bankList);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load bank ledgers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchLines = async () => {
+    try {
+      const response = await api.get('/bank-imports/lines', { params: { ledger: bankId, status } });
+      const fetched = response.data.data.lines;
+      const suggested = fetched.filter(line => line.suggestion);
+      setLines(fetched);
+      setContra(current => ({
+        ...Object.fromEntries(suggested.map(line => [line._id, line.suggestion.ledger])),
+        ...current
+      }));
+      setTypes(current => ({
+        ...Object.fromEntries(suggested.map(line => [line._id, line.suggestion.type])),
+        ...current
+      }));
+      setSelected([]);
+      setMatching(null);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load statement lines');
+    }
+  };
+
+  const selectBank = (id, bankList = banks) => {
+    const bank = bankList.find(item => item._id === id);
+    setBankId(id);
+    setContra({});
+    setTypes({});
+    if (bank?.profile) {
+      const profile = Object.fromEntries(Object.keys(emptyMapping).map(key => [key, bank.profile[key] ?? emptyMapping[key]]));
+      setMapping(profile);
+    } else {
+      setMapping(emptyMapping);
+    }
+  };
+
+  const handleFile = (e) => {
+    const picked = e.target.files[0] || null;
+    setFile(picked);
+    const guessed = picked && formatFromName(picked.name);
+    if (guessed) setFormat(guessed);
+  };
+
+  const readFile = (picked) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(picked);
+  });
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      setWorking(true);
+      const content = await readFile(file);
+      const response = await api.post('/bank-imports', {
+        ledger: bankId,
+        format,
+        fileName: file.name,
+        content,
+        ...(format === 'csv' && { mapping: { ...mapping, skipRows: Number(mapping.skipRows) || 0 }, saveMapping })
+      });
+      setSuccess(response.data.message);
+      setFile(null);
+      e.target.reset();
+      if (format === 'csv' && saveMapping) {
+        setBanks(banks.map(bank => (bank._id === bankId ? { ...bank, profile: mapping } : bank)));
+      }
+      await fetchLines();
+    } catch (error) {
+      const details = error.response?.data?.errors;
+      setError(details ? details.map(item => item.message).join(', ') : error.response?.data?.message || 'Failed to import statement');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const runAction = async (request) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      setWorking(true);
+      const response = await request();
+      setSuccess(response.data.message);
+      await fetchLines();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Request failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCreateVouchers = () => runAction(() => api.post('/bank-imports/lines/create-vouchers', {
+    lines: selected.map(line => ({ line, ledger: contra[line], ...(types[line] && { type: types[line] }) }))
+  }));
+
+  const handleAutoMatch = () => runAction(() => api.post('/bank-imports/lines/auto-match', { ledger: bankId }));
+
+  const setLineStatus = (line, nextStatus, transaction) => runAction(() =>
+    api.put(`/bank-imports/lines/${line._id}`, { status: nextStatus, ...(transaction && { transaction }) })
+  );
+
+  const startMatching = async (line) => {
+    try {
+      const response = await api.get(`/bank-imports/lines/${line._id}/candidates`);
+      const candidates = response.data.data.candidates;
+      setMatching({ line: line._id, candidates, transaction: candidates[0]?._id || '' });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load matching vouchers');
+    }
+  };
+
+  const toggleSelected = (lineId) => {
+    setSelected(selected.includes(lineId)
+      ? selected.filter(item => item !== lineId)
+      : [...selected, lineId]);
+  };
+
+  const formatAmount = (amount) => {
+    if (!amount) return '';
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const smallInput = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+  const amountCell = 'px-4 py-3 text-right text-sm whitespace-nowrap';
+  const postable = ledgers.filter(ledger => ledger._id !== bankId);
+  const unmatchedLines = lines.filter(line => line.status === 'unmatched');
+  const readyCount = selected.filter(line => contra[line]).length;
+
+  const mappingField = (key, label, placeholder) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        type="text"
+        value={mapping[key] || ''}
+        onChange={(e) => setMapping({ ...mapping, [key]: e.target.value })}
+        placeholder={placeholder}
+        className={`${inputClass} w-36`}
+      />
+    </div>
+  );
+
+  if (loading) {
+    return <div className="p-8 text-center text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Bank Import</h1>
+          <p className="text-gray-600">Import bank statements and match them to vouchers</p>
+        </div>
+        <div className="flex gap-4">
+          <Link to="/bank-import/rules" className="text-sm text-blue-600 hover:text-blue-800">
+            Categorisation Rules →
+          </Link>
+          {bankId && (
+            <Link to={`/ledgers/${bankId}/reconcile`} className="text-sm text-blue-600 hover:text-blue-800">
+              Bank Reconciliation →
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {/* Alerts */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {banks.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          Create a ledger under Bank Accounts to import statements.
+        </div>
+      ) : (
+        <>
+          {/* Import form */}
+          <form onSubmit={handleImport} className="bg-white rounded-lg shadow p-4 space-y-4">
+            <div className="flex flex-wrap items-end gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Bank</label>
+                <select value={bankId} onChange={(e) => selectBank(e.target.value)} className={inputClass}>
+                  {banks.map((bank) => (
+                    <option key={bank._id} value={bank._id}>{bank.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+                <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+                  {FORMATS.map((item) => (
+                    <option key={item.value} value={item.value}>{item.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Statement file</label>
+                <input
+                  type="file"
+                  accept=".csv,.txt,.ofx,.qfx,.sta,.940,.mt940,.xml"
+                  onChange={handleFile}
+                  required
+                  className="text-sm"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={!file || working}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition disabled:opacity-50"
+              >
+                {working ? 'Working...' : 'Import'}
+              </button>
+            </div>
+
+            {/* CSV column mapping */}
+            {format === 'csv' && (
+              <div className="border-t border-gray-200 pt-4 space-y-3">
+                <p className="text-sm text-gray-600">
+                  Columns are header names, or column numbers (1, 2, ...) when the file has no header row.
+                  Use one amount column (negative for withdrawals) or separate withdrawal and deposit columns.
+                </p>
+                <div className="flex flex-wrap items-end gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Delimiter</label>
+                    <select
+                      value={mapping.delimiter}
+                      onChange={(e) => setMapping({ ...mapping, delimiter: e.target.value })}
+                      className={inputClass}
+                    >
+                      <option value=",">Comma</option>
+                      <option value=";">Semicolon</option>
+                      <option value={'\t'}>Tab</option>
+                      <option value="|">Pipe</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Skip rows</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={mapping.skipRows}
+                      onChange={(e) => setMapping({ ...mapping, skipRows: e.target.value })}
+                      className={`${inputClass} w-20`}
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 pb-2">
+                    <input
+                      type="checkbox"
+                      checked={mapping.hasHeader}
+                      onChange={(e) => setMapping({ ...mapping, hasHeader: e.target.checked })}
+                      className="rounded border-gray-300"
+                    />
+                    Header row
+                  </label>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Date format</label>
+                    <select
+                      value={mapping.dateFormat}
+                      onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}
+                      className={inputClass}
+                    >
+                      {DATE_FORMATS.map((item) => (
+                        <option key={item} value={item}>{item}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Decimal separator</label>
+                    <select
+                      value={mapping.decimalSeparator}
+                      onChange={(e) => setMapping({ ...mapping, decimalSeparator: e.target.value })}
+                      className={inputClass}
+                    >
+                      <option value=".">1,234.56</option>
+                      <option value=",">1.234,56</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="flex flex-wrap items-end gap-4">
+                  {mappingField('dateColumn', 'Date column', 'Date')}
+                  {mappingField('descriptionColumn', 'Description column', 'Narration')}
+                  {mappingField('referenceColumn', 'Reference column', 'Chq./Ref.No.')}
+                  {mappingField('amountColumn', 'Amount column', 'Amount')}
+                  {mappingField('withdrawalColumn', 'Withdrawal column', 'Debit')}
+                  {mappingField('depositColumn', 'Deposit column', 'Credit')}
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={saveMapping}
+                    onChange={(e) => setSaveMapping(e.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  Remember this mapping for the bank
+                </label>
+              </div>
+            )}
+          </form>
+
+          {/* Line actions */}
+          <div className="flex flex-wrap items-center gap-3">
+            <select value={status} onChange={(e) => setStatus(e.target.value)} className={smallInput}>
+              <option value="unmatched">Unmatched</option>
+              <option value="matched">Matched</option>
+              <option value="ignored">Ignored</option>
+              <option value="all">All lines</option>
+            </select>
+            <button
+              onClick={handleAutoMatch}
+              disabled={working || unmatchedLines.length === 0}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              Auto-match Again
+            </button>
+            <span className="text-sm text-gray-600">{selected.length} selected</span>
+            <button
+              onClick={handleCreateVouchers}
+              disabled={working || selected.length === 0 || readyCount !== selected.length}
+              title="Pick a ledger for every selected line"
+              className={`ml-auto px-4 py-2 rounded-lg font-medium transition ${
+                working || selected.length === 0 || readyCount !== selected.length
+                  ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                  : 'bg-blue-600 text-white hover:bg-blue-700'
+              }`}
+            >
+              Create Vouchers{selected.length ? ` (${selected.length})` : ''}
+            </button>
+          </div>
+
+          {/* Statement lines */}
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3">
+                    <input
+                      type="checkbox"
+                      checked={unmatchedLines.length > 0 && selected.length === unmatchedLines.length}
+                      onChange={(e) => setSelected(e.target.checked ? unmatchedLines.map(line => line._id) : [])}
+                      className="rounded border-gray-300"
+                    />
+                  </th>
+                  <th className={`${headerCell} text-left`}>Date</th>
+                  <th className={`${headerCell} text-left`}>Description</th>
+                  <th className={`${headerCell} text-left`}>Reference</th>
+                  <th className={`${headerCell} text-right`}>Withdrawal</th>
+                  <th className={`${headerCell} text-right`}>Deposit</th>
+                  <th className={`${headerCell} text-left`}>Voucher / Ledger</th>
+                  <th className={`${headerCell} text-right`}>Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {lines.length === 0 ? (
+                  <tr>
+                    <td colSpan={8} className="px-4 py-6 text-center text-sm text-gray-500">
+                      No {status === 'all' ? '' : status} statement lines.
+                    </td>
+                  </tr>
+                ) : lines.map((line) => (
+                  <tr key={line._id} className={selected.includes(line._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                    <td className="px-4 py-3 text-center">
+                      {line.status === 'unmatched' && (
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(line._id)}
+                          onChange={() => toggleSelected(line._id)}
+                          className="rounded border-gray-300"
+                        />
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{formatDate(line.date)}</td>
+                    <td className="px-4 py-3 text-sm text-gray-700 max-w-xs truncate" title={line.description}>
+                      {line.description}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500">{line.reference}</td>
+                    <td className={`${amountCell} text-gray-900`}>{line.amount < 0 ? formatAmount(-line.amount) : ''}</td>
+                    <td className={`${amountCell} text-gray-900`}>{line.amount > 0 ? formatAmount(line.amount) : ''}</td>
+                    <td className="px-4 py-3 text-sm">
+                      {line.status === 'matched' && line.transaction && (
+                        <span className="text-gray-700">
+                          {line.transaction.voucherNumber}
+                          <span className="ml-2 text-xs text-gray-400">{line.matchType}</span>
+                        </span>
+                      )}
+                      {line.status === 'ignored' && <span className="text-gray-400">Ignored</span>}
+                      {line.status === 'unmatched' && (matching?.line === line._id ? (
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={matching.transaction}
+                            onChange={(e) => setMatching({ ...matching, transaction: e.target.value })}
+                            className={smallInput}
+                          >
+                            {matching.candidates.length === 0 && <option value="">No vouchers for this amount</option>}
+                            {matching.candidates.map((candidate) => (
+                              <option key={candidate._id} value={candidate._id}>
+                                {candidate.voucherNumber} · {formatDate(candidate.date)}
+                              </option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => setLineStatus(line, 'matched', matching.transaction)}
+                            disabled={!matching.transaction || working}
+                            className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                          >
+                            Match
+                          </button>
+                          <button onClick={() => setMatching(null)} className="text-gray-500 hover:text-gray-700">
+                            Cancel
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={types[line._id] || (line.amount > 0 ? 'receipt' : 'payment')}
+                            onChange={(e) => setTypes({ ...types, [line._id]: e.target.value })}
+                            className={smallInput}
+                          >
+                            <option value={line.amount > 0 ? 'receipt' : 'payment'}>
+                              {line.amount > 0 ? 'Receipt' : 'Payment'}
+                            </option>
+                            <option value="contra">Contra</option>
+                          </select>
+                          <select
+                            value={contra[line._id] || ''}
+                            onChange={(e) => setContra({ ...contra, [line._id]: e.target.value })}
+                            className={smallInput}
+                          >
+                            <option value="">Post to ledger...</option>
+                            {postable.map((ledger) => (
+                              <option key={ledger._id} value={ledger._id}>{ledger.name}</option>
+                            ))}
+                          </select>
+                          {line.suggestion && (
+                            <span className="text-xs text-gray-400" title="Pre-filled by a categorisation rule">
+                              {line.suggestion.rule.name}
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="px-4 py-3 text-right text-sm whitespace-nowrap space-x-3">
+                      {line.status === 'unmatched' && matching?.line !== line._id && (
+                        <>
+                          <button onClick={() => startMatching(line)} className="text-blue-600 hover:text-blue-800">
+                            Match…
+                          </button>
+                          <button onClick={() => setLineStatus(line, 'ignored')} className="text-gray-500 hover:text-gray-700">
+                            Ignore
+                          </button>
+                        </>
+                      )}
+                      {line.status !== 'unmatched' && (
+                        <button onClick={() => setLineStatus(line, 'unmatched')} className="text-red-600 hover:text-red-800">
+                          {line.status === 'ignored' ? 'Restore' : 'Unmatch'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BankImport;
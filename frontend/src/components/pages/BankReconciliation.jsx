@@ -0,0 +1,322 @@
+/**
+ * Bank Reconciliation Page
+ *
+ * Record the date each bank ledger posting cleared in the bank and
+ * compare the balance as per books with the balance as per bank
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../../services/api.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const BankReconciliation = () => {
+  const { id } = useParams();
+  const [filters, setFilters] = useState({ asOf: today(), show: 'unreconciled', from: '' });
+  const [report, setReport] = useState(null);
+  // Clearing dates edited on screen, keyed by voucher id ('' = uncleared)
+  const [changes, setChanges] = useState({});
+  const [selected, setSelected] = useState([]);
+  const [bulkDate, setBulkDate] = useState(today());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchReconciliation();
+  }, [id]);
+
+  const fetchReconciliation = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = { asOf: filters.asOf, show: filters.show };
+      if (filters.show === 'all' && filters.from) params.from = filters.from;
+
+      const response = await api.get(`/ledgers/${id}/reconciliation`, { params });
+      setReport(response.data.data);
+      setChanges({});
+      setSelected([]);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load bank reconciliation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const storedDate = (entry) => (entry.clearedDate ? entry.clearedDate.slice(0, 10) : '');
+  const clearedDateOf = (entry) => (entry._id in changes ? changes[entry._id] : storedDate(entry));
+
+  const setClearedDate = (entry, value) => {
+    const next = { ...changes };
+    if (value === storedDate(entry)) delete next[entry._id];
+    else next[entry._id] = value;
+    setChanges(next);
+  };
+
+  const toggleSelected = (entryId) => {
+    setSelected(selected.includes(entryId)
+      ? selected.filter(item => item !== entryId)
+      : [...selected, entryId]);
+  };
+
+  const applyToSelected = (value) => {
+    const next = { ...changes };
+    for (const entry of report.entries.filter(item => selected.includes(item._id))) {
+      if (value === storedDate(entry)) delete next[entry._id];
+      else next[entry._id] = value;
+    }
+    setChanges(next);
+    setSelected([]);
+  };
+
+  const handleSave = async () => {
+    setError('');
+    setSuccess('');
+
+    try {
+      setSaving(true);
+      const response = await api.put(`/ledgers/${id}/reconciliation`, {
+        entries: Object.entries(changes).map(([transaction, clearedDate]) => ({
+          transaction,
+          clearedDate: clearedDate || null
+        }))
+      });
+      setSuccess(response.data.message);
+      await fetchReconciliation();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save reconciliation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatAmount = (amount) => {
+    if (!amount) return '';
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+  };
+
+  const formatBalance = (balance) => `${formatAmount(balance.amount) || '0.00'} ${balance.side}`;
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+  const amountCell = 'px-4 py-3 text-right text-sm whitespace-nowrap';
+  const pendingCount = Object.keys(changes).length;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">
+            {report ? report.ledger.name : 'Bank Reconciliation'}
+          </h1>
+          <p className="text-gray-600">Bank reconciliation</p>
+        </div>
+        <Link to={`/ledgers/${id}/statement`} className="text-sm text-blue-600 hover:text-blue-800">
+          View Ledger Statement →
+        </Link>
+      </div>
+
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchReconciliation(); }}
+        className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">As of</label>
+          <input
+            type="date"
+            value={filters.asOf}
+            onChange={(e) => setFilters({ ...filters, asOf: e.target.value })}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Show</label>
+          <select
+            value={filters.show}
+            onChange={(e) => setFilters({ ...filters, show: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="unreconciled">Unreconciled only</option>
+            <option value="all">All entries</option>
+          </select>
+        </div>
+        {filters.show === 'all' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        )}
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+      </form>
+
+      {/* Alerts */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {/* Balances */}
+      {report && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-600">Balance as per Books</p>
+            <p className="text-2xl font-bold text-gray-800">{formatBalance(report.balanceAsPerBooks)}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-600">Amounts not reflected in Bank</p>
+            <p className="text-sm text-gray-800 mt-1">
+              Deposits: <span className="font-semibold">{formatAmount(report.notReflectedInBank.debit) || '0.00'}</span>
+            </p>
+            <p className="text-sm text-gray-800">
+              Payments: <span className="font-semibold">{formatAmount(report.notReflectedInBank.credit) || '0.00'}</span>
+            </p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-600">Balance as per Bank</p>
+            <p className="text-2xl font-bold text-blue-600">{formatBalance(report.balanceAsPerBank)}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Bulk actions */}
+      {report && report.entries.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="text-sm text-gray-600">{selected.length} selected</span>
+          <input
+            type="date"
+            value={bulkDate}
+            onChange={(e) => setBulkDate(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={() => applyToSelected(bulkDate)}
+            disabled={selected.length === 0 || !bulkDate}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Mark Cleared
+          </button>
+          <button
+            onClick={() => applyToSelected('')}
+            disabled={selected.length === 0}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+          >
+            Mark Uncleared
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={pendingCount === 0 || saving}
+            className={`ml-auto px-4 py-2 rounded-lg font-medium transition ${
+              pendingCount === 0 || saving
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : 'bg-blue-600 text-white hover:bg-blue-700'
+            }`}
+          >
+            {saving ? 'Saving...' : `Save${pendingCount ? ` (${pendingCount})` : ''}`}
+          </button>
+        </div>
+      )}
+
+      {/* Entries */}
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : report && (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3">
+                  <input
+                    type="checkbox"
+                    checked={report.entries.length > 0 && selected.length === report.entries.length}
+                    onChange={(e) => setSelected(e.target.checked ? report.entries.map(entry => entry._id) : [])}
+                    className="rounded border-gray-300"
+                  />
+                </th>
+                <th className={`${headerCell} text-left`}>Date</th>
+                <th className={`${headerCell} text-left`}>Voucher</th>
+                <th className={`${headerCell} text-left`}>Particulars</th>
+                <th className={`${headerCell} text-left`}>Narration</th>
+                <th className={`${headerCell} text-right`}>Deposit (Dr)</th>
+                <th className={`${headerCell} text-right`}>Payment (Cr)</th>
+                <th className={`${headerCell} text-left`}>Bank Date</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {report.entries.length === 0 ? (
+                <tr>
+                  <td colSpan={8} className="px-4 py-6 text-center text-sm text-gray-500">
+                    {filters.show === 'all' ? 'No postings in this period.' : 'Everything is reconciled.'}
+                  </td>
+                </tr>
+              ) : report.entries.map((entry) => (
+                <tr key={entry._id} className={entry._id in changes ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-3 text-center">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(entry._id)}
+                      onChange={() => toggleSelected(entry._id)}
+                      className="rounded border-gray-300"
+                    />
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{formatDate(entry.date)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                    {entry.voucherNumber}
+                    <span className="ml-2 text-xs text-gray-400 capitalize">{entry.type}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{entry.contraLedger}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500 truncate max-w-xs">{entry.narration}</td>
+                  <td className={`${amountCell} text-gray-900`}>{formatAmount(entry.debit)}</td>
+                  <td className={`${amountCell} text-gray-900`}>{formatAmount(entry.credit)}</td>
+                  <td className="px-4 py-3">
+                    <input
+                      type="date"
+                      value={clearedDateOf(entry)}
+                      min={entry.date.slice(0, 10)}
+                      onChange={(e) => setClearedDate(entry, e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BankReconciliation;
@@ -0,0 +1,497 @@
+/**
+ * Categorisation Rules Page
+ *
+ * Rules that pre-fill the ledger and voucher type of imported bank
+ * lines, tried in priority order, with a dry run against past vouchers
+ * and suggestions learnt from how past narrations were coded
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext.jsx';
+import api from '../../services/api.js';
+
+const OPERATORS = [
+  { value: 'contains', label: 'contains' },
+  { value: 'starts_with', label: 'starts with' },
+  { value: 'equals', label: 'equals' },
+  { value: 'regex', label: 'matches regex' }
+];
+
+const emptyRule = {
+  name: '',
+  field: 'description',
+  operator: 'contains',
+  pattern: '',
+  caseSensitive: false,
+  minAmount: '',
+  maxAmount: '',
+  bankLedger: '',
+  ledger: '',
+  type: 'payment',
+  priority: 100,
+  isActive: true
+};
+
+const CategorisationRules = () => {
+  const { isMasterAdmin } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [ledgers, setLedgers] = useState([]);
+  const [banks, setBanks] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [form, setForm] = useState(emptyRule);
+  const [editingId, setEditingId] = useState(null);
+  const [testResult, setTestResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [rulesResponse, ledgersResponse, banksResponse, suggestionsResponse] = await Promise.all([
+        api.get('/categorisation-rules'),
+        api.get('/ledgers'),
+        api.get('/bank-imports/banks'),
+        api.get('/categorisation-rules/suggestions')
+      ]);
+      setRules(rulesResponse.data.data.rules);
+      setLedgers(ledgersResponse.data.data.ledgers);
+      setBanks(banksResponse.data.data.banks);
+      setSuggestions(suggestionsResponse.data.data.suggestions);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load categorisation rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Empty amount and bank fields mean "no condition"
+  const payload = () => ({
+    ...form,
+    minAmount: form.minAmount === '' ? null : Number(form.minAmount),
+    maxAmount: form.maxAmount === '' ? null : Number(form.maxAmount),
+    bankLedger: form.bankLedger || null,
+    priority: Number(form.priority) || 0
+  });
+
+  const errorMessage = (error, fallback) => {
+    const details = error.response?.data?.errors;
+    return details ? details.map(item => item.message).join(', ') : error.response?.data?.message || fallback;
+  };
+
+  const resetForm = () => {
+    setForm(emptyRule);
+    setEditingId(null);
+    setTestResult(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      setWorking(true);
+      const response = editingId
+        ? await api.put(`/categorisation-rules/${editingId}`, payload())
+        : await api.post('/categorisation-rules', payload());
+      setSuccess(response.data.message);
+      resetForm();
+      await fetchData();
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to save rule'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setError('');
+
+    try {
+      setWorking(true);
+      const response = await api.post('/categorisation-rules/test', payload());
+      setTestResult(response.data.data);
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to test rule'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleEdit = (rule) => {
+    setEditingId(rule._id);
+    setTestResult(null);
+    setForm({
+      ...emptyRule,
+      ...rule,
+      minAmount: rule.minAmount ?? '',
+      maxAmount: rule.maxAmount ?? '',
+      bankLedger: rule.bankLedger?._id || '',
+      ledger: rule.ledger?._id || ''
+    });
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete rule "${rule.name}"?`)) return;
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.delete(`/categorisation-rules/${rule._id}`);
+      setSuccess(response.data.message);
+      await fetchData();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete rule');
+    }
+  };
+
+  const applySuggestion = (suggestion) => {
+    setEditingId(null);
+    setTestResult(null);
+    setForm({
+      ...emptyRule,
+      name: suggestion.name,
+      pattern: suggestion.pattern,
+      ledger: suggestion.ledger._id,
+      type: suggestion.type
+    });
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase text-left';
+
+  if (loading) {
+    return <div className="p-8 text-center text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Categorisation Rules</h1>
+          <p className="text-gray-600">Pre-fill the ledger and voucher type of imported bank lines</p>
+        </div>
+        <Link to="/bank-import" className="text-sm text-blue-600 hover:text-blue-800">
+          ← Bank Import
+        </Link>
+      </div>
+
+      {/* Alerts */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {/* Rule form */}
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-800">{editingId ? 'Edit Rule' : 'New Rule'}</h2>
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">When</label>
+            <select
+              value={form.field}
+              onChange={(e) => setForm({ ...form, field: e.target.value })}
+              className={inputClass}
+            >
+              <option value="description">Narration</option>
+              <option value="reference">Reference</option>
+            </select>
+          </div>
+          <div>
+            <select
+              value={form.operator}
+              onChange={(e) => setForm({ ...form, operator: e.target.value })}
+              className={inputClass}
+            >
+              {OPERATORS.map((operator) => (
+                <option key={operator.value} value={operator.value}>{operator.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Pattern</label>
+            <input
+              type="text"
+              value={form.pattern}
+              onChange={(e) => setForm({ ...form, pattern: e.target.value })}
+              required
+              placeholder="AMAZON"
+              className={inputClass}
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 pb-2">
+            <input
+              type="checkbox"
+              checked={form.caseSensitive}
+              onChange={(e) => setForm({ ...form, caseSensitive: e.target.checked })}
+              className="rounded border-gray-300"
+            />
+            Match case
+          </label>
+        </div>
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Amount from</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.minAmount}
+              onChange={(e) => setForm({ ...form, minAmount: e.target.value })}
+              className={`${inputClass} w-32`}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">to</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.maxAmount}
+              onChange={(e) => setForm({ ...form, maxAmount: e.target.value })}
+              className={`${inputClass} w-32`}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Bank</label>
+            <select
+              value={form.bankLedger}
+              onChange={(e) => setForm({ ...form, bankLedger: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Any bank</option>
+              {banks.map((bank) => (
+                <option key={bank._id} value={bank._id}>{bank.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Voucher type</label>
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value })}
+              className={inputClass}
+            >
+              <option value="payment">Payment (money out)</option>
+              <option value="receipt">Receipt (money in)</option>
+              <option value="contra">Contra</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Post to ledger</label>
+            <select
+              value={form.ledger}
+              onChange={(e) => setForm({ ...form, ledger: e.target.value })}
+              required
+              className={inputClass}
+            >
+              <option value="">Select ledger...</option>
+              {ledgers.map((ledger) => (
+                <option key={ledger._id} value={ledger._id}>{ledger.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+            <input
+              type="number"
+              min="0"
+              value={form.priority}
+              onChange={(e) => setForm({ ...form, priority: e.target.value })}
+              title="Lower numbers are tried first"
+              className={`${inputClass} w-24`}
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 pb-2">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+              className="rounded border-gray-300"
+            />
+            Active
+          </label>
+        </div>
+        <div className="flex gap-3">
+          <button
+            type="submit"
+            disabled={working}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            {editingId ? 'Update Rule' : 'Add Rule'}
+          </button>
+          <button
+            type="button"
+            onClick={handleTest}
+            disabled={working || !form.pattern}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition disabled:opacity-50"
+          >
+            Test Against History
+          </button>
+          {(editingId || form.pattern) && (
+            <button type="button" onClick={resetForm} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+              Clear
+            </button>
+          )}
+        </div>
+
+        {/* Dry run */}
+        {testResult && (
+          <div className="border-t border-gray-200 pt-4 space-y-2">
+            <p className="text-sm text-gray-700">
+              Matches <span className="font-semibold">{testResult.vouchers.matched}</span> of the last{' '}
+              {testResult.vouchers.checked} {form.type} vouchers
+              {form.ledger && (
+                <>, <span className="font-semibold">{testResult.vouchers.agreeing}</span> of them posted to this ledger</>
+              )}
+              , and <span className="font-semibold">{testResult.statementLines.matched}</span> staged bank lines.
+            </p>
+            {testResult.vouchers.samples.length > 0 && (
+              <table className="w-full">
+                <tbody className="divide-y divide-gray-100">
+                  {testResult.vouchers.samples.map((sample) => (
+                    <tr key={sample._id}>
+                      <td className="py-1 pr-4 text-sm text-gray-500 whitespace-nowrap">{formatDate(sample.date)}</td>
+                      <td className="py-1 pr-4 text-sm text-gray-500 whitespace-nowrap">{sample.voucherNumber}</td>
+                      <td className="py-1 pr-4 text-sm text-gray-900">{sample.narration}</td>
+                      <td className="py-1 pr-4 text-sm text-gray-900 text-right">{formatAmount(sample.amount)}</td>
+                      <td className="py-1 text-sm text-gray-600">{sample.codedTo.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </form>
+
+      {/* Rules */}
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className={headerCell}>Priority</th>
+              <th className={headerCell}>Rule</th>
+              <th className={headerCell}>Condition</th>
+              <th className={headerCell}>Type</th>
+              <th className={headerCell}>Ledger</th>
+              <th className={`${headerCell} text-right`}>Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {rules.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-sm text-gray-500">No rules yet.</td>
+              </tr>
+            ) : rules.map((rule) => (
+              <tr key={rule._id} className={rule.isActive ? 'hover:bg-gray-50' : 'text-gray-400 bg-gray-50'}>
+                <td className="px-4 py-3 text-sm">{rule.priority}</td>
+                <td className="px-4 py-3 text-sm font-medium">
+                  {rule.name}
+                  {!rule.isActive && <span className="ml-2 text-xs">(inactive)</span>}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-600">
+                  {rule.field === 'reference' ? 'Reference' : 'Narration'}{' '}
+                  {OPERATORS.find(operator => operator.value === rule.operator)?.label}{' '}
+                  <span className="font-mono">{rule.pattern}</span>
+                  {rule.bankLedger && <span className="ml-2 text-xs text-gray-400">on {rule.bankLedger.name}</span>}
+                </td>
+                <td className="px-4 py-3 text-sm capitalize">{rule.type}</td>
+                <td className="px-4 py-3 text-sm">{rule.ledger?.name}</td>
+                <td className="px-4 py-3 text-right text-sm whitespace-nowrap space-x-3">
+                  <button onClick={() => handleEdit(rule)} className="text-blue-600 hover:text-blue-800">
+                    Edit
+                  </button>
+                  {isMasterAdmin() && (
+                    <button onClick={() => handleDelete(rule)} className="text-red-600 hover:text-red-800">
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Suggestions */}
+      <div className="bg-white rounded-lg shadow p-4 space-y-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">Suggested Rules</h2>
+          <p className="text-sm text-gray-600">
+            Learnt from past payment and receipt narrations that were nearly always posted to the same ledger.
+          </p>
+        </div>
+        {suggestions.length === 0 ? (
+          <p className="text-sm text-gray-500">No suggestions right now.</p>
+        ) : (
+          <table className="w-full">
+            <tbody className="divide-y divide-gray-100">
+              {suggestions.map((suggestion) => (
+                <tr key={`${suggestion.pattern}-${suggestion.type}`}>
+                  <td className="py-2 pr-4 text-sm">
+                    Narration contains <span className="font-mono">{suggestion.pattern}</span>
+                    <p className="text-xs text-gray-400 truncate max-w-md">{suggestion.examples.join(' · ')}</p>
+                  </td>
+                  <td className="py-2 pr-4 text-sm capitalize">{suggestion.type}</td>
+                  <td className="py-2 pr-4 text-sm">{suggestion.ledger.name}</td>
+                  <td className="py-2 pr-4 text-sm text-gray-500 whitespace-nowrap">
+                    {suggestion.occurrences} vouchers, {Math.round(suggestion.share * 100)}%
+                  </td>
+                  <td className="py-2 text-right">
+                    <button onClick={() => applySuggestion(suggestion)} className="text-sm text-blue-600 hover:text-blue-800">
+                      Use
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CategorisationRules;
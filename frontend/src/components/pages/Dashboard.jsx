@@ -14,6 +14,7 @@ const Dashboard = () => {
     totalTransactions: 0,
     totalAmount: 0,
     activeLedgers: 0,
+    netWorth: 0,
     recentTransactions: []
   });
   const [loading, setLoading] = useState(true);
@@ -39,6 +40,7 @@ const Dashboard = () => {
         totalTransactions: txResponse.data.data.overall.totalTransactions || 0,
         totalAmount: txResponse.data.data.overall.totalAmount || 0,
         activeLedgers: ledgerResponse.data.data.byType.reduce((acc, curr) => acc + curr.count, 0),
+        netWorth: ledgerResponse.data.data.netWorth || 0,
         recentTransactions: recentResponse.data.data.transactions || []
       });
     } catch (error) {
@@ -78,7 +80,7 @@ const Dashboard = () => {
       </div>
 
       {/* Stats Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6">
         <div className="bg-white rounded-lg shadow-md p-6">
           <div className="flex items-center">
             <div className="p-3 rounded-full bg-blue-100 text-blue-600">
@@ -126,6 +128,23 @@ const Dashboard = () => {
             </div>
           </div>
         </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center">
+            <div className="p-3 rounded-full bg-yellow-100 text-yellow-600">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 6l9-4 9 4M4 10h16M5 10v8m4-8v8m6-8v8m4-8v8M3 20h18" />
+              </svg>
+            </div>
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Net Worth</p>
+              <p className={`text-2xl font-bold ${stats.netWorth < 0 ? 'text-red-600' : 'text-gray-800'}`}>
+                {loading ? '...' : formatCurrency(stats.netWorth)}
+              </p>
+              <p className="text-xs text-gray-500">Assets less liabilities</p>
+            </div>
+          </div>
+        </div>
       </div>
 
       {/* Recent Transactions */}
@@ -0,0 +1,486 @@
+/**
+ * GST Settings Page
+ *
+ * Company GSTIN and state, the duty ledgers GST is posted to, the tax
+ * rate masters, and a calculator showing how an invoice would be split
+ * into CGST/SGST or IGST
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+const DUTY_LEDGERS = [
+  { key: 'outputCgst', label: 'Output CGST' },
+  { key: 'outputSgst', label: 'Output SGST' },
+  { key: 'outputIgst', label: 'Output IGST' },
+  { key: 'inputCgst', label: 'Input CGST' },
+  { key: 'inputSgst', label: 'Input SGST' },
+  { key: 'inputIgst', label: 'Input IGST' }
+];
+
+const emptyRate = { name: '', rate: 18, description: '' };
+const emptyPreview = { type: 'sales', partyLedger: '', ledger: '', taxableValue: '', taxRate: '', placeOfSupply: '' };
+
+const GstSettings = () => {
+  const [company, setCompany] = useState({ name: '', gstin: '', state: '', dutyLedgers: {} });
+  const [states, setStates] = useState([]);
+  const [ledgers, setLedgers] = useState([]);
+  const [taxRates, setTaxRates] = useState([]);
+  const [rateForm, setRateForm] = useState(emptyRate);
+  const [editingRateId, setEditingRateId] = useState(null);
+  const [preview, setPreview] = useState(emptyPreview);
+  const [previewResult, setPreviewResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [companyResponse, statesResponse, ledgersResponse, ratesResponse] = await Promise.all([
+        api.get('/gst/company'),
+        api.get('/gst/states'),
+        api.get('/ledgers'),
+        api.get('/gst/tax-rates')
+      ]);
+      const saved = companyResponse.data.data.company;
+      setCompany({
+        name: saved.name || '',
+        gstin: saved.gstin || '',
+        state: saved.state || '',
+        dutyLedgers: Object.fromEntries(
+          DUTY_LEDGERS.map(({ key }) => [key, saved.dutyLedgers?.[key]?._id || ''])
+        )
+      });
+      setStates(statesResponse.data.data.states);
+      setLedgers(ledgersResponse.data.data.ledgers);
+      setTaxRates(ratesResponse.data.data.taxRates);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load GST settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const errorMessage = (error, fallback) => {
+    const details = error.response?.data?.errors;
+    return details ? details.map(item => item.message).join(', ') : error.response?.data?.message || fallback;
+  };
+
+  const stateName = (code) => states.find(state => state.code === code)?.name || code;
+
+  const handleCompanySubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      setWorking(true);
+      const response = await api.put('/gst/company', company);
+      setSuccess(response.data.message);
+      setCompany({ ...company, state: response.data.data.company.state || '' });
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to save company settings'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRateSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const payload = { ...rateForm, rate: Number(rateForm.rate) };
+
+    try {
+      setWorking(true);
+      const response = editingRateId
+        ? await api.put(`/gst/tax-rates/${editingRateId}`, payload)
+        : await api.post('/gst/tax-rates', payload);
+      setSuccess(response.data.message);
+      setRateForm(emptyRate);
+      setEditingRateId(null);
+      await fetchData();
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to save tax rate'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleToggleRate = async (taxRate) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.put(`/gst/tax-rates/${taxRate._id}`, {
+        name: taxRate.name,
+        rate: taxRate.rate,
+        isActive: !taxRate.isActive
+      });
+      setSuccess(response.data.message);
+      await fetchData();
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to update tax rate'));
+    }
+  };
+
+  const handleEditRate = (taxRate) => {
+    setEditingRateId(taxRate._id);
+    setRateForm({ name: taxRate.name, rate: taxRate.rate, description: taxRate.description || '' });
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setError('');
+    setPreviewResult(null);
+
+    try {
+      setWorking(true);
+      const response = await api.post('/gst/preview', {
+        type: preview.type,
+        partyLedger: preview.partyLedger,
+        taxLines: [{
+          ledger: preview.ledger,
+          taxableValue: Number(preview.taxableValue),
+          taxRate: preview.taxRate || undefined
+        }],
+        placeOfSupply: preview.placeOfSupply || undefined
+      });
+      setPreviewResult(response.data.data);
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to compute GST'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const ledgerName = (id) => ledgers.find(ledger => ledger._id === String(id))?.name || 'Duty ledger';
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase text-left';
+
+  if (loading) {
+    return <div className="p-8 text-center text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-800">GST Settings</h1>
+        <p className="text-gray-600">Company registration, duty ledgers and tax rates</p>
+      </div>
+
+      {/* Alerts */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {/* Company */}
+      <form onSubmit={handleCompanySubmit} className="bg-white rounded-lg shadow p-4 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-800">Company</h2>
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={company.name}
+              onChange={(e) => setCompany({ ...company, name: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">GSTIN</label>
+            <input
+              type="text"
+              value={company.gstin}
+              onChange={(e) => setCompany({ ...company, gstin: e.target.value.toUpperCase() })}
+              maxLength={15}
+              placeholder="27AAPFU0939F1ZV"
+              className={`${inputClass} font-mono`}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">State</label>
+            <select
+              value={company.state}
+              onChange={(e) => setCompany({ ...company, state: e.target.value })}
+              disabled={Boolean(company.gstin)}
+              title={company.gstin ? 'Taken from the GSTIN' : undefined}
+              className={inputClass}
+            >
+              <option value="">Select state...</option>
+              {states.map((state) => (
+                <option key={state.code} value={state.code}>{state.code} - {state.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div>
+          <p className="text-sm text-gray-600 mb-2">
+            Duty ledgers left blank are created under Duties &amp; Taxes on the first tax invoice.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {DUTY_LEDGERS.map(({ key, label }) => (
+              <div key={key}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                <select
+                  value={company.dutyLedgers[key] || ''}
+                  onChange={(e) => setCompany({
+                    ...company,
+                    dutyLedgers: { ...company.dutyLedgers, [key]: e.target.value }
+                  })}
+                  className={`${inputClass} w-full`}
+                >
+                  <option value="">Create automatically</option>
+                  {ledgers.map((ledger) => (
+                    <option key={ledger._id} value={ledger._id}>{ledger.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={working}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          Save Company
+        </button>
+      </form>
+
+      {/* Tax rates */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <form onSubmit={handleRateSubmit} className="p-4 flex flex-wrap items-end gap-4 border-b border-gray-200">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rate name</label>
+            <input
+              type="text"
+              value={rateForm.name}
+              onChange={(e) => setRateForm({ ...rateForm, name: e.target.value })}
+              required
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">GST %</label>
+            <select
+              value={rateForm.rate}
+              onChange={(e) => setRateForm({ ...rateForm, rate: e.target.value })}
+              className={inputClass}
+            >
+              {GST_RATES.map((rate) => (
+                <option key={rate} value={rate}>{rate}%</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              value={rateForm.description}
+              onChange={(e) => setRateForm({ ...rateForm, description: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={working}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            {editingRateId ? 'Update Rate' : 'Add Rate'}
+          </button>
+          {editingRateId && (
+            <button
+              type="button"
+              onClick={() => { setEditingRateId(null); setRateForm(emptyRate); }}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          )}
+        </form>
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className={headerCell}>Name</th>
+              <th className={`${headerCell} text-right`}>GST</th>
+              <th className={`${headerCell} text-right`}>CGST</th>
+              <th className={`${headerCell} text-right`}>SGST</th>
+              <th className={`${headerCell} text-right`}>IGST</th>
+              <th className={headerCell}>Status</th>
+              <th className={headerCell}></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {taxRates.map((taxRate) => (
+              <tr key={taxRate._id} className={taxRate.isActive ? '' : 'text-gray-400'}>
+                <td className="px-4 py-3 text-sm">
+                  {taxRate.name}
+                  {taxRate.description && <div className="text-xs text-gray-500">{taxRate.description}</div>}
+                </td>
+                <td className="px-4 py-3 text-sm text-right">{taxRate.rate}%</td>
+                <td className="px-4 py-3 text-sm text-right">{taxRate.cgstRate}%</td>
+                <td className="px-4 py-3 text-sm text-right">{taxRate.sgstRate}%</td>
+                <td className="px-4 py-3 text-sm text-right">{taxRate.igstRate}%</td>
+                <td className="px-4 py-3 text-sm">{taxRate.isActive ? 'Active' : 'Inactive'}</td>
+                <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-3">
+                  <button onClick={() => handleEditRate(taxRate)} className="text-blue-600 hover:text-blue-800">
+                    Edit
+                  </button>
+                  <button onClick={() => handleToggleRate(taxRate)} className="text-gray-600 hover:text-gray-800">
+                    {taxRate.isActive ? 'Deactivate' : 'Activate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Calculator */}
+      <form onSubmit={handlePreview} className="bg-white rounded-lg shadow p-4 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-800">Check a Tax Invoice</h2>
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select
+              value={preview.type}
+              onChange={(e) => setPreview({ ...preview, type: e.target.value })}
+              className={inputClass}
+            >
+              <option value="sales">Sales</option>
+              <option value="purchase">Purchase</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Party</label>
+            <select
+              value={preview.partyLedger}
+              onChange={(e) => setPreview({ ...preview, partyLedger: e.target.value })}
+              required
+              className={inputClass}
+            >
+              <option value="">Select party...</option>
+              {ledgers.map((ledger) => (
+                <option key={ledger._id} value={ledger._id}>
+                  {ledger.name}{ledger.gstin ? ` (${ledger.gstin})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {preview.type === 'sales' ? 'Sales ledger' : 'Purchase ledger'}
+            </label>
+            <select
+              value={preview.ledger}
+              onChange={(e) => setPreview({ ...preview, ledger: e.target.value })}
+              required
+              className={inputClass}
+            >
+              <option value="">Select ledger...</option>
+              {ledgers.map((ledger) => (
+                <option key={ledger._id} value={ledger._id}>{ledger.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Taxable value</label>
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              value={preview.taxableValue}
+              onChange={(e) => setPreview({ ...preview, taxableValue: e.target.value })}
+              required
+              className={`${inputClass} w-32`}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rate</label>
+            <select
+              value={preview.taxRate}
+              onChange={(e) => setPreview({ ...preview, taxRate: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Ledger default</option>
+              {taxRates.filter(taxRate => taxRate.isActive).map((taxRate) => (
+                <option key={taxRate._id} value={taxRate._id}>{taxRate.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Place of supply</label>
+            <select
+              value={preview.placeOfSupply}
+              onChange={(e) => setPreview({ ...preview, placeOfSupply: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Default</option>
+              {states.map((state) => (
+                <option key={state.code} value={state.code}>{state.code} - {state.name}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="submit"
+            disabled={working}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition disabled:opacity-50"
+          >
+            Compute
+          </button>
+        </div>
+
+        {previewResult && (
+          <div className="border-t border-gray-200 pt-4 space-y-2">
+            <p className="text-sm text-gray-700">
+              {previewResult.gst.supplyType === 'inter' ? 'Inter-state supply (IGST)' : 'Intra-state supply (CGST + SGST)'}
+              {' '}to {stateName(previewResult.gst.placeOfSupply)}; invoice value{' '}
+              <span className="font-semibold">{formatAmount(previewResult.gst.invoiceValue)}</span>
+            </p>
+            <table className="w-full">
+              <tbody className="divide-y divide-gray-100">
+                {previewResult.entries.map((entry, index) => (
+                  <tr key={index}>
+                    <td className="py-1 pr-4 text-sm text-gray-500 w-12">{entry.side}</td>
+                    <td className="py-1 pr-4 text-sm text-gray-900">
+                      {entry.narration ? `${ledgerName(entry.ledger)} (${entry.narration})` : ledgerName(entry.ledger)}
+                    </td>
+                    <td className="py-1 text-sm text-gray-900 text-right">{formatAmount(entry.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default GstSettings;
@@ -0,0 +1,217 @@
+/**
+ * Ledger Statement Page
+ *
+ * Every posting to a ledger for a period with contra ledger,
+ * Dr/Cr columns and a running balance
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import api from '../../services/api.js';
+
+const PAGE_SIZE = 100;
+
+const LedgerStatement = () => {
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [filters, setFilters] = useState({
+    from: searchParams.get('from') || '',
+    to: searchParams.get('to') || ''
+  });
+  const [page, setPage] = useState(1);
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchStatement();
+  }, [id, page, searchParams]);
+
+  const fetchStatement = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = { page, limit: PAGE_SIZE };
+      if (searchParams.get('from')) params.from = searchParams.get('from');
+      if (searchParams.get('to')) params.to = searchParams.get('to');
+
+      const response = await api.get(`/ledgers/${id}/statement`, { params });
+      setStatement(response.data.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load ledger statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    const params = {};
+    if (filters.from) params.from = filters.from;
+    if (filters.to) params.to = filters.to;
+    setPage(1);
+    setSearchParams(params);
+  };
+
+  const formatAmount = (amount) => {
+    if (!amount) return '';
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+  };
+
+  const formatBalance = (balance) => `${formatAmount(balance.amount) || '0.00'} ${balance.side}`;
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+  const amountCell = 'px-4 py-3 text-right text-sm whitespace-nowrap';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">
+            {statement ? statement.ledger.name : 'Ledger Statement'}
+          </h1>
+          <p className="text-gray-600 capitalize">
+            {statement ? `${statement.ledger.type} ledger statement` : 'Loading...'}
+          </p>
+        </div>
+        <Link to="/reports" className="text-sm text-blue-600 hover:text-blue-800">
+          ← Back to Reports
+        </Link>
+      </div>
+
+      {/* Filters */}
+      <form onSubmit={applyFilters} className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Statement */}
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : statement && (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={`${headerCell} text-left`}>Date</th>
+                <th className={`${headerCell} text-left`}>Voucher</th>
+                <th className={`${headerCell} text-left`}>Particulars</th>
+                <th className={`${headerCell} text-left`}>Narration</th>
+                <th className={`${headerCell} text-right`}>Debit</th>
+                <th className={`${headerCell} text-right`}>Credit</th>
+                <th className={`${headerCell} text-right`}>Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              <tr className="bg-gray-50 font-medium">
+                <td colSpan={6} className="px-4 py-3 text-sm text-gray-700">
+                  {page === 1 ? 'Opening Balance' : 'Brought Forward'}
+                </td>
+                <td className={`${amountCell} text-gray-900`}>
+                  {formatBalance(page === 1 ? statement.openingBalance : statement.pageOpeningBalance)}
+                </td>
+              </tr>
+
+              {statement.entries.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="px-4 py-6 text-center text-sm text-gray-500">
+                    No postings in this period.
+                  </td>
+                </tr>
+              ) : statement.entries.map((entry) => (
+                <tr key={entry._id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{formatDate(entry.date)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                    {entry.voucherNumber}
+                    <span className="ml-2 text-xs text-gray-400 capitalize">{entry.type}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{entry.contraLedger?.name}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500 truncate max-w-xs">{entry.narration}</td>
+                  <td className={`${amountCell} text-gray-900`}>{formatAmount(entry.debit)}</td>
+                  <td className={`${amountCell} text-gray-900`}>{formatAmount(entry.credit)}</td>
+                  <td className={`${amountCell} text-gray-700`}>{formatBalance(entry.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-gray-100 font-semibold">
+              <tr>
+                <td colSpan={4} className="px-4 py-3 text-sm text-gray-800">Period Total / Closing Balance</td>
+                <td className={`${amountCell} text-gray-800`}>{formatAmount(statement.totals.debit)}</td>
+                <td className={`${amountCell} text-gray-800`}>{formatAmount(statement.totals.credit)}</td>
+                <td className={`${amountCell} text-gray-800`}>{formatBalance(statement.closingBalance)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {statement && statement.pagination.pages > 1 && (
+        <div className="flex justify-between items-center">
+          <p className="text-sm text-gray-600">
+            Page {statement.pagination.page} of {statement.pagination.pages} ({statement.pagination.total} postings)
+          </p>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= statement.pagination.pages}
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LedgerStatement;
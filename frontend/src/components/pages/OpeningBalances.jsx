@@ -0,0 +1,300 @@
+/**
+ * Opening Balances Page
+ *
+ * Master Admin only - Enter every ledger's opening balance in one grid
+ * and see the Dr/Cr difference update as you type
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toRows = (ledgers) => ledgers.map(row => ({
+  ledger: row.ledger,
+  amount: row.amount ? String(row.amount) : '',
+  side: row.side,
+  original: { amount: row.amount, side: row.side }
+}));
+
+// Dr minus Cr for one row as currently entered
+const netOf = (amount, side) => {
+  const value = Number(amount) || 0;
+  return side === 'Dr' ? value : -value;
+};
+
+const OpeningBalances = () => {
+  const [grid, setGrid] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [search, setSearch] = useState('');
+  const [postDifferenceToSuspense, setPostDifferenceToSuspense] = useState(false);
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchOpeningBalances();
+  }, []);
+
+  const fetchOpeningBalances = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/admin/opening-balances');
+      setGrid(response.data.data);
+      setRows(toRows(response.data.data.ledgers));
+    } catch (error) {
+      setError('Failed to fetch opening balances');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const isChanged = (row) =>
+    round(netOf(row.amount, row.side)) !== round(netOf(row.original.amount, row.original.side));
+
+  // Server totals include ledgers not shown in the grid (inactive ones),
+  // so start from those and swap the listed rows for what is entered
+  const totals = (() => {
+    if (!grid) return { debit: 0, credit: 0 };
+    let debit = grid.totals.debit;
+    let credit = grid.totals.credit;
+
+    for (const row of rows) {
+      if (row.original.side === 'Dr') debit -= row.original.amount;
+      else credit -= row.original.amount;
+
+      const amount = Number(row.amount) || 0;
+      if (row.side === 'Dr') debit += amount;
+      else credit += amount;
+    }
+
+    return { debit: round(debit), credit: round(credit) };
+  })();
+
+  const difference = round(totals.debit - totals.credit);
+  const changedRows = rows.filter(isChanged);
+
+  const handleSave = async () => {
+    setError('');
+    setSuccess('');
+
+    const invalid = rows.find(row => row.amount !== '' && !(Number(row.amount) >= 0));
+    if (invalid) {
+      setError(`Enter a valid amount for ${invalid.ledger.name}`);
+      return;
+    }
+
+    if (changedRows.length === 0 && !(postDifferenceToSuspense && difference !== 0)) {
+      setError('No opening balances have changed');
+      return;
+    }
+
+    // The API needs at least one entry; resend an unchanged row when only
+    // the difference is being posted
+    const balances = (changedRows.length > 0 ? changedRows : rows.slice(0, 1)).map(row => ({
+      ledger: row.ledger._id,
+      amount: Number(row.amount) || 0,
+      side: row.side
+    }));
+
+    try {
+      setSaving(true);
+      const response = await api.put('/admin/opening-balances', {
+        balances,
+        postDifferenceToSuspense,
+        reason: reason || undefined
+      });
+
+      const { suspenseAdjustment } = response.data.data;
+      setGrid(response.data.data);
+      setRows(toRows(response.data.data.ledgers));
+      setPostDifferenceToSuspense(false);
+      setReason('');
+      setSuccess(suspenseAdjustment
+        ? `${response.data.message}. ${formatAmount(suspenseAdjustment.amount)} ${suspenseAdjustment.side} posted to ${suspenseAdjustment.name}.`
+        : response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save opening balances');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const visibleRows = rows
+    .map((row, index) => ({ row, index }))
+    .filter(({ row }) => row.ledger.name.toLowerCase().includes(search.toLowerCase()));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Opening Balances</h1>
+          <p className="text-gray-600">
+            {grid?.booksStartDate
+              ? `Balances as on ${formatDate(grid.booksStartDate)}`
+              : 'Balances brought into the books'}
+          </p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving || loading}
+          className={`px-4 py-2 rounded-lg font-medium transition ${
+            saving || loading
+              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+              : 'bg-blue-600 text-white hover:bg-blue-700'
+          }`}
+        >
+          {saving ? 'Saving...' : 'Save Opening Balances'}
+        </button>
+      </div>
+
+      {/* Alerts */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {/* Totals */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-600">Total Debit</p>
+          <p className="text-2xl font-bold text-gray-800">{formatAmount(totals.debit)}</p>
+          {grid?.openingStock > 0 && (
+            <p className="text-xs text-gray-500 mt-1">
+              Includes opening stock of {formatAmount(grid.openingStock)}
+            </p>
+          )}
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-600">Total Credit</p>
+          <p className="text-2xl font-bold text-gray-800">{formatAmount(totals.credit)}</p>
+        </div>
+        <div className={`rounded-lg shadow p-4 ${difference === 0 ? 'bg-white' : 'bg-yellow-50'}`}>
+          <p className="text-sm text-gray-600">Difference in Opening Balance</p>
+          <p className={`text-2xl font-bold ${difference === 0 ? 'text-green-600' : 'text-yellow-700'}`}>
+            {difference === 0
+              ? 'Nil'
+              : `${formatAmount(Math.abs(difference))} ${difference > 0 ? 'Dr' : 'Cr'}`}
+          </p>
+        </div>
+      </div>
+
+      {difference !== 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg space-y-2">
+          <p>
+            Debit and credit opening balances do not agree. Correct the amounts above, or post the
+            difference to Suspense A/c and clear it later.
+          </p>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={postDifferenceToSuspense}
+              onChange={(e) => setPostDifferenceToSuspense(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            <span>Post difference to Suspense A/c</span>
+          </label>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="flex flex-col md:flex-row gap-4">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search ledgers..."
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={500}
+          placeholder="Reason for change (recorded in audit log)"
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      {/* Grid */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : rows.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">No ledgers yet</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Ledger</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Group</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Dr/Cr</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {visibleRows.map(({ row, index }) => (
+                <tr key={row.ledger._id} className={isChanged(row) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                  <td className="px-6 py-3 whitespace-nowrap font-medium text-gray-900">{row.ledger.name}</td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                    {row.ledger.group || row.ledger.type}
+                  </td>
+                  <td className="px-6 py-3 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={row.amount}
+                      onChange={(e) => updateRow(index, 'amount', e.target.value)}
+                      className="w-36 px-3 py-1 border border-gray-300 rounded-lg text-right focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </td>
+                  <td className="px-6 py-3">
+                    <select
+                      value={row.side}
+                      onChange={(e) => updateRow(index, 'side', e.target.value)}
+                      className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="Dr">Dr</option>
+                      <option value="Cr">Cr</option>
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OpeningBalances;
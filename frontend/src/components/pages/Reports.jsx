@@ -0,0 +1,64 @@
+/**
+ * Reports Page
+ *
+ * Financial statements built from ledger and voucher history
+ */
+
+import React, { useState } from 'react';
+import TrialBalance from '../reports/TrialBalance.jsx';
+import ProfitAndLoss from '../reports/ProfitAndLoss.jsx';
+import BalanceSheet from '../reports/BalanceSheet.jsx';
+import VoucherGaps from '../reports/VoucherGaps.jsx';
+import Ageing from '../reports/Ageing.jsx';
+import GstReturns from '../reports/GstReturns.jsx';
+import TdsReport from '../reports/TdsReport.jsx';
+import StockSummary from '../reports/StockSummary.jsx';
+
+const tabs = [
+  { key: 'trial-balance', label: 'Trial Balance', component: TrialBalance },
+  { key: 'profit-loss', label: 'Profit & Loss', component: ProfitAndLoss },
+  { key: 'balance-sheet', label: 'Balance Sheet', component: BalanceSheet },
+  { key: 'stock-summary', label: 'Stock Summary', component: StockSummary },
+  { key: 'ageing', label: 'Ageing', component: Ageing },
+  { key: 'gst-returns', label: 'GST Returns', component: GstReturns },
+  { key: 'tds', label: 'TDS', component: TdsReport },
+  { key: 'voucher-gaps', label: 'Voucher Gaps', component: VoucherGaps }
+];
+
+const Reports = () => {
+  const [activeTab, setActiveTab] = useState(tabs[0].key);
+  const ActiveReport = tabs.find((tab) => tab.key === activeTab).component;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-800">Reports</h1>
+        <p className="text-gray-600">Financial statements and accounting reports</p>
+      </div>
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex space-x-6">
+          {tabs.map((tab) => (
+            <button
+              key={tab.key}
+              onClick={() => setActiveTab(tab.key)}
+              className={`pb-3 text-sm font-medium border-b-2 transition-colors ${
+                activeTab === tab.key
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      <ActiveReport />
+    </div>
+  );
+};
+
+export default Reports;
@@ -0,0 +1,362 @@
+/**
+ * TDS Settings Page
+ *
+ * Company TAN, the ledger tax deducted from payments is credited to,
+ * and the TDS section masters with their rates and thresholds
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+const emptySection = {
+  section: '',
+  description: '',
+  rate: '',
+  individualRate: '',
+  noPanRate: 20,
+  singleThreshold: 0,
+  annualThreshold: 0
+};
+
+const TdsSettings = () => {
+  const [company, setCompany] = useState({ tan: '', tdsPayable: '' });
+  const [ledgers, setLedgers] = useState([]);
+  const [sections, setSections] = useState([]);
+  const [form, setForm] = useState(emptySection);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [companyResponse, ledgersResponse, sectionsResponse] = await Promise.all([
+        api.get('/gst/company'),
+        api.get('/ledgers'),
+        api.get('/tds/sections')
+      ]);
+      const saved = companyResponse.data.data.company;
+      setCompany({ tan: saved.tan || '', tdsPayable: saved.dutyLedgers?.tdsPayable?._id || '' });
+      setLedgers(ledgersResponse.data.data.ledgers);
+      setSections(sectionsResponse.data.data.sections);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load TDS settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const errorMessage = (error, fallback) => {
+    const details = error.response?.data?.errors;
+    return details ? details.map(item => item.message).join(', ') : error.response?.data?.message || fallback;
+  };
+
+  const handleCompanySubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      setWorking(true);
+      const response = await api.put('/gst/company', {
+        tan: company.tan,
+        dutyLedgers: { tdsPayable: company.tdsPayable }
+      });
+      setSuccess(response.data.message);
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to save TDS settings'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Empty individual rate means "same as the general rate"
+  const payload = () => ({
+    ...form,
+    rate: Number(form.rate),
+    individualRate: form.individualRate === '' ? null : Number(form.individualRate),
+    noPanRate: Number(form.noPanRate),
+    singleThreshold: Number(form.singleThreshold) || 0,
+    annualThreshold: Number(form.annualThreshold) || 0
+  });
+
+  const resetForm = () => {
+    setForm(emptySection);
+    setEditingId(null);
+  };
+
+  const handleSectionSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      setWorking(true);
+      const response = editingId
+        ? await api.put(`/tds/sections/${editingId}`, payload())
+        : await api.post('/tds/sections', payload());
+      setSuccess(response.data.message);
+      resetForm();
+      await fetchData();
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to save TDS section'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleEdit = (section) => {
+    setEditingId(section._id);
+    setForm({
+      section: section.section,
+      description: section.description || '',
+      rate: section.rate,
+      individualRate: section.individualRate ?? '',
+      noPanRate: section.noPanRate,
+      singleThreshold: section.singleThreshold,
+      annualThreshold: section.annualThreshold
+    });
+  };
+
+  const handleToggle = async (section) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.put(`/tds/sections/${section._id}`, {
+        ...section,
+        isActive: !section.isActive
+      });
+      setSuccess(response.data.message);
+      await fetchData();
+    } catch (error) {
+      setError(errorMessage(error, 'Failed to update TDS section'));
+    }
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase text-left';
+
+  if (loading) {
+    return <div className="p-8 text-center text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-800">TDS Settings</h1>
+        <p className="text-gray-600">
+          Tax deducted at source from payments to parties flagged with a section
+        </p>
+      </div>
+
+      {/* Alerts */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+          {success}
+        </div>
+      )}
+
+      {/* Company */}
+      <form onSubmit={handleCompanySubmit} className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">TAN</label>
+          <input
+            type="text"
+            value={company.tan}
+            onChange={(e) => setCompany({ ...company, tan: e.target.value.toUpperCase() })}
+            maxLength={10}
+            placeholder="PDES03028F"
+            className={`${inputClass} font-mono`}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">TDS payable ledger</label>
+          <select
+            value={company.tdsPayable}
+            onChange={(e) => setCompany({ ...company, tdsPayable: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">Create automatically</option>
+            {ledgers.map((ledger) => (
+              <option key={ledger._id} value={ledger._id}>{ledger.name}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={working}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition disabled:opacity-50"
+        >
+          Save
+        </button>
+      </form>
+
+      {/* Sections */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <form onSubmit={handleSectionSubmit} className="p-4 space-y-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-800">{editingId ? 'Edit Section' : 'New Section'}</h2>
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Section</label>
+              <input
+                type="text"
+                value={form.section}
+                onChange={(e) => setForm({ ...form, section: e.target.value.toUpperCase() })}
+                required
+                placeholder="194C"
+                className={`${inputClass} w-24`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Rate %</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={form.rate}
+                onChange={(e) => setForm({ ...form, rate: e.target.value })}
+                required
+                className={`${inputClass} w-24`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Individual/HUF %</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={form.individualRate}
+                onChange={(e) => setForm({ ...form, individualRate: e.target.value })}
+                placeholder="Same"
+                className={`${inputClass} w-24`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">No PAN %</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={form.noPanRate}
+                onChange={(e) => setForm({ ...form, noPanRate: e.target.value })}
+                className={`${inputClass} w-24`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Single payment above</label>
+              <input
+                type="number"
+                min="0"
+                value={form.singleThreshold}
+                onChange={(e) => setForm({ ...form, singleThreshold: e.target.value })}
+                className={`${inputClass} w-32`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Yearly total above</label>
+              <input
+                type="number"
+                min="0"
+                value={form.annualThreshold}
+                onChange={(e) => setForm({ ...form, annualThreshold: e.target.value })}
+                className={`${inputClass} w-32`}
+              />
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={working}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              {editingId ? 'Update Section' : 'Add Section'}
+            </button>
+            {editingId && (
+              <button type="button" onClick={resetForm} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className={headerCell}>Section</th>
+              <th className={`${headerCell} text-right`}>Rate</th>
+              <th className={`${headerCell} text-right`}>Individual/HUF</th>
+              <th className={`${headerCell} text-right`}>No PAN</th>
+              <th className={`${headerCell} text-right`}>Single Payment</th>
+              <th className={`${headerCell} text-right`}>Yearly Total</th>
+              <th className={headerCell}>Status</th>
+              <th className={headerCell}></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {sections.map((section) => (
+              <tr key={section._id} className={section.isActive ? '' : 'text-gray-400'}>
+                <td className="px-4 py-3 text-sm">
+                  <span className="font-medium">{section.section}</span>
+                  {section.description && <div className="text-xs text-gray-500">{section.description}</div>}
+                </td>
+                <td className="px-4 py-3 text-sm text-right">{section.rate}%</td>
+                <td className="px-4 py-3 text-sm text-right">
+                  {section.individualRate === null ? '—' : `${section.individualRate}%`}
+                </td>
+                <td className="px-4 py-3 text-sm text-right">{section.noPanRate}%</td>
+                <td className="px-4 py-3 text-sm text-right">
+                  {section.singleThreshold ? formatAmount(section.singleThreshold) : '—'}
+                </td>
+                <td className="px-4 py-3 text-sm text-right">
+                  {section.annualThreshold ? formatAmount(section.annualThreshold) : '—'}
+                </td>
+                <td className="px-4 py-3 text-sm">{section.isActive ? 'Active' : 'Inactive'}</td>
+                <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-3">
+                  <button onClick={() => handleEdit(section)} className="text-blue-600 hover:text-blue-800">
+                    Edit
+                  </button>
+                  <button onClick={() => handleToggle(section)} className="text-gray-600 hover:text-gray-800">
+                    {section.isActive ? 'Deactivate' : 'Activate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TdsSettings;
@@ -0,0 +1,183 @@
+/**
+ * Ageing Report
+ *
+ * Who owes us (or whom we owe) and for how long, per party in
+ * 30-day buckets as of a date
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const Ageing = () => {
+  const [filters, setFilters] = useState({ kind: 'receivables', asOf: today() });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchAgeing();
+  }, []);
+
+  const fetchAgeing = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.get('/reports/ageing', { params: filters });
+      setReport(response.data.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load ageing report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadCsv = async () => {
+    try {
+      setDownloading(true);
+      setError('');
+      const response = await api.get('/reports/ageing', {
+        params: { ...filters, format: 'csv' },
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${filters.kind}-ageing-${filters.asOf}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setError('Failed to download CSV');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+  const amountCell = 'px-4 py-2 text-right text-sm whitespace-nowrap';
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchAgeing(); }}
+        className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Report</label>
+          <select
+            value={filters.kind}
+            onChange={(e) => setFilters({ ...filters, kind: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="receivables">Receivables (customers)</option>
+            <option value="payables">Payables (suppliers)</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">As of</label>
+          <input
+            type="date"
+            value={filters.asOf}
+            onChange={(e) => setFilters({ ...filters, asOf: e.target.value })}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+        <button
+          type="button"
+          onClick={downloadCsv}
+          disabled={downloading}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition disabled:opacity-50"
+        >
+          {downloading ? 'Downloading...' : 'Export CSV'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">Loading...</div>
+      ) : report && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={`${headerCell} text-left`}>Party</th>
+                {report.buckets.map((bucket) => (
+                  <th key={bucket.key} className={`${headerCell} text-right`}>{bucket.label}</th>
+                ))}
+                <th className={`${headerCell} text-right`}>On Account</th>
+                <th className={`${headerCell} text-right`}>Total</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.parties.map((row) => (
+                <tr key={row.ledger._id} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {row.ledger.name}
+                    {row.basis === 'balance' && (
+                      <span className="ml-2 text-xs text-gray-400" title="Aged first-in first-out from the ledger balance">
+                        FIFO
+                      </span>
+                    )}
+                  </td>
+                  {report.buckets.map((bucket) => (
+                    <td key={bucket.key} className={`${amountCell} text-gray-900`}>
+                      {row.buckets[bucket.key] ? formatAmount(row.buckets[bucket.key]) : '—'}
+                    </td>
+                  ))}
+                  <td className={`${amountCell} text-gray-500`}>
+                    {row.onAccount ? formatAmount(row.onAccount) : '—'}
+                  </td>
+                  <td className={`${amountCell} font-medium text-gray-900`}>{formatAmount(row.total)}</td>
+                </tr>
+              ))}
+              {report.parties.length === 0 && (
+                <tr>
+                  <td colSpan={report.buckets.length + 3} className="px-4 py-6 text-center text-sm text-gray-400">
+                    Nothing outstanding
+                  </td>
+                </tr>
+              )}
+            </tbody>
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td className="px-4 py-2 text-sm text-gray-800">Total</td>
+                {report.buckets.map((bucket) => (
+                  <td key={bucket.key} className={`${amountCell} text-gray-800`}>
+                    {formatAmount(report.totals.buckets[bucket.key])}
+                  </td>
+                ))}
+                <td className={`${amountCell} text-gray-800`}>{formatAmount(report.totals.onAccount)}</td>
+                <td className={`${amountCell} text-gray-800`}>{formatAmount(report.totals.total)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Ageing;
@@ -0,0 +1,168 @@
+/**
+ * Balance Sheet Report
+ *
+ * Assets against liabilities and equity as of a date, with closing
+ * stock among the assets and unclosed profit or loss rolled up into
+ * retained earnings
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const BalanceSheet = () => {
+  const [asOf, setAsOf] = useState(today());
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchBalanceSheet();
+  }, []);
+
+  const fetchBalanceSheet = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.get('/reports/balance-sheet', { params: { asOf } });
+      setReport(response.data.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load balance sheet');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const Group = ({ title, rows, extraRows = null, total }) => (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-4 py-3 border-b border-gray-200">
+        <h3 className="text-sm font-semibold text-gray-700 uppercase">{title}</h3>
+      </div>
+      <table className="w-full">
+        <tbody className="divide-y divide-gray-100">
+          {rows.map((row) => (
+            <tr key={row.ledger._id}>
+              <td className="px-4 py-2 text-sm text-gray-900">{row.ledger.name}</td>
+              <td className="px-4 py-2 text-right text-sm text-gray-900 whitespace-nowrap">
+                {formatAmount(row.balance)}
+              </td>
+            </tr>
+          ))}
+          {extraRows}
+          {rows.length === 0 && !extraRows && (
+            <tr>
+              <td colSpan={2} className="px-4 py-2 text-sm text-gray-400">None</td>
+            </tr>
+          )}
+        </tbody>
+        <tfoot className="bg-gray-50 font-semibold">
+          <tr>
+            <td className="px-4 py-2 text-sm text-gray-800">Total {title}</td>
+            <td className="px-4 py-2 text-right text-sm text-gray-800 whitespace-nowrap">{formatAmount(total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchBalanceSheet(); }}
+        className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">As of</label>
+          <input
+            type="date"
+            value={asOf}
+            onChange={(e) => setAsOf(e.target.value)}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">Loading...</div>
+      ) : report && (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 items-start">
+            <div className="space-y-4">
+              <Group title="Liabilities" rows={report.liabilities.ledgers} total={report.liabilities.total} />
+              <Group
+                title="Equity"
+                rows={report.equity.ledgers}
+                total={report.equity.total}
+                extraRows={
+                  <tr>
+                    <td className="px-4 py-2 text-sm text-gray-900 italic">
+                      Retained Earnings ({report.equity.retainedEarnings >= 0 ? 'profit' : 'loss'} to date)
+                    </td>
+                    <td className="px-4 py-2 text-right text-sm text-gray-900 whitespace-nowrap">
+                      {formatAmount(report.equity.retainedEarnings)}
+                    </td>
+                  </tr>
+                }
+              />
+              <div className="bg-gray-100 rounded-lg px-4 py-3 flex justify-between font-semibold text-gray-800">
+                <span>Total Liabilities &amp; Equity</span>
+                <span>{formatAmount(report.totalLiabilitiesAndEquity)}</span>
+              </div>
+            </div>
+
+            <div className="space-y-4">
+              <Group
+                title="Assets"
+                rows={report.assets.ledgers}
+                total={report.assets.total}
+                extraRows={report.assets.closingStock ? (
+                  <tr>
+                    <td className="px-4 py-2 text-sm text-gray-900 italic">Closing Stock</td>
+                    <td className="px-4 py-2 text-right text-sm text-gray-900 whitespace-nowrap">
+                      {formatAmount(report.assets.closingStock)}
+                    </td>
+                  </tr>
+                ) : null}
+              />
+              <div className="bg-gray-100 rounded-lg px-4 py-3 flex justify-between font-semibold text-gray-800">
+                <span>Total Assets</span>
+                <span>{formatAmount(report.totalAssets)}</span>
+              </div>
+            </div>
+          </div>
+
+          {!report.isBalanced && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg">
+              <strong>Difference:</strong> {formatAmount(Math.abs(report.difference))} — ledger opening
+              balances do not agree.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BalanceSheet;
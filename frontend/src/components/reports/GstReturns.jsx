@@ -0,0 +1,247 @@
+/**
+ * GST Returns Report
+ *
+ * GSTR-1 and GSTR-3B for a month: section totals and the problems the
+ * portal would reject, with the portal JSON downloadable once the
+ * return is clean
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+const GstReturns = () => {
+  const [filters, setFilters] = useState({ returnType: 'gstr1', month: thisMonth() });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchReturn();
+  }, []);
+
+  const fetchReturn = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.get(`/reports/${filters.returnType}`, { params: { month: filters.month } });
+      setReport({ returnType: filters.returnType, ...response.data.data });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load GST return');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadJson = async () => {
+    try {
+      setDownloading(true);
+      setError('');
+      const response = await api.get(`/reports/${report.returnType}`, {
+        params: { month: report.month, format: 'json' },
+        responseType: 'blob'
+      });
+
+      const [year, month] = report.month.split('-');
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${report.returnType.toUpperCase()}-${month}${year}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setError('Failed to download the return');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+  const amountCell = 'px-4 py-2 text-right text-sm whitespace-nowrap text-gray-900';
+
+  const TaxRow = ({ label, count, row }) => (
+    <tr className="hover:bg-gray-50">
+      <td className="px-4 py-2 text-sm text-gray-900">{label}</td>
+      <td className={amountCell}>{count ?? ''}</td>
+      <td className={amountCell}>{formatAmount(row.txval)}</td>
+      <td className={amountCell}>{formatAmount(row.iamt)}</td>
+      <td className={amountCell}>{formatAmount(row.camt)}</td>
+      <td className={amountCell}>{formatAmount(row.samt)}</td>
+    </tr>
+  );
+
+  const itcOther = report?.gstr3b?.itc_elg.itc_avl.find(row => row.ty === 'OTH');
+  const exemptInward = report?.gstr3b?.inward_sup.isup_details.find(row => row.ty === 'GST');
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchReturn(); }}
+        className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Return</label>
+          <select
+            value={filters.returnType}
+            onChange={(e) => setFilters({ ...filters, returnType: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="gstr1">GSTR-1 (outward supplies)</option>
+            <option value="gstr3b">GSTR-3B (summary)</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Month</label>
+          <input
+            type="month"
+            value={filters.month}
+            onChange={(e) => setFilters({ ...filters, month: e.target.value })}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+        <button
+          type="button"
+          onClick={downloadJson}
+          disabled={downloading || !report || report.errors.length > 0}
+          title={report?.errors.length > 0 ? 'Fix the validation errors first' : undefined}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition disabled:opacity-50"
+        >
+          {downloading ? 'Downloading...' : 'Download JSON'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">Loading...</div>
+      ) : report && (
+        <>
+          {/* Validation */}
+          {report.errors.length > 0 && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+              <p className="font-medium mb-1">{report.errors.length} error(s) must be fixed before filing</p>
+              <ul className="list-disc list-inside text-sm space-y-0.5">
+                {report.errors.map((issue, index) => (
+                  <li key={index}>
+                    {issue.voucher && <span className="font-mono">{issue.voucher.voucherNumber}: </span>}
+                    {issue.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {report.warnings.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg">
+              <ul className="list-disc list-inside text-sm space-y-0.5">
+                {report.warnings.map((issue, index) => (
+                  <li key={index}>
+                    {issue.voucher && <span className="font-mono">{issue.voucher.voucherNumber}: </span>}
+                    {issue.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={`${headerCell} text-left`}>Section</th>
+                  <th className={`${headerCell} text-right`}>{report.returnType === 'gstr1' ? 'Entries' : ''}</th>
+                  <th className={`${headerCell} text-right`}>Taxable Value</th>
+                  <th className={`${headerCell} text-right`}>IGST</th>
+                  <th className={`${headerCell} text-right`}>CGST</th>
+                  <th className={`${headerCell} text-right`}>SGST</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {report.returnType === 'gstr1' ? (
+                  <>
+                    <TaxRow label="B2B invoices (registered buyers)" count={report.summary.b2b.count} row={report.summary.b2b} />
+                    <TaxRow label="B2C large (inter-state, unregistered)" count={report.summary.b2cl.count} row={report.summary.b2cl} />
+                    <TaxRow label="B2C small (summary rows)" count={report.summary.b2cs.count} row={report.summary.b2cs} />
+                    <TaxRow label="Credit notes (registered buyers)" count={report.summary.cdnr.count} row={report.summary.cdnr} />
+                    <TaxRow label="Credit notes (unregistered, B2C large)" count={report.summary.cdnur.count} row={report.summary.cdnur} />
+                    <TaxRow label="HSN summary (rows)" count={report.summary.hsn.count} row={report.summary.hsn} />
+                  </>
+                ) : (
+                  <>
+                    <TaxRow label="3.1(a) Outward taxable supplies" row={report.gstr3b.sup_details.osup_det} />
+                    <TaxRow label="3.1(c) Nil rated and exempt" row={report.gstr3b.sup_details.osup_nil_exmp} />
+                    <TaxRow
+                      label="3.2 Inter-state supplies to unregistered persons"
+                      row={report.gstr3b.inter_sup.unreg_details.reduce(
+                        (sum, row) => ({ ...sum, txval: sum.txval + row.txval, iamt: sum.iamt + row.iamt }),
+                        { txval: 0, iamt: 0 }
+                      )}
+                    />
+                    <TaxRow label="4(A)(5) Input tax credit, all other" row={itcOther} />
+                    <tr className="hover:bg-gray-50">
+                      <td className="px-4 py-2 text-sm text-gray-900">5 Exempt and nil rated inward supplies</td>
+                      <td className={amountCell}></td>
+                      <td className={amountCell}>
+                        {formatAmount(exemptInward.inter + exemptInward.intra)}
+                      </td>
+                      <td colSpan={3}></td>
+                    </tr>
+                  </>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {report.returnType === 'gstr1' && report.gstr1.b2b.length > 0 && (
+            <div className="bg-white rounded-lg shadow overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={`${headerCell} text-left`}>Customer GSTIN</th>
+                    <th className={`${headerCell} text-left`}>Invoice</th>
+                    <th className={`${headerCell} text-left`}>Date</th>
+                    <th className={`${headerCell} text-left`}>Place of Supply</th>
+                    <th className={`${headerCell} text-right`}>Invoice Value</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.gstr1.b2b.flatMap((party) => party.inv.map((invoice) => (
+                    <tr key={`${party.ctin}-${invoice.inum}`} className="hover:bg-gray-50">
+                      <td className="px-4 py-2 text-sm font-mono text-gray-900">{party.ctin}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900">{invoice.inum}</td>
+                      <td className="px-4 py-2 text-sm text-gray-500">{invoice.idt}</td>
+                      <td className="px-4 py-2 text-sm text-gray-500">{invoice.pos}</td>
+                      <td className={amountCell}>{formatAmount(invoice.val)}</td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GstReturns;
@@ -0,0 +1,185 @@
+/**
+ * Profit & Loss Report
+ *
+ * Income statement for a date range with gross and net profit,
+ * compared against the previous equivalent period. Opening and closing
+ * stock are shown when there are stock items.
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+const toInputDate = (date) => date.toISOString().slice(0, 10);
+
+const defaultRange = () => {
+  const now = new Date();
+  return {
+    startDate: toInputDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), 1))),
+    endDate: toInputDate(now)
+  };
+};
+
+const ProfitAndLoss = () => {
+  const [filters, setFilters] = useState(defaultRange);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchProfitAndLoss();
+  }, []);
+
+  const fetchProfitAndLoss = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.get('/reports/profit-loss', { params: filters });
+      setReport(response.data.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load profit & loss statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const amountCell = 'px-4 py-2 text-right text-sm whitespace-nowrap';
+
+  const Section = ({ title, section }) => (
+    <>
+      <tr className="bg-gray-50">
+        <td colSpan={3} className="px-4 py-2 text-xs font-semibold text-gray-500 uppercase">{title}</td>
+      </tr>
+      {section.ledgers.length === 0 ? (
+        <tr>
+          <td colSpan={3} className="px-8 py-2 text-sm text-gray-400">None</td>
+        </tr>
+      ) : section.ledgers.map((row) => (
+        <tr key={row.ledger._id}>
+          <td className="px-8 py-2 text-sm text-gray-900">{row.ledger.name}</td>
+          <td className={`${amountCell} text-gray-900`}>{formatAmount(row.current)}</td>
+          <td className={`${amountCell} text-gray-500`}>{formatAmount(row.previous)}</td>
+        </tr>
+      ))}
+      <tr>
+        <td className="px-4 py-2 text-sm font-medium text-gray-700">Total {title}</td>
+        <td className={`${amountCell} font-medium text-gray-900`}>{formatAmount(section.total.current)}</td>
+        <td className={`${amountCell} font-medium text-gray-500`}>{formatAmount(section.total.previous)}</td>
+      </tr>
+    </>
+  );
+
+  const StockRow = ({ label, values }) => (
+    <tr>
+      <td className="px-4 py-2 text-sm font-medium text-gray-700">{label}</td>
+      <td className={`${amountCell} font-medium text-gray-900`}>{formatAmount(values.current)}</td>
+      <td className={`${amountCell} font-medium text-gray-500`}>{formatAmount(values.previous)}</td>
+    </tr>
+  );
+
+  const hasStock = (stock) => [stock.opening, stock.closing]
+    .some(values => values.current || values.previous);
+
+  const ProfitRow = ({ label, values }) => (
+    <tr className="bg-gray-100 font-semibold">
+      <td className="px-4 py-3 text-sm text-gray-800">
+        {values.current >= 0 ? label : label.replace('Profit', 'Loss')}
+      </td>
+      <td className={`${amountCell} ${values.current >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+        {formatAmount(Math.abs(values.current))}
+      </td>
+      <td className={`${amountCell} ${values.previous >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+        {formatAmount(Math.abs(values.previous))}
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchProfitAndLoss(); }}
+        className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : report && (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Particulars</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                  {formatDate(report.period.startDate)} – {formatDate(report.period.endDate)}
+                </th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">
+                  {formatDate(report.previousPeriod.startDate)} – {formatDate(report.previousPeriod.endDate)}
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              <Section title="Direct Income" section={report.sections.directIncome} />
+              {hasStock(report.stock) && <StockRow label="Opening Stock" values={report.stock.opening} />}
+              <Section title="Direct Expenses" section={report.sections.directExpenses} />
+              {hasStock(report.stock) && <StockRow label="Closing Stock" values={report.stock.closing} />}
+              <ProfitRow label="Gross Profit" values={report.grossProfit} />
+              <Section title="Indirect Income" section={report.sections.indirectIncome} />
+              <Section title="Indirect Expenses" section={report.sections.indirectExpenses} />
+              <ProfitRow label="Net Profit" values={report.netProfit} />
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProfitAndLoss;
@@ -0,0 +1,207 @@
+/**
+ * Stock Summary Report
+ *
+ * Opening, inward, outward and closing stock of every item over a
+ * period, valued by each item's costing method
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const METHOD_LABELS = {
+  fifo: 'FIFO',
+  average: 'Weighted average',
+  last_purchase: 'Last purchase'
+};
+
+const StockSummary = () => {
+  const [filters, setFilters] = useState({ startDate: '', endDate: today() });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  // Without a start date the report runs from the item masters' opening stock
+  const queryParams = () => ({
+    endDate: filters.endDate,
+    ...(filters.startDate && { startDate: filters.startDate })
+  });
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.get('/reports/stock-summary', { params: queryParams() });
+      setReport(response.data.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load stock summary');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadCsv = async () => {
+    try {
+      setDownloading(true);
+      setError('');
+      const response = await api.get('/reports/stock-summary', {
+        params: { ...queryParams(), format: 'csv' },
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `stock-summary-${filters.endDate}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setError('Failed to download CSV');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const formatQuantity = (quantity, unit) => {
+    if (!quantity) return '';
+    return `${quantity} ${unit?.symbol || ''}`.trim();
+  };
+
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+  const amountCell = 'px-4 py-2 text-right text-sm whitespace-nowrap';
+
+  const Figures = ({ figure, unit }) => (
+    <>
+      <td className={`${amountCell} text-gray-500`}>{formatQuantity(figure.quantity, unit)}</td>
+      <td className={`${amountCell} text-gray-900`}>{figure.value ? formatAmount(figure.value) : ''}</td>
+    </>
+  );
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchReport(); }}
+        className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+        <button
+          type="button"
+          onClick={downloadCsv}
+          disabled={downloading}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition disabled:opacity-50"
+        >
+          {downloading ? 'Downloading...' : 'Export CSV'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : report && (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th rowSpan={2} className={`${headerCell} text-left`}>Item</th>
+                <th colSpan={2} className={`${headerCell} text-center`}>Opening</th>
+                <th colSpan={2} className={`${headerCell} text-center`}>Inward</th>
+                <th colSpan={2} className={`${headerCell} text-center`}>Outward</th>
+                <th colSpan={3} className={`${headerCell} text-center`}>Closing</th>
+              </tr>
+              <tr>
+                <th className={`${headerCell} text-right`}>Qty</th>
+                <th className={`${headerCell} text-right`}>Value</th>
+                <th className={`${headerCell} text-right`}>Qty</th>
+                <th className={`${headerCell} text-right`}>Value</th>
+                <th className={`${headerCell} text-right`}>Qty</th>
+                <th className={`${headerCell} text-right`}>Value</th>
+                <th className={`${headerCell} text-right`}>Qty</th>
+                <th className={`${headerCell} text-right`}>Rate</th>
+                <th className={`${headerCell} text-right`}>Value</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {report.items.map((row) => (
+                <tr key={row.item._id} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {row.item.name}
+                    <span className="ml-2 text-xs text-gray-400">{METHOD_LABELS[row.method]}</span>
+                  </td>
+                  <Figures figure={row.opening} unit={row.item.unit} />
+                  <Figures figure={row.inward} unit={row.item.unit} />
+                  <Figures figure={row.outward} unit={row.item.unit} />
+                  <td className={`${amountCell} text-gray-500`}>{formatQuantity(row.closing.quantity, row.item.unit)}</td>
+                  <td className={`${amountCell} text-gray-500`}>{formatAmount(row.closing.rate)}</td>
+                  <td className={`${amountCell} ${row.closing.value < 0 ? 'text-red-700' : 'text-gray-900'}`}>
+                    {formatAmount(row.closing.value)}
+                  </td>
+                </tr>
+              ))}
+              {report.items.length === 0 && (
+                <tr>
+                  <td colSpan={10} className="px-4 py-6 text-center text-sm text-gray-400">
+                    No stock held or moved in this period
+                  </td>
+                </tr>
+              )}
+            </tbody>
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td className="px-4 py-2 text-sm text-gray-800">Total</td>
+                <td colSpan={2} className={`${amountCell} text-gray-800`}>{formatAmount(report.totals.opening)}</td>
+                <td colSpan={2} className={`${amountCell} text-gray-800`}>{formatAmount(report.totals.inward)}</td>
+                <td colSpan={2} className={`${amountCell} text-gray-800`}>{formatAmount(report.totals.outward)}</td>
+                <td colSpan={3} className={`${amountCell} text-gray-800`}>{formatAmount(report.totals.closing)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockSummary;
@@ -0,0 +1,213 @@
+/**
+ * TDS Report
+ *
+ * Tax deducted from payments in a quarter, section by section and
+ * deductee by deductee, as handed to the accountant for the TDS return
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+// Financial year and quarter (April–June is Q1) containing today
+const currentQuarter = () => {
+  const now = new Date();
+  const startYear = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+  return {
+    fiscalYear: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+    quarter: String(Math.floor(((now.getMonth() + 9) % 12) / 3) + 1)
+  };
+};
+
+const TdsReport = () => {
+  const [filters, setFilters] = useState(currentQuarter);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.get('/reports/tds', { params: filters });
+      setReport(response.data.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load TDS report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadCsv = async () => {
+    try {
+      setDownloading(true);
+      setError('');
+      const response = await api.get('/reports/tds', {
+        params: { ...filters, format: 'csv' },
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tds-${filters.fiscalYear}-Q${filters.quarter}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setError('Failed to download CSV');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const formatAmount = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+  const amountCell = 'px-4 py-2 text-right text-sm whitespace-nowrap';
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchReport(); }}
+        className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Financial year</label>
+          <input
+            type="text"
+            value={filters.fiscalYear}
+            onChange={(e) => setFilters({ ...filters, fiscalYear: e.target.value })}
+            required
+            placeholder="2026-27"
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 w-28"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Quarter</label>
+          <select
+            value={filters.quarter}
+            onChange={(e) => setFilters({ ...filters, quarter: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="1">Q1 (Apr–Jun)</option>
+            <option value="2">Q2 (Jul–Sep)</option>
+            <option value="3">Q3 (Oct–Dec)</option>
+            <option value="4">Q4 (Jan–Mar)</option>
+          </select>
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+        <button
+          type="button"
+          onClick={downloadCsv}
+          disabled={downloading}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition disabled:opacity-50"
+        >
+          {downloading ? 'Downloading...' : 'Export CSV'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">Loading...</div>
+      ) : report && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <div className="px-4 py-3 text-sm text-gray-600 border-b border-gray-200">
+            {report.period.label}{report.tan ? ` · TAN ${report.tan}` : ''}
+          </div>
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={`${headerCell} text-left`}>Deductee</th>
+                <th className={`${headerCell} text-left`}>Date</th>
+                <th className={`${headerCell} text-left`}>Voucher</th>
+                <th className={`${headerCell} text-right`}>Amount Paid</th>
+                <th className={`${headerCell} text-right`}>Taxable</th>
+                <th className={`${headerCell} text-right`}>Rate</th>
+                <th className={`${headerCell} text-right`}>TDS</th>
+              </tr>
+            </thead>
+            {report.sections.map((section) => (
+              <tbody key={section.section} className="divide-y divide-gray-100">
+                <tr className="bg-gray-50">
+                  <td colSpan={3} className="px-4 py-2 text-sm font-semibold text-gray-800">
+                    {section.section}{section.description ? ` – ${section.description}` : ''}
+                  </td>
+                  <td className={`${amountCell} font-semibold text-gray-800`}>{formatAmount(section.paidAmount)}</td>
+                  <td colSpan={2}></td>
+                  <td className={`${amountCell} font-semibold text-gray-800`}>{formatAmount(section.tdsAmount)}</td>
+                </tr>
+                {section.deductees.flatMap((deductee) => deductee.payments.map((payment, index) => (
+                  <tr key={payment._id} className="hover:bg-gray-50">
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {index === 0 && (
+                        <>
+                          {deductee.ledger.name}
+                          <span className="ml-2 text-xs font-mono text-gray-500">{deductee.pan || 'No PAN'}</span>
+                        </>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-500 whitespace-nowrap">{formatDate(payment.date)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500 whitespace-nowrap">{payment.voucherNumber}</td>
+                    <td className={`${amountCell} text-gray-900`}>{formatAmount(payment.paidAmount)}</td>
+                    <td className={`${amountCell} text-gray-500`}>
+                      {payment.taxableAmount ? formatAmount(payment.taxableAmount) : 'Below threshold'}
+                    </td>
+                    <td className={`${amountCell} text-gray-500`}>{payment.rate}%</td>
+                    <td className={`${amountCell} text-gray-900`}>{formatAmount(payment.tdsAmount)}</td>
+                  </tr>
+                )))}
+              </tbody>
+            ))}
+            {report.sections.length === 0 && (
+              <tbody>
+                <tr>
+                  <td colSpan={7} className="px-4 py-6 text-center text-sm text-gray-400">
+                    No payments with TDS in this quarter
+                  </td>
+                </tr>
+              </tbody>
+            )}
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td colSpan={3} className="px-4 py-2 text-sm text-gray-800">Total</td>
+                <td className={`${amountCell} text-gray-800`}>{formatAmount(report.totals.paidAmount)}</td>
+                <td colSpan={2}></td>
+                <td className={`${amountCell} text-gray-800`}>{formatAmount(report.totals.tdsAmount)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TdsReport;
@@ -0,0 +1,305 @@
+/**
+ * Trial Balance Report
+ *
+ * Opening, period debit/credit and closing balance for every ledger
+ * Click a ledger row to drill down into its vouchers for the period
+ * and open the full ledger statement, or switch to the group view to
+ * see subtotals rolled up the ledger group tree
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../services/api.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const TrialBalance = () => {
+  const [filters, setFilters] = useState({ from: '', asOf: today() });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [expandedLedger, setExpandedLedger] = useState(null);
+  const [drillDown, setDrillDown] = useState({ loading: false, entries: [] });
+  const [view, setView] = useState('ledgers');
+  const [expandedGroups, setExpandedGroups] = useState(new Set());
+
+  useEffect(() => {
+    fetchTrialBalance();
+  }, []);
+
+  const fetchTrialBalance = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setExpandedLedger(null);
+
+      const params = { asOf: filters.asOf };
+      if (filters.from) params.from = filters.from;
+
+      const response = await api.get('/reports/trial-balance', { params });
+      setReport(response.data.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load trial balance');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleLedger = async (ledgerId) => {
+    if (expandedLedger === ledgerId) {
+      setExpandedLedger(null);
+      return;
+    }
+
+    setExpandedLedger(ledgerId);
+    setDrillDown({ loading: true, entries: [] });
+
+    try {
+      const params = { to: report.asOf.slice(0, 10), limit: 20 };
+      if (report.from) params.from = report.from.slice(0, 10);
+
+      const response = await api.get(`/ledgers/${ledgerId}/statement`, { params });
+      setDrillDown({ loading: false, entries: response.data.data.entries });
+    } catch (error) {
+      setDrillDown({ loading: false, entries: [] });
+    }
+  };
+
+  const toggleGroup = (groupId) => {
+    const next = new Set(expandedGroups);
+    if (next.has(groupId)) next.delete(groupId);
+    else next.add(groupId);
+    setExpandedGroups(next);
+  };
+
+  const statementLink = (ledgerId) => {
+    const params = new URLSearchParams({ to: report.asOf.slice(0, 10) });
+    if (report.from) params.set('from', report.from.slice(0, 10));
+    return `/ledgers/${ledgerId}/statement?${params.toString()}`;
+  };
+
+  const formatAmount = (amount) => {
+    if (!amount) return '';
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const headerCell = 'px-4 py-3 text-xs font-medium text-gray-500 uppercase';
+  const amountCell = 'px-4 py-3 text-right text-sm text-gray-900 whitespace-nowrap';
+
+  const AmountCells = ({ values }) => (
+    <>
+      <td className={amountCell}>{formatAmount(values.opening.debit)}</td>
+      <td className={amountCell}>{formatAmount(values.opening.credit)}</td>
+      <td className={amountCell}>{formatAmount(values.debit)}</td>
+      <td className={amountCell}>{formatAmount(values.credit)}</td>
+      <td className={amountCell}>{formatAmount(values.closing.debit)}</td>
+      <td className={amountCell}>{formatAmount(values.closing.credit)}</td>
+    </>
+  );
+
+  const GroupRows = ({ node, depth }) => {
+    const isExpanded = expandedGroups.has(node.group._id);
+    const indent = { paddingLeft: `${1 + depth * 1.5}rem` };
+
+    return (
+      <>
+        <tr onClick={() => toggleGroup(node.group._id)} className="hover:bg-gray-50 cursor-pointer font-medium">
+          <td className="py-3 pr-4 text-sm text-gray-900" style={indent}>
+            <span className="mr-2 text-gray-400">{isExpanded ? '▾' : '▸'}</span>
+            {node.group.name}
+          </td>
+          <AmountCells values={node.totals} />
+        </tr>
+        {isExpanded && (
+          <>
+            {node.children.map((child) => (
+              <GroupRows key={child.group._id} node={child} depth={depth + 1} />
+            ))}
+            {node.ledgers.map((row) => (
+              <tr key={row.ledger._id} className="hover:bg-gray-50 text-gray-700">
+                <td className="py-2 pr-4 text-sm" style={{ paddingLeft: `${2.5 + depth * 1.5}rem` }}>
+                  <Link to={statementLink(row.ledger._id)} className="text-blue-600 hover:text-blue-800">
+                    {row.ledger.name}
+                  </Link>
+                </td>
+                <AmountCells values={row} />
+              </tr>
+            ))}
+          </>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchTrialBalance(); }}
+        className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From (optional)</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">As of</label>
+          <input
+            type="date"
+            value={filters.asOf}
+            onChange={(e) => setFilters({ ...filters, asOf: e.target.value })}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+        <div className="ml-auto flex rounded-md border border-gray-300 overflow-hidden text-sm">
+          {[['ledgers', 'Ledgers'], ['groups', 'Groups']].map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setView(key)}
+              className={`px-3 py-2 ${view === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : !report || report.ledgers.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">No ledger balances for this period.</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th rowSpan={2} className={`${headerCell} text-left`}>Ledger</th>
+                <th colSpan={2} className={`${headerCell} text-center`}>Opening</th>
+                <th colSpan={2} className={`${headerCell} text-center`}>Transactions</th>
+                <th colSpan={2} className={`${headerCell} text-center`}>Closing</th>
+              </tr>
+              <tr>
+                {['Debit', 'Credit', 'Debit', 'Credit', 'Debit', 'Credit'].map((label, index) => (
+                  <th key={index} className={`${headerCell} text-right`}>{label}</th>
+                ))}
+              </tr>
+            </thead>
+            {view === 'groups' ? (
+              <tbody className="divide-y divide-gray-200">
+                {report.groups.map((node) => (
+                  <GroupRows key={node.group._id} node={node} depth={0} />
+                ))}
+              </tbody>
+            ) : (
+              <tbody className="divide-y divide-gray-200">
+                {report.ledgers.map((row) => (
+                  <React.Fragment key={row.ledger._id}>
+                    <tr
+                      onClick={() => toggleLedger(row.ledger._id)}
+                      className="hover:bg-gray-50 cursor-pointer"
+                    >
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        <span className="mr-2 text-gray-400">
+                          {expandedLedger === row.ledger._id ? '▾' : '▸'}
+                        </span>
+                        {row.ledger.name}
+                        <span className="ml-2 text-xs text-gray-500 capitalize">{row.ledger.type}</span>
+                      </td>
+                      <AmountCells values={row} />
+                    </tr>
+
+                    {/* Drill-down */}
+                    {expandedLedger === row.ledger._id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={7} className="px-8 py-3">
+                          {drillDown.loading ? (
+                            <p className="text-sm text-gray-500">Loading...</p>
+                          ) : drillDown.entries.length === 0 ? (
+                            <p className="text-sm text-gray-500">No vouchers in this period.</p>
+                          ) : (
+                            <table className="w-full text-sm">
+                              <tbody className="divide-y divide-gray-200">
+                                {drillDown.entries.map((entry) => (
+                                  <tr key={entry._id}>
+                                    <td className="py-2 text-gray-600 whitespace-nowrap">{formatDate(entry.date)}</td>
+                                    <td className="py-2 text-gray-600">{entry.voucherNumber}</td>
+                                    <td className="py-2 text-gray-900">{entry.contraLedger?.name}</td>
+                                    <td className="py-2 text-gray-500 truncate max-w-xs">{entry.narration}</td>
+                                    <td className="py-2 text-right whitespace-nowrap">
+                                      {entry.debit ? `${formatAmount(entry.debit)} Dr` : `${formatAmount(entry.credit)} Cr`}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                          <Link
+                            to={statementLink(row.ledger._id)}
+                            className="inline-block mt-2 text-sm text-blue-600 hover:text-blue-800"
+                          >
+                            Open full statement →
+                          </Link>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            )}
+            <tfoot className="bg-gray-100 font-semibold">
+              <tr>
+                <td className="px-4 py-3 text-sm text-gray-800">Total</td>
+                <AmountCells values={report.totals} />
+              </tr>
+            </tfoot>
+          </table>
+        )}
+      </div>
+
+      {report && report.ledgers.length > 0 && (
+        report.isBalanced ? (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+            Trial balance agrees: total debits equal total credits.
+          </div>
+        ) : (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg">
+            <strong>Difference:</strong> {formatAmount(Math.abs(report.difference))}{' '}
+            {report.difference > 0 ? 'Dr' : 'Cr'} — check ledger opening balances.
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default TrialBalance;
@@ -0,0 +1,135 @@
+/**
+ * Voucher Gaps Report
+ *
+ * Missing and cancelled numbers in each voucher numbering series
+ */
+
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api.js';
+
+const VoucherGaps = () => {
+  const [filters, setFilters] = useState({ type: '', fiscalYear: '' });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchVoucherGaps();
+  }, []);
+
+  const fetchVoucherGaps = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = {};
+      if (filters.type) params.type = filters.type;
+      if (filters.fiscalYear) params.fiscalYear = filters.fiscalYear;
+
+      const response = await api.get('/reports/voucher-gaps', { params });
+      setReport(response.data.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load voucher gaps');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatRange = (range) => (range.from === range.to ? `${range.from}` : `${range.from}–${range.to}`);
+
+  const headerCell = 'px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase';
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <form
+        onSubmit={(e) => { e.preventDefault(); fetchVoucherGaps(); }}
+        className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Voucher Type</label>
+          <select
+            value={filters.type}
+            onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All types</option>
+            {['payment', 'receipt', 'journal', 'contra', 'sales', 'purchase', 'credit_note', 'debit_note'].map((type) => (
+              <option key={type} value={type} className="capitalize">{type.replace('_', ' ')}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Financial Year</label>
+          <input
+            type="text"
+            placeholder="2026-27"
+            value={filters.fiscalYear}
+            onChange={(e) => setFilters({ ...filters, fiscalYear: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition"
+        >
+          Show
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : !report || report.series.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">No numbered vouchers yet.</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={headerCell}>Series</th>
+                <th className={headerCell}>Range</th>
+                <th className={`${headerCell} text-right`}>Issued</th>
+                <th className={headerCell}>Missing</th>
+                <th className={headerCell}>Cancelled</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {report.series.map((row) => (
+                <tr key={row.series} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    <span className="capitalize">{row.type.replace('_', ' ')}</span>
+                    {row.fiscalYear && <span className="ml-2 text-xs text-gray-500">{row.fiscalYear}</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                    {row.firstVoucherNumber ? `${row.firstVoucherNumber} … ${row.lastVoucherNumber}` : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-right text-sm text-gray-900">{row.issued}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {row.missingCount === 0 ? (
+                      <span className="text-green-700">None</span>
+                    ) : (
+                      <span className="text-red-700">
+                        {row.missing.map(formatRange).join(', ')} ({row.missingCount})
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {row.cancelled.length ? row.cancelled.join(', ') : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VoucherGaps;